@@ -0,0 +1,221 @@
+/**
+ * Account State - In-memory positions and wallet fed by the Bybit private WebSocket streams
+ * Trading code reads positions and balance from here instead of polling REST. A REST snapshot
+ * seeds the store on start and after every reconnect; until then callers fall back to REST
+ */
+
+import { logIT, LOG_LEVEL } from './log.js';
+
+class AccountState {
+    constructor(restClient, config = {}) {
+        this.restClient = restClient;
+        this.config = this.initializeConfig(config);
+
+        this.positions = new Map();     // `${symbol}_${positionIdx}` -> position in V5 format
+        this.wallet = null;             // Account entry of the wallet in V5 format
+        this.walletReceivedAt = 0;
+        this.recentExecutions = [];
+        this.synced = false;
+        this.syncPromise = null;
+        this.positionWaiters = new Set();
+    }
+
+    /**
+     * Initialize configuration with defaults
+     */
+    initializeConfig(userConfig) {
+        const defaultConfig = {
+            accountType: 'UNIFIED',
+            settleCoin: 'USDT',
+            maxExecutions: 200,         // Recent executions kept for inspection
+            positionUpdateTimeoutMs: 3000   // Wait for a position update after an order before falling back to REST
+        };
+
+        return { ...defaultConfig, ...userConfig };
+    }
+
+    /**
+     * Whether the store holds a complete picture of the account
+     */
+    isReady() {
+        return this.synced;
+    }
+
+    /**
+     * Stream updates may have been missed, serve REST until the next sync
+     */
+    invalidate() {
+        if (this.synced) {
+            logIT('Account state invalidated, falling back to REST until resynced', LOG_LEVEL.WARNING);
+        }
+        this.synced = false;
+    }
+
+    /**
+     * Seed the store from REST; stream updates received meanwhile take precedence
+     */
+    async sync() {
+        if (this.syncPromise) return this.syncPromise;
+
+        this.syncPromise = (async () => {
+            const startedAt = Date.now();
+
+            try {
+                const [positions, wallet] = await Promise.all([
+                    this.restClient.getPositionInfo({ category: 'linear', settleCoin: this.config.settleCoin, limit: 200 }),
+                    this.restClient.getWalletBalance({ accountType: this.config.accountType, coin: this.config.settleCoin })
+                ]);
+
+                if (positions.retCode !== 0) {
+                    throw new Error(`getPositionInfo failed: ${positions.retMsg} (Code: ${positions.retCode})`);
+                }
+                if (wallet.retCode !== 0) {
+                    throw new Error(`getWalletBalance failed: ${wallet.retMsg} (Code: ${wallet.retCode})`);
+                }
+
+                const snapshot = positions.result?.list || [];
+                snapshot.forEach(position => this.applyPosition(position, startedAt));
+
+                // The snapshot only lists open positions; older entries it lacks were closed while offline
+                const snapshotKeys = new Set(snapshot.map(position => this.positionKey(position)));
+                for (const [key, position] of this.positions.entries()) {
+                    if (!snapshotKeys.has(key) && position.receivedAt <= startedAt) {
+                        this.positions.delete(key);
+                    }
+                }
+
+                if (this.walletReceivedAt <= startedAt && wallet.result?.list?.length > 0) {
+                    this.wallet = wallet.result.list[0];
+                    this.walletReceivedAt = startedAt;
+                }
+
+                this.synced = true;
+                logIT(`Account state synced: ${snapshot.length} open positions`, LOG_LEVEL.INFO);
+            } catch (error) {
+                this.synced = false;
+                logIT(`Account state sync failed, using REST: ${error.message}`, LOG_LEVEL.ERROR);
+                throw error;
+            } finally {
+                this.syncPromise = null;
+            }
+        })();
+
+        return this.syncPromise;
+    }
+
+    /**
+     * Apply a private stream message
+     * @param {string} topic - 'position', 'wallet' or 'execution'
+     * @param {Object[]} data - Message data in V5 format
+     */
+    handleUpdate(topic, data) {
+        const receivedAt = Date.now();
+
+        switch (topic) {
+            case 'position':
+                data.forEach(position => this.applyPosition(position, receivedAt));
+                break;
+            case 'wallet': {
+                const account = data.find(entry => entry.accountType === this.config.accountType);
+                if (account) {
+                    this.wallet = account;
+                    this.walletReceivedAt = receivedAt;
+                }
+                break;
+            }
+            case 'execution':
+                this.recentExecutions.push(...data);
+                if (this.recentExecutions.length > this.config.maxExecutions) {
+                    this.recentExecutions.splice(0, this.recentExecutions.length - this.config.maxExecutions);
+                }
+                break;
+        }
+    }
+
+    positionKey(position) {
+        return `${position.symbol}_${position.positionIdx}`;
+    }
+
+    /**
+     * Store a position unless a newer version (higher seq) is already held
+     */
+    applyPosition(position, receivedAt) {
+        const key = this.positionKey(position);
+        const existing = this.positions.get(key);
+        if (existing && parseInt(position.seq) < parseInt(existing.seq)) {
+            return;
+        }
+
+        // The stream reports entryPrice where REST reports avgPrice
+        const stored = {
+            ...position,
+            avgPrice: position.avgPrice ?? position.entryPrice,
+            receivedAt
+        };
+        this.positions.set(key, stored);
+
+        for (const waiter of this.positionWaiters) {
+            if (waiter.key === key && waiter.check(stored)) {
+                waiter.resolve(stored);
+            }
+        }
+    }
+
+    /**
+     * Wait for the stored position to pass a check, e.g. a size change after an order fills
+     * @param {string} symbol - Trading pair symbol
+     * @param {number} positionIdx - 0 one-way, 1 hedge Buy, 2 hedge Sell
+     * @param {Function} check - (position) => boolean
+     * @param {number} timeoutMs - Defaults to positionUpdateTimeoutMs
+     * @returns {Promise<Object|null>} The position, or null when no matching update arrived in time
+     */
+    waitForPosition(symbol, positionIdx, check, timeoutMs = this.config.positionUpdateTimeoutMs) {
+        const key = `${symbol}_${positionIdx}`;
+        const current = this.positions.get(key);
+        if (current && check(current)) {
+            return Promise.resolve(current);
+        }
+
+        return new Promise(resolve => {
+            const waiter = {
+                key,
+                check,
+                resolve: position => {
+                    clearTimeout(waiter.timer);
+                    this.positionWaiters.delete(waiter);
+                    resolve(position);
+                }
+            };
+            waiter.timer = setTimeout(() => waiter.resolve(null), timeoutMs);
+            this.positionWaiters.add(waiter);
+        });
+    }
+
+    /**
+     * Positions in the getPositionInfo response format
+     * Like REST, a symbol query includes flat positions and a settle coin query only open ones
+     */
+    getPositionInfo(params = {}) {
+        const list = Array.from(this.positions.values())
+            .filter(position => params.symbol ? position.symbol === params.symbol : parseFloat(position.size) > 0)
+            .map(({ receivedAt, ...position }) => position);
+
+        return { retCode: 0, retMsg: 'OK', result: { category: 'linear', list, nextPageCursor: '' } };
+    }
+
+    /**
+     * Wallet in the getWalletBalance response format
+     */
+    getWalletBalance(params = {}) {
+        const coins = (this.wallet?.coin || []).filter(coin => !params.coin || coin.coin === params.coin);
+        const list = this.wallet ? [{ ...this.wallet, coin: coins }] : [];
+
+        return { retCode: 0, retMsg: 'OK', result: { list } };
+    }
+
+    getRecentExecutions(symbol = null) {
+        return this.recentExecutions.filter(exec => !symbol || exec.symbol === symbol);
+    }
+}
+
+export default AccountState;
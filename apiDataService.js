@@ -6,13 +6,25 @@
 import fetch from 'node-fetch';
 import fs from 'fs';
 import { logIT, LOG_LEVEL } from './log.js';
-import { calculateRiskPrices } from './utils.js';
+import { readStateFile, writeStateFile } from './stateFiles.js';
+import { calculateRiskPrices, calculatePairSizing } from './utils.js';
+import { NOTIFICATION_EVENTS } from './notifier.js';
+import { blendResearch } from './researchEngine.js';
 
 class APIDataService {
-    constructor(restClient, discordService = null) {
+    /**
+     * @param {Object} restClient - RestClientV5 (or paper exchange)
+     * @param {Notifier} notifier - Notification hub for update failures
+     * @param {Object} research - { source: rapidapi|local|blend|fallback, engine: ResearchEngine, blendWeight }
+     * @param {Object} config - Typed bot config from configSchema, read on every update so live reloads apply
+     */
+    constructor(restClient, notifier = null, research = {}, config = {}) {
         this.restClient = restClient;
-        this.discordService = discordService;
+        this.notifier = notifier;
+        this.research = { source: 'rapidapi', engine: null, blendWeight: 0.5, ...research };
+        this.config = config;
         this.isUpdating = false;
+        this.researchUpdate = null; // Running research update, a local build can take minutes
         this.lastUpdate = {
             settings: 0,
             minOrderSizes: 0,
@@ -45,9 +57,9 @@ class APIDataService {
             const now = Date.now();
             let updatesPerformed = 0;
 
-            // Check if research data needs updating
+            // Research runs in the background so a local build does not hold up the other updates
             if (now - this.lastUpdate.research > this.updateIntervals.research) {
-                await this.updateResearchData();
+                this.startResearchUpdate();
                 this.lastUpdate.research = now;
                 updatesPerformed++;
             }
@@ -86,51 +98,80 @@ class APIDataService {
     }
 
     /**
-     * Update research data from RapidAPI
+     * Start a research update unless one is running
+     * @returns {Promise<boolean>} The running update, rejects with its error
      */
-    async updateResearchData() {
-        try {
-            logIT("Fetching research data from API", LOG_LEVEL.INFO);
-
-            const url = "https://liquidation-report.p.rapidapi.com/lickhunterpro";
-            const headers = {
-                "X-RapidAPI-Key": process.env.RAPIDAPI_KEY,
-                "X-RapidAPI-Host": "liquidation-report.p.rapidapi.com"
-            };
+    refreshResearch() {
+        if (!this.researchUpdate) {
+            this.researchUpdate = this.updateResearchData().finally(() => {
+                this.researchUpdate = null;
+            });
+        }
+        return this.researchUpdate;
+    }
 
-            const response = await fetch(url, { headers: headers });
+    /**
+     * Start a research update in the background unless one is running; failures are notified,
+     * updateResearchData already logged them
+     */
+    startResearchUpdate() {
+        if (this.researchUpdate) return;
 
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
+        this.refreshResearch().catch(async (error) => {
+            if (this.notifier) {
+                await this.notifier.notify(NOTIFICATION_EVENTS.ERROR, { message: `❌ Research update failed: ${error.message}` });
             }
+        });
+    }
 
-            const data = await response.json();
+    /**
+     * Update research.json from the configured source
+     * fallback builds local research only when RapidAPI fails; blend averages both where they overlap
+     */
+    async updateResearchData() {
+        try {
+            const { source, engine, blendWeight } = this.research;
+            let research;
 
-            // Validate data structure
-            if (!data || !data.data || !Array.isArray(data.data)) {
-                throw new Error("Invalid research data structure received");
-            }
+            if (source === 'local') {
+                research = await engine.build();
+            } else if (source === 'fallback') {
+                try {
+                    research = await this.fetchRemoteResearch();
+                } catch (error) {
+                    logIT(`RapidAPI research failed (${error.message}), building local research`, LOG_LEVEL.WARNING);
+                    research = await engine.build();
+                }
+            } else if (source === 'blend') {
+                const [remote, local] = await Promise.allSettled([this.fetchRemoteResearch(), engine.build()]);
+                for (const [name, result] of [['RapidAPI', remote], ['Local', local]]) {
+                    if (result.status === 'rejected') {
+                        logIT(`${name} research failed: ${result.reason.message}`, LOG_LEVEL.WARNING);
+                    }
+                }
 
-            // Validate each data item
-            const validData = data.data.filter(item =>
-                item &&
-                item.name &&
-                !isNaN(item.long_price) &&
-                !isNaN(item.short_price) &&
-                item.long_price > 0 &&
-                item.short_price > 0 &&
-                item.liq_volume
-            );
-
-            if (validData.length === 0) {
-                throw new Error("No valid research data items found after validation");
+                if (remote.status === 'fulfilled' && local.status === 'fulfilled') {
+                    research = blendResearch(remote.value, local.value, blendWeight);
+                } else if (remote.status === 'fulfilled' || local.status === 'fulfilled') {
+                    research = (remote.status === 'fulfilled' ? remote : local).value;
+                } else {
+                    throw new Error("Both research sources failed");
+                }
+            } else {
+                research = await this.fetchRemoteResearch();
             }
 
-            // Save validated data
-            const validatedData = { ...data, data: validData };
-            fs.writeFileSync('research.json', JSON.stringify(validatedData, null, 4));
+            // Stamp the fetch time and source on every item, blended research mixes sources
+            const fetchedAt = Date.now();
+            research = {
+                ...research,
+                fetched_at: fetchedAt,
+                data: research.data.map(item => ({ ...item, fetched_at: fetchedAt, source: item.source || research.source }))
+            };
+
+            writeStateFile('research.json', research);
 
-            logIT(`Research data updated successfully: ${validData.length} valid items`, LOG_LEVEL.INFO);
+            logIT(`Research data updated successfully: ${research.data.length} valid items (${research.source})`, LOG_LEVEL.INFO);
 
             return true;
 
@@ -146,6 +187,50 @@ class APIDataService {
         }
     }
 
+    /**
+     * Fetch and validate research data from RapidAPI
+     * @returns {Object} research.json content
+     */
+    async fetchRemoteResearch() {
+        logIT("Fetching research data from API", LOG_LEVEL.INFO);
+
+        const url = "https://liquidation-report.p.rapidapi.com/lickhunterpro";
+        const headers = {
+            "X-RapidAPI-Key": this.config.RAPIDAPI_KEY,
+            "X-RapidAPI-Host": "liquidation-report.p.rapidapi.com"
+        };
+
+        const response = await fetch(url, { headers: headers });
+
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+
+        const data = await response.json();
+
+        // Validate data structure
+        if (!data || !data.data || !Array.isArray(data.data)) {
+            throw new Error("Invalid research data structure received");
+        }
+
+        // Validate each data item
+        const validData = data.data.filter(item =>
+            item &&
+            item.name &&
+            !isNaN(item.long_price) &&
+            !isNaN(item.short_price) &&
+            item.long_price > 0 &&
+            item.short_price > 0 &&
+            item.liq_volume
+        );
+
+        if (validData.length === 0) {
+            throw new Error("No valid research data items found after validation");
+        }
+
+        return { ...data, source: 'rapidapi', data: validData.map(item => ({ ...item, source: 'rapidapi' })) };
+    }
+
     /**
      * Update minimum order sizes from Bybit API
      */
@@ -191,20 +276,24 @@ class APIDataService {
                     }
 
                     const price = parseFloat(ticker.lastPrice);
-                    const usdValue = minOrderSize * price;
 
-                    // Calculate our order size based on account parameters
-                    const minOrderSizeUSD = (balance * (process.env.PERCENT_ORDER_SIZE / 100)) * process.env.LEVERAGE;
-                    const finalOrderSize = minOrderSizeUSD < usdValue ? minOrderSize : (minOrderSizeUSD / price);
-
-                    // Calculate max position size
-                    const maxPositionSize = ((balance * (process.env.MAX_POSITION_SIZE_PERCENT / 100)) / price) * process.env.LEVERAGE;
+                    // Calculate our order size and max position size based on account parameters
+                    const sizing = calculatePairSizing(
+                        balance,
+                        price,
+                        minOrderSize,
+                        this.config.PERCENT_ORDER_SIZE,
+                        this.config.MAX_POSITION_SIZE_PERCENT,
+                        this.config.LEVERAGE
+                    );
 
                     minOrderSizes.push({
                         pair: instrument.symbol,
-                        minOrderSize: parseFloat(finalOrderSize.toFixed(8)),
-                        maxPositionSize: parseFloat(maxPositionSize.toFixed(8)),
-                        tickSize: tickSize
+                        minOrderSize: sizing.orderSize,
+                        maxPositionSize: sizing.maxPositionSize,
+                        tickSize: tickSize,
+                        qtyStep: parseFloat(instrument.lotSizeFilter.qtyStep),
+                        minOrderQty: minOrderSize
                     });
 
                     processedCount++;
@@ -220,7 +309,7 @@ class APIDataService {
             }
 
             // Save to file
-            fs.writeFileSync('min_order_sizes.json', JSON.stringify(minOrderSizes, null, 4));
+            writeStateFile('min_order_sizes.json', minOrderSizes);
 
             logIT(`Minimum order sizes updated: ${processedCount} pairs processed`, LOG_LEVEL.INFO);
 
@@ -244,12 +333,12 @@ class APIDataService {
                 throw new Error("Required data files not found");
             }
 
-            const researchData = JSON.parse(fs.readFileSync('research.json', 'utf8'));
-            const minOrderSizes = JSON.parse(fs.readFileSync('min_order_sizes.json', 'utf8'));
+            const researchData = readStateFile('research.json');
+            const minOrderSizes = readStateFile('min_order_sizes.json');
 
             let currentSettings;
             try {
-                currentSettings = JSON.parse(fs.readFileSync('settings.json', 'utf8'));
+                currentSettings = readStateFile('settings.json');
             } catch {
                 // Create new settings if file doesn't exist or is invalid
                 currentSettings = { pairs: [] };
@@ -280,23 +369,24 @@ class APIDataService {
                     const existingSettings = currentSettings.pairs.find(p => p.symbol === symbol);
 
                     // Calculate risk-adjusted prices
-                    const riskLevel = parseInt(process.env.RISK_LEVEL) || 2;
                     const riskPrices = this.calculateRiskPrices(
                         researchItem.long_price,
                         researchItem.short_price,
-                        riskLevel
+                        this.config.RISK_LEVEL
                     );
 
                     const newSettings = {
                         symbol: symbol,
-                        leverage: process.env.LEVERAGE,
+                        leverage: this.config.LEVERAGE,
                         min_volume: researchItem.liq_volume,
-                        take_profit: process.env.TAKE_PROFIT_PERCENT,
-                        stop_loss: process.env.STOP_LOSS_PERCENT,
+                        take_profit: this.config.TAKE_PROFIT_PERCENT,
+                        stop_loss: this.config.STOP_LOSS_PERCENT,
                         order_size: minOrderSizeData.minOrderSize,
                         max_position_size: minOrderSizeData.maxPositionSize,
                         long_price: riskPrices.long_risk,
-                        short_price: riskPrices.short_risk
+                        short_price: riskPrices.short_risk,
+                        fetched_at: researchItem.fetched_at,
+                        source: researchItem.source
                     };
 
                     if (existingSettings) {
@@ -316,7 +406,7 @@ class APIDataService {
             }
 
             // Save updated settings
-            fs.writeFileSync('settings.json', JSON.stringify(currentSettings, null, 4));
+            writeStateFile('settings.json', currentSettings);
 
             logIT(`Settings updated successfully: ${updatedCount} pairs configured`, LOG_LEVEL.INFO);
 
@@ -385,18 +475,16 @@ class APIDataService {
             this.retryAttempts = 0;
             this.retryDelay = 5000;
 
-            // Send error notification to Discord if enabled
-            if (this.discordService && process.env.USE_DISCORD === "true") {
-                await this.discordService.sendMessage(
-                    `❌ API data update failed: ${error.message}`,
-                    'error'
-                );
+            // Send error notification to the configured notification sinks
+            if (this.notifier) {
+                await this.notifier.notify(NOTIFICATION_EVENTS.ERROR, { message: `❌ API data update failed: ${error.message}` });
             }
         }
     }
 
     /**
      * Force immediate update of all data files
+     * Research is awaited so settings are built from it; a running background update is joined
      */
     async forceUpdateAll() {
         logIT("Forcing immediate update of all data files", LOG_LEVEL.INFO);
@@ -409,7 +497,7 @@ class APIDataService {
         };
 
         try {
-            results.research = await this.updateResearchData();
+            results.research = await this.refreshResearch();
         } catch (error) {
             logIT(`Forced research update failed: ${error.message}`, LOG_LEVEL.ERROR);
         }
@@ -451,7 +539,7 @@ class APIDataService {
             // Load or create account data
             let accountData;
             if (fs.existsSync('account.json')) {
-                accountData = JSON.parse(fs.readFileSync('account.json', 'utf8'));
+                accountData = readStateFile('account.json');
             } else {
                 accountData = {
                     startingBalance: 0,
@@ -471,7 +559,7 @@ class APIDataService {
             }
 
             // Save updated account data
-            fs.writeFileSync('account.json', JSON.stringify(accountData, null, 4));
+            writeStateFile('account.json', accountData);
 
             logIT(`Account data updated successfully. Current balance: ${balance} USDT`, LOG_LEVEL.INFO);
 
@@ -8,16 +8,19 @@
 
 // Import dependencies
 import { WebsocketClient, RestClientV5 } from 'bybit-api';
-import { config } from 'dotenv';
-config();
+import { config as loadEnvFile } from 'dotenv';
+loadEnvFile();
 import fetch from 'node-fetch';
 import chalk from 'chalk';
 import fs from 'fs';
 import path from 'path';
 import DiscordService from './discordService.js';
+import TelegramService from './telegramService.js';
+import Notifier, { NOTIFICATION_EVENTS } from './notifier.js';
+import { MessengerSink, WebhookSink, ConsoleSink, FileSink } from './notificationSinks.js';
 import moment from 'moment';
 import { logIT, LOG_LEVEL, cleanupOldLogFiles } from './log.js';
-import { createMarketOrder } from './order.js';
+import { createMarketOrder, createCloseMarketOrder, onOrderPlaced } from './order.js';
 import {
     calculateRiskPrices,
     processOrderQuantity,
@@ -26,32 +29,103 @@ import {
     validatePositionData,
     validateTradingConfig,
     calculateProfitLossPrices,
+    calculateAtrExitPercents,
     getTickData,
     formatPrice,
     needsTpSlUpdate,
     setTradingStopAPI,
     adjustPriceForFastMarket,
-    handleTpSlResponse
+    handleTpSlResponse,
+    parseTpLadder,
+    calculateTpLadderLegs,
+    getRemainingTpLadder,
+    countFilledTpLegs,
+    aggregateLiquidation,
+    getLiquidationThreshold,
+    passesPriceGate,
+    meetsMinimum24hVolume,
+    isResearchStale
 } from './utils.js';
 import APIDataService from './apiDataService.js';
+import DataPersistence from './dataPersistence.js';
+import { readStateFile, writeStateFile } from './stateFiles.js';
 import ATRService from './atrService.js';
 import ScaledATRDCA from './scaledATRDCA.js';
+import PaperExchange from './paperExchange.js';
+import LiquidationRecorder from './liquidationRecorder.js';
+import ResearchEngine from './researchEngine.js';
+import TradeJournal from './tradeJournal.js';
+import AccountState from './accountState.js';
+import RequestScheduler from './requestScheduler.js';
+import RiskGuard from './riskGuard.js';
+import PositionTimeoutMonitor from './positionTimeoutMonitor.js';
+import ExitManager from './exitManager.js';
+import PairOverrides from './pairOverrides.js';
+import Backtester, { loadBacktestDataset, printBacktestReport, saveBacktestReport, timeframeToMs } from './backtester.js';
+import Optimizer, { PARAMETER_SPACE, printOptimizationReport, saveOptimizationReport } from './optimizer.js';
+import DashboardServer from './dashboardServer.js';
+import ControlAPI from './controlApi.js';
+import DiscordBot from './discordBot.js';
+import { loadConfig, applyConfigDefaults, printConfigReport, logConfigReport } from './configSchema.js';
+import ConfigReloader from './configReloader.js';
+
+// Validate the configuration before anything is built from it, unset keys get the schema defaults
+const configCheck = loadConfig();
+applyConfigDefaults();
+if (process.argv.includes('--check-config')) {
+    printConfigReport(configCheck);
+    process.exit(configCheck.errors.length > 0 ? 1 : 0);
+}
+logConfigReport(configCheck);
+// Offline tools only need the settings they use
+if (configCheck.errors.length > 0 && !['--backtest', '--optimize', '--pair-config', '--export-trades'].some(flag => process.argv.includes(flag))) {
+    console.log(chalk.red(`Configuration has ${configCheck.errors.length} error(s), run "node app.js --check-config" for the full report`));
+    process.exit(1);
+}
+
+// Typed settings with schema defaults; live keys are updated in place on reload (applyLiveConfig)
+const config = configCheck.values;
 
 // Bot configuration and state
 let timestampBotStart = moment(); // Bot start time for uptime calculation
 
-const key = process.env.API_KEY;
-const secret = process.env.API_SECRET;
-let rateLimit = 2000; // Base rate limit between API calls
-let lastReport = 0; // Timestamp for last Discord report
+const key = config.API_KEY;
+const secret = config.API_SECRET;
+const loopInterval = 2000; // Pause between main loop iterations, API pacing is left to the request scheduler
+let lastReport = 0; // Timestamp for last status report
 let isGettingBalance = false; // Prevent recursive balance calls
-let isGeneratingReport = false; // Prevent recursive Discord report calls
+let isGeneratingReport = false; // Prevent recursive report calls
 let pairs = []; // Array of trading pairs to monitor
 let liquidationOrders = []; // Cache of recent liquidation events
 let lastUpdate = 0; // Timestamp for last settings update
+let entriesPaused = false; // New entries paused remotely (control API)
+let tpLadderStates = null; // TP ladder progress per position, loaded on first use
+
+// Notification hub; each enabled sink gets its own filters from NOTIFY_<SINK>_* settings
+const notifier = new Notifier();
 
-// Initialize Discord service if enabled
-const discordService = process.env.USE_DISCORD === "true" ? new DiscordService(process.env.DISCORD_URL) : null;
+// Raw order events duplicate the trade and DCA summaries, so chat channels skip them unless configured
+const CHAT_MUTED_EVENTS = [NOTIFICATION_EVENTS.ORDER_PLACED, NOTIFICATION_EVENTS.DCA_ORDER_PLACED];
+
+if (config.USE_DISCORD) {
+    notifier.addSink(new MessengerSink('discord', new DiscordService(config.DISCORD_URL)), getSinkOptions('DISCORD', CHAT_MUTED_EVENTS));
+}
+if (config.USE_TELEGRAM) {
+    notifier.addSink(new MessengerSink('telegram', new TelegramService(config.TELEGRAM_BOT_TOKEN, config.TELEGRAM_CHAT_ID)), getSinkOptions('TELEGRAM', CHAT_MUTED_EVENTS));
+}
+if (config.NOTIFY_WEBHOOK_URL) {
+    notifier.addSink(new WebhookSink(config.NOTIFY_WEBHOOK_URL, {
+        headers: config.NOTIFY_WEBHOOK_TOKEN ? { Authorization: `Bearer ${config.NOTIFY_WEBHOOK_TOKEN}` } : {},
+        secret: config.NOTIFY_WEBHOOK_SECRET,
+        maxQueueSize: config.NOTIFY_WEBHOOK_QUEUE_SIZE
+    }), getSinkOptions('WEBHOOK'));
+}
+if (config.NOTIFY_CONSOLE) {
+    notifier.addSink(new ConsoleSink(), getSinkOptions('CONSOLE'));
+}
+if (config.NOTIFY_FILE) {
+    notifier.addSink(new FileSink(config.NOTIFY_FILE_PATH), getSinkOptions('FILE'));
+}
 
 // Initialize API clients
 const wsClient = new WebsocketClient({
@@ -60,52 +134,301 @@ const wsClient = new WebsocketClient({
     // Configure WebSocket for liquidation data stream
 });
 
-const restClient = new RestClientV5({
+// Every REST call shares one budget; orders and TP/SL jump the queue ahead of research and setup calls
+const requestScheduler = new RequestScheduler(new RestClientV5({
     key: key,
     secret: secret,
     testnet: false, // Use mainnet for trading
-    recv_window: 5000 // Extended receive window for API calls
+    recv_window: 5000, // Extended receive window for API calls
+    parseAPIRateLimits: true // Expose the X-Bapi-Limit headers to the scheduler
+}), {
+    maxConcurrent: config.REST_MAX_CONCURRENT,
+    maxRetries: config.REST_RATE_LIMIT_RETRIES
 });
 
-// Initialize API data service for periodic updates
-const apiDataService = new APIDataService(restClient, discordService);
+const exchangeClient = requestScheduler.createClient();
+
+// Paper trading swaps the account endpoints for a local simulation fed by live prices
+const paperExchange = config.PAPER_TRADING ? new PaperExchange(exchangeClient, {
+    startingBalance: config.PAPER_STARTING_BALANCE,
+    takerFeePercent: config.PAPER_TAKER_FEE_PERCENT,
+    makerFeePercent: config.PAPER_MAKER_FEE_PERCENT,
+    slippagePercent: config.PAPER_SLIPPAGE_PERCENT,
+    defaultLeverage: config.LEVERAGE,
+    priceRefreshMs: config.PAPER_PRICE_INTERVAL * 1000
+}) : null;
+
+const restClient = paperExchange || exchangeClient;
+
+// Live positions and balance from the private position/wallet streams; paper trading is already local
+const accountState = !paperExchange && config.USE_ACCOUNT_STREAM ? new AccountState(exchangeClient) : null;
+
+// Journal every trigger, order and fill to SQLite; paper and live trades are kept apart by mode
+const tradeJournal = config.USE_TRADE_JOURNAL ? new TradeJournal({
+    databasePath: config.DATABASE_PATH,
+    mode: paperExchange ? 'paper' : 'live'
+}) : null;
+
+// Account-level circuit breaker; enabled when either limit is set
+const riskGuard = config.DAILY_MAX_LOSS_PERCENT > 0 || config.MAX_DRAWDOWN_PERCENT > 0 ? new RiskGuard({
+    mode: paperExchange ? 'paper' : 'live',
+    dailyMaxLossPercent: config.DAILY_MAX_LOSS_PERCENT,
+    maxDrawdownPercent: config.MAX_DRAWDOWN_PERCENT
+}) : null;
+
+// Time-based exit for positions that do not reach TP; STOP_LOSS_TIMEOUT applies to both states unless overridden
+const positionTimeoutMonitor = config.USE_STOP_LOSS_TIMEOUT ? new PositionTimeoutMonitor({
+    getPositions: async () => (await fetchPositionInfo({ category: 'linear', settleCoin: 'USDT' })).result?.list || [],
+    getEntryTime: fetchPositionEntryTime,
+    closePosition: closeTimedOutPosition,
+    setStopLoss: (position, stopLoss) => updateTradingStop(position, { stopLoss }),
+    cancelDCA: position => cancelDCALadder(position.symbol, position.side),
+    announce: (message, severity) => notifier.notify(NOTIFICATION_EVENTS.ALERT, { message }, severity)
+}, {
+    mode: paperExchange ? 'paper' : 'live',
+    profitTimeoutMs: config.STOP_LOSS_TIMEOUT_PROFIT ?? config.STOP_LOSS_TIMEOUT,
+    lossTimeoutMs: config.STOP_LOSS_TIMEOUT_LOSS ?? config.STOP_LOSS_TIMEOUT,
+    profitAction: config.STOP_LOSS_TIMEOUT_PROFIT_ACTION,
+    lossAction: config.STOP_LOSS_TIMEOUT_LOSS_ACTION,
+    tightenPercent: config.STOP_LOSS_TIMEOUT_TIGHTEN_PERCENT
+}) : null;
+
+// Break-even stop and trailing take profit; paper trading has no native trailingStop so the stop is moved by the bot
+const exitManager = config.USE_TRAILING_EXIT ? new ExitManager({
+    getPositions: async () => (await fetchPositionInfo({ category: 'linear', settleCoin: 'USDT' })).result?.list || [],
+    updateTradingStop: updateTradingStop,
+    getATR: symbol => atrService.calculateATR(symbol, {
+        timeframe: config.ATR_TIMEFRAME,
+        length: config.ATR_LENGTH
+    }),
+    announce: (message, severity) => notifier.notify(NOTIFICATION_EVENTS.ALERT, { message }, severity)
+}, {
+    breakEvenTriggerPercent: config.BREAK_EVEN_TRIGGER_PERCENT,
+    breakEvenFeePercent: config.BREAK_EVEN_FEE_PERCENT,
+    trailingActivationPercent: config.TRAILING_ACTIVATION_PERCENT,
+    trailingMode: config.TRAILING_MODE,
+    trailingDistancePercent: config.TRAILING_DISTANCE_PERCENT,
+    trailingAtrMultiplier: config.TRAILING_ATR_MULTIPLIER,
+    removeTakeProfit: config.TRAILING_REMOVE_TP,
+    nativeTrailing: !paperExchange,
+    checkIntervalMs: config.TRAILING_CHECK_INTERVAL * 1000
+}) : null;
+
+// User-owned per-pair and per-group values layered over .env and settings.json
+const pairOverrides = new PairOverrides();
+
+// Local research from recorded liquidations and klines, used unless RESEARCH_SOURCE is rapidapi
+const researchSource = config.RESEARCH_SOURCE;
+const researchEngine = researchSource !== 'rapidapi' ? new ResearchEngine(requestScheduler.createClient({ priority: 'low' }), new LiquidationRecorder({
+    recordingDir: config.RECORDING_DIR
+}), {
+    lookbackHours: config.RESEARCH_LOOKBACK_HOURS,
+    volumePercentile: config.RESEARCH_VOLUME_PERCENTILE,
+    minClusters: config.RESEARCH_MIN_CLUSTERS,
+    bandMethod: config.RESEARCH_BAND_METHOD,
+    bandTimeframe: config.RESEARCH_BAND_TIMEFRAME,
+    bandLength: config.RESEARCH_BAND_LENGTH,
+    bandAtrMultiplier: config.RESEARCH_BAND_ATR_MULTIPLIER
+}) : null;
+
+// Initialize API data service for periodic updates; research refresh runs at the lowest priority
+const apiDataService = new APIDataService(paperExchange || requestScheduler.createClient({ priority: 'low' }), notifier, {
+    source: researchSource,
+    engine: researchEngine,
+    blendWeight: config.RESEARCH_BLEND_WEIGHT
+}, config);
 
 // Initialize ATR service
 const atrService = new ATRService(restClient);
 
+// ATR-based TP/SL distances; null keeps the fixed TAKE_PROFIT_PERCENT / STOP_LOSS_PERCENT
+let atrExitSettings = getAtrExitSettings();
+
+function getAtrExitSettings() {
+    return config.USE_ATR_TP_SL ? {
+        timeframe: config.ATR_TP_SL_TIMEFRAME ?? config.ATR_TIMEFRAME,
+        length: config.ATR_TP_SL_LENGTH ?? config.ATR_LENGTH,
+        tpMultiplier: config.ATR_TP_MULTIPLIER,
+        slMultiplier: config.ATR_SL_MULTIPLIER,
+        minTpPercent: config.ATR_TP_MIN_PERCENT,
+        maxTpPercent: config.ATR_TP_MAX_PERCENT,
+        minSlPercent: config.ATR_SL_MIN_PERCENT,
+        maxSlPercent: config.ATR_SL_MAX_PERCENT
+    } : null;
+}
+
 // Initialize Scaled ATR DCA system with full configuration
 const scaledATRDCA = new ScaledATRDCA(restClient, atrService, {
     // ATR Settings
-    atrTimeframe: process.env.ATR_TIMEFRAME || '5m',
-    atrLength: parseInt(process.env.ATR_LENGTH) || 7,
-    atrDeviation: parseFloat(process.env.ATR_DEVIATION) || 0.5,
+    atrTimeframe: config.ATR_TIMEFRAME,
+    atrLength: config.ATR_LENGTH,
+    atrDeviation: config.ATR_DEVIATION,
 
     // DCA Order Settings
-    dcaNumOrders: parseInt(process.env.DCA_NUM_ORDERS) || 5,
+    dcaNumOrders: config.DCA_NUM_ORDERS,
     // dcaMaxActiveOrders removed - orders are now placed sequentially
-    volumeScale: parseFloat(process.env.DCA_VOLUME_SCALE) || 1.5,
-    stepScale: parseFloat(process.env.DCA_STEP_SCALE) || 1.2,
+    volumeScale: config.DCA_VOLUME_SCALE,
+    stepScale: config.DCA_STEP_SCALE,
 
     // Risk Management
-    maxTotalPercent: parseFloat(process.env.DCA_MAX_TOTAL_PERCENT) || 25,
-    riskPerLevel: parseFloat(process.env.DCA_RISK_PER_LEVEL) || 5,
+    maxTotalPercent: config.DCA_MAX_TOTAL_PERCENT,
+    riskPerLevel: config.DCA_RISK_PER_LEVEL,
 
     // Volume Filter
-    min24hVolume: parseFloat(process.env.MIN_24H_VOLUME) || 0
+    min24hVolume: config.MIN_24H_VOLUME
 });
 
+// Initialize liquidation recorder for later replay and post-mortems
+const liquidationRecorder = config.RECORD_LIQUIDATIONS ? new LiquidationRecorder({
+    recordingDir: config.RECORDING_DIR,
+    retentionDays: config.RECORDING_RETENTION_DAYS,
+    tickerIntervalMs: config.RECORDING_TICKER_INTERVAL * 1000,
+    recordAllTickers: config.RECORD_ALL_TICKERS
+}) : null;
+
+// Initialize local web dashboard if enabled
+const dashboardServer = config.DASHBOARD_ENABLED ? new DashboardServer(getDashboardState, {
+    port: config.DASHBOARD_PORT,
+    host: config.DASHBOARD_HOST,
+    token: config.DASHBOARD_TOKEN,
+    refreshMs: config.DASHBOARD_REFRESH_INTERVAL * 1000
+}) : null;
+
+// Initialize token-protected control API if enabled
+const controlApi = config.CONTROL_API_ENABLED ? new ControlAPI({
+    getStatus: getControlStatus,
+    pause: () => setEntriesPaused(true),
+    resume: resumeEntries,
+    closePosition: closePosition,
+    closeAllPositions: closeAllPositions,
+    cancelDCAOrders: cancelDCAOrdersForSymbol,
+    forceUpdate: () => apiDataService.forceUpdateAll(),
+    announce: (message, severity) => notifier.notify(NOTIFICATION_EVENTS.ALERT, { message }, severity)
+}, {
+    port: config.CONTROL_API_PORT,
+    host: config.CONTROL_API_HOST,
+    token: config.CONTROL_API_TOKEN
+}) : null;
+
+// Initialize Discord slash command bot if enabled
+const discordBot = config.DISCORD_BOT_ENABLED ? new DiscordBot({
+    getStatus: getControlStatus,
+    getDCAStatistics: getDCAStatistics,
+    pause: () => setEntriesPaused(true),
+    resume: resumeEntries,
+    closePosition: closePosition,
+    updateBlacklist: updateBlacklist,
+    sendReport: sendReportOnDemand,
+    announce: (message, severity) => notifier.notify(NOTIFICATION_EVENTS.ALERT, { message }, severity)
+}, {
+    token: config.DISCORD_BOT_TOKEN,
+    guildId: config.DISCORD_GUILD_ID,
+    roleId: config.DISCORD_BOT_ROLE_ID
+}) : null;
+
+// Apply .env and pair_overrides.json edits without a restart
+const configReloader = config.CONFIG_HOT_RELOAD ? new ConfigReloader({
+    pairOverrides: pairOverrides,
+    applyConfig: applyLiveConfig,
+    announce: (message, severity) => notifier.notify(NOTIFICATION_EVENTS.ALERT, { message }, severity)
+}, {
+    overridesFile: pairOverrides.config.filePath
+}) : null;
+
 // Configure update intervals from environment variables
-if (process.env.RESEARCH_UPDATE_INTERVAL) {
-    apiDataService.updateIntervals.research = parseInt(process.env.RESEARCH_UPDATE_INTERVAL) * 60 * 1000;
-}
-if (process.env.MIN_ORDER_SIZE_UPDATE_INTERVAL) {
-    apiDataService.updateIntervals.minOrderSizes = parseInt(process.env.MIN_ORDER_SIZE_UPDATE_INTERVAL) * 60 * 1000;
-}
-if (process.env.SETTINGS_UPDATE_INTERVAL) {
-    apiDataService.updateIntervals.settings = parseInt(process.env.SETTINGS_UPDATE_INTERVAL) * 60 * 1000;
+configureUpdateIntervals();
+
+function configureUpdateIntervals() {
+    apiDataService.updateIntervals.research = config.RESEARCH_UPDATE_INTERVAL * 60 * 1000;
+    apiDataService.updateIntervals.minOrderSizes = config.MIN_ORDER_SIZE_UPDATE_INTERVAL * 60 * 1000;
+    apiDataService.updateIntervals.settings = config.SETTINGS_UPDATE_INTERVAL * 60 * 1000;
+    apiDataService.updateIntervals.account = config.ACCOUNT_UPDATE_INTERVAL * 60 * 1000;
 }
-if (process.env.ACCOUNT_UPDATE_INTERVAL) {
-    apiDataService.updateIntervals.account = parseInt(process.env.ACCOUNT_UPDATE_INTERVAL) * 60 * 1000;
+
+/**
+ * Update config with the reloaded settings and push them into the services that copied them at startup
+ * Settings read from config on every use (filters, TP/SL, sizing) need nothing more;
+ * DCA changes only shape ladders created from now on
+ * @param {Object} values - Validated configuration (configSchema loadConfig values)
+ * @param {string[]} keys - Changed live keys, already written to process.env
+ * @returns {string[]} Keys that cannot change now because their service is disabled
+ */
+function applyLiveConfig(values, keys) {
+    const unapplied = [];
+    const changed = pattern => keys.filter(key => pattern.test(key));
+    const previous = Object.fromEntries(keys.map(key => [key, config[key]]));
+    for (const key of keys) {
+        config[key] = values[key];
+    }
+
+    scaledATRDCA.config = {
+        ...scaledATRDCA.config,
+        atrTimeframe: values.ATR_TIMEFRAME,
+        atrLength: values.ATR_LENGTH,
+        atrDeviation: values.ATR_DEVIATION,
+        dcaNumOrders: values.DCA_NUM_ORDERS,
+        volumeScale: values.DCA_VOLUME_SCALE,
+        stepScale: values.DCA_STEP_SCALE,
+        maxTotalPercent: values.DCA_MAX_TOTAL_PERCENT,
+        riskPerLevel: values.DCA_RISK_PER_LEVEL,
+        min24hVolume: values.MIN_24H_VOLUME
+    };
+    atrExitSettings = getAtrExitSettings();
+    configureUpdateIntervals();
+
+    const riskKeys = changed(/^(DAILY_MAX_LOSS_PERCENT|MAX_DRAWDOWN_PERCENT)$/);
+    if (riskGuard) {
+        riskGuard.config = {
+            ...riskGuard.config,
+            dailyMaxLossPercent: values.DAILY_MAX_LOSS_PERCENT,
+            maxDrawdownPercent: values.MAX_DRAWDOWN_PERCENT
+        };
+    } else {
+        unapplied.push(...riskKeys);
+    }
+
+    const timeoutKeys = changed(/^STOP_LOSS_TIMEOUT_?/);
+    if (positionTimeoutMonitor) {
+        positionTimeoutMonitor.config = positionTimeoutMonitor.initializeConfig({
+            ...positionTimeoutMonitor.config,
+            profitTimeoutMs: values.STOP_LOSS_TIMEOUT_PROFIT ?? values.STOP_LOSS_TIMEOUT,
+            lossTimeoutMs: values.STOP_LOSS_TIMEOUT_LOSS ?? values.STOP_LOSS_TIMEOUT,
+            profitAction: values.STOP_LOSS_TIMEOUT_PROFIT_ACTION,
+            lossAction: values.STOP_LOSS_TIMEOUT_LOSS_ACTION,
+            tightenPercent: values.STOP_LOSS_TIMEOUT_TIGHTEN_PERCENT
+        });
+    } else {
+        unapplied.push(...timeoutKeys);
+    }
+
+    const exitKeys = changed(/^(BREAK_EVEN|TRAILING)_/);
+    if (exitManager) {
+        exitManager.config = exitManager.initializeConfig({
+            ...exitManager.config,
+            breakEvenTriggerPercent: values.BREAK_EVEN_TRIGGER_PERCENT,
+            breakEvenFeePercent: values.BREAK_EVEN_FEE_PERCENT,
+            trailingActivationPercent: values.TRAILING_ACTIVATION_PERCENT,
+            trailingMode: values.TRAILING_MODE,
+            trailingDistancePercent: values.TRAILING_DISTANCE_PERCENT,
+            trailingAtrMultiplier: values.TRAILING_ATR_MULTIPLIER,
+            removeTakeProfit: values.TRAILING_REMOVE_TP,
+            checkIntervalMs: values.TRAILING_CHECK_INTERVAL * 1000
+        });
+        // Restart the check timer with the new interval
+        if (keys.includes('TRAILING_CHECK_INTERVAL') && exitManager.checkInterval) {
+            exitManager.stop();
+            exitManager.start();
+        }
+    } else {
+        unapplied.push(...exitKeys);
+    }
+
+    // The reloader restores these in process.env, keep config in step
+    for (const key of unapplied) {
+        config[key] = previous[key];
+    }
+
+    return unapplied;
 }
 
 // Auto-create and refresh configuration files on startup
@@ -137,7 +460,7 @@ async function initializeConfigFiles() {
                     }
                 ]
             };
-            fs.writeFileSync('research.json', JSON.stringify(defaultResearch, null, 4));
+            writeStateFile('research.json', defaultResearch);
             console.log(chalk.yellow("Created default research.json file"));
         }
 
@@ -148,7 +471,7 @@ async function initializeConfigFiles() {
                 config_set: false,
                 lastUpdated: new Date().toISOString()
             };
-            fs.writeFileSync('account.json', JSON.stringify(defaultAccount, null, 4));
+            writeStateFile('account.json', defaultAccount);
             console.log(chalk.yellow("Created default account.json file"));
         }
 
@@ -168,7 +491,7 @@ async function initializeConfigFiles() {
                     tickSize: "0.01"
                 }
             ];
-            fs.writeFileSync('min_order_sizes.json', JSON.stringify(defaultMinOrderSizes, null, 4));
+            writeStateFile('min_order_sizes.json', defaultMinOrderSizes);
             console.log(chalk.yellow("Created default min_order_sizes.json file"));
         }
 
@@ -189,7 +512,7 @@ async function initializeConfigFiles() {
                     }
                 ]
             };
-            fs.writeFileSync('settings.json', JSON.stringify(defaultSettings, null, 4));
+            writeStateFile('settings.json', defaultSettings);
             console.log(chalk.yellow("Created default settings.json file"));
         }
 
@@ -198,11 +521,12 @@ async function initializeConfigFiles() {
 
         // Force initial update of all data files
         console.log("Performing initial API data refresh...");
-        try {
-            const updateResults = await apiDataService.forceUpdateAll();
+        // forceUpdateAll reports failures per file instead of throwing
+        const updateResults = await apiDataService.forceUpdateAll();
+        if (updateResults.minOrderSizes && updateResults.settings) {
             console.log(chalk.green(`Initial refresh completed: ${JSON.stringify(updateResults)}`));
-        } catch (error) {
-            console.log(chalk.yellow(`Initial refresh failed, using fallback methods: ${error.message}`));
+        } else {
+            console.log(chalk.yellow(`Initial refresh incomplete, using fallback methods: ${JSON.stringify(updateResults)}`));
 
             // Fallback to original methods if API service fails
             console.log("Refreshing min_order_sizes.json (fallback)...");
@@ -211,7 +535,7 @@ async function initializeConfigFiles() {
             console.log("Refreshing research.json (fallback)...");
             const researchExists = fs.existsSync('research.json');
             if (researchExists) {
-                const existingResearch = JSON.parse(fs.readFileSync('research.json', 'utf8'));
+                const existingResearch = readStateFile('research.json');
                 if (existingResearch.success === false) {
                     console.log("Research data is outdated or invalid, attempting to fetch new data...");
                     await createSettings();
@@ -241,11 +565,11 @@ async function initializeConfigFiles() {
                 lastUpdated: new Date().toISOString(),
                 currentBalance: 0
             };
-            fs.writeFileSync('account.json', JSON.stringify(defaultAccount, null, 4));
+            writeStateFile('account.json', defaultAccount);
         } else {
             // Update existing account.json with current balance and timestamp
             try {
-                const accountData = JSON.parse(fs.readFileSync('account.json', 'utf8'));
+                const accountData = readStateFile('account.json');
                 accountData.currentBalance = currentBalance;
                 accountData.lastUpdated = new Date().toISOString();
 
@@ -254,7 +578,7 @@ async function initializeConfigFiles() {
                     accountData.startingBalance = currentBalance;
                 }
 
-                fs.writeFileSync('account.json', JSON.stringify(accountData, null, 4));
+                writeStateFile('account.json', accountData);
                 logIT(`Account.json refreshed with current balance: ${currentBalance} USDT`, LOG_LEVEL.INFO);
             } catch (updateError) {
                 logIT(`Error updating account.json: ${updateError.message}`, LOG_LEVEL.WARNING);
@@ -276,7 +600,10 @@ logIT("Initializing log management system", LOG_LEVEL.DEBUG);
 cleanupOldLogFiles();
 
 // Auto-create and refresh configuration files before starting the bot
-await initializeConfigFiles();
+// Backtests and optimization only replay recorded data and --pair-config only reads the files, so they skip the live refresh
+if (!process.argv.includes('--backtest') && !process.argv.includes('--optimize') && !process.argv.includes('--pair-config')) {
+    await initializeConfigFiles();
+}
 
 /**
  * Handle WebSocket updates from Bybit streams
@@ -291,57 +618,36 @@ wsClient.on('update', (data) => {
     // Process liquidation data
     if (data.topic && data.topic.includes('allLiquidation')) {
         updateData.forEach(liqData => {
+            // Record every raw event before any filtering
+            if (liquidationRecorder) {
+                liquidationRecorder.recordLiquidation(liqData);
+            }
+
             const pair = liqData.s;
             const price = parseFloat(liqData.p);
             const side = liqData.S;
             const qty = parseFloat(liqData.v) * price; // Calculate USD value
             const timestamp = Math.floor(Date.now() / 1000);
 
-        // Find or create liquidation entry for this pair
-        let index = liquidationOrders.findIndex(x => x.pair === pair);
-        const direction = side === "Buy" ? "Long" : "Short";
-
-        // Skip blacklisted pairs
-        if (!shouldProcessPair(pair, process.env.BLACKLIST, process.env.WHITELIST)) {
-            logIT(`Ignoring liquidation for blacklisted pair: ${pair}`, LOG_LEVEL.DEBUG);
-            return;
-        }
-
-        // Initialize new liquidation entry if not exists
-        if (index === -1) {
-            liquidationOrders.push({ pair, price, side, qty, amount: 1, timestamp });
-            index = liquidationOrders.findIndex(x => x.pair === pair);
-        }
+            // Skip blacklisted pairs
+            if (!shouldProcessPair(pair, config.BLACKLIST, config.WHITELIST)) {
+                logIT(`Ignoring liquidation for blacklisted pair: ${pair}`, LOG_LEVEL.DEBUG);
+                return;
+            }
 
-        // Update existing liquidation entry
-        if (index !== -1) {
-            // Aggregate liquidations within 5-second window
-            if (timestamp - liquidationOrders[index].timestamp <= 5) {
-                liquidationOrders[index].price = price;
-                liquidationOrders[index].side = side;
-                liquidationOrders[index].qty = parseFloat((liquidationOrders[index].qty + qty).toFixed(2));
-                liquidationOrders[index].timestamp = timestamp;
-                liquidationOrders[index].amount += 1;
-            } else {
-                // Reset aggregation for new liquidation event
-                liquidationOrders[index].price = price;
-                liquidationOrders[index].side = side;
-                liquidationOrders[index].qty = qty;
-                liquidationOrders[index].timestamp = timestamp;
-                liquidationOrders[index].amount = 1;
+            if (dashboardServer) {
+                dashboardServer.pushLiquidation({ pair, side, price, qty, timestamp: Date.now() });
             }
 
-            // Get dynamic liquidation volume threshold
-            const researchData = readResearchFile();
-            let dynamicLiqVolume = parseFloat(process.env.MIN_LIQUIDATION_VOLUME) || 0;
+            // Find or create liquidation entry for this pair and aggregate within the 5-second window
+            const index = aggregateLiquidation(liquidationOrders, pair, price, side, qty, timestamp);
 
-            if (researchData?.data) {
-                const symbolName = pair.replace('USDT', '');
-                const researchEntry = researchData.data.find(item => item.name === symbolName);
-                if (researchEntry?.liq_volume) {
-                    dynamicLiqVolume = researchEntry.liq_volume;
-                }
-            }
+            // Get dynamic liquidation volume threshold; stale research under the fallback policy uses MIN_LIQUIDATION_VOLUME
+            const researchData = readResearchFile();
+            const researchItem = researchData?.data?.find(item => item.name === pair.replace('USDT', ''));
+            const dynamicLiqVolume = config.RESEARCH_STALE_POLICY === 'fallback' && getResearchFreshness(researchItem).stale
+                ? config.MIN_LIQUIDATION_VOLUME
+                : getLiquidationThreshold(researchData, pair, config.MIN_LIQUIDATION_VOLUME);
 
             // Check if liquidation volume meets threshold and execute trade
             if (liquidationOrders[index].qty > dynamicLiqVolume) {
@@ -350,17 +656,28 @@ wsClient.on('update', (data) => {
             } else {
                 logIT(`Insufficient liquidation volume for ${pair}: ${liquidationOrders[index].qty} USDT (threshold: ${dynamicLiqVolume} USDT)`, LOG_LEVEL.DEBUG);
             }
-        }
-    });
+        });
     }
 
-    // Handle order updates if Scaled ATR DCA is enabled
-    if (process.env.USE_SCALED_ATR_DCA === "true" && data.topic && data.topic.includes('order')) {
+    // Handle order updates for Scaled ATR DCA and position close notifications
+    if (needsOrderStream() && data.topic && data.topic.includes('order')) {
         const orderData = data.data || data;
         orderData.forEach(order => {
             handleOrderUpdate(order);
         });
     }
+
+    // Journal live fills; paper fills arrive from the simulated exchange
+    if (tradeJournal && data.topic && data.topic.includes('execution')) {
+        updateData.forEach(exec => {
+            tradeJournal.recordFill(exec);
+        });
+    }
+
+    // Keep the account state store current
+    if (accountState && ['position', 'wallet', 'execution'].includes(data.topic)) {
+        accountState.handleUpdate(data.topic, updateData);
+    }
 });
 
 // WebSocket connection lifecycle handlers
@@ -374,12 +691,25 @@ wsClient.on('response', (data) => {
 
 wsClient.on('reconnect', ({ wsKey }) => {
     logIT(`WebSocket reconnecting: ${wsKey}`, LOG_LEVEL.WARNING);
+
+    // Private updates are lost while disconnected
+    if (accountState && isPrivateWsKey(wsKey)) {
+        accountState.invalidate();
+    }
 });
 
 wsClient.on('reconnected', (data) => {
     logIT(`WebSocket reconnected: ${data?.wsKey}`, LOG_LEVEL.INFO);
+
+    if (accountState && isPrivateWsKey(data?.wsKey)) {
+        accountState.sync().catch(() => {});
+    }
 });
 
+function isPrivateWsKey(wsKey) {
+    return String(wsKey).toLowerCase().includes('private');
+}
+
 /**
  * Start WebSocket liquidation stream for specified trading pairs
  */
@@ -387,11 +717,56 @@ async function liquidationEngine(tradingPairs) {
     logIT(`Starting liquidation stream for ${tradingPairs.length} pairs`, LOG_LEVEL.INFO);
     wsClient.subscribeV5(tradingPairs, 'linear');
 
-    // Subscribe to order stream if Scaled ATR DCA is enabled
-    if (process.env.USE_SCALED_ATR_DCA === "true") {
-        logIT('Subscribing to order stream for Scaled ATR DCA', LOG_LEVEL.INFO);
-        wsClient.subscribeV5(['order'], 'linear');
+    if (liquidationRecorder) {
+        liquidationRecorder.start(exchangeClient);
+    }
+
+    // Paper fills are reported by the simulated exchange instead of the private order stream
+    if (paperExchange) {
+        paperExchange.on('orderUpdate', handleOrderUpdate);
+        paperExchange.start();
+    } else {
+        // Subscribe to order stream if Scaled ATR DCA or position close notifications need it
+        if (needsOrderStream()) {
+            logIT('Subscribing to order stream', LOG_LEVEL.INFO);
+            wsClient.subscribeV5(['order'], 'linear');
+        }
+
+        if (tradeJournal || accountState) {
+            logIT('Subscribing to execution stream', LOG_LEVEL.INFO);
+            wsClient.subscribeV5(['execution'], 'linear');
+        }
+
+        if (accountState) {
+            logIT('Subscribing to position and wallet streams', LOG_LEVEL.INFO);
+            wsClient.subscribeV5(['position', 'wallet'], 'linear');
+
+            // Seed the store once subscribed; REST is used until this succeeds
+            await accountState.sync().catch(() => {});
+        }
+    }
+}
+
+/**
+ * Position info from the account state store, or REST while the store is not synced
+ * @param {Object} params - getPositionInfo parameters ({ category, symbol } or { category, settleCoin })
+ */
+async function fetchPositionInfo(params) {
+    if (accountState?.isReady()) {
+        return accountState.getPositionInfo(params);
+    }
+    return restClient.getPositionInfo(params);
+}
+
+/**
+ * Wallet balance from the account state store, or REST while the store is not synced
+ * @param {Object} params - getWalletBalance parameters ({ accountType, coin })
+ */
+async function fetchWalletBalance(params) {
+    if (accountState?.isReady()) {
+        return accountState.getWalletBalance(params);
     }
+    return restClient.getWalletBalance(params);
 }
 
 /**
@@ -409,15 +784,14 @@ async function getDCAStatistics() {
             stats: stats,
             activePositions: activePositions,
             accountBalance: balance,
-            enabled: process.env.USE_SCALED_ATR_DCA === "true",
+            enabled: config.USE_SCALED_ATR_DCA,
             config: {
-                atrTimeframe: process.env.ATR_TIMEFRAME || '15m',
-                atrLength: parseInt(process.env.ATR_LENGTH) || 14,
-                atrDeviation: parseFloat(process.env.ATR_DEVIATION) || 1.0,
-                dcaNumOrders: parseInt(process.env.DCA_NUM_ORDERS) || 7,
-                // dcaMaxActiveOrders removed - orders are now placed sequentially
-                dcaVolumeScale: parseFloat(process.env.DCA_VOLUME_SCALE) || 1.3,
-                dcaStepScale: parseFloat(process.env.DCA_STEP_SCALE) || 1.2
+                atrTimeframe: scaledATRDCA.config.atrTimeframe,
+                atrLength: scaledATRDCA.config.atrLength,
+                atrDeviation: scaledATRDCA.config.atrDeviation,
+                dcaNumOrders: scaledATRDCA.config.dcaNumOrders,
+                dcaVolumeScale: scaledATRDCA.config.volumeScale,
+                dcaStepScale: scaledATRDCA.config.stepScale
             }
         };
 
@@ -428,6 +802,338 @@ async function getDCAStatistics() {
     }
 }
 
+/**
+ * Collect the state shown on the web dashboard
+ * Combines open positions, Scaled ATR DCA ladders, recent liquidations and data update times
+ */
+async function getDashboardState() {
+    const positionInfo = await getDetailedPositionInfo();
+    const balanceHistory = dashboardServer ? dashboardServer.balanceHistory : [];
+
+    return {
+        timestamp: Date.now(),
+        mode: paperExchange ? 'paper' : 'live',
+        uptime: calculateBotUptime(moment().diff(timestampBotStart, 'seconds')), // [days, hours, minutes, seconds]
+        balance: balanceHistory.length > 0 ? balanceHistory[balanceHistory.length - 1].balance : null,
+        positions: positionInfo ? positionInfo.positions.map(position => ({
+            symbol: position.symbol,
+            side: position.side,
+            size: position.size,
+            avgPrice: position.avgPrice,
+            markPrice: position.markPrice,
+            unrealisedPnl: position.unrealisedPnl,
+            takeProfit: position.takeProfit,
+            stopLoss: position.stopLoss,
+            positionIdx: position.positionIdx
+        })) : [],
+        dca: {
+            enabled: config.USE_SCALED_ATR_DCA,
+            positions: scaledATRDCA.getActivePositions()
+        },
+        liquidations: liquidationOrders
+            .slice()
+            .sort((a, b) => a.timestamp - b.timestamp)
+            .map(entry => ({ ...entry, timestamp: entry.timestamp * 1000 })),
+        lastUpdates: apiDataService.getLastUpdateInfo(),
+        apiUsage: requestScheduler.getMetrics()
+    };
+}
+
+/**
+ * Pause or resume new entries from scalp()
+ * Open positions, TP/SL and DCA ladders keep being managed while paused
+ */
+function setEntriesPaused(paused) {
+    entriesPaused = paused;
+    logIT(`New entries ${paused ? 'paused' : 'resumed'}`, LOG_LEVEL.WARNING);
+    return { paused: entriesPaused };
+}
+
+/**
+ * Manual resume; also lifts a risk guard halt
+ */
+function resumeEntries() {
+    if (riskGuard && riskGuard.isHalted()) {
+        riskGuard.reset();
+    }
+    return setEntriesPaused(false);
+}
+
+/**
+ * Halt entries after a daily loss or drawdown breach
+ * Cancels every DCA ladder and, with RISK_FLATTEN_ON_BREACH, closes all open positions
+ */
+async function handleRiskBreach(breach) {
+    notifier.notify(NOTIFICATION_EVENTS.ALERT, {
+        message: `🛑 Risk limit breached: ${breach.message}. New entries halted until the next UTC day or a manual resume.`
+    }, 'error');
+
+    try {
+        const ladders = await cancelAllDCALadders();
+        logIT(`Risk guard: cancelled ${ladders} DCA ladders`, LOG_LEVEL.WARNING);
+    } catch (error) {
+        logIT(`Risk guard: error cancelling DCA ladders: ${error.message}`, LOG_LEVEL.ERROR);
+    }
+
+    if (config.RISK_FLATTEN_ON_BREACH) {
+        try {
+            const results = await closeAllPositions();
+            const failed = results.filter(result => !result.success);
+            notifier.notify(NOTIFICATION_EVENTS.ALERT, {
+                message: `Risk guard closed ${results.length - failed.length}/${results.length} positions` +
+                    (failed.length > 0 ? `, failed: ${failed.map(result => `${result.symbol} ${result.side} (${result.message})`).join(', ')}` : '')
+            }, failed.length > 0 ? 'error' : 'warning');
+        } catch (error) {
+            notifier.notify(NOTIFICATION_EVENTS.ERROR, { message: `Risk guard failed to close positions: ${error.message}` });
+        }
+    }
+}
+
+/**
+ * Bot status for remote control
+ */
+async function getControlStatus() {
+    const positionInfo = await getDetailedPositionInfo();
+
+    return {
+        paused: entriesPaused,
+        riskHalted: riskGuard ? riskGuard.isHalted() : false,
+        risk: riskGuard ? riskGuard.getStatus() : null,
+        mode: paperExchange ? 'paper' : 'live',
+        uptimeSeconds: moment().diff(timestampBotStart, 'seconds'),
+        openPositions: positionInfo ? positionInfo.positions.map(position => ({
+            symbol: position.symbol,
+            side: position.side,
+            size: position.size,
+            avgPrice: position.avgPrice,
+            unrealisedPnl: position.unrealisedPnl
+        })) : null,
+        activeDCAPositions: scaledATRDCA.getActivePositions().filter(pos => pos.status === 'active').length,
+        lastUpdates: apiDataService.getLastUpdateInfo(),
+        apiUsage: requestScheduler.getMetrics()
+    };
+}
+
+/**
+ * Close open positions with reduce-only market orders
+ * @param {string|null} symbol - Pair to close, or null for every open position
+ * @param {string|null} side - Only close this side ('Buy' or 'Sell') of a hedged pair
+ * @returns {Promise<Array>} One result per position
+ */
+async function closePositions(symbol = null, side = null) {
+    const params = symbol ? { category: 'linear', symbol } : { category: 'linear', settleCoin: 'USDT' };
+    const positions = await fetchPositionInfo(params);
+
+    if (positions.retCode !== 0 || !positions.result?.list) {
+        throw new Error(`Failed to fetch positions: ${positions.retMsg}`);
+    }
+
+    const open = positions.result.list.filter(position =>
+        parseFloat(position.size) > 0 && (!side || position.side === side)
+    );
+
+    const results = [];
+    for (const position of open) {
+        const order = await createCloseMarketOrder(restClient, position.symbol, position.side, position.size, parseInt(position.positionIdx) || 0);
+        results.push({
+            symbol: position.symbol,
+            side: position.side,
+            size: position.size,
+            success: order.retCode === 0,
+            message: order.retMsg
+        });
+    }
+
+    return results;
+}
+
+async function closePosition(symbol, side = null) {
+    const results = await closePositions(symbol, side);
+    if (results.length === 0) {
+        throw new Error(`No open ${side ? side + ' ' : ''}position for ${symbol}`);
+    }
+    return results;
+}
+
+async function closeAllPositions() {
+    return closePositions();
+}
+
+/**
+ * Cancel every DCA order of the active ladders for a symbol
+ */
+async function cancelDCAOrdersForSymbol(symbol) {
+    const positions = Array.from(scaledATRDCA.activePositions.values())
+        .filter(pos => pos.symbol === symbol && pos.status === 'active');
+
+    let cancelledOrders = 0;
+    for (const dcaPosition of positions) {
+        cancelledOrders += dcaPosition.activeOrders.length;
+        await scaledATRDCA.cancelAllOrders(dcaPosition.positionId);
+    }
+
+    return { symbol, positions: positions.length, cancelledOrders };
+}
+
+/**
+ * Cancel and complete the active DCA ladder of one position side
+ * The completion handler is dropped first so it does not reset the TP/SL the caller manages
+ * @param {string} side - Position side, 'Buy' or 'Sell'
+ * @returns {Promise<number>} Number of ladders cancelled
+ */
+async function cancelDCALadder(symbol, side) {
+    const dcaSide = side === 'Buy' ? 'long' : 'short';
+    const positions = Array.from(scaledATRDCA.activePositions.values())
+        .filter(pos => pos.symbol === symbol && pos.side === dcaSide && pos.status === 'active');
+
+    for (const dcaPosition of positions) {
+        scaledATRDCA.removePositionCallback(dcaPosition.positionId);
+        await scaledATRDCA.cancelAllOrders(dcaPosition.positionId);
+        await scaledATRDCA.completeDCAPosition(dcaPosition.positionId);
+    }
+
+    return positions.length;
+}
+
+/**
+ * Close a position that passed the stop loss timeout
+ */
+async function closeTimedOutPosition(position) {
+    const order = await createCloseMarketOrder(restClient, position.symbol, position.side, position.size, parseInt(position.positionIdx) || 0);
+    return { success: order.retCode === 0, message: order.retMsg };
+}
+
+/**
+ * Time of the first entry fill of an open position, found by walking its fills back from the newest
+ * until the current size is accounted for; null when the history does not reach that far
+ * @param {Object} position - Position in V5 format
+ */
+async function fetchPositionEntryTime(position) {
+    let remaining = parseFloat(position.size);
+    let cursor = '';
+
+    for (let page = 0; page < 5; page++) {
+        const response = await restClient.getExecutionList({ category: 'linear', symbol: position.symbol, limit: 100, cursor });
+        if (response.retCode !== 0) {
+            throw new Error(response.retMsg);
+        }
+
+        for (const execution of response.result?.list || []) {
+            if (execution.execType && execution.execType !== 'Trade') continue;
+
+            const closedSize = parseFloat(execution.closedSize) || 0;
+            if (execution.side === position.side) {
+                remaining -= parseFloat(execution.execQty) - closedSize;
+                if (remaining <= 1e-9) {
+                    return parseInt(execution.execTime);
+                }
+            } else {
+                remaining += closedSize;
+            }
+        }
+
+        cursor = response.result?.nextPageCursor;
+        if (!cursor) break;
+    }
+
+    return null;
+}
+
+/**
+ * Change part of a position's trading stop; fields left out keep their current value
+ * @param {Object} position - Position in V5 format
+ * @param {Object} params - { takeProfit, stopLoss, trailingStop } as prices, 0 removes one
+ */
+async function updateTradingStop(position, params) {
+    const tickData = getTickData(position.symbol);
+    if (!tickData) {
+        throw new Error(`No tick data for ${position.symbol}`);
+    }
+
+    const request = {
+        category: 'linear',
+        symbol: position.symbol,
+        positionIdx: parseInt(position.positionIdx) || 0
+    };
+    for (const field of ['takeProfit', 'stopLoss', 'trailingStop']) {
+        if (params[field] !== undefined) {
+            request[field] = params[field] === 0 ? '0' : formatPrice(params[field], tickData.decimalPlaces);
+        }
+    }
+
+    const order = await restClient.setTradingStop(request);
+    if (order.retCode !== 0) {
+        throw new Error(`${order.retMsg} (Code: ${order.retCode})`);
+    }
+
+    if (request.takeProfit !== undefined || request.stopLoss !== undefined) {
+        notifyTpSlSet(position.symbol, position.side, request.takeProfit ?? position.takeProfit, request.stopLoss ?? position.stopLoss);
+    }
+}
+
+/**
+ * Cancel the orders of every active DCA ladder and complete the ladders
+ * Completion re-applies TP/SL to the positions that stay open
+ * @returns {Promise<number>} Number of ladders cancelled
+ */
+async function cancelAllDCALadders() {
+    const positions = Array.from(scaledATRDCA.activePositions.values())
+        .filter(pos => pos.status === 'active');
+
+    for (const dcaPosition of positions) {
+        await scaledATRDCA.cancelAllOrders(dcaPosition.positionId);
+        await scaledATRDCA.completeDCAPosition(dcaPosition.positionId);
+    }
+
+    return positions.length;
+}
+
+/**
+ * Add or remove a pair from the blacklist at runtime
+ * The change is written back to .env so it survives restarts
+ * @param {string} action - 'add' or 'remove'
+ * @param {string} symbol - Trading pair symbol
+ * @returns {string[]} Updated blacklist
+ */
+function updateBlacklist(action, symbol) {
+    let blacklist = [...(config.BLACKLIST || [])];
+
+    if (action === 'add' && !blacklist.includes(symbol)) {
+        blacklist.push(symbol);
+    } else if (action === 'remove') {
+        blacklist = blacklist.filter(pair => pair !== symbol);
+    }
+
+    config.BLACKLIST = blacklist;
+    process.env.BLACKLIST = blacklist.join(', ');
+
+    try {
+        if (fs.existsSync('.env')) {
+            const env = fs.readFileSync('.env', 'utf8');
+            const line = /^(BLACKLIST\s*=\s*)[^#\r\n]*?(\s*#.*)?$/m;
+            const updated = line.test(env)
+                ? env.replace(line, (match, prefix, comment) => `${prefix}${process.env.BLACKLIST}${comment || ''}`)
+                : `${env.trimEnd()}\nBLACKLIST = ${process.env.BLACKLIST}\n`;
+            fs.writeFileSync('.env', updated);
+        }
+    } catch (error) {
+        logIT(`Error saving blacklist to .env: ${error.message}`, LOG_LEVEL.ERROR);
+    }
+
+    logIT(`Blacklist ${action} ${symbol}: ${process.env.BLACKLIST || '(empty)'}`, LOG_LEVEL.INFO);
+    return blacklist;
+}
+
+/**
+ * Send the full account report on request (Discord /report)
+ */
+async function sendReportOnDemand() {
+    if (!notifier.wants(NOTIFICATION_EVENTS.REPORT)) {
+        throw new Error('No notification sink accepts reports');
+    }
+    await reportWebhook();
+}
+
 /**
  * Display Scaled ATR DCA system status
  * Provides a comprehensive overview of the DCA system state
@@ -497,6 +1203,13 @@ function handleOrderUpdate(orderData) {
         const qty = parseFloat(orderData.qty);
         const price = parseFloat(orderData.price);
 
+        // A filled reduce-only order closed (part of) a position: TP, SL or a manual close
+        if (orderStatus === 'Filled' && (orderData.reduceOnly === true || orderData.reduceOnly === 'true')) {
+            notifyPositionClosed(orderData);
+        }
+
+        if (!config.USE_SCALED_ATR_DCA) return;
+
         // Handle order fill events
         if (orderStatus === 'Filled' && scaledATRDCA.activeOrders.has(orderId)) {
             logIT(`Order fill detected: ${orderId} for ${symbol} - ${qty} @ ${price}`, LOG_LEVEL.INFO);
@@ -529,13 +1242,205 @@ function handleOrderUpdate(orderData) {
     }
 }
 
+/**
+ * Whether the private order stream is needed
+ * @returns {boolean} True for Scaled ATR DCA fills or when a sink wants position close events
+ */
+function needsOrderStream() {
+    return config.USE_SCALED_ATR_DCA || notifier.wants(NOTIFICATION_EVENTS.POSITION_CLOSED);
+}
+
+/**
+ * Send a position close event for a filled reduce-only order
+ * @param {Object} orderData - Order from the private order stream
+ */
+function notifyPositionClosed(orderData) {
+    const positionSide = orderData.side === 'Buy' ? 'Sell' : 'Buy';
+    const reason = orderData.stopOrderType || 'Close';
+    const closedPnl = orderData.closedPnl !== undefined ? parseFloat(orderData.closedPnl) : null;
+
+    notifier.notify(NOTIFICATION_EVENTS.POSITION_CLOSED, {
+        symbol: orderData.symbol,
+        side: positionSide,
+        qty: orderData.cumExecQty || orderData.qty,
+        price: orderData.avgPrice,
+        closedPnl,
+        reason,
+        orderId: orderData.orderId,
+        message: `${orderData.symbol} ${positionSide === 'Buy' ? 'LONG' : 'SHORT'} closed (${reason}): ${orderData.cumExecQty || orderData.qty} @ ${orderData.avgPrice}${closedPnl !== null ? `, PnL ${closedPnl.toFixed(4)} USDT` : ''}`
+    }, closedPnl !== null && closedPnl < 0 ? 'warning' : 'info');
+}
+
+/**
+ * Forward orders and DCA limit orders to the notifier as trade events
+ * Registered only for live runs so backtests never reach real sinks
+ */
+function registerTradeEventNotifications() {
+    onOrderPlaced(order => {
+        notifier.notify(NOTIFICATION_EVENTS.ORDER_PLACED, {
+            ...order,
+            message: `${order.reduceOnly ? 'Close' : 'Entry'} order placed: ${order.side} ${order.qty} ${order.symbol} (${order.orderId})`
+        });
+    });
+
+    scaledATRDCA.on('levelPlaced', data => {
+        notifier.notify(NOTIFICATION_EVENTS.DCA_ORDER_PLACED, {
+            ...data,
+            message: `DCA level ${data.level} order placed for ${data.symbol} ${data.side}: ${data.qty} @ ${data.price}`
+        });
+    });
+
+    scaledATRDCA.on('levelFilled', data => {
+        notifier.notify(NOTIFICATION_EVENTS.DCA_LEVEL_FILLED, {
+            ...data,
+            message: `DCA level ${data.level} filled for ${data.symbol} ${data.side}: ${data.filledQty} @ ${data.fillPrice} (avg ${data.averagePrice})`
+        });
+    });
+}
+
+/**
+ * Act on risk guard breaches and announce automatic resumes
+ */
+function registerRiskGuard() {
+    if (!riskGuard) return;
+
+    riskGuard.on('tripped', breach => {
+        handleRiskBreach(breach).catch(error => {
+            logIT(`Error handling risk breach: ${error.message}`, LOG_LEVEL.ERROR);
+        });
+    });
+
+    riskGuard.on('resumed', event => {
+        if (event.reason === 'new_day') {
+            notifier.notify(NOTIFICATION_EVENTS.ALERT, { message: '✅ New UTC day, risk halt lifted and new entries resumed' }, 'success');
+        }
+    });
+
+    if (riskGuard.isHalted()) {
+        notifier.notify(NOTIFICATION_EVENTS.ALERT, { message: `🛑 Risk limit halt still active (${riskGuard.getStatus().haltReason}), no new entries until the next UTC day or a manual resume` }, 'warning');
+    }
+}
+
+/**
+ * Re-size TP ladder legs when a Scaled ATR DCA fill changes a position's size and average entry
+ */
+function registerTpLadderRefresh() {
+    scaledATRDCA.on('levelFilled', async data => {
+        if (!getTpLadder(data.symbol)) return;
+
+        const positionSide = data.side === 'long' ? 'Buy' : 'Sell';
+
+        try {
+            // The account state store may not have the fill yet, wait for the size to change
+            const previousSize = (await getPosition(data.symbol, positionSide)).size;
+            let position = await getPositionAfterOrder(data.symbol, positionSide, previousSize);
+
+            // setSafeTPSL drops the update while another one holds the symbol lock, so wait for it with the latest position
+            for (let attempt = 1; orderLocks.has(data.symbol); attempt++) {
+                if (attempt > 10) {
+                    logIT(`TP/SL for ${data.symbol} still locked, TP ladder not re-sized after DCA level ${data.level} filled`, LOG_LEVEL.WARNING);
+                    return;
+                }
+                await sleep(1000);
+                position = await getPosition(data.symbol, positionSide);
+            }
+
+            if (position.size > 0) {
+                await setSafeTPSL(data.symbol, position);
+            }
+        } catch (error) {
+            logIT(`Error re-sizing TP ladder for ${data.symbol} after DCA level ${data.level} filled: ${error.message}`, LOG_LEVEL.ERROR);
+        }
+    });
+}
+
+/**
+ * Feed orders, DCA limit orders and paper fills into the trade journal
+ * Registered only for live runs so backtests never write to the journal
+ */
+function registerTradeJournal() {
+    if (!tradeJournal) return;
+
+    onOrderPlaced(order => tradeJournal.recordOrder(order));
+    scaledATRDCA.on('levelPlaced', data => tradeJournal.recordDCAOrder(data));
+
+    if (paperExchange) {
+        paperExchange.on('execution', exec => tradeJournal.recordFill(exec));
+    }
+}
+
+/**
+ * Notify and refresh TP/SL when a Scaled ATR DCA ladder completes
+ * Registered for new ladders and for ladders re-adopted after a restart
+ * @param {string} positionId - DCA position ID
+ * @param {string} pair - Trading pair
+ * @param {string} positionSide - 'Buy' for long, 'Sell' for short
+ */
+function registerDCACompletionHandler(positionId, pair, positionSide) {
+    scaledATRDCA.registerPositionCallback(positionId, async (event, data) => {
+        if (event === 'completed') {
+            logIT(`Scaled ATR DCA completed for ${pair}: Avg entry ${data.averageEntryPrice}`, LOG_LEVEL.INFO);
+
+            // Send completion notification
+            const completionStats = {
+                filledLevels: data.positionState.executedLevels.length,
+                totalLevels: data.positionState.levels.length,
+                successRate: data.successRate,
+                totalAllocated: data.totalAllocated,
+                averageEntryPrice: data.averageEntryPrice,
+                durationMinutes: Math.round((Date.now() - data.positionState.startTime) / 60000)
+            };
+            notifier.notify(NOTIFICATION_EVENTS.DCA_COMPLETED, {
+                symbol: pair,
+                completionStats,
+                message: `Scaled ATR DCA completed for ${pair}: ${completionStats.filledLevels}/${completionStats.totalLevels} levels, avg entry ${data.averageEntryPrice}`
+            });
+
+            // Update TP/SL after DCA completion
+            const updatedPosition = await getPosition(pair, positionSide);
+            if (updatedPosition.size > 0) {
+                await setSafeTPSL(pair, updatedPosition);
+            }
+        }
+    });
+}
+
+/**
+ * Reconcile persisted Scaled ATR DCA ladders with the exchange before trading starts
+ * Re-adopts live ladders, resolves orders that changed while the bot was down
+ * and cancels DCA orders left behind by closed positions
+ */
+async function reconcileDCAState() {
+    try {
+        console.log("Reconciling Scaled ATR DCA state with the exchange...");
+        const summary = await scaledATRDCA.reconcileWithExchange();
+
+        for (const positionId of summary.adopted) {
+            const positionState = scaledATRDCA.activePositions.get(positionId);
+            registerDCACompletionHandler(positionId, positionState.symbol, positionState.side === 'long' ? 'Buy' : 'Sell');
+        }
+
+        const message = `DCA reconciliation: ${summary.adopted.length} ladders re-adopted, ${summary.closed.length} closed, ` +
+            `${summary.filledLevels} levels filled and ${summary.cancelledLevels} cancelled while offline, ${summary.orphansCancelled} orphaned orders cancelled`;
+        logIT(message, LOG_LEVEL.INFO);
+        console.log(chalk.green(message));
+
+        if (summary.closed.length > 0 || summary.filledLevels > 0 || summary.cancelledLevels > 0 || summary.orphansCancelled > 0) {
+            notifier.notify(NOTIFICATION_EVENTS.ALERT, { message }, 'warning');
+        }
+    } catch (error) {
+        logIT(`DCA reconciliation failed, keeping persisted state: ${error.message}`, LOG_LEVEL.ERROR);
+        notifier.notify(NOTIFICATION_EVENTS.ERROR, { message: `DCA reconciliation failed: ${error.message}` });
+    }
+}
+
 /**
  * Check if main position is closed and cleanup associated DCA orders
  * This prevents orphaned DCA limit orders when main position hits TP/SL
  */
 async function checkAndCleanupDCAPositions(symbol) {
     try {
-        if (!scaledATRDCA || !process.env.USE_SCALED_ATR_DCA === "true") {
+        if (!scaledATRDCA || !config.USE_SCALED_ATR_DCA) {
             return;
         }
 
@@ -599,7 +1504,7 @@ async function getServerTime() {
             await reportWebhook();
 
             // Also perform DCA cleanup check for all active symbols
-            if (process.env.USE_SCALED_ATR_DCA === "true") {
+            if (config.USE_SCALED_ATR_DCA) {
                 await performDCACleanupCheck();
             }
 
@@ -619,7 +1524,7 @@ async function getServerTime() {
  */
 async function getMargin() {
     try {
-        const data = await restClient.getWalletBalance({ accountType: 'UNIFIED', coin: 'USDT' });
+        const data = await fetchWalletBalance({ accountType: 'UNIFIED', coin: 'USDT' });
         const margin = data.result.list[0].coin[0].totalPositionIM;
 
         // Check if periodic report is due
@@ -628,7 +1533,7 @@ async function getMargin() {
             await reportWebhook();
 
             // Also perform DCA cleanup check for all active symbols
-            if (process.env.USE_SCALED_ATR_DCA === "true") {
+            if (config.USE_SCALED_ATR_DCA) {
                 await performDCACleanupCheck();
             }
 
@@ -648,7 +1553,7 @@ async function getMargin() {
  */
 async function performDCACleanupCheck() {
     try {
-        if (!scaledATRDCA || !process.env.USE_SCALED_ATR_DCA === "true") {
+        if (!scaledATRDCA || !config.USE_SCALED_ATR_DCA) {
             return;
         }
 
@@ -679,12 +1584,28 @@ async function performDCACleanupCheck() {
 }
 
 /**
- * Calculate Discord report interval in milliseconds
+ * Read per-sink notification filters from NOTIFY_<SINK>_* settings
+ * @param {string} sink - Sink prefix, e.g. 'DISCORD'
+ * @param {string[]} defaultMute - Events muted unless NOTIFY_<SINK>_EVENTS or NOTIFY_<SINK>_MUTE is set
+ * @returns {Object} Options for Notifier.addSink
+ */
+function getSinkOptions(sink, defaultMute = []) {
+    const list = key => config[`NOTIFY_${sink}_${key}`]?.length > 0 ? config[`NOTIFY_${sink}_${key}`] : null;
+    const events = list('EVENTS');
+    return {
+        minSeverity: config[`NOTIFY_${sink}_MIN_SEVERITY`],
+        events,
+        mute: list('MUTE') || (events ? [] : defaultMute),
+        rateLimit: config[`NOTIFY_${sink}_RATE_LIMIT`]
+    };
+}
+
+/**
+ * Calculate status report interval in milliseconds
  * @returns {number} Interval in milliseconds
  */
 function getReportInterval() {
-    const intervalMinutes = parseInt(process.env.DISCORD_REPORT_INTERVAL) || 30; // 30 minutes default
-    return intervalMinutes * 60 * 1000;
+    return config.DISCORD_REPORT_INTERVAL * 60 * 1000;
 }
 
 /**
@@ -708,7 +1629,7 @@ async function getBalance() {
 
         try {
             const data = await Promise.race([
-                restClient.getWalletBalance({ accountType: 'UNIFIED', coin: 'USDT' }),
+                fetchWalletBalance({ accountType: 'UNIFIED', coin: 'USDT' }),
                 new Promise((_, reject) =>
                     setTimeout(() => reject(new Error('Balance API call timeout')), TIMEOUT_MS)
                 )
@@ -726,6 +1647,10 @@ async function getBalance() {
                 throw new Error("Invalid balance value: " + availableBalance);
             }
 
+            if (riskGuard) {
+                riskGuard.update(parseFloat(data.result.list[0].totalEquity));
+            }
+
         } catch (apiError) {
             if (apiError.code) {
                 logIT(`API Error code: ${apiError.code}`, LOG_LEVEL.ERROR);
@@ -735,18 +1660,22 @@ async function getBalance() {
 
         // Update account configuration asynchronously (don't block balance return)
         try {
-            const accountConfig = JSON.parse(fs.readFileSync('account.json', 'utf8'));
+            const accountConfig = readStateFile('account.json');
 
             // Set starting balance if not already configured
             if (accountConfig.startingBalance === 0) {
                 accountConfig.startingBalance = balance;
-                fs.writeFileSync('account.json', JSON.stringify(accountConfig, null, 4));
+                writeStateFile('account.json', accountConfig);
                 logIT(`Starting balance set to: ${balance} USDT`, LOG_LEVEL.INFO);
             }
         } catch (fileError) {
             logIT(`Error updating account configuration: ${fileError.message}`, LOG_LEVEL.WARNING);
         }
 
+        if (dashboardServer) {
+            dashboardServer.recordBalance(balance);
+        }
+
         return balance;
     } catch (error) {
         logIT(`Error getting balance: ${error.message}`, LOG_LEVEL.ERROR);
@@ -760,11 +1689,13 @@ async function getBalance() {
  * Get position information for a specific trading pair and side
  * @param {string} pair - Trading pair symbol (e.g., 'BTCUSDT')
  * @param {string} side - Position side ('Buy' or 'Sell')
+ * @param {boolean} fromRest - Skip the account state store
  * @returns {Object} Position data with calculated metrics
  */
-async function getPosition(pair, side) {
+async function getPosition(pair, side, fromRest = false) {
     try {
-        const positions = await restClient.getPositionInfo({ category: 'linear', symbol: pair });
+        const params = { category: 'linear', symbol: pair };
+        const positions = fromRest ? await restClient.getPositionInfo(params) : await fetchPositionInfo(params);
 
         if (!positions?.result?.list || positions.result.list.length === 0) {
             logIT(`No positions data returned for ${pair}`, LOG_LEVEL.DEBUG);
@@ -784,8 +1715,7 @@ async function getPosition(pair, side) {
                 logIT(`Open ${side} position for ${pair}: ${size} contracts, PnL: ${unrealizedPnl} USDT`, LOG_LEVEL.INFO);
 
                 // Calculate percentage gain
-                const leverage = parseFloat(process.env.LEVERAGE) || 1;
-                const margin = position.positionValue / leverage;
+                const margin = position.positionValue / config.LEVERAGE;
                 const percentGain = margin > 0 ? (unrealizedPnl / margin) * 100 : 0;
 
                 return {
@@ -819,6 +1749,118 @@ async function getPosition(pair, side) {
         return { side, entryPrice: null, size: 0, percentGain: 0 };
     }
 }
+/**
+ * Position after an order for it was placed
+ * The account state store keeps the previous size until the position stream reports the fill,
+ * so wait for that update and ask REST when it does not arrive in time
+ * @param {string} pair - Trading pair symbol
+ * @param {string} side - Position side ('Buy' or 'Sell')
+ * @param {number} previousSize - Position size before the order
+ * @returns {Object} Position data as returned by getPosition()
+ */
+async function getPositionAfterOrder(pair, side, previousSize) {
+    if (accountState?.isReady()) {
+        const positionIdx = isHedgeMode() ? (side === 'Buy' ? 1 : 2) : 0;
+        const updated = await accountState.waitForPosition(pair, positionIdx, position => parseFloat(position.size) !== previousSize);
+        if (updated) {
+            return getPosition(pair, side);
+        }
+        logIT(`No position update for ${pair} after the order, reading the position from REST`, LOG_LEVEL.DEBUG);
+    }
+    return getPosition(pair, side, true);
+}
+
+/**
+ * .env values that pair_overrides.json can override, keyed like OVERRIDE_KEYS
+ * DCA and ATR values come from the Scaled ATR DCA config so they carry the same defaults
+ */
+function getPairDefaults() {
+    const defaults = {
+        TAKE_PROFIT_PERCENT: config.TAKE_PROFIT_PERCENT,
+        STOP_LOSS_PERCENT: config.STOP_LOSS_PERCENT,
+        LEVERAGE: config.LEVERAGE,
+        DCA_NUM_ORDERS: scaledATRDCA.config.dcaNumOrders,
+        DCA_VOLUME_SCALE: scaledATRDCA.config.volumeScale,
+        DCA_STEP_SCALE: scaledATRDCA.config.stepScale,
+        DCA_MAX_TOTAL_PERCENT: scaledATRDCA.config.maxTotalPercent,
+        ATR_TIMEFRAME: scaledATRDCA.config.atrTimeframe,
+        ATR_LENGTH: scaledATRDCA.config.atrLength,
+        ATR_DEVIATION: scaledATRDCA.config.atrDeviation,
+        tp_ladder: config.TP_LADDER
+    };
+
+    // Unset .env values leave the key to the next layer
+    return Object.fromEntries(Object.entries(defaults).filter(([, value]) => value !== null));
+}
+
+/**
+ * Effective configuration of a pair: .env defaults, the generated settings.json entry, then pair_overrides.json
+ * @param {string} symbol - Trading pair symbol
+ * @param {Object} pairSettings - The pair's settings.json entry when the caller already has it
+ * @returns {Object} { values, sources } with the layer each value came from
+ */
+function resolvePairConfig(symbol, pairSettings = undefined) {
+    if (pairSettings === undefined) {
+        try {
+            pairSettings = readStateFile('settings.json').pairs?.find(x => x.symbol === symbol) || null;
+        } catch (error) {
+            logIT(`Unable to read settings.json for ${symbol}: ${error.message}`, LOG_LEVEL.WARNING);
+            pairSettings = null;
+        }
+    }
+
+    return pairOverrides.resolve(symbol, getPairDefaults(), pairSettings);
+}
+
+/**
+ * Effective configuration values of a pair
+ */
+function getPairConfig(symbol, pairSettings = undefined) {
+    return resolvePairConfig(symbol, pairSettings).values;
+}
+
+/**
+ * Scaled ATR DCA settings for a new ladder on a pair
+ */
+function getPairDCAConfig(pairConfig) {
+    return {
+        dcaNumOrders: pairConfig.DCA_NUM_ORDERS,
+        volumeScale: pairConfig.DCA_VOLUME_SCALE,
+        stepScale: pairConfig.DCA_STEP_SCALE,
+        atrTimeframe: pairConfig.ATR_TIMEFRAME,
+        atrLength: pairConfig.ATR_LENGTH,
+        atrDeviation: pairConfig.ATR_DEVIATION
+    };
+}
+
+/**
+ * TP/SL distances for a pair, derived from its ATR when USE_ATR_TP_SL is on
+ * Falls back to the fixed percentages when the ATR is not available
+ * @param {string} symbol - Trading pair symbol
+ * @param {number} price - Entry or reference price the ATR is measured against
+ * @param {number} takeProfitPercent - Fixed take profit percentage
+ * @param {number|null} stopLossPercent - Fixed stop loss percentage
+ * @returns {Promise<Object>} { takeProfitPercent, stopLossPercent, atrPercent } with atrPercent null for fixed distances
+ */
+async function getExitPercents(symbol, price, takeProfitPercent, stopLossPercent) {
+    const fixed = { takeProfitPercent, stopLossPercent, atrPercent: null };
+    if (!atrExitSettings) return fixed;
+
+    const atr = await atrService.calculateATR(symbol, { timeframe: atrExitSettings.timeframe, length: atrExitSettings.length });
+    const exits = calculateAtrExitPercents(atr, parseFloat(price), atrExitSettings);
+    if (!exits) {
+        logIT(`No ATR for ${symbol}, using fixed TP/SL percentages`, LOG_LEVEL.WARNING);
+        return fixed;
+    }
+
+    logIT(`ATR TP/SL for ${symbol}: ATR ${exits.atrPercent.toFixed(3)}%, TP ${exits.takeProfitPercent.toFixed(3)}%, SL ${exits.stopLossPercent.toFixed(3)}%`, LOG_LEVEL.INFO);
+    return {
+        ...exits,
+        // The stop loss distance only applies when USE_STOPLOSS is on
+        stopLossPercent: stopLossPercent === null ? null : exits.stopLossPercent
+    };
+}
+
 //take profit - Refactored with utility functions
 async function takeProfit(symbol, position) {
     try {
@@ -830,10 +1872,17 @@ async function takeProfit(symbol, position) {
         const { position: validatedPosition, entryPrice } = validationResult;
 
         // Validate trading configuration
-        const config = validateTradingConfig();
-        if (!config) return;
+        const tradingConfig = validateTradingConfig();
+        if (!tradingConfig) return;
 
-        const { takeProfitPercent, useStopLoss, stopLossPercent } = config;
+        const { useStopLoss } = tradingConfig;
+        const pairConfig = getPairConfig(symbol);
+        const { takeProfitPercent, stopLossPercent } = await getExitPercents(
+            symbol,
+            entryPrice,
+            pairConfig.TAKE_PROFIT_PERCENT,
+            useStopLoss ? pairConfig.STOP_LOSS_PERCENT : null
+        );
 
         // Calculate position index based on hedge mode
         const hedgeMode = isHedgeMode();
@@ -859,6 +1908,16 @@ async function takeProfit(symbol, position) {
 
         const { decimalPlaces } = tickData;
 
+        // Split the exit into partial TPs when a ladder is configured
+        const ladder = getTpLadder(symbol);
+        if (ladder) {
+            const stopLossStr = useStopLoss ? formatPrice(stopLoss, decimalPlaces) : null;
+            if (await setTpLadder(symbol, validatedPosition, entryPrice, positionIdx, ladder, stopLossStr, decimalPlaces)) {
+                return;
+            }
+            logIT(`Position ${symbol} is too small for its TP ladder, using a single TP`, LOG_LEVEL.WARNING);
+        }
+
         // Check if TP/SL update is needed
         if (!needsTpSlUpdate(validatedPosition, takeProfit)) {
             return;
@@ -894,6 +1953,7 @@ async function setTpSlWithRetry(restClient, symbol, takeProfitStr, stopLossStr,
 
         if (response.success) {
             logIT(`TP/SL set successfully for ${symbol}`, LOG_LEVEL.INFO);
+            notifyTpSlSet(symbol, side, takeProfitStr, stopLossStr);
             return;
         }
 
@@ -908,19 +1968,204 @@ async function setTpSlWithRetry(restClient, symbol, takeProfitStr, stopLossStr,
 
                 if (retryResponse.success) {
                     logIT(`TP/SL set successfully on retry for ${symbol}`, LOG_LEVEL.INFO);
+                    notifyTpSlSet(symbol, side, adjustedPriceStr, stopLossStr);
                     return;
                 }
             }
         }
 
-        // Log final error if all attempts failed
-        if (!response.success) {
-            logIT(`Failed to set TP/SL for ${symbol}: ${response.error}`, LOG_LEVEL.ERROR);
+        // Log final error if all attempts failed
+        if (!response.success) {
+            logIT(`Failed to set TP/SL for ${symbol}: ${response.error}`, LOG_LEVEL.ERROR);
+        }
+
+    } catch (error) {
+        logIT(`Error in setTpSlWithRetry for ${symbol}: ${error.message}`, LOG_LEVEL.ERROR);
+    }
+}
+
+/**
+ * Get the partial take profit ladder for a pair
+ * A pair's tp_ladder overrides TP_LADDER from .env, an empty tp_ladder turns the ladder off for that pair
+ * @param {string} symbol - Trading pair symbol
+ * @returns {Object[]|null} Ladder legs, or null for a single TP
+ */
+function getTpLadder(symbol) {
+    return parseTpLadder(getPairConfig(symbol).tp_ladder);
+}
+
+/**
+ * Get the open Partial mode take profit orders of a position
+ * @param {string} symbol - Trading pair symbol
+ * @param {number} positionIdx - 0 for one-way mode, 1/2 for hedge mode
+ * @returns {Promise<Object[]>} Orders in V5 format
+ */
+async function fetchPartialTakeProfits(symbol, positionIdx) {
+    const orders = await restClient.getActiveOrders({ category: 'linear', symbol });
+    if (orders.retCode !== 0) {
+        throw new Error(`${orders.retMsg} (Code: ${orders.retCode})`);
+    }
+
+    return (orders.result?.list || []).filter(order =>
+        order.stopOrderType === 'PartialTakeProfit' && parseInt(order.positionIdx) === positionIdx
+    );
+}
+
+/**
+ * TP ladder progress of every position, persisted so a restart keeps the levels that already filled
+ */
+function getTpLadderStates() {
+    if (!tpLadderStates) {
+        tpLadderStates = new DataPersistence().loadTpLadderStates(paperExchange ? 'paper' : 'live') || {};
+    }
+    return tpLadderStates;
+}
+
+function saveTpLadderStates() {
+    new DataPersistence().saveTpLadderStates(paperExchange ? 'paper' : 'live', getTpLadderStates());
+}
+
+/**
+ * Forget a position's TP ladder progress, e.g. before a fresh entry or once it is closed
+ */
+function clearTpLadderState(symbol, positionIdx) {
+    const states = getTpLadderStates();
+    if (states[`${symbol}_${positionIdx}`]) {
+        delete states[`${symbol}_${positionIdx}`];
+        saveTpLadderStates();
+    }
+}
+
+/**
+ * Drop the TP ladder progress of positions that are no longer open
+ * @param {Object[]} positions - Positions as returned by the API
+ */
+function pruneTpLadderStates(positions) {
+    const open = new Set(positions.filter(position => parseFloat(position.size) > 0).map(position => `${position.symbol}_${parseInt(position.positionIdx) || 0}`));
+    const states = getTpLadderStates();
+    const closed = Object.keys(states).filter(key => !open.has(key));
+
+    if (closed.length > 0) {
+        closed.forEach(key => delete states[key]);
+        saveTpLadderStates();
+    }
+}
+
+/**
+ * Update a position's TP ladder progress from its size since the legs were last set
+ * A smaller position filled the nearest legs; a larger one was added to (DCA) and keeps its filled levels
+ * @returns {Object} { side, originalSize, filledLegs, lastSize, placed }
+ */
+function trackTpLadderFills(symbol, positionIdx, side, size, qtyStep) {
+    const states = getTpLadderStates();
+    const key = `${symbol}_${positionIdx}`;
+    const state = states[key];
+
+    if (!state || state.side !== side) {
+        states[key] = { side, originalSize: size, filledLegs: 0, lastSize: size, placed: [] };
+    } else if (size < state.lastSize) {
+        const filledLegs = countFilledTpLegs(state.placed, state.lastSize - size, qtyStep);
+        if (filledLegs > 0) {
+            state.filledLegs += filledLegs;
+            logIT(`${symbol} TP ladder: ${state.filledLegs} level(s) filled, ${size} of ${state.originalSize} left`, LOG_LEVEL.INFO);
+        }
+    } else if (size > state.lastSize) {
+        state.originalSize += size - state.lastSize;
+    }
+
+    return states[key];
+}
+
+/**
+ * Set a position's exit as a ladder of reduce-only partial TPs (Bybit Partial tpslMode)
+ * Only levels that have not filled are placed, sized as their share of the remaining position, so a
+ * restart or DCA fill keeps the ladder's shape. Legs that no longer match are replaced.
+ * A trail leg is left to a native trailing stop that activates at the last TP level
+ * @returns {Promise<boolean>} False when the position is too small to split
+ */
+async function setTpLadder(symbol, position, entryPrice, positionIdx, ladder, stopLossStr, decimalPlaces) {
+    const lotData = readStateFile('min_order_sizes.json').find(x => x.pair === symbol);
+    const qtyStep = lotData?.qtyStep || 1;
+    const size = parseFloat(position.size);
+    const state = trackTpLadderFills(symbol, positionIdx, position.side, size, qtyStep);
+    const remaining = getRemainingTpLadder(ladder, state.filledLegs);
+
+    const { legs, trailingQty, activationPrice: lastLegPrice } = calculateTpLadderLegs(
+        remaining,
+        entryPrice,
+        position.side,
+        size,
+        qtyStep,
+        lotData?.minOrderQty || 0
+    );
+    const trailingOnly = remaining.every(leg => leg.tpPercent === null);
+    if (legs.length === 0 && !trailingOnly) return false;
+
+    // Once every TP level filled the trail leg still activates where the last level was
+    const lastLevel = ladder.filter(leg => leg.tpPercent !== null).pop();
+    const activationPrice = lastLegPrice ?? entryPrice * (1 + (position.side === "Buy" ? 1 : -1) * lastLevel.tpPercent / 100);
+
+    const wanted = legs.map(leg => ({ takeProfit: formatPrice(leg.price, decimalPlaces), tpSize: String(leg.qty) }));
+    const existing = await fetchPartialTakeProfits(symbol, positionIdx);
+    const upToDate = existing.length === wanted.length && wanted.every(leg => existing.some(order =>
+        parseFloat(order.triggerPrice) === parseFloat(leg.takeProfit) && parseFloat(order.qty) === parseFloat(leg.tpSize)
+    ));
+
+    if (!upToDate) {
+        for (const order of existing) {
+            const cancel = await restClient.cancelOrder({ category: 'linear', symbol, orderId: order.orderId });
+            if (cancel.retCode !== 0) {
+                logIT(`Failed to cancel partial TP ${order.orderId} for ${symbol}: ${cancel.retMsg}`, LOG_LEVEL.WARNING);
+            }
+        }
+
+        for (const leg of wanted) {
+            const order = await restClient.setTradingStop({
+                category: 'linear',
+                symbol,
+                positionIdx,
+                tpslMode: 'Partial',
+                takeProfit: leg.takeProfit,
+                tpSize: leg.tpSize,
+                tpTriggerBy: 'LastPrice',
+                tpOrderType: 'Market'
+            });
+            if (order.retCode !== 0) {
+                logIT(`Failed to set partial TP ${leg.tpSize} @ ${leg.takeProfit} for ${symbol}: ${order.retMsg} (Code: ${order.retCode})`, LOG_LEVEL.ERROR);
+            }
         }
+    }
 
-    } catch (error) {
-        logIT(`Error in setTpSlWithRetry for ${symbol}: ${error.message}`, LOG_LEVEL.ERROR);
+    // The full-position TP is replaced by the legs; the stop loss and the trailing stop cover the whole position
+    const params = { category: 'linear', symbol, positionIdx, tpslMode: 'Full', takeProfit: '0' };
+    if (stopLossStr) {
+        params.stopLoss = stopLossStr;
+    }
+    if (trailingQty > 0) {
+        params.trailingStop = formatPrice(activationPrice * config.TRAILING_DISTANCE_PERCENT / 100, decimalPlaces);
+        params.activePrice = formatPrice(activationPrice, decimalPlaces);
+    }
+
+    const order = await restClient.setTradingStop(params);
+    const response = handleTpSlResponse(order, symbol, !!stopLossStr);
+    if (!response.success) {
+        logIT(`Failed to set stop loss / trailing stop for ${symbol} TP ladder: ${response.error}`, LOG_LEVEL.ERROR);
     }
+
+    state.lastSize = size;
+    state.placed = legs.map(({ level, qty }) => ({ level, qty }));
+    saveTpLadderStates();
+
+    const ladderStr = [
+        ...wanted.map(leg => `${leg.takeProfit} x${leg.tpSize}`),
+        ...(trailingQty > 0 ? [`trailing ${trailingQty} from ${params.activePrice}`] : [])
+    ].join(', ');
+    logIT(`TP ladder ${upToDate ? 'unchanged' : 'set'} for ${symbol}: ${ladderStr}`, LOG_LEVEL.INFO);
+    if (!upToDate) {
+        notifyTpSlSet(symbol, position.side, ladderStr, stopLossStr);
+    }
+
+    return true;
 }
 /**
  * Get detailed position information for hedge mode logic
@@ -928,17 +2173,19 @@ async function setTpSlWithRetry(restClient, symbol, takeProfitStr, stopLossStr,
  */
 async function getDetailedPositionInfo() {
     try {
-        var positions = await restClient.getPositionInfo({ category: 'linear', settleCoin: 'USDT' });
+        var positions = await fetchPositionInfo({ category: 'linear', settleCoin: 'USDT' });
         var positionInfo = {
             totalOpenPositions: 0,
             uniquePairs: new Map(), // Map of pair -> array of sides
-            canAddHedgePosition: new Map() // Map of pair -> boolean indicating if opposite position can be added
+            canAddHedgePosition: new Map(), // Map of pair -> boolean indicating if opposite position can be added
+            positions: [] // Open positions as returned by the API
         };
 
         if (positions.result && positions.result.list) {
             for (var i = 0; i < positions.result.list.length; i++) {
                 if (positions.result.list[i].size > 0) {
                     positionInfo.totalOpenPositions++;
+                    positionInfo.positions.push(positions.result.list[i]);
                     var symbol = positions.result.list[i].symbol;
                     var side = positions.result.list[i].side;
 
@@ -966,7 +2213,7 @@ async function getDetailedPositionInfo() {
 //fetch how how openPositions there are
 async function totalOpenPositions() {
     try {
-        var positions = await restClient.getPositionInfo({ category: 'linear', settleCoin: 'USDT' });
+        var positions = await fetchPositionInfo({ category: 'linear', settleCoin: 'USDT' });
         var open = 0;
         if (positions.result && positions.result.list) {
             for (var i = 0; i < positions.result.list.length; i++) {
@@ -1026,7 +2273,7 @@ async function canOpenHedgePosition(pair, side) {
 async function canOpenNewPosition(pair, side) {
     try {
         const hedgeMode = isHedgeMode();
-        const maxPositions = parseInt(process.env.MAX_OPEN_POSITIONS) || 2;
+        const maxPositions = config.MAX_OPEN_POSITIONS;
 
         // Get detailed position information
         const positionInfo = await getDetailedPositionInfo();
@@ -1073,7 +2320,10 @@ async function checkAndSetMissingTPSL() {
         logIT("Checking for existing positions without TP/SL", LOG_LEVEL.INFO);
 
         // Get all positions
-        const positions = await restClient.getPositionInfo({ category: 'linear', settleCoin: 'USDT' });
+        const positions = await fetchPositionInfo({ category: 'linear', settleCoin: 'USDT' });
+
+        // TP ladder progress of positions closed while the bot was down is dropped
+        pruneTpLadderStates(positions?.result?.list || []);
 
         if (!positions?.result?.list || positions.result.list.length === 0) {
             console.log(chalk.green("No existing positions found"));
@@ -1093,9 +2343,20 @@ async function checkAndSetMissingTPSL() {
                 const hasTP = position.takeProfit && parseFloat(position.takeProfit) > 0;
                 const hasSL = position.stopLoss && parseFloat(position.stopLoss) > 0;
 
-                if (!hasTP || !hasSL) {
-                    console.log(chalk.yellow(`Position ${symbol} (${side}) missing TP/SL - TP: ${hasTP}, SL: ${hasSL}`));
-                    logIT(`Position ${symbol} (${side}) missing TP/SL - TP: ${hasTP}, SL: ${hasSL}`, LOG_LEVEL.WARNING);
+                // Ladder positions have no full-position TP, their legs are checked by takeProfit()
+                const hasLadder = getTpLadder(symbol) !== null;
+
+                // A trailing stop replaced the fixed TP, restoring it would cap the move; ladder trailing legs are re-placed by setTpLadder
+                if (exitManager?.isTrailing(position) || (!hasLadder && parseFloat(position.trailingStop) > 0)) {
+                    logIT(`Position ${symbol} (${side}) is trailing, leaving its TP/SL unchanged`, LOG_LEVEL.INFO);
+                    continue;
+                }
+
+                if (!hasTP || !hasSL || hasLadder) {
+                    if (!hasLadder) {
+                        console.log(chalk.yellow(`Position ${symbol} (${side}) missing TP/SL - TP: ${hasTP}, SL: ${hasSL}`));
+                        logIT(`Position ${symbol} (${side}) missing TP/SL - TP: ${hasTP}, SL: ${hasSL}`, LOG_LEVEL.WARNING);
+                    }
 
                     // Get position data in correct format for takeProfit function
                     const positionData = {
@@ -1136,9 +2397,7 @@ async function checkAndSetMissingTPSL() {
         console.log(chalk.red(`Error during TP/SL check: ${error.message}`));
         logIT(`Error during TP/SL check: ${error.message}`, LOG_LEVEL.ERROR);
 
-        if (process.env.USE_DISCORD == "true") {
-            messageWebhook(`❌ Error during startup TP/SL check: ${error.message}`, 'error');
-        }
+        notifier.notify(NOTIFICATION_EVENTS.ERROR, { message: `❌ Error during startup TP/SL check: ${error.message}` });
     }
 }
 
@@ -1175,7 +2434,7 @@ async function setSafeTPSL(symbol, position) {
  */
 async function check24hVolumeRequirement(pair) {
     try {
-        const min24hVolume = parseFloat(process.env.MIN_24H_VOLUME) || 0;
+        const min24hVolume = config.MIN_24H_VOLUME;
 
         // Skip volume check if not configured
         if (min24hVolume <= 0) {
@@ -1189,12 +2448,11 @@ async function check24hVolumeRequirement(pair) {
         });
 
         if (tickers.retCode === 0 && tickers.result.list && tickers.result.list.length > 0) {
-            const volume24h = parseFloat(tickers.result.list[0].volume24h);
             const turnover24h = parseFloat(tickers.result.list[0].turnover24h);
 
             // Use turnover (volume in USDT) for volume check
             const volumeInMillions = turnover24h / 1000000;
-            const meetsVolume = volumeInMillions >= min24hVolume;
+            const meetsVolume = meetsMinimum24hVolume(turnover24h, min24hVolume);
 
             if (!meetsVolume) {
                 logIT(`${pair} does not meet minimum 24h volume requirement: ${volumeInMillions.toFixed(2)}M < ${min24hVolume}M`, LOG_LEVEL.WARNING);
@@ -1213,8 +2471,158 @@ async function check24hVolumeRequirement(pair) {
     }
 }
 
+/**
+ * Time of research written before fetched_at stamping: the older of the research.json and settings.json
+ * modification times, as settings are built from research. Null when neither file exists
+ */
+function getUnstampedResearchTime() {
+    const times = ['research.json', 'settings.json']
+        .filter(file => fs.existsSync(file))
+        .map(file => fs.statSync(file).mtimeMs);
+    return times.length > 0 ? Math.min(...times) : null;
+}
+
+/**
+ * Freshness of a research record against RESEARCH_MAX_AGE_MINUTES
+ * @param {Object|null} record - research.json (or one of its items) or a settings.json pair, stamped with fetched_at and source
+ * @returns {Object} { stale, ageMinutes, source }; unstamped records are aged by getUnstampedResearchTime()
+ */
+function getResearchFreshness(record) {
+    const fetchedAt = record?.fetched_at || getUnstampedResearchTime();
+    return {
+        stale: isResearchStale(fetchedAt, config.RESEARCH_MAX_AGE_MINUTES),
+        ageMinutes: fetchedAt ? (Date.now() - fetchedAt) / 60000 : null,
+        source: record?.source || 'unknown'
+    };
+}
+
+/**
+ * Entry bands derived from .env when research is stale: RESEARCH_FALLBACK_BAND_PERCENT around the 24h VWAP,
+ * risk-adjusted like research bands
+ * @returns {Promise<Object|null>} { long_price, short_price } or null when the ticker is unavailable
+ */
+async function getFallbackBands(pair) {
+    try {
+        const tickers = await restClient.getTickers({ category: 'linear', symbol: pair });
+        const ticker = tickers.result?.list?.[0];
+        if (tickers.retCode !== 0 || !ticker) {
+            logIT(`Failed to fetch ticker for ${pair} fallback bands: ${tickers.retMsg}`, LOG_LEVEL.WARNING);
+            return null;
+        }
+
+        const volume = parseFloat(ticker.volume24h);
+        const vwap = volume > 0 ? parseFloat(ticker.turnover24h) / volume : parseFloat(ticker.lastPrice);
+        if (!(vwap > 0)) return null;
+
+        const bandPercent = config.RESEARCH_FALLBACK_BAND_PERCENT;
+        const riskPrices = calculateRiskPrices(vwap * (1 - bandPercent / 100), vwap * (1 + bandPercent / 100), config.RISK_LEVEL);
+        return { long_price: riskPrices.long_risk, short_price: riskPrices.short_risk };
+    } catch (error) {
+        logIT(`Error fetching ticker for ${pair} fallback bands: ${error.message}`, LOG_LEVEL.WARNING);
+        return null;
+    }
+}
+
+/**
+ * How a new entry treats the pair's research when it is older than RESEARCH_MAX_AGE_MINUTES (RESEARCH_STALE_POLICY):
+ * block skips it, fallback swaps the bands for getFallbackBands(), last_good keeps the bands at a reduced order size
+ * @returns {Promise<Object>} { allowed, settings, sizeFactor } where settings replaces settings.json values before pair overrides apply
+ */
+async function getResearchPolicy(pair) {
+    const policy = { allowed: true, settings: {}, sizeFactor: 1 };
+
+    let pairSettings = null;
+    try {
+        pairSettings = readStateFile('settings.json').pairs?.find(x => x.symbol === pair) || null;
+    } catch (error) {
+        logIT(`Unable to read settings.json for ${pair}: ${error.message}`, LOG_LEVEL.WARNING);
+    }
+
+    const freshness = getResearchFreshness(pairSettings);
+    if (!pairSettings || !freshness.stale) {
+        return policy;
+    }
+
+    const age = freshness.ageMinutes === null ? 'no fetch time' : `${Math.round(freshness.ageMinutes)} min old`;
+    switch (config.RESEARCH_STALE_POLICY) {
+        case 'fallback': {
+            const bands = await getFallbackBands(pair);
+            if (!bands) {
+                logIT(`Research for ${pair} is stale (${age}) and fallback bands are unavailable, skipping entry`, LOG_LEVEL.WARNING);
+                return { ...policy, allowed: false };
+            }
+            logIT(`Research for ${pair} is stale (${age}), using fallback bands ${bands.long_price} / ${bands.short_price}`, LOG_LEVEL.INFO);
+            return { ...policy, settings: bands };
+        }
+        case 'last_good': {
+            const sizeFactor = config.RESEARCH_STALE_SIZE_FACTOR;
+            logIT(`Research for ${pair} is stale (${age}), using last known bands at ${sizeFactor}x order size`, LOG_LEVEL.INFO);
+            return { ...policy, sizeFactor };
+        }
+        default:
+            logIT(`Research for ${pair} is stale (${age}), skipping entry`, LOG_LEVEL.INFO);
+            return { ...policy, allowed: false };
+    }
+}
+
+/**
+ * Scale a pair's order size by the stale research size factor, never below the instrument's minimum quantity
+ * @param {string} pair - Trading pair symbol
+ * @param {Object} pairSettings - The pair's settings.json entry, updated in place
+ * @param {number} sizeFactor - Factor from getResearchPolicy()
+ */
+function applyResearchSizeFactor(pair, pairSettings, sizeFactor) {
+    if (sizeFactor === 1) return;
+
+    const orderSize = pairSettings.order_size * sizeFactor;
+    let minOrderQty = null;
+    try {
+        minOrderQty = readStateFile('min_order_sizes.json').find(x => x.pair === pair)?.minOrderQty ?? null;
+    } catch (error) {
+        logIT(`Unable to read min_order_sizes.json for ${pair}: ${error.message}`, LOG_LEVEL.WARNING);
+    }
+
+    if (minOrderQty !== null && orderSize < minOrderQty) {
+        logIT(`Stale research size factor ${sizeFactor} puts ${pair} at ${orderSize}, below the minimum quantity ${minOrderQty}, using the minimum`, LOG_LEVEL.INFO);
+        pairSettings.order_size = minOrderQty;
+        return;
+    }
+    pairSettings.order_size = orderSize;
+}
+
+/**
+ * Research age and stale pair count for the status report
+ */
+function getResearchStatus() {
+    let pairs = [];
+    try {
+        pairs = readStateFile('settings.json').pairs;
+    } catch (error) {
+        logIT(`Unable to read settings.json for the research status: ${error.message}`, LOG_LEVEL.WARNING);
+    }
+
+    const freshness = getResearchFreshness(readResearchFile());
+    return {
+        ...freshness,
+        maxAgeMinutes: config.RESEARCH_MAX_AGE_MINUTES,
+        policy: config.RESEARCH_STALE_POLICY,
+        stalePairs: pairs.filter(pair => getResearchFreshness(pair).stale).length,
+        totalPairs: pairs.length
+    };
+}
+
 //against trend
 async function scalp(pair, index, trigger_qty, liq_volume = null) {
+    // Entries can be paused remotely without stopping position management
+    if (entriesPaused) {
+        logIT(`Entries paused, ignoring liquidation signal for ${pair}`, LOG_LEVEL.INFO);
+        return;
+    }
+    if (riskGuard && riskGuard.isHalted()) {
+        logIT(`Risk limit halt active, ignoring liquidation signal for ${pair}`, LOG_LEVEL.INFO);
+        return;
+    }
+
     // Check if new position can be opened considering hedge mode rules
     var canOpenPosition = false;
     var positionInfo = null;
@@ -1238,7 +2646,7 @@ async function scalp(pair, index, trigger_qty, liq_volume = null) {
     // Log position check results
     if (positionInfo) {
         const hedgeMode = isHedgeMode();
-        const maxPositions = parseInt(process.env.MAX_OPEN_POSITIONS) || 2;
+        const maxPositions = config.MAX_OPEN_POSITIONS;
         logIT(`Position check for ${pair}: ${positionInfo.totalOpenPositions}/${maxPositions} positions, Hedge mode: ${hedgeMode}, Can open: ${canOpenPosition}`, LOG_LEVEL.DEBUG);
     }
 
@@ -1250,13 +2658,32 @@ async function scalp(pair, index, trigger_qty, liq_volume = null) {
             return;
         }
 
+        const researchPolicy = await getResearchPolicy(pair);
+        if (!researchPolicy.allowed) {
+            return;
+        }
+
+        if (tradeJournal) {
+            tradeJournal.recordTrigger(pair, liquidationOrders[index], liq_volume);
+        }
+
         //Long liquidation
         if (liquidationOrders[index].side === "Buy") {
-            const settings = await JSON.parse(fs.readFileSync('settings.json', 'utf8'));
+            const settings = readStateFile('settings.json');
             var settingsIndex = await settings.pairs.findIndex(x => x.symbol === pair);
+            if (settingsIndex !== -1) {
+                // Stale research bands are replaced below the override layers
+                Object.assign(settings.pairs[settingsIndex], researchPolicy.settings);
+            }
+            const pairConfig = getPairConfig(pair, settings.pairs[settingsIndex] || null);
+            if (settingsIndex !== -1) {
+                // Size and gate the entry with the effective values, so pair_overrides.json applies
+                Object.assign(settings.pairs[settingsIndex], pairConfig);
+                applyResearchSizeFactor(pair, settings.pairs[settingsIndex], researchPolicy.sizeFactor);
+            }
 
             if (settingsIndex !== -1) {
-                if (liquidationOrders[index].price < settings.pairs[settingsIndex].long_price) {
+                if (passesPriceGate(liquidationOrders[index].side, liquidationOrders[index].price, settings.pairs[settingsIndex])) {
                     // LONG liquidation
                     var position = await getPosition(pair, "Buy");
 
@@ -1269,14 +2696,15 @@ async function scalp(pair, index, trigger_qty, liq_volume = null) {
                     // Note: hedge mode allows opening opposite positions on existing pairs
                     if (position.size === 0 || hedgeMode) {
                         //load min order size json
-                        const tickData = JSON.parse(fs.readFileSync('min_order_sizes.json', 'utf8'));
+                        const tickData = readStateFile('min_order_sizes.json');
                         var tickIndex = tickData.findIndex(x => x.pair === pair);
                         if (tickIndex === -1) {
                             console.log(chalk.redBright("No tick data found for " + pair + ", skipping order"));
                             return;
                         }
                         var tickSize = tickData[tickIndex].tickSize;
-                        var minOrderQty = tickData[tickIndex].minOrderSize;
+                        // The instrument minimum, minOrderSize is the configured order size and would undo a stale research reduction
+                        var minOrderQty = tickData[tickIndex].minOrderQty ?? tickData[tickIndex].minOrderSize;
                         var qtyStep = tickData[tickIndex].qtyStep || 1;
                         var orderQty = settings.pairs[settingsIndex].order_size;
 
@@ -1294,17 +2722,19 @@ async function scalp(pair, index, trigger_qty, liq_volume = null) {
                         console.log(chalk.blue("Placing LONG order for " + pair + " with quantity: " + orderQty + " (max: " + maxPositionSize + ")"));
 
                         const positionIdx = isHedgeMode() ? 1 : 0; // 1 for hedge Buy, 0 for one-way
+                        if (position.size === 0) {
+                            // A new position starts its TP ladder from the first level
+                            clearTpLadderState(pair, positionIdx);
+                        }
                         const order = await createMarketOrder(restClient, pair, "Buy", orderQty, positionIdx);
 
                         // Check if order was successful
                         if (order.retCode === 0 && order.result) {
                             logIT(`New LONG Order Placed for ${pair} at ${orderQty} size`, LOG_LEVEL.INFO);
-                            if (process.env.USE_DISCORD == "true") {
-                                orderWebhook(pair, orderQty, "Buy", position.size, position.percentGain, trigger_qty);
-                            }
+                            notifyTradeOpened(pair, orderQty, "Buy", position.size, position.percentGain, trigger_qty, liquidationOrders[index].price);
 
                             // Initialize Scaled ATR DCA if enabled
-                            if (process.env.USE_SCALED_ATR_DCA === "true") {
+                            if (config.USE_SCALED_ATR_DCA) {
                                 setTimeout(async () => {
                                     try {
                                         // Risk management validation
@@ -1313,7 +2743,7 @@ async function scalp(pair, index, trigger_qty, liq_volume = null) {
                                         const maxPositionSize = settings.pairs[settingsIndex].max_position_size;
 
                                         // Calculate maximum DCA allocation based on risk limits
-                                        const maxDCAPercent = parseFloat(process.env.DCA_MAX_TOTAL_PERCENT) || 25;
+                                        const maxDCAPercent = pairConfig.DCA_MAX_TOTAL_PERCENT;
                                         const balance = await getBalance();
                                         const maxDCAAllocation = (balance * maxDCAPercent / 100) / currentPrice;
 
@@ -1342,7 +2772,8 @@ async function scalp(pair, index, trigger_qty, liq_volume = null) {
                                                 pair,
                                                 'long',
                                                 currentPrice,
-                                                intendedCoinQuantity
+                                                intendedCoinQuantity,
+                                                getPairDCAConfig(pairConfig)
                                             );
                                         } catch (error) {
                                             logIT(`DCA initialization failed for ${pair} long: ${error.message}`, LOG_LEVEL.ERROR);
@@ -1352,37 +2783,16 @@ async function scalp(pair, index, trigger_qty, liq_volume = null) {
                                         }
 
                                         // Send DCA activation notification
-                                        if (process.env.USE_DISCORD === "true" && discordService) {
-                                            const dcaStats = scaledATRDCA.getPositionStatus(positionId);
-                                            discordService.sendDCANotification(pair, dcaStats);
-                                        }
-
-                                        // Set up order fill callback
-                                        scaledATRDCA.registerPositionCallback(positionId, async (event, data) => {
-                                            if (event === 'completed') {
-                                                logIT(`Scaled ATR DCA completed for ${pair}: Avg entry ${data.averageEntryPrice}`, LOG_LEVEL.INFO);
-
-                                                // Send completion notification
-                                                if (process.env.USE_DISCORD === "true" && discordService) {
-                                                    const completionStats = {
-                                                        filledLevels: data.positionState.executedLevels.length,
-                                                        totalLevels: data.positionState.levels.length,
-                                                        successRate: data.successRate,
-                                                        totalAllocated: data.totalAllocated,
-                                                        averageEntryPrice: data.averageEntryPrice,
-                                                        durationMinutes: Math.round((Date.now() - data.positionState.startTime) / 60000)
-                                                    };
-                                                    discordService.sendDCACompletionNotification(pair, completionStats);
-                                                }
-
-                                                // Update TP/SL after DCA completion
-                                                const updatedPosition = await getPosition(pair, "Buy");
-                                                if (updatedPosition.size > 0) {
-                                                    await setSafeTPSL(pair, updatedPosition);
-                                                }
-                                            }
+                                        const dcaStats = scaledATRDCA.getPositionStatus(positionId);
+                                        notifier.notify(NOTIFICATION_EVENTS.DCA_STARTED, {
+                                            symbol: pair,
+                                            dcaStats,
+                                            message: `Scaled ATR DCA started for ${pair}: ${dcaStats.totalLevels} levels, ATR ${dcaStats.atr}`
                                         });
 
+                                        // Notify and refresh TP/SL when the ladder completes
+                                        registerDCACompletionHandler(positionId, pair, "Buy");
+
                                     } catch (error) {
                                         logIT(`Error initializing Scaled ATR DCA for ${pair}: ${error.message}`, LOG_LEVEL.ERROR);
                                     }
@@ -1392,7 +2802,7 @@ async function scalp(pair, index, trigger_qty, liq_volume = null) {
                             // Set TP/SL after initial entry
                             setTimeout(async () => {
                                 try {
-                                    const updatedPosition = await getPosition(pair, "Buy");
+                                    const updatedPosition = await getPositionAfterOrder(pair, "Buy", position.size);
                                     if (updatedPosition.size > 0) {
                                         logIT(`Setting TP/SL after initial LONG entry for ${pair}`, LOG_LEVEL.INFO);
                                         await setSafeTPSL(pair, updatedPosition);
@@ -1403,23 +2813,21 @@ async function scalp(pair, index, trigger_qty, liq_volume = null) {
                             }, 500); // Small delay to ensure order is filled
                         } else {
                             logIT(`Failed to place LONG Order for ${pair}: ${order.retMsg} (Error Code: ${order.retCode})`, LOG_LEVEL.ERROR);
-                            if (process.env.USE_DISCORD == "true") {
-                                messageWebhook("Failed to place LONG Order for " + pair + ": " + order.retMsg);
-                            }
+                            notifier.notify(NOTIFICATION_EVENTS.ERROR, { symbol: pair, message: "Failed to place LONG Order for " + pair + ": " + order.retMsg });
                         }
 
 
                     }
                     //existing position (size > 0) - only DCA, don't enter new trade
                     // Skip traditional DCA if Scaled ATR DCA is enabled
-                    else if (position.size > 0 && process.env.USE_DCA_FEATURE == "true" && process.env.USE_SCALED_ATR_DCA !== "true") {
+                    else if (position.size > 0 && config.USE_DCA_FEATURE && !config.USE_SCALED_ATR_DCA) {
                         const hedgeMode = isHedgeMode();
                         //only DCA if position is at a loss or in hedge mode
                         if (position.percentGain < 0 || hedgeMode) {
                             //make sure order is less than max order size
                             if ((position.size + settings.pairs[settingsIndex].order_size) < settings.pairs[settingsIndex].max_position_size) {
                                 //load min order size json
-                                const tickData = JSON.parse(fs.readFileSync('min_order_sizes.json', 'utf8'));
+                                const tickData = readStateFile('min_order_sizes.json');
                                 var tickIndex = tickData.findIndex(x => x.pair === pair);
                                 if (tickIndex === -1) {
                                     console.log(chalk.redBright("No tick data found for " + pair + ", skipping DCA order"));
@@ -1452,14 +2860,12 @@ async function scalp(pair, index, trigger_qty, liq_volume = null) {
                                 // Check if order was successful
                                 if (order.retCode === 0 && order.result) {
                                     console.log(chalk.bgGreenBright("SHORT DCA Order Placed for " + pair + " at " + settings.pairs[settingsIndex].order_size + " size"));
-                                    if (process.env.USE_DISCORD == "true") {
-                                        orderWebhook(pair, settings.pairs[settingsIndex].order_size, "Sell", position.size, position.percentGain, trigger_qty);
-                                    }
+                                    notifyTradeOpened(pair, settings.pairs[settingsIndex].order_size, "Sell", position.size, position.percentGain, trigger_qty, liquidationOrders[index].price);
 
                                     // Update TP/SL after DCA
                                     setTimeout(async () => {
                                         try {
-                                            const updatedPosition = await getPosition(pair, "Sell");
+                                            const updatedPosition = await getPositionAfterOrder(pair, "Sell", position.size);
                                             if (updatedPosition.size > 0) {
                                                 logIT(`Updating TP/SL after SHORT DCA for ${pair}`, LOG_LEVEL.INFO);
                                                 await setSafeTPSL(pair, updatedPosition);
@@ -1470,15 +2876,13 @@ async function scalp(pair, index, trigger_qty, liq_volume = null) {
                                     }, 500); // Small delay to ensure DCA order is filled
                                 } else {
                                     console.log(chalk.redBright("Failed to place SHORT DCA Order for " + pair + ": " + order.retMsg + " (Error Code: " + order.retCode + ")"));
-                                    if (process.env.USE_DISCORD == "true") {
-                                        messageWebhook("Failed to place SHORT DCA Order for " + pair + ": " + order.retMsg);
-                                    }
+                                    notifier.notify(NOTIFICATION_EVENTS.ERROR, { symbol: pair, message: "Failed to place SHORT DCA Order for " + pair + ": " + order.retMsg });
                                 }
                             }
                             else {
                                 //max position size reached
                                 console.log("Max position size reached for " + pair);
-                                messageWebhook("Max position size reached for " + pair);
+                                notifier.notify(NOTIFICATION_EVENTS.ALERT, { symbol: pair, message: "Max position size reached for " + pair }, 'warning');
 
                             }
                         }
@@ -1501,10 +2905,20 @@ async function scalp(pair, index, trigger_qty, liq_volume = null) {
 
         }
         else {
-            const settings = await JSON.parse(fs.readFileSync('settings.json', 'utf8'));
+            const settings = readStateFile('settings.json');
             var settingsIndex = await settings.pairs.findIndex(x => x.symbol === pair);
             if (settingsIndex !== -1) {
-                if (liquidationOrders[index].price > settings.pairs[settingsIndex].short_price) {
+                // Stale research bands are replaced below the override layers
+                Object.assign(settings.pairs[settingsIndex], researchPolicy.settings);
+            }
+            const pairConfig = getPairConfig(pair, settings.pairs[settingsIndex] || null);
+            if (settingsIndex !== -1) {
+                // Size and gate the entry with the effective values, so pair_overrides.json applies
+                Object.assign(settings.pairs[settingsIndex], pairConfig);
+                applyResearchSizeFactor(pair, settings.pairs[settingsIndex], researchPolicy.sizeFactor);
+            }
+            if (settingsIndex !== -1) {
+                if (passesPriceGate(liquidationOrders[index].side, liquidationOrders[index].price, settings.pairs[settingsIndex])) {
                     // SHORT liquidation
                     var position = await getPosition(pair, "Sell");
 
@@ -1514,14 +2928,15 @@ async function scalp(pair, index, trigger_qty, liq_volume = null) {
                     const hedgeMode = isHedgeMode();
                     if (position.size === 0 || hedgeMode) {
                         //load min order size json
-                        const tickData = JSON.parse(fs.readFileSync('min_order_sizes.json', 'utf8'));
+                        const tickData = readStateFile('min_order_sizes.json');
                         var tickIndex = tickData.findIndex(x => x.pair === pair);
                         if (tickIndex === -1) {
                             console.log(chalk.redBright("No tick data found for " + pair + ", skipping order"));
                             return;
                         }
                         var tickSize = tickData[tickIndex].tickSize;
-                        var minOrderQty = tickData[tickIndex].minOrderSize;
+                        // The instrument minimum, minOrderSize is the configured order size and would undo a stale research reduction
+                        var minOrderQty = tickData[tickIndex].minOrderQty ?? tickData[tickIndex].minOrderSize;
                         var qtyStep = tickData[tickIndex].qtyStep || 1;
                         var orderQty = settings.pairs[settingsIndex].order_size;
 
@@ -1539,17 +2954,19 @@ async function scalp(pair, index, trigger_qty, liq_volume = null) {
                         console.log(chalk.blue("Placing SHORT order for " + pair + " with quantity: " + orderQty + " (max: " + maxPositionSize + ")"));
 
                         const positionIdx = isHedgeMode() ? 2 : 0; // 2 for hedge Sell, 0 for one-way
+                        if (position.size === 0) {
+                            // A new position starts its TP ladder from the first level
+                            clearTpLadderState(pair, positionIdx);
+                        }
                         const order = await createMarketOrder(restClient, pair, "Sell", orderQty, positionIdx);
 
                         // Check if order was successful
                         if (order.retCode === 0 && order.result) {
                             logIT(`New SHORT Order Placed for ${pair} at ${orderQty} size`, LOG_LEVEL.INFO);
-                            if (process.env.USE_DISCORD == "true") {
-                                orderWebhook(pair, orderQty, "Sell", position.size, position.percentGain, trigger_qty);
-                            }
+                            notifyTradeOpened(pair, orderQty, "Sell", position.size, position.percentGain, trigger_qty, liquidationOrders[index].price);
 
                             // Initialize Scaled ATR DCA if enabled
-                            if (process.env.USE_SCALED_ATR_DCA === "true") {
+                            if (config.USE_SCALED_ATR_DCA) {
                                 setTimeout(async () => {
                                     try {
                                         // Risk management validation
@@ -1558,7 +2975,7 @@ async function scalp(pair, index, trigger_qty, liq_volume = null) {
                                         const maxPositionSize = settings.pairs[settingsIndex].max_position_size;
 
                                         // Calculate maximum DCA allocation based on risk limits
-                                        const maxDCAPercent = parseFloat(process.env.DCA_MAX_TOTAL_PERCENT) || 25;
+                                        const maxDCAPercent = pairConfig.DCA_MAX_TOTAL_PERCENT;
                                         const balance = await getBalance();
                                         const maxDCAAllocation = (balance * maxDCAPercent / 100) / currentPrice;
 
@@ -1587,7 +3004,8 @@ async function scalp(pair, index, trigger_qty, liq_volume = null) {
                                                 pair,
                                                 'short',
                                                 currentPrice,
-                                                intendedCoinQuantity
+                                                intendedCoinQuantity,
+                                                getPairDCAConfig(pairConfig)
                                             );
                                         } catch (error) {
                                             logIT(`DCA initialization failed for ${pair} short: ${error.message}`, LOG_LEVEL.ERROR);
@@ -1597,37 +3015,16 @@ async function scalp(pair, index, trigger_qty, liq_volume = null) {
                                         }
 
                                         // Send DCA activation notification
-                                        if (process.env.USE_DISCORD === "true" && discordService) {
-                                            const dcaStats = scaledATRDCA.getPositionStatus(positionId);
-                                            discordService.sendDCANotification(pair, dcaStats);
-                                        }
-
-                                        // Set up order fill callback
-                                        scaledATRDCA.registerPositionCallback(positionId, async (event, data) => {
-                                            if (event === 'completed') {
-                                                logIT(`Scaled ATR DCA completed for ${pair}: Avg entry ${data.averageEntryPrice}`, LOG_LEVEL.INFO);
-
-                                                // Send completion notification
-                                                if (process.env.USE_DISCORD === "true" && discordService) {
-                                                    const completionStats = {
-                                                        filledLevels: data.positionState.executedLevels.length,
-                                                        totalLevels: data.positionState.levels.length,
-                                                        successRate: data.successRate,
-                                                        totalAllocated: data.totalAllocated,
-                                                        averageEntryPrice: data.averageEntryPrice,
-                                                        durationMinutes: Math.round((Date.now() - data.positionState.startTime) / 60000)
-                                                    };
-                                                    discordService.sendDCACompletionNotification(pair, completionStats);
-                                                }
-
-                                                // Update TP/SL after DCA completion
-                                                const updatedPosition = await getPosition(pair, "Sell");
-                                                if (updatedPosition.size > 0) {
-                                                    await setSafeTPSL(pair, updatedPosition);
-                                                }
-                                            }
+                                        const dcaStats = scaledATRDCA.getPositionStatus(positionId);
+                                        notifier.notify(NOTIFICATION_EVENTS.DCA_STARTED, {
+                                            symbol: pair,
+                                            dcaStats,
+                                            message: `Scaled ATR DCA started for ${pair}: ${dcaStats.totalLevels} levels, ATR ${dcaStats.atr}`
                                         });
 
+                                        // Notify and refresh TP/SL when the ladder completes
+                                        registerDCACompletionHandler(positionId, pair, "Sell");
+
                                     } catch (error) {
                                         logIT(`Error initializing Scaled ATR DCA for ${pair}: ${error.message}`, LOG_LEVEL.ERROR);
                                     }
@@ -1637,7 +3034,7 @@ async function scalp(pair, index, trigger_qty, liq_volume = null) {
                             // Set TP/SL after initial entry
                             setTimeout(async () => {
                                 try {
-                                    const updatedPosition = await getPosition(pair, "Sell");
+                                    const updatedPosition = await getPositionAfterOrder(pair, "Sell", position.size);
                                     if (updatedPosition.size > 0) {
                                         logIT(`Setting TP/SL after initial SHORT entry for ${pair}`, LOG_LEVEL.INFO);
                                         await setSafeTPSL(pair, updatedPosition);
@@ -1648,21 +3045,19 @@ async function scalp(pair, index, trigger_qty, liq_volume = null) {
                             }, 500); // Small delay to ensure order is filled
                         } else {
                             logIT(`Failed to place SHORT Order for ${pair}: ${order.retMsg} (Error Code: ${order.retCode})`, LOG_LEVEL.ERROR);
-                            if (process.env.USE_DISCORD == "true") {
-                                messageWebhook("Failed to place SHORT Order for " + pair + ": " + order.retMsg);
-                            }
+                            notifier.notify(NOTIFICATION_EVENTS.ERROR, { symbol: pair, message: "Failed to place SHORT Order for " + pair + ": " + order.retMsg });
                         }
                     }
                     //existing position (size > 0) - only DCA, don't enter new trade
                     // In hedge mode, we can still open opposite positions
                     // Skip traditional DCA if Scaled ATR DCA is enabled
-                    else if (position.size > 0 && process.env.USE_DCA_FEATURE == "true" && process.env.USE_SCALED_ATR_DCA !== "true") {
+                    else if (position.size > 0 && config.USE_DCA_FEATURE && !config.USE_SCALED_ATR_DCA) {
                         //only DCA if position is at a loss or in hedge mode
                         if (position.percentGain < 0 || hedgeMode) {
                             //make sure order is less than max order size
                             if ((position.size + settings.pairs[settingsIndex].order_size) < settings.pairs[settingsIndex].max_position_size) {
                                 //load min order size json
-                                const tickData = JSON.parse(fs.readFileSync('min_order_sizes.json', 'utf8'));
+                                const tickData = readStateFile('min_order_sizes.json');
                                 var tickIndex = tickData.findIndex(x => x.pair === pair);
                                 if (tickIndex === -1) {
                                     console.log(chalk.redBright("No tick data found for " + pair + ", skipping DCA order"));
@@ -1695,14 +3090,12 @@ async function scalp(pair, index, trigger_qty, liq_volume = null) {
                                 // Check if order was successful
                                 if (order.retCode === 0 && order.result) {
                                     console.log(chalk.bgRedBright("LONG DCA Order Placed for " + pair + " at " + settings.pairs[settingsIndex].order_size + " size"));
-                                    if (process.env.USE_DISCORD == "true") {
-                                        orderWebhook(pair, settings.pairs[settingsIndex].order_size, "Sell", position.size, position.percentGain, trigger_qty);
-                                    }
+                                    notifyTradeOpened(pair, settings.pairs[settingsIndex].order_size, "Sell", position.size, position.percentGain, trigger_qty, liquidationOrders[index].price);
 
                                     // Update TP/SL after DCA
                                     setTimeout(async () => {
                                         try {
-                                            const updatedPosition = await getPosition(pair, "Sell");
+                                            const updatedPosition = await getPositionAfterOrder(pair, "Sell", position.size);
                                             if (updatedPosition.size > 0) {
                                                 logIT(`Updating TP/SL after LONG DCA for ${pair}`, LOG_LEVEL.INFO);
                                                 await setSafeTPSL(pair, updatedPosition);
@@ -1713,15 +3106,13 @@ async function scalp(pair, index, trigger_qty, liq_volume = null) {
                                     }, 500); // Small delay to ensure DCA order is filled
                                 } else {
                                     console.log(chalk.redBright("Failed to place LONG DCA Order for " + pair + ": " + order.retMsg + " (Error Code: " + order.retCode + ")"));
-                                    if (process.env.USE_DISCORD == "true") {
-                                        messageWebhook("Failed to place LONG DCA Order for " + pair + ": " + order.retMsg);
-                                    }
+                                    notifier.notify(NOTIFICATION_EVENTS.ERROR, { symbol: pair, message: "Failed to place LONG DCA Order for " + pair + ": " + order.retMsg });
                                 }
                             }
                             else {
                                 //max position size reached
                                 console.log("Max position size reached for " + pair);
-                                messageWebhook("Max position size reached for " + pair);
+                                notifier.notify(NOTIFICATION_EVENTS.ALERT, { symbol: pair, message: "Max position size reached for " + pair }, 'warning');
                             }
                         }
                         else {
@@ -1761,7 +3152,7 @@ async function scalp(pair, index, trigger_qty, liq_volume = null) {
             }
         } else {
             console.log(chalk.redBright("Max Open Positions Reached!"));
-            logIT(`Max open positions (${process.env.MAX_OPEN_POSITIONS}) reached`, LOG_LEVEL.WARNING);
+            logIT(`Max open positions (${config.MAX_OPEN_POSITIONS}) reached`, LOG_LEVEL.WARNING);
         }
     }
 
@@ -1774,10 +3165,10 @@ async function setLeverage(pairs, leverage) {
 
         try {
             var maxLeverage = await checkLeverage(pair);
-            var actualLeverage = leverage;
+            var actualLeverage = getPairConfig(pair).LEVERAGE || leverage;
 
             // Use max leverage if USE_MAX_LEVERAGE is enabled
-            if (process.env.USE_MAX_LEVERAGE && process.env.USE_MAX_LEVERAGE.toLowerCase() === "true") {
+            if (config.USE_MAX_LEVERAGE) {
                 actualLeverage = Math.floor(maxLeverage);
                 logIT(`Using max leverage for ${pair}: ${actualLeverage}`, LOG_LEVEL.INFO);
             }
@@ -1797,11 +3188,11 @@ async function setLeverage(pairs, leverage) {
             else {
                 logIT(`Unable to set leverage for ${pair} to ${actualLeverage}. Max leverage is lower than ${actualLeverage}, removing pair from settings.json`, LOG_LEVEL.WARNING);
                 //remove pair from settings.json
-                const settings = JSON.parse(fs.readFileSync('settings.json', 'utf8'));
+                const settings = readStateFile('settings.json');
                 var settingsIndex = settings.pairs.findIndex(x => x.symbol === pair);
                 if (settingsIndex !== -1) {
                     settings.pairs.splice(settingsIndex, 1);
-                    fs.writeFileSync('settings.json', JSON.stringify(settings, null, 4));
+                    writeStateFile('settings.json', settings);
                 }
             }
 
@@ -1817,7 +3208,7 @@ async function setLeverage(pairs, leverage) {
 
 // Set position mode based on configuration
 async function setPositionMode() {
-    const hedgeMode = process.env.HEDGE_MODE === "true";
+    const hedgeMode = config.HEDGE_MODE;
     const mode = hedgeMode ? 3 : 0; // 3 = hedge mode, 0 = one-way mode in V5
 
     const set = await restClient.switchPositionMode({
@@ -1841,7 +3232,7 @@ async function setPositionMode() {
 // Set account margin mode based on configuration
 async function setMarginMode() {
     try {
-        const marginMode = process.env.MARGIN || 'REGULAR_MARGIN';
+        const marginMode = config.MARGIN;
 
         // Validate margin mode
         const validModes = ['ISOLATED_MARGIN', 'REGULAR_MARGIN', 'PORTFOLIO_MARGIN'];
@@ -1867,7 +3258,7 @@ async function setMarginMode() {
 
 // Check if hedge mode is enabled
 function isHedgeMode() {
-    return process.env.HEDGE_MODE === "true";
+    return config.HEDGE_MODE;
 }
 
 async function checkLeverage(symbol) {
@@ -1906,7 +3297,7 @@ async function getMinTradingSize() {
 
         // Step 4: Get positions with error handling
         logIT("Fetching positions...", LOG_LEVEL.INFO);
-        var positions = await restClient.getPositionInfo({ category: 'linear', settleCoin: 'USDT' });
+        var positions = await fetchPositionInfo({ category: 'linear', settleCoin: 'USDT' });
         if (!positions || !positions.result || !positions.result.list) {
             logIT("Warning: Failed to fetch positions, continuing with empty positions array", LOG_LEVEL.WARNING);
             positions = { result: { list: [] } };
@@ -1944,7 +3335,7 @@ async function getMinTradingSize() {
                 var usdValue = (minOrderSize * price);
 
                 // Calculate our order size based on account parameters
-                var minOrderSizeUSD = (balance * process.env.PERCENT_ORDER_SIZE / 100) * process.env.LEVERAGE;
+                var minOrderSizeUSD = (balance * config.PERCENT_ORDER_SIZE / 100) * config.LEVERAGE;
 
                 // Determine the actual order size to use
                 if (minOrderSizeUSD < usdValue) {
@@ -1959,7 +3350,7 @@ async function getMinTradingSize() {
                 var position = positions.result.list.find(x => x.symbol === instrument.symbol);
 
                 // Calculate max position size for pair
-                var maxPositionSize = ((balance * (process.env.MAX_POSITION_SIZE_PERCENT / 100)) / price) * process.env.LEVERAGE;
+                var maxPositionSize = ((balance * (config.MAX_POSITION_SIZE_PERCENT / 100)) / price) * config.LEVERAGE;
 
                 // Create and store the order size data
                 var minOrderSizeJson = {
@@ -1967,6 +3358,8 @@ async function getMinTradingSize() {
                     "minOrderSize": parseFloat(minOrderSizePair.toFixed(8)),
                     "maxPositionSize": parseFloat(maxPositionSize.toFixed(8)),
                     "tickSize": parseFloat(instrument.priceFilter.tickSize),
+                    "qtyStep": parseFloat(instrument.lotSizeFilter.qtyStep),
+                    "minOrderQty": parseFloat(instrument.lotSizeFilter.minOrderQty)
                 }
                 minOrderSizes.push(minOrderSizeJson);
                 processedPairs++;
@@ -1988,7 +3381,7 @@ async function getMinTradingSize() {
 
         // Step 6: Write to file
         try {
-            fs.writeFileSync('min_order_sizes.json', JSON.stringify(minOrderSizes, null, 4));
+            writeStateFile('min_order_sizes.json', minOrderSizes);
             logIT(`min_order_sizes.json updated with ${minOrderSizes.length} pairs`, LOG_LEVEL.INFO);
         } catch (fileError) {
             throw new Error(`Failed to write min_order_sizes.json: ${fileError.message}`);
@@ -1996,7 +3389,7 @@ async function getMinTradingSize() {
 
         // Step 7: Update settings.json
         try {
-            const settings = JSON.parse(fs.readFileSync('settings.json', 'utf8'));
+            const settings = readStateFile('settings.json');
             let updatedSettings = 0;
 
             for (var i = 0; i < minOrderSizes.length; i++) {
@@ -2008,7 +3401,7 @@ async function getMinTradingSize() {
                 }
             }
 
-            fs.writeFileSync('settings.json', JSON.stringify(settings, null, 4));
+            writeStateFile('settings.json', settings);
             logIT(`Updated ${updatedSettings} pairs in settings.json`, LOG_LEVEL.INFO);
 
         } catch (settingsError) {
@@ -2056,7 +3449,7 @@ function sleep(ms) {
 function readResearchFile() {
     try {
         if (fs.existsSync('research.json')) {
-            return JSON.parse(fs.readFileSync('research.json'));
+            return readStateFile('research.json');
         }
     } catch (err) {
           }
@@ -2066,139 +3459,66 @@ function readResearchFile() {
 async function createSettings() {
     await getMinTradingSize();
     await sleep(30);
-    var minOrderSizes = JSON.parse(fs.readFileSync('min_order_sizes.json'));
-    //get info from https://liquidation-report.p.rapidapi.com/lickhunterpro
-    const url = "https://liquidation-report.p.rapidapi.com/lickhunterpro";
-    const headers = {
-        "X-RapidAPI-Key": process.env.RAPIDAPI_KEY,
-        "X-RapidAPI-Host": "liquidation-report.p.rapidapi.com"
-    };
-    try {
-        const res = await fetch(url, { headers: headers });
-        const out = await res.json();
-
-        // Validate data structure before saving
-        if (out && out.data && Array.isArray(out.data)) {
-            // Validate each data item has required fields
-            const validData = out.data.filter(item =>
-                item &&
-                item.name &&
-                !isNaN(item.long_price) &&
-                !isNaN(item.short_price) &&
-                item.long_price > 0 &&
-                item.short_price > 0
-            );
+    var minOrderSizes = readStateFile('min_order_sizes.json');
 
-            if (validData.length > 0) {
-                // Save only valid data to research.json
-                const validatedOut = { ...out, data: validData };
-                fs.writeFileSync('research.json', JSON.stringify(validatedOut, null, 4));
-                console.log(chalk.green(`Research data saved successfully. Validated ${validData.length} out of ${out.data.length} items.`));
-            } else {
-                logIT("No valid research data items found after validation", LOG_LEVEL.ERROR);
-            }
-        } else {
-            logIT("Invalid research data structure received from API", LOG_LEVEL.ERROR);
-        }
+    // Research comes from RESEARCH_SOURCE (RapidAPI, local or both); when that fails the existing research.json is used
+    try {
+        await apiDataService.refreshResearch();
+    } catch (err) {
+        logIT(`Error fetching research data: ${err}`, LOG_LEVEL.ERROR);
+        logIT("Using existing research.json data to create settings", LOG_LEVEL.INFO);
+    }
 
-        //create settings.json file with multiple pairs
+    const researchFile = readResearchFile();
+    if (researchFile && researchFile.data) {
         var settings = {};
         settings["pairs"] = [];
-        for (var i = 0; i < out.data.length; i++) {
+        for (var i = 0; i < researchFile.data.length; i++) {
               //if name contains 1000 or does not end in USDT, skip
-            if (out.data[i].name.includes("1000")) {
+            if (researchFile.data[i].name.includes("1000")) {
                 continue;
             }
             else {
                 //find index of pair in min_order_sizes.json "pair" key
-                var index = minOrderSizes.findIndex(x => x.pair === out.data[i].name + "USDT");
+                var index = minOrderSizes.findIndex(x => x.pair === researchFile.data[i].name + "USDT");
                 if (index === -1) {
                     continue;
                 }
                 else {
                     // Calculate risk-adjusted prices using utility function
-                    const riskLevel = parseInt(process.env.RISK_LEVEL) || 2;
-                    const riskPrices = calculateRiskPrices(out.data[i].long_price, out.data[i].short_price, riskLevel);
+                    const riskLevel = config.RISK_LEVEL;
+                    const riskPrices = calculateRiskPrices(researchFile.data[i].long_price, researchFile.data[i].short_price, riskLevel);
                     const long_risk = riskPrices.long_risk;
                     const short_risk = riskPrices.short_risk;
 
                     // Determine leverage to use in settings
-                    var leverageToUse = process.env.LEVERAGE;
-                    if (process.env.USE_MAX_LEVERAGE && process.env.USE_MAX_LEVERAGE.toLowerCase() === "true") {
-                        var maxLeverage = await checkLeverage(out.data[i].name + "USDT");
-                        leverageToUse = maxLeverage.toString();
+                    var leverageToUse = config.LEVERAGE;
+                    if (config.USE_MAX_LEVERAGE) {
+                        var maxLeverage = await checkLeverage(researchFile.data[i].name + "USDT");
+                        leverageToUse = maxLeverage;
                     }
 
                     var pair = {
-                        "symbol": out.data[i].name + "USDT",
+                        "symbol": researchFile.data[i].name + "USDT",
                         "leverage": leverageToUse,
-                        "min_volume": out.data[i].liq_volume,
-                        "take_profit": process.env.TAKE_PROFIT_PERCENT,
-                        "stop_loss": process.env.STOP_LOSS_PERCENT,
+                        "min_volume": researchFile.data[i].liq_volume,
+                        "take_profit": config.TAKE_PROFIT_PERCENT,
+                        "stop_loss": config.STOP_LOSS_PERCENT,
                         "order_size": minOrderSizes[index].minOrderSize,
                         "max_position_size": minOrderSizes[index].maxPositionSize,
                         "long_price": long_risk,
-                        "short_price": short_risk
+                        "short_price": short_risk,
+                        "fetched_at": researchFile.data[i].fetched_at,
+                        "source": researchFile.data[i].source
                     }
                     settings["pairs"].push(pair);
                 }
             }
         }
-        fs.writeFileSync('settings.json', JSON.stringify(settings, null, 4));
-
-    } catch (err) {
-            logIT(`Error fetching research data: ${err}`, LOG_LEVEL.ERROR);
-            // Try to use existing research.json if available
-            const researchFile = readResearchFile();
-            if (researchFile && researchFile.data) {
-                logIT("Using existing research.json data to create settings", LOG_LEVEL.INFO);
-                var settings = {};
-                settings["pairs"] = [];
-                for (var i = 0; i < researchFile.data.length; i++) {
-                      //if name contains 1000 or does not end in USDT, skip
-                    if (researchFile.data[i].name.includes("1000")) {
-                        continue;
-                    }
-                    else {
-                        //find index of pair in min_order_sizes.json "pair" key
-                        var index = minOrderSizes.findIndex(x => x.pair === researchFile.data[i].name + "USDT");
-                        if (index === -1) {
-                            continue;
-                        }
-                        else {
-                            // Calculate risk-adjusted prices using utility function
-                            const riskLevel = parseInt(process.env.RISK_LEVEL) || 2;
-                            const riskPrices = calculateRiskPrices(researchFile.data[i].long_price, researchFile.data[i].short_price, riskLevel);
-                            const long_risk = riskPrices.long_risk;
-                            const short_risk = riskPrices.short_risk;
-
-                            // Determine leverage to use in settings
-                            var leverageToUse = process.env.LEVERAGE;
-                            if (process.env.USE_MAX_LEVERAGE && process.env.USE_MAX_LEVERAGE.toLowerCase() === "true") {
-                                var maxLeverage = await checkLeverage(researchFile.data[i].name + "USDT");
-                                leverageToUse = maxLeverage.toString();
-                            }
-
-                            var pair = {
-                                "symbol": researchFile.data[i].name + "USDT",
-                                "leverage": leverageToUse,
-                                "min_volume": researchFile.data[i].liq_volume,
-                                "take_profit": process.env.TAKE_PROFIT_PERCENT,
-                                "stop_loss": process.env.STOP_LOSS_PERCENT,
-                                "order_size": minOrderSizes[index].minOrderSize,
-                                "max_position_size": minOrderSizes[index].maxPositionSize,
-                                "long_price": long_risk,
-                                "short_price": short_risk
-                            }
-                            settings["pairs"].push(pair);
-                        }
-                    }
-                }
-                fs.writeFileSync('settings.json', JSON.stringify(settings, null, 4));
-            } else {
-                console.log(chalk.red("No research data available. Cannot create settings."));
-            }
-        }
+        writeStateFile('settings.json', settings);
+    } else {
+        console.log(chalk.red("No research data available. Cannot create settings."));
+    }
 }
 //update settings.json file with long_price and short_price
 
@@ -2215,14 +3535,14 @@ async function updateSettings() {
         }
         else {
             lastUpdate = Date.now();
-            if (process.env.UPDATE_MIN_ORDER_SIZING == "true") {
+            if (config.UPDATE_MIN_ORDER_SIZING) {
                 await getMinTradingSize();
             }
-            var minOrderSizes = JSON.parse(fs.readFileSync('min_order_sizes.json'));
-            var settingsFile = JSON.parse(fs.readFileSync('settings.json'));
+            var minOrderSizes = readStateFile('min_order_sizes.json');
+            var settingsFile = readStateFile('settings.json');
             const url = "https://liquidation-report.p.rapidapi.com/lickhunterpro";
             const headers = {
-                "X-RapidAPI-Key": process.env.RAPIDAPI_KEY,
+                "X-RapidAPI-Key": config.RAPIDAPI_KEY,
                 "X-RapidAPI-Host": "liquidation-report.p.rapidapi.com"
             };
             fetch(url, { headers: headers })
@@ -2243,7 +3563,7 @@ async function updateSettings() {
                         if (validData.length > 0) {
                             // Save only valid data to research.json
                             const validatedOut = { ...out, data: validData };
-                            fs.writeFileSync('research.json', JSON.stringify(validatedOut, null, 4));
+                            writeStateFile('research.json', validatedOut);
                             console.log(chalk.green(`Research data saved successfully. Validated ${validData.length} out of ${out.data.length} items.`));
                         } else {
                             logIT("No valid research data items found after validation", LOG_LEVEL.ERROR);
@@ -2261,7 +3581,7 @@ async function updateSettings() {
                                     }
                         else {
                             // Calculate risk-adjusted prices using utility function
-                            const riskLevel = parseInt(process.env.RISK_LEVEL) || 2;
+                            const riskLevel = config.RISK_LEVEL;
                             const riskPrices = calculateRiskPrices(out.data[i].long_price, out.data[i].short_price, riskLevel);
                             const long_risk = riskPrices.long_risk;
                             const short_risk = riskPrices.short_risk;
@@ -2271,7 +3591,7 @@ async function updateSettings() {
                             settingsFile.pairs[settingsIndex].short_price = short_risk;
                         }
                     }
-                    fs.writeFileSync('settings.json', JSON.stringify(settingsFile, null, 4));
+                    writeStateFile('settings.json', settingsFile);
                     console.log(chalk.green("Settings updated successfully with fresh API data"));
                     //if error load research.json file and update settings.json file
                 }).catch(
@@ -2279,8 +3599,8 @@ async function updateSettings() {
                         const researchFile = readResearchFile();
                         if (researchFile && researchFile.data) {
                             console.log(chalk.yellow("Using existing research.json data to update settings"));
-                            var minOrderSizes = JSON.parse(fs.readFileSync('min_order_sizes.json'));
-                            var settingsFile = JSON.parse(fs.readFileSync('settings.json'));
+                            var minOrderSizes = readStateFile('min_order_sizes.json');
+                            var settingsFile = readStateFile('settings.json');
                             var settings = {};
                             settings["pairs"] = [];
                             for (var i = 0; i < researchFile.data.length; i++) {
@@ -2292,7 +3612,7 @@ async function updateSettings() {
                                       }
                                     else {
                                         // Calculate risk-adjusted prices using utility function
-                                        const riskLevel = parseInt(process.env.RISK_LEVEL) || 2;
+                                        const riskLevel = config.RISK_LEVEL;
                                         const riskPrices = calculateRiskPrices(researchFile.data[i].long_price, researchFile.data[i].short_price, riskLevel);
                                         const long_risk = riskPrices.long_risk;
                                         const short_risk = riskPrices.short_risk;
@@ -2306,7 +3626,7 @@ async function updateSettings() {
                                     console.log("Error updating " + researchFile.data[i].name + "USDT, this is likely due to not having this pair active in your settings.json file");
                                 }
                             }
-                            fs.writeFileSync('settings.json', JSON.stringify(settingsFile, null, 4));
+                            writeStateFile('settings.json', settingsFile);
                             console.log(chalk.green("Settings updated successfully with cached research data"));
                         } else {
                             console.log(chalk.red("No research data available. Cannot update settings."));
@@ -2318,54 +3638,72 @@ async function updateSettings() {
 
 }
 
-//discord webhook
-function orderWebhook(symbol, amount, side, position, pnl, qty) {
-    if (process.env.USE_DISCORD == "true") {
-        discordService.sendOrderNotification(symbol, amount, side, position, pnl, qty);
+//trade notification, with the TP/SL distances the position will get
+async function notifyTradeOpened(symbol, amount, side, positionSize, pnl, liquidationVolume, price) {
+    let exits = null;
+    try {
+        const tradingConfig = config.USE_TAKE_PROFIT ? validateTradingConfig() : null;
+        if (tradingConfig) {
+            const pairConfig = getPairConfig(symbol);
+            exits = await getExitPercents(symbol, price, pairConfig.TAKE_PROFIT_PERCENT, tradingConfig.useStopLoss ? pairConfig.STOP_LOSS_PERCENT : null);
+        }
+    } catch (error) {
+        logIT(`Unable to get TP/SL distances for the ${symbol} trade notification: ${error.message}`, LOG_LEVEL.WARNING);
     }
-}
 
+    const exitText = exits
+        ? `, TP ${exits.takeProfitPercent.toFixed(2)}%${exits.stopLossPercent !== null ? ` / SL ${exits.stopLossPercent.toFixed(2)}%` : ''}${exits.atrPercent !== null ? ` (ATR ${exits.atrPercent.toFixed(2)}%)` : ''}`
+        : '';
+
+    notifier.notify(NOTIFICATION_EVENTS.TRADE_OPENED, {
+        symbol,
+        side,
+        amount,
+        positionSize,
+        pnl,
+        liquidationVolume,
+        exits,
+        message: `${side === "Buy" ? "LONG" : "SHORT"} entry on ${symbol}: size ${parseFloat(amount).toFixed(4)}, liquidation volume ${parseFloat(liquidationVolume).toFixed(2)} USDT${exitText}`
+    });
+}
 
-//message webhook
-function messageWebhook(message, type = 'info') {
-    if (process.env.USE_DISCORD == "true") {
-        try {
-            discordService.sendMessage(message, type);
-        }
-        catch (err) {
-            console.log(err);
-        }
+//TP/SL notification and journal entry
+function notifyTpSlSet(symbol, side, takeProfit, stopLoss) {
+    if (tradeJournal) {
+        tradeJournal.recordTpSl({ symbol, side, takeProfit, stopLoss });
     }
+
+    notifier.notify(NOTIFICATION_EVENTS.TP_SL_SET, {
+        symbol,
+        side,
+        takeProfit,
+        stopLoss,
+        message: `TP ${takeProfit}${stopLoss ? ` / SL ${stopLoss}` : ''} set for ${symbol} ${side === "Buy" ? "LONG" : "SHORT"}`
+    });
 }
 
 //report webhook
 async function reportWebhook() {
-    if (process.env.USE_DISCORD == "true") {
+    if (notifier.wants(NOTIFICATION_EVENTS.REPORT)) {
         // Prevent infinite recursion
         if (isGeneratingReport) {
-            console.log("Discord report already being generated, skipping to prevent infinite loop");
+            console.log("Report already being generated, skipping to prevent infinite loop");
             return;
         }
         isGeneratingReport = true;
 
-        // Additional safety - ensure flag gets reset even on early exit
-        const safetyReset = () => {
-            isGeneratingReport = false;
-        };
-        console.log("Starting Discord report generation...");
-        const settings = JSON.parse(fs.readFileSync('account.json', 'utf8'));
+        console.log("Starting report generation...");
+        const settings = readStateFile('account.json');
         //check if starting balance is set
         if (settings.startingBalance === 0) {
             settings.startingBalance = balance;
-            fs.writeFileSync('account.json', JSON.stringify(settings, null, 4));
+            writeStateFile('account.json', settings);
             var startingBalance = settings.startingBalance;
         }
         else {
             var startingBalance = settings.startingBalance;
         }
 
-        // Safety reset in case of early returns
-
         //get current timestamp and calculate bot uptime
         const timestampNow = moment();
         const timeUptimeInSeconds = timestampNow.diff(timestampBotStart, 'seconds');
@@ -2386,7 +3724,7 @@ async function reportWebhook() {
         var positions;
         try {
             positions = await Promise.race([
-                restClient.getPositionInfo({ category: 'linear', settleCoin: 'USDT' }),
+                fetchPositionInfo({ category: 'linear', settleCoin: 'USDT' }),
                 new Promise((_, reject) => setTimeout(() => reject(new Error('Timeout fetching positions')), 10000))
             ]);
             console.log(`Found ${positions.result?.list?.length || 0} positions`);
@@ -2445,7 +3783,7 @@ async function reportWebhook() {
                     var fee = positions.result.list[i].occClosingFee;
                     var price = parseFloat(price).toFixed(4);
                     //calulate size in USDT
-                    var usdValue = (positions.result.list[i].avgPrice * size) / process.env.LEVERAGE;
+                    var usdValue = (positions.result.list[i].avgPrice * size) / config.LEVERAGE;
                     var position = {
                         "symbol": symbol,
                         "size": size,
@@ -2469,40 +3807,38 @@ async function reportWebhook() {
         }
 
         const uptimeString = times[0].toString() + " days " + times[1].toString() + " hr. " + times[2].toString() + " min. " + times[3].toString() + " sec.";
-        console.log(`Sending Discord report with ${positionList.length} positions...`);
+        console.log(`Sending report with ${positionList.length} positions...`);
 
         // Get DCA statistics if enabled
         let dcaStats = null;
-        if (process.env.USE_SCALED_ATR_DCA === "true") {
+        if (config.USE_SCALED_ATR_DCA) {
             dcaStats = await getDCAStatistics();
         }
 
         try {
-            await discordService.sendReport(
-                balance,
-                process.env.LEVERAGE,
-                marg,
-                diff,
-                percentGain,
-                uptimeString,
-                time,
-                positionList,
-                openPositions,
-                dcaStats
-            );
-            console.log("Discord report sent successfully");
-            safetyReset(); // Additional safety reset
-        }
-        catch (err) {
-            console.log(chalk.red("Discord Webhook Error"));
-            console.log(err);
-            safetyReset(); // Safety reset on error
+            const delivered = await notifier.notify(NOTIFICATION_EVENTS.REPORT, {
+                message: `Balance ${balance} USDT, P&L ${diff} USDT (${percentGain}%), ${openPositions} open positions`,
+                report: {
+                    balance,
+                    leverage: config.LEVERAGE,
+                    margin: marg,
+                    profit: diff,
+                    profitPercent: percentGain,
+                    uptime: uptimeString,
+                    serverTime: time,
+                    positions: positionList,
+                    openPositionsCount: openPositions,
+                    dcaStats,
+                    researchStatus: getResearchStatus()
+                }
+            });
+            console.log(delivered ? "Report sent successfully" : chalk.red("Report could not be delivered to every notification sink"));
         }
         finally {
             isGeneratingReport = false; // Reset flag in finally block
         }
         
-        console.log("Discord report generation completed");
+        console.log("Report generation completed");
     }
 }
 
@@ -2549,91 +3885,219 @@ async function testHedgeModeLogic() {
 
 /**
  * Reset all cache files to ensure fresh start
- * Clears ATR cache, DCA positions, and performance stats
+ * Clears ATR cache and performance stats; DCA positions are kept and reconciled with the exchange
  */
 function resetAllCacheFiles() {
     try {
         console.log(chalk.blue("Resetting all cache files for fresh start..."));
 
-        const cacheFiles = [
-            'data/atr_cache.json',
-            'data/dca_positions.json',
-            'data/performance_stats.json'
-        ];
+        const cacheKeys = ['atr_cache', 'performance_stats'];
+        new DataPersistence().clearDocuments(cacheKeys);
 
-        let resetCount = 0;
+        console.log(chalk.green(`✓ Reset cached state: ${cacheKeys.join(', ')}`));
+        logIT(`Cached state reset on startup: ${cacheKeys.join(', ')}`, LOG_LEVEL.INFO);
 
-        for (const filePath of cacheFiles) {
-            try {
-                if (fs.existsSync(filePath)) {
-                    // Create empty cache structure
-                    let emptyCache = {};
-
-                    if (filePath.includes('atr_cache')) {
-                        emptyCache = {
-                            timestamp: Date.now(),
-                            version: "1.0",
-                            cache: []
-                        };
-                    } else if (filePath.includes('dca_positions')) {
-                        emptyCache = {
-                            timestamp: Date.now(),
-                            version: "1.0",
-                            positions: []
-                        };
-                    } else if (filePath.includes('performance_stats')) {
-                        emptyCache = {
-                            timestamp: Date.now(),
-                            version: "1.0",
-                            stats: {
-                                totalPositions: 0,
-                                totalOrders: 0,
-                                filledOrders: 0,
-                                failedOrders: 0,
-                                startTime: Date.now(),
-                                lastUpdateTime: Date.now()
-                            }
-                        };
-                    }
+    } catch (error) {
+        console.log(chalk.red(`Cache reset error: ${error.message}`));
+        logIT(`Cache reset failed: ${error.message}`, LOG_LEVEL.ERROR);
+    }
+}
 
-                    fs.writeFileSync(filePath, JSON.stringify(emptyCache, null, 4));
-                    console.log(chalk.green(`✓ Reset cache file: ${filePath}`));
-                    resetCount++;
-                } else {
-                    // Create file if it doesn't exist
-                    const dir = path.dirname(filePath);
-                    if (!fs.existsSync(dir)) {
-                        fs.mkdirSync(dir, { recursive: true });
-                    }
+/**
+ * Strategy parameters for backtests, read from the same environment as the live bot
+ */
+function getBacktestParams() {
+    return {
+        startingBalance: config.BACKTEST_STARTING_BALANCE ?? config.PAPER_STARTING_BALANCE,
+        takerFeePercent: config.PAPER_TAKER_FEE_PERCENT,
+        makerFeePercent: config.PAPER_MAKER_FEE_PERCENT,
+        slippagePercent: config.PAPER_SLIPPAGE_PERCENT,
+        leverage: config.LEVERAGE,
+        percentOrderSize: config.PERCENT_ORDER_SIZE,
+        maxPositionSizePercent: config.MAX_POSITION_SIZE_PERCENT,
+        maxOpenPositions: config.MAX_OPEN_POSITIONS,
+        hedgeMode: isHedgeMode(),
+        minLiquidationVolume: config.MIN_LIQUIDATION_VOLUME,
+        riskLevel: config.RISK_LEVEL,
+        min24hVolume: config.MIN_24H_VOLUME,
+        takeProfitPercent: config.TAKE_PROFIT_PERCENT,
+        useStopLoss: config.USE_STOPLOSS,
+        stopLossPercent: config.STOP_LOSS_PERCENT,
+        atrExits: atrExitSettings,
+        useScaledATRDCA: config.USE_SCALED_ATR_DCA,
+        dca: { ...scaledATRDCA.config }
+    };
+}
+
+/**
+ * Load recorded liquidations and market data for an offline run (backtest / optimize)
+ * @param {string} fromArg - Start date (any moment-parsable UTC date)
+ * @param {string} toArg - End date, defaults to now
+ * @param {number} klineWarmupMs - History needed before the window for ATR
+ */
+async function loadRecordedDataset(fromArg, toArg, minLiquidationVolume, klineWarmupMs) {
+    const from = moment.utc(fromArg);
+    const to = toArg ? moment.utc(toArg) : moment.utc();
 
-                    let emptyCache = { timestamp: Date.now(), version: "1.0" };
-                    if (filePath.includes('atr_cache')) emptyCache.cache = [];
-                    if (filePath.includes('dca_positions')) emptyCache.positions = [];
-                    if (filePath.includes('performance_stats')) emptyCache.stats = {};
+    if (!fromArg || !from.isValid() || !to.isValid() || !from.isBefore(to)) {
+        throw new Error('Expected a date window: <from> [to] (e.g. 2025-01-01 2025-01-31)');
+    }
 
-                    fs.writeFileSync(filePath, JSON.stringify(emptyCache, null, 4));
-                    console.log(chalk.yellow(`✓ Created new cache file: ${filePath}`));
-                    resetCount++;
-                }
-            } catch (error) {
-                console.log(chalk.red(`✗ Failed to reset ${filePath}: ${error.message}`));
-            }
-        }
+    const researchData = readResearchFile();
+    if (!researchData?.data) {
+        throw new Error('research.json is required to derive pair settings for the backtest');
+    }
+
+    const recorder = liquidationRecorder || new LiquidationRecorder({
+        recordingDir: config.RECORDING_DIR
+    });
 
-        console.log(chalk.blue(`Cache reset complete: ${resetCount}/${cacheFiles.length} files processed`));
-        logIT(`Cache files reset on startup: ${resetCount} files cleared`, LOG_LEVEL.INFO);
+    return loadBacktestDataset(exchangeClient, recorder, {
+        from: from.valueOf(),
+        to: to.valueOf(),
+        researchData,
+        blacklist: config.BLACKLIST,
+        whitelist: config.WHITELIST,
+        minLiquidationVolume,
+        klineWarmupMs
+    });
+}
 
-    } catch (error) {
-        console.log(chalk.red(`Cache reset error: ${error.message}`));
-        logIT(`Cache reset failed: ${error.message}`, LOG_LEVEL.ERROR);
+/**
+ * Replay recorded liquidations between two dates through the strategy
+ */
+async function runBacktest(fromArg, toArg) {
+    const params = getBacktestParams();
+    const dataset = await loadRecordedDataset(fromArg, toArg, params.minLiquidationVolume,
+        (params.dca.atrLength + 2) * timeframeToMs(params.dca.atrTimeframe));
+
+    const backtester = new Backtester(params);
+    const report = await backtester.simulate(dataset);
+
+    printBacktestReport(report);
+    const reportPath = saveBacktestReport(report);
+    console.log(chalk.blue(`Backtest report saved to ${reportPath}`));
+}
+
+/**
+ * Search ATR / DCA / TP / risk settings over recorded liquidations with walk-forward validation
+ */
+async function runOptimizer(fromArg, toArg) {
+    // OPTIMIZE_<PARAM> = comma separated values overrides the default search values
+    const space = {};
+    for (const [name, definition] of Object.entries(PARAMETER_SPACE)) {
+        const override = config[`OPTIMIZE_${name}`];
+        space[name] = override?.length > 0
+            ? { ...definition, values: override.map(value => definition.parse(value)) }
+            : definition;
+    }
+
+    const optimizer = new Optimizer({
+        method: config.OPTIMIZE_METHOD,
+        samples: config.OPTIMIZE_SAMPLES,
+        objective: config.OPTIMIZE_OBJECTIVE,
+        maxDrawdownPercent: config.OPTIMIZE_MAX_DRAWDOWN,
+        minTrades: config.OPTIMIZE_MIN_TRADES,
+        folds: config.OPTIMIZE_FOLDS,
+        trainPercent: config.OPTIMIZE_TRAIN_PERCENT,
+        ...(config.OPTIMIZE_WORKERS !== null && { workers: config.OPTIMIZE_WORKERS }),
+        ...(config.OPTIMIZE_SEED !== null && { seed: config.OPTIMIZE_SEED }),
+        space
+    });
+
+    // Fetch enough history for the slowest ATR being searched
+    const params = getBacktestParams();
+    const klineWarmupMs = Math.max(...space.ATR_TIMEFRAME.values.map(timeframeToMs)) * (Math.max(...space.ATR_LENGTH.values) + 2);
+    const dataset = await loadRecordedDataset(fromArg, toArg, params.minLiquidationVolume, klineWarmupMs);
+
+    // Every candidate runs with the Scaled ATR DCA ladder, which is what the searched settings drive
+    const report = await optimizer.run(dataset, { ...params, useScaledATRDCA: true });
+
+    printOptimizationReport(report);
+    const reportPath = saveOptimizationReport(report);
+    console.log(chalk.blue(`Optimization report saved to ${reportPath}`));
+}
+
+/**
+ * Export journaled trades opened in an optional date window to CSV
+ * @param {string} [fromArg] - Window start (e.g. 2025-01-01), defaults to the first trade
+ * @param {string} [toArg] - Window end, defaults to now
+ */
+async function exportTrades(fromArg, toArg) {
+    if (!tradeJournal) {
+        throw new Error('Trade journal is disabled (USE_TRADE_JOURNAL=false)');
+    }
+
+    const from = fromArg ? moment.utc(fromArg) : null;
+    const to = toArg ? moment.utc(toArg) : moment.utc();
+    if ((from && !from.isValid()) || !to.isValid()) {
+        throw new Error('Expected an optional date window: [from] [to] (e.g. 2025-01-01 2025-01-31)');
+    }
+
+    const filters = { from: from?.valueOf(), to: to.valueOf() };
+    const filePath = `./data/exports/trades_${from ? from.format('YYYYMMDD') : 'all'}_${to.format('YYYYMMDD')}.csv`;
+    const count = tradeJournal.exportCsv(filePath, filters);
+    const summary = tradeJournal.getSummary(filters);
+
+    console.log(chalk.blue(`Exported ${count} trades to ${filePath}`));
+    console.log(`Closed: ${summary.trades} (${summary.wins} wins, ${summary.winRate.toFixed(1)}% win rate)`);
+    console.log(`Realized PnL: ${summary.realizedPnl.toFixed(4)} USDT, fees: ${summary.fees.toFixed(4)} USDT, net: ${summary.netPnl.toFixed(4)} USDT`);
+}
+
+/**
+ * Print the effective configuration of a pair and the layer each value comes from
+ * @param {string} symbol - Trading pair symbol, e.g. BTCUSDT
+ */
+function showPairConfig(symbol) {
+    if (!symbol) {
+        throw new Error('Expected a symbol, e.g. --pair-config BTCUSDT');
+    }
+    symbol = symbol.toUpperCase();
+
+    const { values, sources } = resolvePairConfig(symbol);
+    const groups = pairOverrides.getGroups(symbol);
+
+    console.log(chalk.blue(`\n=== EFFECTIVE CONFIG FOR ${symbol} ===\n`));
+    console.log(`Groups: ${groups.length > 0 ? groups.join(', ') : 'none'}`);
+    for (const [key, value] of Object.entries(values)) {
+        const source = sources[key] === '.env' ? chalk.gray(sources[key]) : chalk.green(sources[key]);
+        console.log(`   ${key.padEnd(24)} ${String(value).padEnd(20)} ${source}`);
     }
 }
 
 async function main() {
     console.log("Starting 0xLIQD-BYBIT...");
 
+    if (paperExchange) {
+        console.log(chalk.magenta("PAPER TRADING MODE - orders are simulated, no real account is touched"));
+        logIT("Paper trading mode enabled", LOG_LEVEL.WARNING);
+    }
+
+    registerTradeEventNotifications();
+    registerTradeJournal();
+    registerRiskGuard();
+    registerTpLadderRefresh();
+
+    if (configReloader) {
+        configReloader.start();
+    }
+
+    if (dashboardServer) {
+        dashboardServer.start();
+    }
+
+    if (controlApi) {
+        controlApi.start();
+    }
+
+    if (discordBot) {
+        discordBot.start().catch(error => {
+            logIT(`Discord bot failed to start: ${error.message}`, LOG_LEVEL.ERROR);
+        });
+    }
+
     // Reset all cache files for fresh start (if enabled)
-    if (process.env.RESET_CACHE_ON_STARTUP !== "false") {
+    if (config.RESET_CACHE_ON_STARTUP) {
         resetAllCacheFiles();
     } else {
         console.log(chalk.yellow("Cache reset disabled by configuration"));
@@ -2644,7 +4108,7 @@ async function main() {
         pairs = await getSymbols();
 
         //load local file acccount.json with out require and see if "config_set" is true
-        var account = JSON.parse(fs.readFileSync('account.json', 'utf8'));
+        var account = readStateFile('account.json');
         if (account.config_set == false) {
             // Set both position mode and margin mode on first run
             const positionModeSet = await setPositionMode();
@@ -2653,34 +4117,46 @@ async function main() {
             if (positionModeSet && marginModeSet) {
                 //set to true and save
                 account.config_set = true;
-                fs.writeFileSync('account.json', JSON.stringify(account, null, 4));
+                writeStateFile('account.json', account);
                 logIT("Account configuration (position and margin modes) set successfully", LOG_LEVEL.INFO);
             } else {
                 logIT("Failed to set account configuration modes", LOG_LEVEL.WARNING);
             }
         }
 
-        if (process.env.UPDATE_MIN_ORDER_SIZING == "true") {
+        if (config.UPDATE_MIN_ORDER_SIZING) {
             console.log("Updating minimum order sizes with API data service");
             await apiDataService.updateMinOrderSizes();
         }
-        if (process.env.USE_SMART_SETTINGS.toLowerCase() == "true") {
+        if (config.USE_SMART_SETTINGS) {
             console.log("Updating settings with smart settings using API data service");
             await apiDataService.forceUpdateAll();
         }
-        if (process.env.USE_SET_LEVERAGE.toLowerCase() == "true") {
-            await setLeverage(pairs, process.env.LEVERAGE);
+        if (config.USE_SET_LEVERAGE) {
+            await setLeverage(pairs, config.LEVERAGE);
+        }
+
+        if (config.USE_SCALED_ATR_DCA) {
+            await reconcileDCAState();
         }
 
         // Check and set TP/SL for existing positions
         console.log("Performing startup TP/SL check...");
         await checkAndSetMissingTPSL();
 
+        if (positionTimeoutMonitor) {
+            positionTimeoutMonitor.start();
+        }
+
+        if (exitManager) {
+            exitManager.start();
+        }
+
         // Send startup report notification
-        if (process.env.USE_DISCORD == "true") {
-            console.log("Sending startup Discord report...");
+        if (notifier.wants(NOTIFICATION_EVENTS.REPORT)) {
+            console.log("Sending startup report...");
             await reportWebhook();
-            logIT("Startup report sent to Discord", LOG_LEVEL.INFO);
+            logIT("Startup report sent", LOG_LEVEL.INFO);
         }
     }
     catch (err) {
@@ -2688,15 +4164,14 @@ async function main() {
 
         console.log(err);
 
-        if (process.env.USE_DISCORD == "true")
-            messageWebhook(err);
+        notifier.notify(NOTIFICATION_EVENTS.ERROR, { message: err });
 
         await sleep(10000);
     }
 
-    // Ensure research data is available before starting liquidation engine
-    if (process.env.USE_SMART_SETTINGS.toLowerCase() == "true") {
-        console.log("Initial research data fetch before starting liquidation engine using API data service...");
+    // Ensure research data and settings are fresh before starting the liquidation engine
+    if (config.USE_SMART_SETTINGS) {
+        console.log("Refreshing data files before starting liquidation engine using API data service...");
         await apiDataService.forceUpdateAll();
     }
 
@@ -2709,11 +4184,10 @@ async function main() {
             // Use the new API data service for periodic updates
             await apiDataService.updateLoop();
 
-            await sleep(rateLimit);
+            await sleep(loopInterval);
         } catch (e) {
             console.log(e);
-            sleep(1000);
-            rateLimit = rateLimit + 1000;
+            await sleep(1000);
         }
     }
 
@@ -2731,6 +4205,46 @@ if (args.includes('--test-hedge')) {
         console.error(chalk.red("Hedge mode test failed:"), error);
         process.exit(1);
     });
+} else if (args.includes('--backtest')) {
+    // Replay recorded liquidations through the strategy
+    const backtestIndex = args.indexOf('--backtest');
+    console.log(chalk.blue("Running backtest on recorded liquidations..."));
+    runBacktest(args[backtestIndex + 1], args[backtestIndex + 2]).then(() => {
+        console.log(chalk.green("Backtest completed"));
+        process.exit(0);
+    }).catch(error => {
+        console.error(chalk.red("Backtest failed:"), error);
+        process.exit(1);
+    });
+} else if (args.includes('--optimize')) {
+    // Search strategy parameters over recorded liquidations
+    const optimizeIndex = args.indexOf('--optimize');
+    console.log(chalk.blue("Running parameter optimization on recorded liquidations..."));
+    runOptimizer(args[optimizeIndex + 1], args[optimizeIndex + 2]).then(() => {
+        console.log(chalk.green("Optimization completed"));
+        process.exit(0);
+    }).catch(error => {
+        console.error(chalk.red("Optimization failed:"), error);
+        process.exit(1);
+    });
+} else if (args.includes('--export-trades')) {
+    // Export journaled trades to CSV
+    const exportIndex = args.indexOf('--export-trades');
+    exportTrades(args[exportIndex + 1], args[exportIndex + 2]).then(() => {
+        process.exit(0);
+    }).catch(error => {
+        console.error(chalk.red("Trade export failed:"), error);
+        process.exit(1);
+    });
+} else if (args.includes('--pair-config')) {
+    // Show the effective per-pair configuration
+    try {
+        showPairConfig(args[args.indexOf('--pair-config') + 1]);
+        process.exit(0);
+    } catch (error) {
+        console.error(chalk.red("Pair config failed:"), error.message);
+        process.exit(1);
+    }
 } else if (args.includes('--dca-status')) {
     // Display DCA system status
     console.log(chalk.blue("Displaying Scaled ATR DCA system status..."));
@@ -2748,8 +4262,7 @@ if (args.includes('--test-hedge')) {
     catch (error) {
         console.log(chalk.red("Error: ", error));
 
-        if (process.env.USE_DISCORD == "true")
-            messageWebhook(error);
+        notifier.notify(NOTIFICATION_EVENTS.ERROR, { message: error });
 
         main();
     }
@@ -7,13 +7,18 @@ import { logIT, LOG_LEVEL } from './log.js';
 import DataPersistence from './dataPersistence.js';
 
 class ATRService {
-    constructor(restClient) {
+    /**
+     * @param {Object} restClient - Bybit REST client (or any client exposing getKline)
+     * @param {Object} options - { persistCache: false to keep the cache in memory only, cacheTimeout in ms }
+     */
+    constructor(restClient, options = {}) {
         this.restClient = restClient;
+        this.persistCache = options.persistCache !== false;
         this.dataPersistence = new DataPersistence();
 
         // Load persistent cache first, then initialize empty cache
-        this.atrCache = this.dataPersistence.loadATRCache();
-        this.cacheTimeout = 5 * 60 * 1000; // 5 minutes cache
+        this.atrCache = this.persistCache ? this.dataPersistence.loadATRCache() : new Map();
+        this.cacheTimeout = options.cacheTimeout ?? 5 * 60 * 1000; // 5 minutes cache
         this.defaultConfig = {
             timeframe: '1h',
             length: 14,
@@ -99,7 +104,9 @@ class ATRService {
         });
 
         // Save cache to persistent storage
-        this.dataPersistence.saveATRCache(this.atrCache);
+        if (this.persistCache) {
+            this.dataPersistence.saveATRCache(this.atrCache);
+        }
     }
 
     /**
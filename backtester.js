@@ -0,0 +1,856 @@
+/**
+ * Backtester - Replays recorded liquidations and klines through the live strategy code
+ * Uses the same entry gates (utils.js), order helper, ScaledATRDCA and ATRService as the bot,
+ * with PaperExchange as the fill model (fees and slippage)
+ */
+
+import fs from 'fs';
+import path from 'path';
+import chalk from 'chalk';
+import moment from 'moment';
+import { logIT, LOG_LEVEL } from './log.js';
+import { createMarketOrder } from './order.js';
+import {
+    calculateRiskPrices,
+    calculatePairSizing,
+    processOrderQuantity,
+    shouldProcessPair,
+    aggregateLiquidation,
+    getLiquidationThreshold,
+    passesPriceGate,
+    meetsMinimum24hVolume,
+    calculateProfitLossPrices,
+    calculateAtrExitPercents,
+    formatPrice,
+    setTradingStopAPI,
+    handleTpSlResponse
+} from './utils.js';
+import PaperExchange from './paperExchange.js';
+import ATRService from './atrService.js';
+import ScaledATRDCA from './scaledATRDCA.js';
+
+const KLINE_INTERVAL_MS = 60 * 1000; // Replay uses 1m klines
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Serves instruments and klines from a preloaded dataset in place of the Bybit REST client
+ * Klines are only visible up to the current replay position so ATR never looks ahead
+ */
+class ReplayMarketClient {
+    constructor(dataset, getCursor) {
+        this.dataset = dataset;
+        this.getCursor = getCursor;
+    }
+
+    response(result, retCode = 0, retMsg = 'OK') {
+        return { retCode, retMsg, result, retExtInfo: {}, time: Date.now() };
+    }
+
+    async getInstrumentsInfo(params = {}) {
+        const instrument = this.dataset.instruments[params.symbol];
+        if (!instrument) {
+            return this.response({ list: [] }, 10001, `No instrument data for ${params.symbol}`);
+        }
+        return this.response({ category: 'linear', list: [instrument] });
+    }
+
+    /**
+     * Build candles of the requested interval from completed 1m klines (newest first, like Bybit)
+     */
+    async getKline(params) {
+        const klines = this.dataset.klines[params.symbol];
+        if (!klines) {
+            return this.response({ list: [] }, 10001, `No kline data for ${params.symbol}`);
+        }
+
+        const intervalMs = intervalToMs(params.interval);
+        const limit = parseInt(params.limit) || 200;
+        const candles = [];
+        let current = null;
+
+        for (let i = this.getCursor(params.symbol) - 1; i >= 0 && candles.length <= limit; i--) {
+            const bucket = Math.floor(klines.t[i] / intervalMs) * intervalMs;
+
+            if (!current || current[0] !== bucket) {
+                if (current) candles.push(current);
+                current = [bucket, klines.o[i], klines.h[i], klines.l[i], klines.c[i], 0, klines.turnover[i]];
+            } else {
+                // Walking backwards: this kline is earlier in the same bucket
+                current[1] = klines.o[i];
+                current[2] = Math.max(current[2], klines.h[i]);
+                current[3] = Math.min(current[3], klines.l[i]);
+                current[6] += klines.turnover[i];
+            }
+        }
+        if (current && candles.length < limit) candles.push(current);
+
+        return this.response({ category: 'linear', symbol: params.symbol, list: candles.slice(0, limit) });
+    }
+}
+
+/**
+ * Convert a Bybit kline interval ('1', '5', '60', 'D', 'W') to milliseconds
+ */
+function intervalToMs(interval) {
+    if (interval === 'D') return DAY_MS;
+    if (interval === 'W') return 7 * DAY_MS;
+    return (parseInt(interval) || 1) * 60 * 1000;
+}
+
+/**
+ * Convert an ATR timeframe ('5m', '1h', '1d') to milliseconds
+ */
+export function timeframeToMs(timeframe) {
+    const match = String(timeframe).match(/^(\d+)([mhdw])$/);
+    if (!match) return 60 * 60 * 1000;
+    const unit = { m: 60 * 1000, h: 60 * 60 * 1000, d: DAY_MS, w: 7 * DAY_MS }[match[2]];
+    return parseInt(match[1]) * unit;
+}
+
+/**
+ * Fetch 1m klines for a symbol between two timestamps (cached on disk)
+ */
+async function fetchKlines(marketClient, symbol, from, to, cacheDir) {
+    const cacheFile = path.join(cacheDir, `${symbol}_1m_${from}_${to}.json`);
+    if (fs.existsSync(cacheFile)) {
+        try {
+            return JSON.parse(fs.readFileSync(cacheFile, 'utf8'));
+        } catch (error) {
+            logIT(`Ignoring unreadable kline cache ${cacheFile}: ${error.message}`, LOG_LEVEL.WARNING);
+        }
+    }
+
+    const rows = [];
+    let end = to;
+
+    // Bybit returns at most 1000 klines per call, newest first
+    while (end >= from) {
+        const response = await marketClient.getKline({
+            category: 'linear',
+            symbol,
+            interval: '1',
+            start: from,
+            end,
+            limit: 1000
+        });
+
+        if (response.retCode !== 0 || !response.result?.list) {
+            throw new Error(`Kline fetch failed for ${symbol}: ${response.retMsg}`);
+        }
+
+        const list = response.result.list;
+        if (list.length === 0) break;
+
+        rows.unshift(...list.slice().reverse());
+        end = parseInt(list[list.length - 1][0]) - 1;
+
+        if (list.length < 1000) break;
+        await new Promise(resolve => setTimeout(resolve, 100));
+    }
+
+    const klines = { t: [], o: [], h: [], l: [], c: [], turnover: [] };
+    for (const row of rows) {
+        klines.t.push(parseInt(row[0]));
+        klines.o.push(parseFloat(row[1]));
+        klines.h.push(parseFloat(row[2]));
+        klines.l.push(parseFloat(row[3]));
+        klines.c.push(parseFloat(row[4]));
+        klines.turnover.push(parseFloat(row[6]) || 0);
+    }
+
+    if (!fs.existsSync(cacheDir)) {
+        fs.mkdirSync(cacheDir, { recursive: true });
+    }
+    fs.writeFileSync(cacheFile, JSON.stringify(klines));
+
+    return klines;
+}
+
+/**
+ * Fetch instrument info for all linear pairs keyed by symbol
+ */
+async function fetchInstruments(marketClient) {
+    const instruments = {};
+    let cursor = '';
+
+    do {
+        const response = await marketClient.getInstrumentsInfo({ category: 'linear', limit: 1000, cursor });
+        if (response.retCode !== 0 || !response.result?.list) {
+            throw new Error(`Instrument fetch failed: ${response.retMsg}`);
+        }
+
+        for (const instrument of response.result.list) {
+            instruments[instrument.symbol] = {
+                symbol: instrument.symbol,
+                lotSizeFilter: instrument.lotSizeFilter,
+                priceFilter: instrument.priceFilter,
+                leverageFilter: instrument.leverageFilter
+            };
+        }
+        cursor = response.result.nextPageCursor;
+    } while (cursor);
+
+    return instruments;
+}
+
+/**
+ * Load recorded liquidations, instruments and klines for a backtest window
+ * @param {Object} marketClient - RestClientV5 for public market data
+ * @param {LiquidationRecorder} recorder - Recorder used to read liquidation recordings
+ * @param {Object} options - { from, to, researchData, blacklist, whitelist, symbols, minLiquidationVolume, klineWarmupMs, cacheDir }
+ */
+export async function loadBacktestDataset(marketClient, recorder, options) {
+    const { from, to, researchData } = options;
+    const warmupMs = Math.max(DAY_MS, options.klineWarmupMs || 0);
+    const cacheDir = options.cacheDir || './data/backtests/klines';
+    const researchSymbols = new Set((researchData?.data || []).map(item => item.name + 'USDT'));
+
+    logIT(`Loading liquidation recordings from ${moment.utc(from).format()} to ${moment.utc(to).format()}`, LOG_LEVEL.INFO);
+
+    // Only pairs present in research data ever get settings, so only they can trade
+    const events = [];
+    for await (const event of recorder.readEvents(from, to, ['liquidation'])) {
+        if (!researchSymbols.has(event.symbol)) continue;
+        if (options.symbols && !options.symbols.includes(event.symbol)) continue;
+        if (!shouldProcessPair(event.symbol, options.blacklist, options.whitelist)) continue;
+
+        events.push({ ts: event.ts, symbol: event.symbol, side: event.side, price: event.price, size: event.size });
+    }
+    events.sort((a, b) => a.ts - b.ts);
+
+    if (events.length === 0) {
+        throw new Error('No recorded liquidation events found for the requested window');
+    }
+
+    // Symbols that cross their liquidation threshold at least once need price data
+    const liquidationOrders = [];
+    const candidates = new Set();
+    for (const event of events) {
+        const index = aggregateLiquidation(liquidationOrders, event.symbol, event.price, event.side, event.size * event.price, Math.floor(event.ts / 1000));
+        if (liquidationOrders[index].qty > getLiquidationThreshold(researchData, event.symbol, options.minLiquidationVolume)) {
+            candidates.add(event.symbol);
+        }
+    }
+
+    logIT(`Loaded ${events.length} liquidation events, ${candidates.size} pairs crossed their threshold`, LOG_LEVEL.INFO);
+
+    const instruments = await fetchInstruments(marketClient);
+    const klines = {};
+
+    for (const symbol of candidates) {
+        if (!instruments[symbol]) continue;
+
+        logIT(`Fetching klines for ${symbol}`, LOG_LEVEL.INFO);
+        klines[symbol] = await fetchKlines(marketClient, symbol, from - warmupMs, to, cacheDir);
+    }
+
+    return { from, to, events, researchData, instruments, klines };
+}
+
+/**
+ * Restrict a dataset to a sub-window (klines are shared, earlier ones act as warmup)
+ */
+export function sliceDataset(dataset, from, to) {
+    return {
+        ...dataset,
+        from,
+        to,
+        events: dataset.events.filter(event => event.ts >= from && event.ts <= to)
+    };
+}
+
+class Backtester {
+    constructor(params = {}) {
+        this.params = this.initializeParams(params);
+    }
+
+    /**
+     * Initialize strategy and simulation parameters with defaults
+     */
+    initializeParams(userParams) {
+        const defaultParams = {
+            // Simulated account
+            startingBalance: 1000,
+            takerFeePercent: 0.055,
+            makerFeePercent: 0.02,
+            slippagePercent: 0.02,
+
+            // Trading & position management
+            leverage: 20,
+            percentOrderSize: 5,
+            maxPositionSizePercent: 50,
+            maxOpenPositions: 2,
+            hedgeMode: true,
+
+            // Entry filters
+            minLiquidationVolume: 1500,
+            riskLevel: 2,
+            min24hVolume: 0,
+
+            // Take profit & stop loss
+            takeProfitPercent: 0.484,
+            useStopLoss: false,
+            stopLossPercent: 50,
+            atrExits: null,             // ATR-based TP/SL settings (USE_ATR_TP_SL), null for fixed percentages
+
+            // Scaled ATR DCA
+            useScaledATRDCA: true,
+            dca: {},
+
+            // Reporting
+            equitySampleMs: 60 * 60 * 1000
+        };
+
+        return { ...defaultParams, ...userParams, dca: { ...userParams.dca } };
+    }
+
+    /**
+     * Run the simulation over a dataset from loadBacktestDataset()
+     * @returns {Promise<Object>} Report with summary, trades and equity curve
+     */
+    async simulate(dataset) {
+        this.dataset = dataset;
+        this.cursors = new Map(Object.keys(dataset.klines).map(symbol => [symbol, 0]));
+        this.turnoverPrefix = this.buildTurnoverPrefix(dataset.klines);
+        this.pairSettings = this.buildPairSettings(dataset.researchData);
+        this.pending = new Set();
+        this.openTrades = new Map();
+        this.trades = [];
+        this.equityCurve = [];
+        this.nextEquitySample = dataset.from;
+        this.counters = { liquidationEvents: 0, signals: 0, entries: 0, skipped: 0, rejectedOrders: 0, tpSlFailures: 0, dcaFailures: 0 };
+
+        const market = new ReplayMarketClient(dataset, symbol => this.cursors.get(symbol) || 0);
+
+        this.exchange = new PaperExchange(market, {
+            startingBalance: this.params.startingBalance,
+            takerFeePercent: this.params.takerFeePercent,
+            makerFeePercent: this.params.makerFeePercent,
+            slippagePercent: this.params.slippagePercent,
+            defaultLeverage: this.params.leverage,
+            persistState: false
+        });
+        this.exchange.currentTime = dataset.from;
+        this.exchange.on('execution', execution => this.handleExecution(execution));
+        this.exchange.on('orderUpdate', order => this.handleOrderUpdate(order));
+
+        this.atrService = new ATRService(this.exchange, { persistCache: false, cacheTimeout: 0 });
+        this.scaledATRDCA = this.params.useScaledATRDCA
+            ? new ScaledATRDCA(this.exchange, this.atrService, { ...this.params.dca, persistState: false })
+            : null;
+
+        try {
+            const liquidationOrders = [];
+
+            for (const event of dataset.events) {
+                await this.advanceTo(event.ts);
+                this.counters.liquidationEvents++;
+
+                const qty = event.size * event.price;
+                const index = aggregateLiquidation(liquidationOrders, event.symbol, event.price, event.side, qty, Math.floor(event.ts / 1000));
+                const threshold = getLiquidationThreshold(dataset.researchData, event.symbol, this.params.minLiquidationVolume);
+
+                if (liquidationOrders[index].qty > threshold) {
+                    this.counters.signals++;
+                    await this.evaluateEntry(event.symbol, liquidationOrders[index]);
+                    await this.drain();
+                }
+            }
+
+            await this.advanceTo(dataset.to);
+            this.closeOpenTrades();
+            this.sampleEquity(dataset.to, true);
+
+            return this.buildReport();
+        } finally {
+            if (this.scaledATRDCA) {
+                this.scaledATRDCA.stopPerformanceMonitoring();
+            }
+        }
+    }
+
+    /**
+     * Gate prices per pair, generated from research data exactly like settings.json
+     */
+    buildPairSettings(researchData) {
+        const pairSettings = new Map();
+
+        for (const item of researchData?.data || []) {
+            if (item.name.includes('1000')) continue;
+
+            const riskPrices = calculateRiskPrices(item.long_price, item.short_price, this.params.riskLevel);
+            pairSettings.set(item.name + 'USDT', {
+                long_price: riskPrices.long_risk,
+                short_price: riskPrices.short_risk
+            });
+        }
+
+        return pairSettings;
+    }
+
+    buildTurnoverPrefix(klines) {
+        const prefix = new Map();
+        for (const [symbol, data] of Object.entries(klines)) {
+            const sums = [0];
+            for (let i = 0; i < data.turnover.length; i++) {
+                sums.push(sums[i] + data.turnover[i]);
+            }
+            prefix.set(symbol, sums);
+        }
+        return prefix;
+    }
+
+    /**
+     * Rolling 24h turnover from completed klines
+     */
+    getTurnover24h(symbol) {
+        const klines = this.dataset.klines[symbol];
+        const cursor = this.cursors.get(symbol) || 0;
+        if (!klines || cursor === 0) return 0;
+
+        const since = klines.t[cursor - 1] + KLINE_INTERVAL_MS - DAY_MS;
+        let low = 0;
+        let high = cursor;
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if (klines.t[mid] < since) low = mid + 1;
+            else high = mid;
+        }
+
+        const sums = this.turnoverPrefix.get(symbol);
+        return sums[cursor] - sums[low];
+    }
+
+    /**
+     * Feed completed klines up to a timestamp into the exchange in time order
+     */
+    async advanceTo(timestamp) {
+        while (true) {
+            // Pick the symbol whose next completed kline is earliest
+            let nextSymbol = null;
+            let nextTime = Infinity;
+
+            for (const [symbol, cursor] of this.cursors.entries()) {
+                const klines = this.dataset.klines[symbol];
+                if (cursor >= klines.t.length) continue;
+
+                const closeTime = klines.t[cursor] + KLINE_INTERVAL_MS;
+                if (closeTime <= timestamp && closeTime < nextTime) {
+                    nextTime = closeTime;
+                    nextSymbol = symbol;
+                }
+            }
+
+            if (!nextSymbol) break;
+
+            await this.replayKline(nextSymbol);
+            this.sampleEquity(nextTime);
+        }
+
+        this.exchange.currentTime = Math.max(this.exchange.currentTime, timestamp);
+    }
+
+    /**
+     * Replay one 1m kline as open -> low/high -> high/low -> close
+     */
+    async replayKline(symbol) {
+        const klines = this.dataset.klines[symbol];
+        const i = this.cursors.get(symbol);
+        const t = klines.t[i];
+        this.cursors.set(symbol, i + 1);
+
+        // Only symbols with open positions or orders need the intra-candle path
+        if (!this.exchange.getTrackedSymbols().has(symbol)) {
+            this.exchange.setPrice(symbol, klines.c[i], Math.max(this.exchange.currentTime, t + KLINE_INTERVAL_MS));
+            return;
+        }
+
+        const bullish = klines.c[i] >= klines.o[i];
+        const path = bullish
+            ? [klines.o[i], klines.l[i], klines.h[i], klines.c[i]]
+            : [klines.o[i], klines.h[i], klines.l[i], klines.c[i]];
+
+        for (let step = 0; step < path.length; step++) {
+            this.exchange.setPrice(symbol, path[step], Math.max(this.exchange.currentTime, t + (step + 1) * KLINE_INTERVAL_MS / path.length));
+            await this.drain();
+        }
+    }
+
+    /**
+     * Track an async handler so the replay waits for it before moving on
+     */
+    track(promise) {
+        const tracked = Promise.resolve(promise)
+            .catch(error => logIT(`Backtest handler error: ${error.message}`, LOG_LEVEL.ERROR))
+            .finally(() => this.pending.delete(tracked));
+        this.pending.add(tracked);
+    }
+
+    async drain() {
+        while (this.pending.size > 0) {
+            await Promise.allSettled(Array.from(this.pending));
+        }
+    }
+
+    /**
+     * Position limits mirroring canOpenNewPosition() in app.js
+     */
+    canOpenPosition(symbol, side) {
+        const positions = Array.from(this.exchange.positions.values());
+        const sides = positions.filter(p => p.symbol === symbol).map(p => p.side);
+
+        if (sides.includes(side)) {
+            return false;
+        }
+        if (positions.length < this.params.maxOpenPositions) {
+            return true;
+        }
+
+        // At max positions hedge mode still allows hedging an existing pair
+        return this.params.hedgeMode && sides.length > 0;
+    }
+
+    /**
+     * Entry logic mirroring scalp(): position limits, 24h volume, price gate, sizing, order, TP/SL, DCA
+     */
+    async evaluateEntry(symbol, liquidation) {
+        const pairSettings = this.pairSettings.get(symbol);
+        const side = liquidation.side === 'Buy' ? 'Buy' : 'Sell';
+
+        if (!pairSettings
+            || !this.canOpenPosition(symbol, side)
+            || !meetsMinimum24hVolume(this.getTurnover24h(symbol), this.params.min24hVolume)
+            || !passesPriceGate(liquidation.side, liquidation.price, pairSettings)) {
+            this.counters.skipped++;
+            return;
+        }
+
+        const price = this.exchange.prices.get(symbol)?.lastPrice;
+        const instrument = this.dataset.instruments[symbol];
+        if (!price || !instrument) {
+            this.counters.skipped++;
+            return;
+        }
+
+        const minOrderQty = parseFloat(instrument.lotSizeFilter.minOrderQty);
+        const qtyStep = parseFloat(instrument.lotSizeFilter.qtyStep) || 1;
+        const balance = this.exchange.getAccountSummary().available;
+        const sizing = calculatePairSizing(balance, price, minOrderQty, this.params.percentOrderSize, this.params.maxPositionSizePercent, this.params.leverage);
+        const orderQty = processOrderQuantity(sizing.orderSize, minOrderQty, qtyStep);
+
+        if (orderQty > sizing.maxPositionSize) {
+            this.counters.skipped++;
+            return;
+        }
+
+        // ScaledATRDCA always places hedge-mode orders, so the simulation uses hedge position indexes
+        const positionIdx = side === 'Buy' ? 1 : 2;
+        const order = await createMarketOrder(this.exchange, symbol, side, orderQty, positionIdx);
+        if (order.retCode !== 0) {
+            this.counters.rejectedOrders++;
+            return;
+        }
+
+        this.counters.entries++;
+        const position = this.exchange.positions.get(this.exchange.getPositionKey(symbol, positionIdx));
+        const trade = this.openTrades.get(this.exchange.getPositionKey(symbol, positionIdx));
+        if (trade) {
+            trade.triggerVolume = liquidation.qty;
+        }
+
+        await this.setTakeProfit(symbol, positionIdx);
+
+        if (this.scaledATRDCA && position) {
+            const dcaSide = side === 'Buy' ? 'long' : 'short';
+            const positionId = `${symbol}_${dcaSide}_${this.exchange.now()}`;
+
+            try {
+                await this.scaledATRDCA.initializeDCAPosition(positionId, symbol, dcaSide, position.avgPrice, parseFloat(orderQty));
+
+                // Re-anchor TP/SL on the averaged entry once the ladder completes, like the live bot
+                this.scaledATRDCA.registerPositionCallback(positionId, event => {
+                    if (event === 'completed') {
+                        this.track(this.setTakeProfit(symbol, positionIdx));
+                    }
+                });
+            } catch (error) {
+                this.counters.dcaFailures++;
+                logIT(`Backtest DCA initialization failed for ${symbol}: ${error.message}`, LOG_LEVEL.WARNING);
+            }
+        }
+    }
+
+    /**
+     * TP/SL logic mirroring takeProfit() in app.js
+     */
+    async setTakeProfit(symbol, positionIdx) {
+        const position = this.exchange.positions.get(this.exchange.getPositionKey(symbol, positionIdx));
+        if (!position) return;
+
+        let { takeProfitPercent, stopLossPercent } = this.params;
+        if (this.params.atrExits) {
+            const { timeframe, length } = this.params.atrExits;
+            const atr = await this.atrService.calculateATR(symbol, { timeframe, length });
+            const exits = calculateAtrExitPercents(atr, position.avgPrice, this.params.atrExits);
+            if (exits) {
+                ({ takeProfitPercent, stopLossPercent } = exits);
+            }
+        }
+
+        const prices = calculateProfitLossPrices(
+            position.avgPrice,
+            position.side,
+            takeProfitPercent,
+            stopLossPercent,
+            this.params.useStopLoss
+        );
+        if (!prices) return;
+
+        const tickSize = this.dataset.instruments[symbol].priceFilter.tickSize;
+        const decimalPlaces = (tickSize.toString().split('.')[1] || '').length;
+        const takeProfitStr = formatPrice(prices.takeProfit, decimalPlaces);
+        const stopLossStr = this.params.useStopLoss ? formatPrice(prices.stopLoss, decimalPlaces) : null;
+
+        const order = await setTradingStopAPI(this.exchange, symbol, takeProfitStr, stopLossStr, positionIdx);
+        if (!handleTpSlResponse(order, symbol, this.params.useStopLoss).success) {
+            this.counters.tpSlFailures++;
+            logIT(`Backtest TP/SL rejected for ${symbol}: ${order.retMsg}`, LOG_LEVEL.DEBUG);
+        }
+    }
+
+    /**
+     * Forward DCA fills to ScaledATRDCA like handleOrderUpdate() in app.js
+     */
+    handleOrderUpdate(order) {
+        if (order.orderStatus === 'Filled' && this.scaledATRDCA?.activeOrders.has(order.orderId)) {
+            this.track(this.scaledATRDCA.handleOrderFill(order.orderId, parseFloat(order.price), parseFloat(order.qty)));
+        }
+    }
+
+    /**
+     * Build the trade list from fills
+     */
+    handleExecution(execution) {
+        const key = this.exchange.getPositionKey(execution.symbol, execution.positionIdx);
+        let trade = this.openTrades.get(key);
+
+        if (!trade) {
+            trade = {
+                symbol: execution.symbol,
+                side: execution.side,
+                entryTime: execution.execTime,
+                entryPrice: execution.execPrice,
+                averageEntryPrice: execution.execPrice,
+                maxSize: 0,
+                dcaLevelsFilled: 0,
+                fees: 0,
+                realisedPnl: 0,
+                triggerVolume: null
+            };
+            this.openTrades.set(key, trade);
+        } else if (execution.side === trade.side) {
+            trade.dcaLevelsFilled++;
+        }
+
+        trade.fees += execution.execFee;
+        trade.realisedPnl += execution.closedPnl;
+
+        const position = this.exchange.positions.get(key);
+        if (position) {
+            trade.averageEntryPrice = position.avgPrice;
+            trade.maxSize = Math.max(trade.maxSize, position.size);
+            return;
+        }
+
+        // Position closed
+        this.openTrades.delete(key);
+        this.recordTrade(trade, execution.execTime, execution.execPrice, execution.stopOrderType || 'Manual');
+        this.track(this.cleanupDCA(execution.symbol, trade.side));
+    }
+
+    recordTrade(trade, exitTime, exitPrice, exitReason) {
+        const netPnl = trade.realisedPnl - trade.fees;
+        this.trades.push({
+            ...trade,
+            exitTime,
+            exitPrice,
+            exitReason,
+            netPnl,
+            returnPercent: (netPnl / (trade.averageEntryPrice * trade.maxSize)) * 100 * this.params.leverage,
+            durationMinutes: Math.round((exitTime - trade.entryTime) / 60000)
+        });
+    }
+
+    /**
+     * Cancel leftover DCA orders once the main position is gone (checkAndCleanupDCAPositions)
+     */
+    async cleanupDCA(symbol, side) {
+        if (!this.scaledATRDCA) return;
+
+        const dcaSide = side === 'Buy' ? 'long' : 'short';
+        const positions = Array.from(this.scaledATRDCA.activePositions.values())
+            .filter(pos => pos.symbol === symbol && pos.side === dcaSide && pos.status === 'active');
+
+        for (const dcaPosition of positions) {
+            for (const orderId of [...dcaPosition.activeOrders]) {
+                await this.scaledATRDCA.cancelDCAOrder(dcaPosition.positionId, orderId);
+            }
+            await this.scaledATRDCA.completeDCAPosition(dcaPosition.positionId);
+        }
+    }
+
+    /**
+     * Mark still-open positions to market at the end of the window
+     * The taker fee of the closing market order is charged like on a real exit
+     */
+    closeOpenTrades() {
+        for (const [key, trade] of this.openTrades.entries()) {
+            const position = this.exchange.positions.get(key);
+            if (!position) continue;
+
+            trade.realisedPnl += this.exchange.getUnrealisedPnl(position);
+            const exitPrice = this.exchange.prices.get(trade.symbol)?.lastPrice || position.avgPrice;
+            const exitFee = position.size * exitPrice * (this.exchange.config.takerFeePercent / 100);
+            trade.fees += exitFee;
+            this.exchange.walletBalance -= exitFee;
+            this.recordTrade(trade, this.dataset.to, exitPrice, 'EndOfTest');
+        }
+        this.openTrades.clear();
+    }
+
+    sampleEquity(timestamp, force = false) {
+        if (!force && timestamp < this.nextEquitySample) return;
+
+        const summary = this.exchange.getAccountSummary();
+        this.equityCurve.push({
+            timestamp,
+            equity: summary.equity,
+            balance: this.exchange.walletBalance,
+            openPositions: this.exchange.positions.size
+        });
+        this.nextEquitySample = timestamp + this.params.equitySampleMs;
+    }
+
+    /**
+     * Summarize trades and equity curve
+     */
+    buildReport() {
+        const wins = this.trades.filter(trade => trade.netPnl > 0);
+        const losses = this.trades.filter(trade => trade.netPnl <= 0);
+        const grossProfit = wins.reduce((sum, trade) => sum + trade.netPnl, 0);
+        const grossLoss = Math.abs(losses.reduce((sum, trade) => sum + trade.netPnl, 0));
+        const endingEquity = this.equityCurve.length > 0
+            ? this.equityCurve[this.equityCurve.length - 1].equity
+            : this.params.startingBalance;
+
+        let peak = this.params.startingBalance;
+        let maxDrawdown = 0;
+        let maxDrawdownPercent = 0;
+        for (const point of this.equityCurve) {
+            peak = Math.max(peak, point.equity);
+            const drawdown = peak - point.equity;
+            if (drawdown > maxDrawdown) {
+                maxDrawdown = drawdown;
+                maxDrawdownPercent = (drawdown / peak) * 100;
+            }
+        }
+
+        // Annualized Sharpe ratio of equity-curve returns per sample period
+        const returns = [];
+        for (let i = 1; i < this.equityCurve.length; i++) {
+            const previous = this.equityCurve[i - 1].equity;
+            if (previous > 0) returns.push((this.equityCurve[i].equity - previous) / previous);
+        }
+        const meanReturn = returns.reduce((sum, r) => sum + r, 0) / (returns.length || 1);
+        const stdReturn = Math.sqrt(returns.reduce((sum, r) => sum + (r - meanReturn) ** 2, 0) / (returns.length || 1));
+        const periodsPerYear = (365 * DAY_MS) / this.params.equitySampleMs;
+        const sharpeRatio = stdReturn > 0 ? (meanReturn / stdReturn) * Math.sqrt(periodsPerYear) : 0;
+
+        return {
+            generatedAt: new Date().toISOString(),
+            from: this.dataset.from,
+            to: this.dataset.to,
+            params: this.params,
+            summary: {
+                startingBalance: this.params.startingBalance,
+                endingEquity,
+                netProfit: endingEquity - this.params.startingBalance,
+                returnPercent: ((endingEquity - this.params.startingBalance) / this.params.startingBalance) * 100,
+                totalTrades: this.trades.length,
+                wins: wins.length,
+                losses: losses.length,
+                winRate: this.trades.length > 0 ? (wins.length / this.trades.length) * 100 : 0,
+                // Infinity does not survive JSON, so a run without losing trades is flagged explicitly
+                profitFactor: grossLoss > 0 ? grossProfit / grossLoss : (grossProfit > 0 ? Infinity : 0),
+                profitFactorInfinite: grossLoss === 0 && grossProfit > 0,
+                maxDrawdown,
+                maxDrawdownPercent,
+                sharpeRatio,
+                averageDcaDepth: this.trades.length > 0
+                    ? this.trades.reduce((sum, trade) => sum + trade.dcaLevelsFilled, 0) / this.trades.length
+                    : 0,
+                totalFees: this.trades.reduce((sum, trade) => sum + trade.fees, 0),
+                ...this.counters
+            },
+            trades: this.trades,
+            equityCurve: this.equityCurve
+        };
+    }
+}
+
+/**
+ * Print a backtest report to the console
+ */
+export function printBacktestReport(report) {
+    const s = report.summary;
+    const format = ts => moment.utc(ts).format('YYYY-MM-DD HH:mm');
+
+    console.log(chalk.blue(`\n=== BACKTEST ${format(report.from)} -> ${format(report.to)} (UTC) ===\n`));
+
+    console.log(chalk.green("📈 Trades:"));
+    report.trades.forEach((trade, index) => {
+        const color = trade.netPnl > 0 ? chalk.green : chalk.red;
+        console.log(color(`   ${index + 1}. ${format(trade.entryTime)} ${trade.symbol} ${trade.side} entry ${trade.entryPrice} avg ${trade.averageEntryPrice.toFixed(6)} exit ${trade.exitPrice} (${trade.exitReason}) DCA ${trade.dcaLevelsFilled} PnL ${trade.netPnl.toFixed(4)} USDT`));
+    });
+    if (report.trades.length === 0) {
+        console.log(chalk.yellow("   No trades"));
+    }
+
+    console.log(chalk.green("\n📊 Summary:"));
+    console.log(`   Balance: ${s.startingBalance.toFixed(2)} -> ${s.endingEquity.toFixed(2)} USDT (${s.returnPercent.toFixed(2)}%)`);
+    console.log(`   Trades: ${s.totalTrades} (${s.wins} wins / ${s.losses} losses)`);
+    console.log(`   Win Rate: ${s.winRate.toFixed(1)}%`);
+    console.log(`   Profit Factor: ${s.profitFactorInfinite ? '∞' : s.profitFactor.toFixed(2)}`);
+    console.log(`   Max Drawdown: ${s.maxDrawdown.toFixed(2)} USDT (${s.maxDrawdownPercent.toFixed(2)}%)`);
+    console.log(`   Sharpe Ratio: ${s.sharpeRatio.toFixed(2)}`);
+    console.log(`   Average DCA Depth: ${s.averageDcaDepth.toFixed(2)} levels`);
+    console.log(`   Fees Paid: ${s.totalFees.toFixed(4)} USDT`);
+    console.log(`   Liquidation Events: ${s.liquidationEvents} | Signals: ${s.signals} | Entries: ${s.entries} | Skipped: ${s.skipped}`);
+
+    console.log(chalk.blue("\n=========================================\n"));
+}
+
+/**
+ * Save a backtest report (JSON) and equity curve (CSV)
+ * @returns {string} Path of the JSON report
+ */
+export function saveBacktestReport(report, dir = './data/backtests') {
+    if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+    }
+
+    const baseName = `backtest-${moment.utc(report.generatedAt).format('YYYYMMDD-HHmmss')}`;
+    const reportPath = path.join(dir, `${baseName}.json`);
+
+    fs.writeFileSync(reportPath, JSON.stringify(report, null, 2));
+    fs.writeFileSync(
+        path.join(dir, `${baseName}-equity.csv`),
+        'timestamp,equity,balance,openPositions\n' + report.equityCurve
+            .map(point => `${moment.utc(point.timestamp).toISOString()},${point.equity},${point.balance},${point.openPositions}`)
+            .join('\n')
+    );
+
+    return reportPath;
+}
+
+export default Backtester;
@@ -0,0 +1,252 @@
+/**
+ * Config Reloader - Applies .env and pair_overrides.json edits while the bot runs
+ * Filters, thresholds, TP/SL and DCA parameters take effect on the next check or new position;
+ * settings that need account reconfiguration or rebuilt services (HEDGE_MODE, API keys, sinks, ...)
+ * are held back until a restart. A reload that fails validation is rejected as a whole
+ */
+
+import fs from 'fs';
+import { parse } from 'dotenv';
+import { logIT, LOG_LEVEL } from './log.js';
+import { CONFIG_SCHEMA, loadConfig, applyConfigDefaults } from './configSchema.js';
+
+// Settings that can change without a restart; everything else waits for one
+export const LIVE_KEYS = new Set([
+    // Filters and entry thresholds
+    'BLACKLIST', 'USE_WHITELIST', 'WHITELIST', 'MIN_LIQUIDATION_VOLUME', 'MIN_24H_VOLUME',
+    'RESEARCH_MAX_AGE_MINUTES', 'RESEARCH_STALE_POLICY', 'RESEARCH_FALLBACK_BAND_PERCENT', 'RESEARCH_STALE_SIZE_FACTOR',
+    'MAX_OPEN_POSITIONS', 'RISK_LEVEL', 'PERCENT_ORDER_SIZE', 'MAX_POSITION_SIZE_PERCENT',
+    // Take profit and stop loss
+    'USE_TAKE_PROFIT', 'TAKE_PROFIT_PERCENT', 'USE_STOPLOSS', 'STOP_LOSS_PERCENT', 'TP_LADDER',
+    'USE_ATR_TP_SL', 'ATR_TP_MULTIPLIER', 'ATR_SL_MULTIPLIER', 'ATR_TP_MIN_PERCENT', 'ATR_TP_MAX_PERCENT',
+    'ATR_SL_MIN_PERCENT', 'ATR_SL_MAX_PERCENT', 'ATR_TP_SL_TIMEFRAME', 'ATR_TP_SL_LENGTH',
+    // DCA parameters for new positions
+    'USE_DCA_FEATURE', 'ATR_TIMEFRAME', 'ATR_LENGTH', 'ATR_DEVIATION', 'DCA_NUM_ORDERS',
+    'DCA_VOLUME_SCALE', 'DCA_STEP_SCALE', 'DCA_MAX_TOTAL_PERCENT', 'DCA_RISK_PER_LEVEL',
+    // Risk limits and exits of running services
+    'DAILY_MAX_LOSS_PERCENT', 'MAX_DRAWDOWN_PERCENT', 'RISK_FLATTEN_ON_BREACH',
+    'STOP_LOSS_TIMEOUT', 'STOP_LOSS_TIMEOUT_PROFIT', 'STOP_LOSS_TIMEOUT_LOSS', 'STOP_LOSS_TIMEOUT_PROFIT_ACTION',
+    'STOP_LOSS_TIMEOUT_LOSS_ACTION', 'STOP_LOSS_TIMEOUT_TIGHTEN_PERCENT',
+    'BREAK_EVEN_TRIGGER_PERCENT', 'BREAK_EVEN_FEE_PERCENT', 'TRAILING_ACTIVATION_PERCENT', 'TRAILING_MODE',
+    'TRAILING_DISTANCE_PERCENT', 'TRAILING_ATR_MULTIPLIER', 'TRAILING_REMOVE_TP', 'TRAILING_CHECK_INTERVAL',
+    // Reporting and data refresh
+    'DISCORD_REPORT_INTERVAL', 'RESEARCH_UPDATE_INTERVAL', 'MIN_ORDER_SIZE_UPDATE_INTERVAL',
+    'SETTINGS_UPDATE_INTERVAL', 'ACCOUNT_UPDATE_INTERVAL'
+]);
+
+/**
+ * Set or remove an environment variable; assigning undefined would store the string "undefined"
+ */
+function setEnv(key, value) {
+    if (value === undefined) {
+        delete process.env[key];
+    } else {
+        process.env[key] = value;
+    }
+}
+
+class ConfigReloader {
+    /**
+     * @param {Object} handlers - Bot actions: { applyConfig, pairOverrides, announce }
+     *   applyConfig(values, keys) pushes changed live settings into running services and
+     *   returns the keys it could not apply (their service is disabled)
+     * @param {Object} config - { envFile, overridesFile, pollIntervalMs, debounceMs }
+     */
+    constructor(handlers, config = {}) {
+        this.handlers = handlers;
+        this.config = this.initializeConfig(config);
+
+        this.fileKeys = new Set();          // Keys set by the .env file at the last accepted reload
+        this.environmentKeys = new Set();   // Keys set outside .env, which dotenv never overrides
+        this.pending = {};                  // key -> value held back until a restart
+        this.overrides = {};                // Flattened pair overrides at the last reload
+        this.timers = {};
+        this.isWatching = false;
+    }
+
+    /**
+     * Initialize configuration with defaults
+     */
+    initializeConfig(userConfig) {
+        const defaultConfig = {
+            envFile: '.env',
+            overridesFile: 'pair_overrides.json',
+            pollIntervalMs: 2000,
+            debounceMs: 1000               // Editors often write a file in several steps
+        };
+
+        return { ...defaultConfig, ...userConfig };
+    }
+
+    start() {
+        if (this.isWatching) return;
+
+        const fileValues = this.readEnvFile() || {};
+        this.fileKeys = new Set(Object.keys(fileValues));
+        this.environmentKeys = new Set(Object.keys(fileValues).filter(key => process.env[key] !== fileValues[key]));
+        this.overrides = this.flattenOverrides();
+
+        fs.watchFile(this.config.envFile, { interval: this.config.pollIntervalMs }, (current, previous) => {
+            if (current.mtimeMs !== previous.mtimeMs) this.schedule('env', () => this.reloadEnv());
+        });
+        fs.watchFile(this.config.overridesFile, { interval: this.config.pollIntervalMs }, (current, previous) => {
+            if (current.mtimeMs !== previous.mtimeMs) this.schedule('overrides', () => this.reloadOverrides());
+        });
+        this.isWatching = true;
+
+        logIT(`Config reloader watching ${this.config.envFile} and ${this.config.overridesFile}`, LOG_LEVEL.INFO);
+    }
+
+    stop() {
+        if (!this.isWatching) return;
+
+        fs.unwatchFile(this.config.envFile);
+        fs.unwatchFile(this.config.overridesFile);
+        for (const timer of Object.values(this.timers)) {
+            clearTimeout(timer);
+        }
+        this.timers = {};
+        this.isWatching = false;
+    }
+
+    schedule(name, reload) {
+        clearTimeout(this.timers[name]);
+        this.timers[name] = setTimeout(() => {
+            delete this.timers[name];
+            try {
+                reload();
+            } catch (error) {
+                logIT(`Config reload failed: ${error.message}`, LOG_LEVEL.ERROR);
+            }
+        }, this.config.debounceMs);
+    }
+
+    readEnvFile() {
+        try {
+            return parse(fs.readFileSync(this.config.envFile));
+        } catch (error) {
+            logIT(`Unable to read ${this.config.envFile}: ${error.message}`, LOG_LEVEL.ERROR);
+            return null;
+        }
+    }
+
+    /**
+     * Validate the edited .env, apply live settings and hold back the rest
+     * @returns {Object|null} { applied, deferred } or null when the file was rejected
+     */
+    reloadEnv() {
+        const fileValues = this.readEnvFile();
+        if (!fileValues) return null;
+
+        // Build the environment the bot would start with: removed keys fall back to their defaults
+        const env = { ...process.env };
+        for (const key of this.fileKeys) {
+            if (!(key in fileValues) && !this.environmentKeys.has(key)) delete env[key];
+        }
+        for (const [key, value] of Object.entries(fileValues)) {
+            if (!this.environmentKeys.has(key)) env[key] = value;
+        }
+        applyConfigDefaults(env);
+
+        const result = loadConfig(env, this.config.envFile);
+        if (result.errors.length > 0) {
+            this.announce(`❌ ${this.config.envFile} change rejected, the running configuration is unchanged:\n${result.errors.map(error => `- ${error}`).join('\n')}`, 'error');
+            return null;
+        }
+        this.fileKeys = new Set(Object.keys(fileValues));
+
+        const changed = Object.keys(CONFIG_SCHEMA).filter(key => (env[key] ?? '') !== (process.env[key] ?? ''));
+        const live = changed.filter(key => LIVE_KEYS.has(key));
+        const previous = {};
+        for (const key of live) {
+            previous[key] = process.env[key];
+            setEnv(key, env[key]);
+        }
+
+        const unapplied = this.handlers.applyConfig(result.values, live) || [];
+        for (const key of unapplied) {
+            setEnv(key, previous[key]);
+        }
+
+        const applied = live.filter(key => !unapplied.includes(key));
+        const held = changed.filter(key => !applied.includes(key));
+        const deferred = held.filter(key => this.pending[key] !== env[key]);
+        this.pending = Object.fromEntries(held.map(key => [key, env[key]]));
+
+        if (applied.length === 0 && deferred.length === 0) return { applied, deferred };
+
+        const describe = (key, from) => `- ${key}: ${this.formatValue(key, from)} → ${this.formatValue(key, env[key])}`;
+        const lines = [`⚙️ ${this.config.envFile} reloaded`];
+        if (applied.length > 0) {
+            lines.push('Applied:', ...applied.map(key => describe(key, previous[key])));
+        }
+        if (deferred.length > 0) {
+            lines.push('Needs a restart:', ...deferred.map(key => describe(key, process.env[key])));
+        }
+        this.announce(lines.join('\n'), deferred.length > 0 ? 'warning' : 'info');
+
+        return { applied, deferred };
+    }
+
+    /**
+     * Reload pair overrides; they are resolved on every use so the new values apply immediately
+     * @returns {string[]|null} Changed override entries, or null when the file was rejected
+     */
+    reloadOverrides() {
+        if (!this.handlers.pairOverrides.load()) {
+            this.announce(`❌ ${this.config.overridesFile} could not be read, keeping the previous pair overrides`, 'error');
+            return null;
+        }
+
+        const before = this.overrides;
+        const after = this.flattenOverrides();
+        this.overrides = after;
+
+        const changes = [...new Set([...Object.keys(before), ...Object.keys(after)])]
+            .filter(entry => before[entry] !== after[entry])
+            .map(entry => `- ${entry}: ${before[entry] ?? '(unset)'} → ${after[entry] ?? '(unset)'}`);
+
+        if (changes.length > 0) {
+            this.announce([`⚙️ ${this.config.overridesFile} reloaded`, ...changes].join('\n'), 'info');
+        }
+        return changes;
+    }
+
+    /**
+     * Pair overrides as "group name KEY" / "SYMBOL KEY" -> value
+     */
+    flattenOverrides() {
+        const { groups, pairs } = this.handlers.pairOverrides;
+        const flat = {};
+
+        for (const group of groups) {
+            flat[`group ${group.name} symbols`] = [...group.symbols].join(', ');
+            for (const [key, value] of Object.entries(group.values)) {
+                flat[`group ${group.name} ${key}`] = String(value);
+            }
+        }
+        for (const [symbol, values] of Object.entries(pairs)) {
+            for (const [key, value] of Object.entries(values)) {
+                flat[`${symbol} ${key}`] = String(value);
+            }
+        }
+
+        return flat;
+    }
+
+    formatValue(key, value) {
+        if (value === undefined || value === '') return '(unset)';
+        return CONFIG_SCHEMA[key]?.secret ? '********' : value;
+    }
+
+    getPending() {
+        return { ...this.pending };
+    }
+
+    announce(message, severity) {
+        logIT(`Config reloader: ${message.replace(/\n/g, ' ')}`, severity === 'error' ? LOG_LEVEL.ERROR : LOG_LEVEL.INFO);
+        this.handlers.announce(message, severity);
+    }
+}
+
+export default ConfigReloader;
@@ -0,0 +1,538 @@
+/**
+ * Config Schema - Typed description of every .env setting
+ * Parses and range-checks the environment in one place, cross-checks settings that only make
+ * sense together and flags unknown keys, so a typo is reported at startup instead of silently
+ * falling back to a default. Unset keys get the schema default, which keeps the scattered
+ * process.env lookups on one set of defaults
+ */
+
+import fs from 'fs';
+import chalk from 'chalk';
+import { parse } from 'dotenv';
+import { logIT, LOG_LEVEL } from './log.js';
+import { NOTIFICATION_EVENTS, SEVERITY } from './notifier.js';
+import { TIMEOUT_ACTIONS } from './positionTimeoutMonitor.js';
+import { TRAILING_MODES } from './exitManager.js';
+import { PARAMETER_SPACE, OBJECTIVES } from './optimizer.js';
+import { parseTpLadder } from './utils.js';
+import { RESEARCH_SOURCES, BAND_METHODS, RESEARCH_STALE_POLICIES } from './researchEngine.js';
+
+const TIMEFRAMES = ['1m', '5m', '15m', '30m', '1h', '4h', '1d', '1w'];
+const NOTIFY_SINKS = ['DISCORD', 'TELEGRAM', 'WEBHOOK', 'CONSOLE', 'FILE'];
+
+// Placeholder values shipped in example.env
+const PLACEHOLDERS = ['apikeyhere', 'apisecrethere', 'rapidapi_key_here', 'webhook_url_here'];
+
+// Keys still accepted but no longer read, with what replaced them
+const DEPRECATED_KEYS = {
+    RISK_LEVEL_LONG: 'RISK_LEVEL',
+    RISK_LEVEL_SHORT: 'RISK_LEVEL'
+};
+
+/**
+ * Per-sink notification filters (NOTIFY_<SINK>_*)
+ */
+function notifySinkKeys() {
+    const keys = {};
+    for (const sink of NOTIFY_SINKS) {
+        keys[`NOTIFY_${sink}_MIN_SEVERITY`] = { type: 'enum', values: Object.keys(SEVERITY), lowercase: true, default: 'info' };
+        keys[`NOTIFY_${sink}_EVENTS`] = { type: 'list', values: Object.values(NOTIFICATION_EVENTS), lowercase: true };
+        keys[`NOTIFY_${sink}_MUTE`] = { type: 'list', values: Object.values(NOTIFICATION_EVENTS), lowercase: true };
+        keys[`NOTIFY_${sink}_RATE_LIMIT`] = { type: 'integer', min: 0, default: 0 };
+    }
+    return keys;
+}
+
+/**
+ * Optimizer search value overrides (OPTIMIZE_<PARAM>)
+ */
+function optimizeOverrideKeys() {
+    const keys = {};
+    for (const [name, definition] of Object.entries(PARAMETER_SPACE)) {
+        keys[`OPTIMIZE_${name}`] = { type: 'list', item: typeof definition.values[0] === 'number' ? 'number' : 'string' };
+    }
+    return keys;
+}
+
+/**
+ * Settings grouped like example.env
+ * type: boolean, integer, number, string, enum (values) or list (comma separated, optional values/item type)
+ * secret values are masked in reports
+ */
+export const CONFIG_SECTIONS = [
+    {
+        name: 'API Credentials & Source',
+        keys: {
+            API_KEY: { type: 'string', secret: true },
+            API_SECRET: { type: 'string', secret: true },
+            RAPIDAPI_KEY: { type: 'string', secret: true },
+            USE_ACCOUNT_STREAM: { type: 'boolean', default: true },
+            REST_MAX_CONCURRENT: { type: 'integer', min: 1, max: 50, default: 8 },
+            REST_RATE_LIMIT_RETRIES: { type: 'integer', min: 0, max: 10, default: 3 }
+        }
+    },
+    {
+        name: 'Trading & Position Management',
+        keys: {
+            LEVERAGE: { type: 'number', min: 1, max: 100, default: 10 },
+            MAX_OPEN_POSITIONS: { type: 'integer', min: 1, default: 2 },
+            MAX_POSITION_SIZE_PERCENT: { type: 'number', min: 0.01, max: 100, default: 50 },
+            PERCENT_ORDER_SIZE: { type: 'number', min: 0.01, max: 100, default: 5 },
+            MIN_LIQUIDATION_VOLUME: { type: 'number', min: 0, default: 1500 },
+            USE_DCA_FEATURE: { type: 'boolean', default: false },
+            RISK_LEVEL: { type: 'integer', min: 0, max: 5, default: 2 },
+            UPDATE_MIN_ORDER_SIZING: { type: 'boolean', default: false },
+            USE_SET_LEVERAGE: { type: 'boolean', default: false },
+            USE_MAX_LEVERAGE: { type: 'boolean', default: false },
+            MARGIN: { type: 'enum', values: ['ISOLATED_MARGIN', 'REGULAR_MARGIN', 'PORTFOLIO_MARGIN'], default: 'REGULAR_MARGIN' },
+            HEDGE_MODE: { type: 'boolean', default: false }
+        }
+    },
+    {
+        name: 'Take Profit & Stop Loss',
+        keys: {
+            USE_TAKE_PROFIT: { type: 'boolean', default: false },
+            TAKE_PROFIT_PERCENT: { type: 'number', min: 0.01, max: 100, default: 0.484 },
+            USE_STOPLOSS: { type: 'boolean', default: false },
+            STOP_LOSS_PERCENT: { type: 'number', min: 0.01, max: 100, default: 50 },
+            TP_LADDER: { type: 'string' },
+            USE_ATR_TP_SL: { type: 'boolean', default: false },
+            ATR_TP_MULTIPLIER: { type: 'number', min: 0.01, default: 1.5 },
+            ATR_SL_MULTIPLIER: { type: 'number', min: 0.01, default: 3 },
+            ATR_TP_MIN_PERCENT: { type: 'number', min: 0, max: 100, default: 0 },
+            ATR_TP_MAX_PERCENT: { type: 'number', min: 0, max: 100, default: 0 },
+            ATR_SL_MIN_PERCENT: { type: 'number', min: 0, max: 100, default: 0 },
+            ATR_SL_MAX_PERCENT: { type: 'number', min: 0, max: 100, default: 0 },
+            ATR_TP_SL_TIMEFRAME: { type: 'enum', values: TIMEFRAMES },
+            ATR_TP_SL_LENGTH: { type: 'integer', min: 1, max: 100 }
+        }
+    },
+    {
+        name: 'Smart Settings & Market Data',
+        keys: {
+            USE_SMART_SETTINGS: { type: 'boolean', default: false },
+            RESEARCH_SOURCE: { type: 'enum', values: RESEARCH_SOURCES, default: 'rapidapi' },
+            RESEARCH_LOOKBACK_HOURS: { type: 'number', min: 1, default: 168 },
+            RESEARCH_VOLUME_PERCENTILE: { type: 'number', min: 1, max: 99, default: 75 },
+            RESEARCH_MIN_CLUSTERS: { type: 'integer', min: 1, default: 20 },
+            RESEARCH_BAND_METHOD: { type: 'enum', values: BAND_METHODS, default: 'vwap_atr' },
+            RESEARCH_BAND_TIMEFRAME: { type: 'enum', values: TIMEFRAMES, default: '1h' },
+            RESEARCH_BAND_LENGTH: { type: 'integer', min: 2, max: 999, default: 24 },
+            RESEARCH_BAND_ATR_MULTIPLIER: { type: 'number', min: 0.01, default: 2 },
+            RESEARCH_BLEND_WEIGHT: { type: 'number', min: 0.01, max: 1, default: 0.5 },
+            RESEARCH_MAX_AGE_MINUTES: { type: 'number', min: 0, default: 60 },
+            RESEARCH_STALE_POLICY: { type: 'enum', values: RESEARCH_STALE_POLICIES, default: 'block' },
+            RESEARCH_FALLBACK_BAND_PERCENT: { type: 'number', min: 0.01, max: 50, default: 2 },
+            RESEARCH_STALE_SIZE_FACTOR: { type: 'number', min: 0.01, max: 1, default: 0.5 }
+        }
+    },
+    {
+        name: 'Risk Management & Filters',
+        keys: {
+            BLACKLIST: { type: 'list' },
+            USE_WHITELIST: { type: 'boolean', default: false },
+            WHITELIST: { type: 'list' },
+            DAILY_MAX_LOSS_PERCENT: { type: 'number', min: 0, max: 100, default: 0 },
+            MAX_DRAWDOWN_PERCENT: { type: 'number', min: 0, max: 100, default: 0 },
+            RISK_FLATTEN_ON_BREACH: { type: 'boolean', default: false }
+        }
+    },
+    {
+        name: 'Discord Integration',
+        keys: {
+            USE_DISCORD: { type: 'boolean', default: false },
+            DISCORD_URL: { type: 'string', secret: true },
+            DISCORD_REPORT_INTERVAL: { type: 'number', min: 1, default: 30 },
+            DISCORD_BOT_ENABLED: { type: 'boolean', default: false },
+            DISCORD_BOT_TOKEN: { type: 'string', secret: true },
+            DISCORD_GUILD_ID: { type: 'string' },
+            DISCORD_BOT_ROLE_ID: { type: 'string' }
+        }
+    },
+    {
+        name: 'Telegram Integration',
+        keys: {
+            USE_TELEGRAM: { type: 'boolean', default: false },
+            TELEGRAM_BOT_TOKEN: { type: 'string', secret: true },
+            TELEGRAM_CHAT_ID: { type: 'string' }
+        }
+    },
+    {
+        name: 'Notification Routing',
+        keys: {
+            NOTIFY_WEBHOOK_URL: { type: 'string' },
+            NOTIFY_WEBHOOK_TOKEN: { type: 'string', secret: true },
+            NOTIFY_WEBHOOK_SECRET: { type: 'string', secret: true },
+            NOTIFY_WEBHOOK_QUEUE_SIZE: { type: 'integer', min: 0, default: 5000 },
+            NOTIFY_CONSOLE: { type: 'boolean', default: false },
+            NOTIFY_FILE: { type: 'boolean', default: false },
+            NOTIFY_FILE_PATH: { type: 'string', default: './logs/notifications.jsonl' },
+            ...notifySinkKeys()
+        }
+    },
+    {
+        name: 'Logging & Monitoring',
+        keys: {
+            USE_LOG: { type: 'boolean', default: false },
+            LOG_LEVEL: { type: 'enum', values: ['DEBUG', 'INFO', 'WARNING', 'ERROR'], default: 'INFO' },
+            LOG_MAX_FILE_SIZE: { type: 'number', min: 1, default: 10 },
+            LOG_MAX_FILES: { type: 'integer', min: 1, default: 5 },
+            LOG_RETENTION_DAYS: { type: 'integer', min: 1, default: 7 },
+            LOG_ROTATION_ENABLED: { type: 'boolean', default: true }
+        }
+    },
+    {
+        name: 'Paper Trading',
+        keys: {
+            PAPER_TRADING: { type: 'boolean', default: false },
+            PAPER_STARTING_BALANCE: { type: 'number', min: 1, default: 1000 },
+            PAPER_TAKER_FEE_PERCENT: { type: 'number', min: 0, max: 1, default: 0.055 },
+            PAPER_MAKER_FEE_PERCENT: { type: 'number', min: -1, max: 1, default: 0.02 },
+            PAPER_SLIPPAGE_PERCENT: { type: 'number', min: 0, max: 5, default: 0.02 },
+            PAPER_PRICE_INTERVAL: { type: 'number', min: 1, default: 5 }
+        }
+    },
+    {
+        name: 'Liquidation Recording',
+        keys: {
+            RECORD_LIQUIDATIONS: { type: 'boolean', default: false },
+            RECORDING_DIR: { type: 'string', default: './data/recordings' },
+            RECORDING_RETENTION_DAYS: { type: 'integer', min: 1, default: 30 },
+            RECORDING_TICKER_INTERVAL: { type: 'number', min: 1, default: 60 },
+            RECORD_ALL_TICKERS: { type: 'boolean', default: false }
+        }
+    },
+    {
+        name: 'Backtesting',
+        keys: {
+            BACKTEST_STARTING_BALANCE: { type: 'number', min: 1 },
+            OPTIMIZE_METHOD: { type: 'enum', values: ['random', 'grid'], default: 'random' },
+            OPTIMIZE_SAMPLES: { type: 'integer', min: 1, default: 50 },
+            OPTIMIZE_OBJECTIVE: { type: 'enum', values: OBJECTIVES, default: 'sharpe' },
+            OPTIMIZE_MAX_DRAWDOWN: { type: 'number', min: 0, max: 100, default: 30 },
+            OPTIMIZE_MIN_TRADES: { type: 'integer', min: 1, default: 5 },
+            OPTIMIZE_FOLDS: { type: 'integer', min: 1, default: 3 },
+            OPTIMIZE_TRAIN_PERCENT: { type: 'number', min: 1, max: 99, default: 70 },
+            OPTIMIZE_WORKERS: { type: 'integer', min: 1 },
+            OPTIMIZE_SEED: { type: 'integer' },
+            ...optimizeOverrideKeys()
+        }
+    },
+    {
+        name: 'Web Dashboard',
+        keys: {
+            DASHBOARD_ENABLED: { type: 'boolean', default: false },
+            DASHBOARD_PORT: { type: 'integer', min: 1, max: 65535, default: 3000 },
+            DASHBOARD_HOST: { type: 'string', default: '127.0.0.1' },
+            DASHBOARD_TOKEN: { type: 'string', secret: true },
+            DASHBOARD_REFRESH_INTERVAL: { type: 'number', min: 1, default: 5 }
+        }
+    },
+    {
+        name: 'Control API',
+        keys: {
+            CONTROL_API_ENABLED: { type: 'boolean', default: false },
+            CONTROL_API_PORT: { type: 'integer', min: 1, max: 65535, default: 3001 },
+            CONTROL_API_HOST: { type: 'string', default: '127.0.0.1' },
+            CONTROL_API_TOKEN: { type: 'string', secret: true }
+        }
+    },
+    {
+        name: 'Trade Journal',
+        keys: {
+            USE_TRADE_JOURNAL: { type: 'boolean', default: true },
+            DATABASE_PATH: { type: 'string', default: './data/liqd.db' }
+        }
+    },
+    {
+        name: 'Cache Management',
+        keys: {
+            RESET_CACHE_ON_STARTUP: { type: 'boolean', default: true },
+            STATE_FILE_GENERATIONS: { type: 'integer', min: 0, default: 3 }
+        }
+    },
+    {
+        name: 'Configuration Reload',
+        keys: {
+            CONFIG_HOT_RELOAD: { type: 'boolean', default: true }
+        }
+    },
+    {
+        name: 'API Data Service Update Intervals',
+        keys: {
+            RESEARCH_UPDATE_INTERVAL: { type: 'number', min: 1, default: 5 },
+            MIN_ORDER_SIZE_UPDATE_INTERVAL: { type: 'number', min: 1, default: 5 },
+            SETTINGS_UPDATE_INTERVAL: { type: 'number', min: 1, default: 5 },
+            ACCOUNT_UPDATE_INTERVAL: { type: 'number', min: 1, default: 1 }
+        }
+    },
+    {
+        name: 'Advanced Trading Features',
+        keys: {
+            USE_STOP_LOSS_TIMEOUT: { type: 'boolean', default: false },
+            STOP_LOSS_TIMEOUT: { type: 'integer', min: 1000, default: 3600000 },
+            STOP_LOSS_TIMEOUT_PROFIT: { type: 'integer', min: 1000 },
+            STOP_LOSS_TIMEOUT_LOSS: { type: 'integer', min: 1000 },
+            STOP_LOSS_TIMEOUT_PROFIT_ACTION: { type: 'enum', values: TIMEOUT_ACTIONS, default: 'close' },
+            STOP_LOSS_TIMEOUT_LOSS_ACTION: { type: 'enum', values: TIMEOUT_ACTIONS, default: 'close' },
+            STOP_LOSS_TIMEOUT_TIGHTEN_PERCENT: { type: 'number', min: 0.01, max: 100, default: 0.2 },
+            USE_TRAILING_EXIT: { type: 'boolean', default: false },
+            BREAK_EVEN_TRIGGER_PERCENT: { type: 'number', min: 0, max: 100, default: 0 },
+            BREAK_EVEN_FEE_PERCENT: { type: 'number', min: 0, max: 10, default: 0.11 },
+            TRAILING_ACTIVATION_PERCENT: { type: 'number', min: 0, max: 100, default: 0 },
+            TRAILING_MODE: { type: 'enum', values: TRAILING_MODES, default: 'percent' },
+            TRAILING_DISTANCE_PERCENT: { type: 'number', min: 0.01, max: 100, default: 0.3 },
+            TRAILING_ATR_MULTIPLIER: { type: 'number', min: 0.01, default: 1 },
+            TRAILING_REMOVE_TP: { type: 'boolean', default: true },
+            TRAILING_CHECK_INTERVAL: { type: 'number', min: 1, default: 5 }
+        }
+    },
+    {
+        name: 'Scaled ATR DCA',
+        keys: {
+            USE_SCALED_ATR_DCA: { type: 'boolean', default: false },
+            ATR_TIMEFRAME: { type: 'enum', values: TIMEFRAMES, default: '5m' },
+            ATR_LENGTH: { type: 'integer', min: 1, max: 100, default: 7 },
+            ATR_DEVIATION: { type: 'number', min: 0.01, default: 0.5 },
+            DCA_NUM_ORDERS: { type: 'integer', min: 1, max: 20, default: 5 },
+            DCA_VOLUME_SCALE: { type: 'number', min: 1, max: 5, default: 1.5 },
+            DCA_STEP_SCALE: { type: 'number', min: 1, max: 3, default: 1.2 },
+            DCA_MAX_TOTAL_PERCENT: { type: 'number', min: 1, max: 100, default: 25 },
+            DCA_RISK_PER_LEVEL: { type: 'number', min: 0.01, max: 100, default: 5 },
+            MIN_24H_VOLUME: { type: 'number', min: 0, default: 0 }
+        }
+    }
+];
+
+export const CONFIG_SCHEMA = Object.fromEntries(CONFIG_SECTIONS.flatMap(section => Object.entries(section.keys)));
+
+/**
+ * Parse one raw value against its schema definition
+ * @returns {Object} { value } or { error }
+ */
+function parseValue(key, raw, definition) {
+    const expected = message => ({ error: `${key} must be ${message}, got "${raw}"` });
+
+    switch (definition.type) {
+        case 'boolean': {
+            const lower = raw.toLowerCase();
+            if (lower !== 'true' && lower !== 'false') return expected('true or false');
+            // Most lookups compare against "true" exactly, so "True" would read as false
+            if (raw !== lower) return expected(`lowercase ${lower}`);
+            return { value: lower === 'true' };
+        }
+        case 'integer':
+        case 'number': {
+            const value = Number(raw);
+            if (!Number.isFinite(value)) return expected('a number');
+            if (definition.type === 'integer' && !Number.isInteger(value)) return expected('a whole number');
+            if (definition.min !== undefined && value < definition.min) return expected(`at least ${definition.min}`);
+            if (definition.max !== undefined && value > definition.max) return expected(`at most ${definition.max}`);
+            return { value };
+        }
+        case 'enum': {
+            const value = definition.lowercase ? raw.toLowerCase() : raw;
+            if (!definition.values.includes(value)) return expected(`one of ${definition.values.join(', ')}`);
+            return { value };
+        }
+        case 'list': {
+            const items = raw.split(',').map(item => item.trim()).filter(Boolean).map(item => definition.lowercase ? item.toLowerCase() : item);
+            const invalid = definition.values
+                ? items.filter(item => !definition.values.includes(item))
+                : items.filter(item => definition.item === 'number' && !Number.isFinite(Number(item)));
+            if (invalid.length > 0) {
+                return expected(definition.values ? `a list of ${definition.values.join(', ')}` : 'a list of numbers');
+            }
+            return { value: definition.item === 'number' ? items.map(Number) : items };
+        }
+        default:
+            return { value: raw };
+    }
+}
+
+/**
+ * Keys set in the .env file (empty when there is none)
+ */
+function readEnvFileKeys(envFile) {
+    try {
+        return fs.existsSync(envFile) ? Object.keys(parse(fs.readFileSync(envFile))) : [];
+    } catch (error) {
+        return [];
+    }
+}
+
+function isMissing(value) {
+    return !value || PLACEHOLDERS.includes(value);
+}
+
+/**
+ * Settings that are valid alone but contradict each other
+ */
+function checkCrossFields(values, errors, warnings) {
+    if (!values.PAPER_TRADING) {
+        if (isMissing(values.API_KEY)) errors.push('API_KEY is required (or set PAPER_TRADING = true)');
+        if (isMissing(values.API_SECRET)) errors.push('API_SECRET is required (or set PAPER_TRADING = true)');
+    }
+    if (values.RESEARCH_SOURCE !== 'local' && isMissing(values.RAPIDAPI_KEY)) {
+        warnings.push('RAPIDAPI_KEY is not set, research data and smart settings will be unavailable (or set RESEARCH_SOURCE = local)');
+    }
+    if (values.RESEARCH_SOURCE !== 'rapidapi' && !values.RECORD_LIQUIDATIONS) {
+        warnings.push(`RESEARCH_SOURCE = ${values.RESEARCH_SOURCE} builds research from recorded liquidations but RECORD_LIQUIDATIONS is off, only existing recordings are used`);
+    }
+    if (values.RESEARCH_MAX_AGE_MINUTES > 0 && values.RESEARCH_MAX_AGE_MINUTES <= values.RESEARCH_UPDATE_INTERVAL) {
+        warnings.push(`RESEARCH_MAX_AGE_MINUTES (${values.RESEARCH_MAX_AGE_MINUTES}) is not above RESEARCH_UPDATE_INTERVAL (${values.RESEARCH_UPDATE_INTERVAL}), research will go stale between refreshes`);
+    }
+
+    if (values.PERCENT_ORDER_SIZE > values.MAX_POSITION_SIZE_PERCENT) {
+        errors.push(`PERCENT_ORDER_SIZE (${values.PERCENT_ORDER_SIZE}) is above MAX_POSITION_SIZE_PERCENT (${values.MAX_POSITION_SIZE_PERCENT}), the first order would exceed the position cap`);
+    }
+    if (values.USE_SCALED_ATR_DCA && values.DCA_MAX_TOTAL_PERCENT > values.MAX_POSITION_SIZE_PERCENT) {
+        errors.push(`DCA_MAX_TOTAL_PERCENT (${values.DCA_MAX_TOTAL_PERCENT}) is above MAX_POSITION_SIZE_PERCENT (${values.MAX_POSITION_SIZE_PERCENT}), DCA would grow positions past the position cap`);
+    }
+
+    if (values.TP_LADDER && !parseTpLadder(values.TP_LADDER)) {
+        errors.push(`TP_LADDER "${values.TP_LADDER}" is not a valid ladder, expected size%@TP% legs such as 50@0.5, 30@1, 20@trail`);
+    }
+    for (const [minKey, maxKey] of [['ATR_TP_MIN_PERCENT', 'ATR_TP_MAX_PERCENT'], ['ATR_SL_MIN_PERCENT', 'ATR_SL_MAX_PERCENT']]) {
+        if (values[minKey] > 0 && values[maxKey] > 0 && values[minKey] > values[maxKey]) {
+            errors.push(`${minKey} (${values[minKey]}) is above ${maxKey} (${values[maxKey]})`);
+        }
+    }
+    if (values.USE_TRAILING_EXIT && values.USE_TAKE_PROFIT && values.TRAILING_ACTIVATION_PERCENT >= values.TAKE_PROFIT_PERCENT) {
+        warnings.push(`TRAILING_ACTIVATION_PERCENT (${values.TRAILING_ACTIVATION_PERCENT}) is not below TAKE_PROFIT_PERCENT (${values.TAKE_PROFIT_PERCENT}), positions will reach TP before trailing starts`);
+    }
+    if (values.USE_TRAILING_EXIT && values.BREAK_EVEN_TRIGGER_PERCENT === 0 && values.TRAILING_ACTIVATION_PERCENT === 0) {
+        warnings.push('USE_TRAILING_EXIT is enabled but BREAK_EVEN_TRIGGER_PERCENT and TRAILING_ACTIVATION_PERCENT are both 0, the exit manager will do nothing');
+    }
+
+    if (values.USE_WHITELIST && !values.WHITELIST?.length) {
+        errors.push('USE_WHITELIST is enabled but WHITELIST is empty, no pair would be traded');
+    }
+
+    if (values.USE_DISCORD && !/^https:\/\/(ptb\.|canary\.)?discord(app)?\.com\/api\/webhooks\//.test(values.DISCORD_URL || '')) {
+        errors.push('USE_DISCORD is enabled but DISCORD_URL is not a Discord webhook URL');
+    }
+    if (values.DISCORD_BOT_ENABLED && (!values.DISCORD_BOT_TOKEN || !values.DISCORD_GUILD_ID)) {
+        errors.push('DISCORD_BOT_ENABLED requires DISCORD_BOT_TOKEN and DISCORD_GUILD_ID');
+    }
+    if (values.USE_TELEGRAM && (!values.TELEGRAM_BOT_TOKEN || !values.TELEGRAM_CHAT_ID)) {
+        errors.push('USE_TELEGRAM requires TELEGRAM_BOT_TOKEN and TELEGRAM_CHAT_ID');
+    }
+    if (values.CONTROL_API_ENABLED && !values.CONTROL_API_TOKEN) {
+        errors.push('CONTROL_API_ENABLED requires CONTROL_API_TOKEN');
+    }
+    if (values.DASHBOARD_ENABLED && values.CONTROL_API_ENABLED && values.DASHBOARD_PORT === values.CONTROL_API_PORT) {
+        errors.push(`DASHBOARD_PORT and CONTROL_API_PORT are both ${values.DASHBOARD_PORT}`);
+    }
+}
+
+/**
+ * Parse and validate the configuration
+ * @param {Object} env - Environment to read (process.env after dotenv)
+ * @param {string} envFile - .env file checked for unknown keys and reported as the value source
+ * @returns {Object} { values, sources, errors, warnings }
+ */
+export function loadConfig(env = process.env, envFile = '.env') {
+    const values = {};
+    const sources = {};
+    const errors = [];
+    const warnings = [];
+    const fileKeys = new Set(readEnvFileKeys(envFile));
+
+    for (const [key, definition] of Object.entries(CONFIG_SCHEMA)) {
+        const raw = env[key]?.trim();
+        if (!raw) {
+            values[key] = definition.default ?? null;
+            sources[key] = 'default';
+            continue;
+        }
+
+        const parsed = parseValue(key, raw, definition);
+        if (parsed.error) {
+            errors.push(parsed.error);
+            values[key] = definition.default ?? null;
+            sources[key] = 'default';
+            continue;
+        }
+
+        values[key] = parsed.value;
+        sources[key] = fileKeys.has(key) ? envFile : 'environment';
+    }
+
+    checkCrossFields(values, errors, warnings);
+
+    for (const key of fileKeys) {
+        if (DEPRECATED_KEYS[key]) {
+            warnings.push(`${key} is deprecated and ignored, use ${DEPRECATED_KEYS[key]}`);
+        } else if (!CONFIG_SCHEMA[key]) {
+            warnings.push(`Unknown setting ${key} in ${envFile}, check for typos`);
+        }
+    }
+
+    return { values, sources, errors, warnings };
+}
+
+/**
+ * Write schema defaults into the environment for keys that are not set,
+ * so every lookup falls back to the same default
+ */
+export function applyConfigDefaults(env = process.env) {
+    for (const [key, definition] of Object.entries(CONFIG_SCHEMA)) {
+        if (definition.default !== undefined && !env[key]?.trim()) {
+            env[key] = String(definition.default);
+        }
+    }
+}
+
+function formatValue(definition, value) {
+    if (value === null || value === undefined) return '(unset)';
+    if (definition.secret) return '********';
+    if (Array.isArray(value)) return value.length > 0 ? value.join(', ') : '(empty)';
+    return String(value);
+}
+
+/**
+ * Print the resolved configuration grouped like example.env (--check-config)
+ */
+export function printConfigReport(result) {
+    console.log(chalk.blue('\n⚙️  Resolved configuration'));
+
+    for (const section of CONFIG_SECTIONS) {
+        console.log(chalk.cyan(`\n${section.name}`));
+        for (const [key, definition] of Object.entries(section.keys)) {
+            const source = result.sources[key];
+            // Unset per-sink and optimizer overrides would only add noise
+            if (source === 'default' && definition.default === undefined && /^(NOTIFY|OPTIMIZE)_/.test(key)) continue;
+
+            const line = `   ${key.padEnd(34)} ${formatValue(definition, result.values[key]).padEnd(28)} ${source}`;
+            console.log(source === 'default' ? chalk.gray(line) : line);
+        }
+    }
+
+    console.log('');
+    for (const warning of result.warnings) {
+        console.log(chalk.yellow(`⚠️  ${warning}`));
+    }
+    for (const error of result.errors) {
+        console.log(chalk.red(`❌ ${error}`));
+    }
+    console.log(result.errors.length > 0
+        ? chalk.red(`\nConfiguration has ${result.errors.length} error(s) and ${result.warnings.length} warning(s)`)
+        : chalk.green(`\nConfiguration is valid (${result.warnings.length} warning(s))`));
+}
+
+/**
+ * Log warnings and errors at startup
+ */
+export function logConfigReport(result) {
+    for (const warning of result.warnings) {
+        logIT(`Config: ${warning}`, LOG_LEVEL.WARNING);
+    }
+    for (const error of result.errors) {
+        logIT(`Config: ${error}`, LOG_LEVEL.ERROR);
+    }
+    if (result.errors.length === 0) {
+        const fromFile = Object.values(result.sources).filter(source => source !== 'default').length;
+        logIT(`Configuration valid: ${fromFile} settings set, ${result.warnings.length} warning(s)`, LOG_LEVEL.INFO);
+    }
+}
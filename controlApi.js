@@ -0,0 +1,148 @@
+/**
+ * Control API - Token-protected HTTP endpoints for remote intervention
+ * Pause/resume entries, flatten positions, cancel DCA ladders and force data refreshes
+ */
+
+import http from 'http';
+import crypto from 'crypto';
+import express from 'express';
+import { logIT, LOG_LEVEL } from './log.js';
+
+class ControlAPI {
+    /**
+     * @param {Object} handlers - Bot actions: getStatus, pause, resume, closePosition,
+     *   closeAllPositions, cancelDCAOrders, forceUpdate, announce
+     * @param {Object} config - Server configuration
+     */
+    constructor(handlers, config = {}) {
+        this.handlers = handlers;
+        this.config = this.initializeConfig(config);
+    }
+
+    /**
+     * Initialize configuration with defaults
+     */
+    initializeConfig(userConfig) {
+        const defaultConfig = {
+            port: 3001,
+            host: '127.0.0.1',
+            token: null
+        };
+
+        return { ...defaultConfig, ...userConfig };
+    }
+
+    /**
+     * Compare a bearer token against the configured token in constant time
+     */
+    isAuthorized(header) {
+        const match = /^Bearer (.+)$/.exec(header || '');
+        if (!match) return false;
+
+        const expected = Buffer.from(this.config.token);
+        const received = Buffer.from(match[1]);
+        return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+    }
+
+    /**
+     * Start the HTTP server (refuses to run without a token)
+     */
+    start() {
+        if (!this.config.token) {
+            logIT('Control API not started: CONTROL_API_TOKEN is required', LOG_LEVEL.ERROR);
+            return false;
+        }
+
+        const app = express();
+        app.use(express.json());
+
+        app.use((req, res, next) => {
+            if (!this.isAuthorized(req.headers.authorization)) {
+                logIT(`Control API: rejected unauthorized ${req.method} ${req.path} from ${req.ip}`, LOG_LEVEL.WARNING);
+                res.status(401).json({ success: false, error: 'Unauthorized' });
+                return;
+            }
+            next();
+        });
+
+        app.get('/status', (req, res) =>
+            this.runAction(req, res, null, () => this.handlers.getStatus())
+        );
+
+        app.post('/pause', (req, res) =>
+            this.runAction(req, res, 'Paused new entries', () => this.handlers.pause())
+        );
+
+        app.post('/resume', (req, res) =>
+            this.runAction(req, res, 'Resumed new entries', () => this.handlers.resume())
+        );
+
+        app.post('/positions/close-all', (req, res) =>
+            this.runAction(req, res, 'Closing all positions', () => this.handlers.closeAllPositions())
+        );
+
+        app.post('/positions/:symbol/close', (req, res) => {
+            const symbol = req.params.symbol.toUpperCase();
+            const side = req.body?.side || null; // Optional 'Buy' or 'Sell' to close one side of a hedge
+            this.runAction(req, res, `Closing ${symbol}${side ? ` ${side}` : ''} position`, () => this.handlers.closePosition(symbol, side));
+        });
+
+        app.post('/dca/:symbol/cancel', (req, res) => {
+            const symbol = req.params.symbol.toUpperCase();
+            this.runAction(req, res, `Cancelling DCA orders for ${symbol}`, () => this.handlers.cancelDCAOrders(symbol));
+        });
+
+        app.post('/data/refresh', (req, res) =>
+            this.runAction(req, res, 'Forcing data refresh', () => this.handlers.forceUpdate())
+        );
+
+        this.httpServer = http.createServer(app);
+        this.httpServer.on('error', error => {
+            logIT(`Control API server error: ${error.message}`, LOG_LEVEL.ERROR);
+        });
+        this.httpServer.listen(this.config.port, this.config.host, () => {
+            logIT(`Control API listening on http://${this.config.host}:${this.config.port}`, LOG_LEVEL.INFO);
+        });
+
+        return true;
+    }
+
+    /**
+     * Stop the HTTP server
+     */
+    stop() {
+        if (this.httpServer) {
+            this.httpServer.close();
+        }
+    }
+
+    /**
+     * Run a handler, log and announce actions, and send a JSON response
+     * @param {string|null} description - Action description; null for read-only requests
+     */
+    async runAction(req, res, description, action) {
+        if (description) {
+            logIT(`Control API: ${description} (requested from ${req.ip})`, LOG_LEVEL.WARNING);
+        }
+
+        try {
+            const result = await action();
+
+            if (description) {
+                this.handlers.announce(`🕹️ Control API: ${description}`, 'warning');
+            }
+
+            res.json({ success: true, result });
+        } catch (error) {
+            logIT(`Control API action failed: ${description || req.path}: ${error.message}`, LOG_LEVEL.ERROR);
+
+            if (description) {
+                this.handlers.announce(`Control API: ${description} failed: ${error.message}`, 'error');
+            }
+
+            res.status(500).json({ success: false, error: error.message });
+        }
+    }
+}
+
+export default ControlAPI;
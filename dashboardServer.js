@@ -0,0 +1,176 @@
+/**
+ * Dashboard Server - Optional local web dashboard for the bot
+ * Serves dashboard/index.html and pushes bot state and liquidations over socket.io
+ */
+
+import crypto from 'crypto';
+import http from 'http';
+import path from 'path';
+import express from 'express';
+import { Server } from 'socket.io';
+import { fileURLToPath } from 'url';
+import { logIT, LOG_LEVEL } from './log.js';
+
+const dashboardDir = path.join(path.dirname(fileURLToPath(import.meta.url)), 'dashboard');
+
+class DashboardServer {
+    /**
+     * @param {Function} getState - Async function returning the current bot state
+     * @param {Object} config - Server configuration
+     */
+    constructor(getState, config = {}) {
+        this.getState = getState;
+        this.config = this.initializeConfig(config);
+        this.balanceHistory = [];
+        this.lastState = null;
+    }
+
+    /**
+     * Initialize configuration with defaults
+     */
+    initializeConfig(userConfig) {
+        const defaultConfig = {
+            port: 3000,
+            host: '127.0.0.1',
+            token: null,                        // Optional shared token required by browsers
+            refreshMs: 5000,                    // State push interval
+            balanceSampleMs: 60 * 1000,         // Minimum spacing of balance history points
+            maxBalanceHistory: 1440             // 24h at one point per minute
+        };
+
+        return { ...defaultConfig, ...userConfig };
+    }
+
+    /**
+     * Check the "Authorization: Bearer <token>" header of an HTTP request or socket handshake
+     */
+    isAuthorized(header) {
+        if (!this.config.token) return true;
+
+        const match = /^Bearer (.+)$/.exec(header || '');
+        if (!match) return false;
+        const expected = Buffer.from(this.config.token);
+        const received = Buffer.from(match[1]);
+        return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+    }
+
+    /**
+     * Start the HTTP server, socket.io and the periodic state push
+     */
+    start() {
+        const app = express();
+
+        // The page itself holds no bot data; state is only sent to authorized API and socket clients
+        app.use(express.static(dashboardDir));
+        app.use('/api', (req, res, next) => {
+            if (!this.isAuthorized(req.headers.authorization)) {
+                res.status(401).send('Unauthorized');
+                return;
+            }
+            next();
+        });
+
+        app.get('/api/state', async (req, res) => {
+            try {
+                res.json(await this.buildState());
+            } catch (error) {
+                res.status(500).json({ error: error.message });
+            }
+        });
+
+        this.httpServer = http.createServer(app);
+        this.io = new Server(this.httpServer);
+
+        this.io.use((socket, next) => {
+            if (!this.isAuthorized(socket.handshake.headers.authorization)) {
+                next(new Error('Unauthorized'));
+                return;
+            }
+            next();
+        });
+
+        this.io.on('connection', socket => {
+            logIT(`Dashboard client connected (${socket.handshake.address})`, LOG_LEVEL.DEBUG);
+            if (this.lastState) {
+                socket.emit('state', this.lastState);
+            }
+        });
+
+        this.httpServer.on('error', error => {
+            logIT(`Dashboard server error: ${error.message}`, LOG_LEVEL.ERROR);
+        });
+
+        this.httpServer.listen(this.config.port, this.config.host, () => {
+            logIT(`Dashboard available at http://${this.config.host}:${this.config.port}`, LOG_LEVEL.INFO);
+        });
+
+        this.refreshInterval = setInterval(() => this.pushState(), this.config.refreshMs);
+    }
+
+    /**
+     * Stop the state push and close the server
+     */
+    stop() {
+        clearInterval(this.refreshInterval);
+        this.refreshInterval = null;
+
+        if (this.io) {
+            this.io.close();
+        }
+        if (this.httpServer) {
+            this.httpServer.close();
+        }
+    }
+
+    /**
+     * Current bot state plus the balance history kept by the dashboard
+     */
+    async buildState() {
+        const state = await this.getState();
+        this.lastState = {
+            ...state,
+            balanceHistory: this.balanceHistory
+        };
+        return this.lastState;
+    }
+
+    /**
+     * Push the current state to connected clients
+     */
+    async pushState() {
+        // Skip the position/API calls when nobody is watching
+        if (!this.io || this.io.engine.clientsCount === 0) return;
+
+        try {
+            this.io.emit('state', await this.buildState());
+        } catch (error) {
+            logIT(`Error pushing dashboard state: ${error.message}`, LOG_LEVEL.WARNING);
+        }
+    }
+
+    /**
+     * Record a balance reading for the history chart
+     */
+    recordBalance(balance) {
+        if (balance === null || balance === undefined || isNaN(balance)) return;
+
+        const now = Date.now();
+        const last = this.balanceHistory[this.balanceHistory.length - 1];
+        if (last && now - last.timestamp < this.config.balanceSampleMs) return;
+
+        this.balanceHistory.push({ timestamp: now, balance });
+        if (this.balanceHistory.length > this.config.maxBalanceHistory) {
+            this.balanceHistory.shift();
+        }
+    }
+
+    /**
+     * Forward a raw liquidation event to connected clients as it arrives
+     */
+    pushLiquidation(liquidation) {
+        if (!this.io || this.io.engine.clientsCount === 0) return;
+        this.io.emit('liquidation', liquidation);
+    }
+}
+
+export default DashboardServer;
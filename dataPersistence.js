@@ -1,25 +1,85 @@
 /**
  * Data Persistence Manager for Scaled ATR DCA System
  * Handles persistent storage for DCA positions, ATR cache, and configuration
+ * Each document is a row in the SQLite state table, so a crash never leaves a half-written file
  */
 
 import fs from 'fs';
 import { logIT, LOG_LEVEL } from './log.js';
+import { openDatabase, getDefaultDatabasePath } from './database.js';
+import { readStateFile } from './stateFiles.js';
+
+// State documents; before the SQLite store each one lived in data/<key>.json
+const STATE_KEYS = ['dca_positions', 'atr_cache', 'dca_config', 'performance_stats', 'paper_state'];
 
 class DataPersistence {
-    constructor() {
+    constructor(databasePath = getDefaultDatabasePath()) {
         this.dataDir = './data';
-        this.ensureDataDirectory();
+        this.databasePath = databasePath;
+        this.db = null; // Opened on first use so simulations that never persist do not touch the file
+    }
+
+    getDatabase() {
+        if (!this.db) {
+            this.db = openDatabase(this.databasePath);
+        }
+        return this.db;
+    }
+
+    /**
+     * Store a state document, replacing the previous version
+     */
+    saveDocument(key, data) {
+        this.getDatabase()
+            .prepare(`INSERT INTO state (key, value, updated_at) VALUES (?, ?, ?)
+                      ON CONFLICT(key) DO UPDATE SET value = excluded.value, updated_at = excluded.updated_at`)
+            .run(key, JSON.stringify(data), Date.now());
     }
 
     /**
-     * Ensure data directory exists
+     * Load a state document, importing the legacy data/<key>.json file the first time
+     * @returns {Object|null} The stored document or null when there is none
      */
-    ensureDataDirectory() {
-        if (!fs.existsSync(this.dataDir)) {
-            fs.mkdirSync(this.dataDir, { recursive: true });
-            logIT('Created data directory for persistence', LOG_LEVEL.INFO);
+    loadDocument(key) {
+        const row = this.getDatabase().prepare('SELECT value FROM state WHERE key = ?').get(key);
+        if (row) {
+            return JSON.parse(row.value);
+        }
+
+        const legacyPath = `${this.dataDir}/${key}.json`;
+        if (!fs.existsSync(legacyPath)) {
+            return null;
+        }
+
+        let data;
+        try {
+            data = readStateFile(legacyPath, { validate: value => value !== null && typeof value === 'object' });
+        } catch (error) {
+            logIT(`Skipping unreadable ${legacyPath}: ${error.message}`, LOG_LEVEL.WARNING);
+            return null;
         }
+
+        this.saveDocument(key, data);
+        fs.renameSync(legacyPath, `${legacyPath}.migrated`);
+        logIT(`Imported ${legacyPath} into ${this.databasePath}`, LOG_LEVEL.INFO);
+        return data;
+    }
+
+    /**
+     * Delete state documents
+     * @param {string[]} keys - Document keys, e.g. ['atr_cache']
+     */
+    clearDocuments(keys) {
+        const remove = this.getDatabase().prepare('DELETE FROM state WHERE key = ?');
+        this.getDatabase().transaction(() => keys.forEach(key => remove.run(key)))();
+
+        // Legacy files would otherwise be imported again on the next load
+        keys.forEach(key => {
+            const legacyPath = `${this.dataDir}/${key}.json`;
+            if (fs.existsSync(legacyPath)) {
+                fs.renameSync(legacyPath, `${legacyPath}.migrated`);
+            }
+        });
     }
 
     /**
@@ -27,7 +87,6 @@ class DataPersistence {
      */
     saveDCAPositions(positions) {
         try {
-            const filePath = `${this.dataDir}/dca_positions.json`;
             const data = {
                 timestamp: Date.now(),
                 version: '1.0',
@@ -41,7 +100,7 @@ class DataPersistence {
                 }))
             };
 
-            fs.writeFileSync(filePath, JSON.stringify(data, null, 2));
+            this.saveDocument('dca_positions', data);
             logIT(`Saved ${positions.size} DCA positions to persistent storage`, LOG_LEVEL.INFO);
         } catch (error) {
             logIT(`Error saving DCA positions: ${error.message}`, LOG_LEVEL.ERROR);
@@ -53,12 +112,11 @@ class DataPersistence {
      */
     loadDCAPositions() {
         try {
-            const filePath = `${this.dataDir}/dca_positions.json`;
-            if (!fs.existsSync(filePath)) {
+            const data = this.loadDocument('dca_positions');
+            if (!data) {
                 return new Map();
             }
 
-            const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
             const positions = new Map();
 
             data.positions.forEach(pos => {
@@ -85,7 +143,6 @@ class DataPersistence {
      */
     saveATRCache(cache) {
         try {
-            const filePath = `${this.dataDir}/atr_cache.json`;
             const data = {
                 timestamp: Date.now(),
                 version: '1.0',
@@ -95,7 +152,7 @@ class DataPersistence {
                 }))
             };
 
-            fs.writeFileSync(filePath, JSON.stringify(data, null, 2));
+            this.saveDocument('atr_cache', data);
             logIT(`Saved ${cache.size} ATR values to persistent storage`, LOG_LEVEL.DEBUG);
         } catch (error) {
             logIT(`Error saving ATR cache: ${error.message}`, LOG_LEVEL.ERROR);
@@ -107,12 +164,11 @@ class DataPersistence {
      */
     loadATRCache() {
         try {
-            const filePath = `${this.dataDir}/atr_cache.json`;
-            if (!fs.existsSync(filePath)) {
+            const data = this.loadDocument('atr_cache');
+            if (!data) {
                 return new Map();
             }
 
-            const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
             const cache = new Map();
 
             // Filter out expired entries (older than 5 minutes)
@@ -141,14 +197,13 @@ class DataPersistence {
      */
     saveDCAConfig(config) {
         try {
-            const filePath = `${this.dataDir}/dca_config.json`;
             const data = {
                 timestamp: Date.now(),
                 version: '1.0',
                 config: config
             };
 
-            fs.writeFileSync(filePath, JSON.stringify(data, null, 2));
+            this.saveDocument('dca_config', data);
             logIT('Saved DCA configuration to persistent storage', LOG_LEVEL.INFO);
         } catch (error) {
             logIT(`Error saving DCA config: ${error.message}`, LOG_LEVEL.ERROR);
@@ -160,12 +215,11 @@ class DataPersistence {
      */
     loadDCAConfig() {
         try {
-            const filePath = `${this.dataDir}/dca_config.json`;
-            if (!fs.existsSync(filePath)) {
+            const data = this.loadDocument('dca_config');
+            if (!data) {
                 return null;
             }
 
-            const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
             logIT('Loaded DCA configuration from persistent storage', LOG_LEVEL.INFO);
             return data.config;
         } catch (error) {
@@ -179,14 +233,13 @@ class DataPersistence {
      */
     savePerformanceStats(stats) {
         try {
-            const filePath = `${this.dataDir}/performance_stats.json`;
             const data = {
                 timestamp: Date.now(),
                 version: '1.0',
                 stats: stats
             };
 
-            fs.writeFileSync(filePath, JSON.stringify(data, null, 2));
+            this.saveDocument('performance_stats', data);
             logIT('Saved performance statistics to persistent storage', LOG_LEVEL.DEBUG);
         } catch (error) {
             logIT(`Error saving performance stats: ${error.message}`, LOG_LEVEL.ERROR);
@@ -198,12 +251,11 @@ class DataPersistence {
      */
     loadPerformanceStats() {
         try {
-            const filePath = `${this.dataDir}/performance_stats.json`;
-            if (!fs.existsSync(filePath)) {
+            const data = this.loadDocument('performance_stats');
+            if (!data) {
                 return null;
             }
 
-            const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
             return data.stats;
         } catch (error) {
             logIT(`Error loading performance stats: ${error.message}`, LOG_LEVEL.ERROR);
@@ -212,65 +264,157 @@ class DataPersistence {
     }
 
     /**
-     * Clean up old data files
+     * Save paper trading account state
+     */
+    savePaperState(state) {
+        try {
+            const data = {
+                timestamp: Date.now(),
+                version: '1.0',
+                state: state
+            };
+
+            this.saveDocument('paper_state', data);
+            logIT('Saved paper trading state to persistent storage', LOG_LEVEL.DEBUG);
+        } catch (error) {
+            logIT(`Error saving paper trading state: ${error.message}`, LOG_LEVEL.ERROR);
+        }
+    }
+
+    /**
+     * Load paper trading account state
+     */
+    loadPaperState() {
+        try {
+            const data = this.loadDocument('paper_state');
+            if (!data) {
+                return null;
+            }
+
+            return data.state;
+        } catch (error) {
+            logIT(`Error loading paper trading state: ${error.message}`, LOG_LEVEL.ERROR);
+            return null;
+        }
+    }
+
+    /**
+     * Save risk guard state (day start equity, peak equity, halt)
+     * @param {string} mode - 'live' or 'paper', kept apart like the trade journal
+     */
+    saveRiskState(mode, state) {
+        try {
+            this.saveDocument(`risk_state_${mode}`, { timestamp: Date.now(), state });
+        } catch (error) {
+            logIT(`Error saving risk state: ${error.message}`, LOG_LEVEL.ERROR);
+        }
+    }
+
+    /**
+     * Load risk guard state
+     */
+    loadRiskState(mode) {
+        try {
+            const data = this.loadDocument(`risk_state_${mode}`);
+            return data ? data.state : null;
+        } catch (error) {
+            logIT(`Error loading risk state: ${error.message}`, LOG_LEVEL.ERROR);
+            return null;
+        }
+    }
+
+    /**
+     * Save when each open position was first seen, for the stop loss timeout
+     * @param {string} mode - 'live' or 'paper'
+     * @param {Array} entries - [key, { side, openedAt, actedAt, action }] pairs
+     */
+    savePositionAges(mode, entries) {
+        try {
+            this.saveDocument(`position_ages_${mode}`, { timestamp: Date.now(), entries });
+        } catch (error) {
+            logIT(`Error saving position ages: ${error.message}`, LOG_LEVEL.ERROR);
+        }
+    }
+
+    /**
+     * Load position ages
+     */
+    loadPositionAges(mode) {
+        try {
+            const data = this.loadDocument(`position_ages_${mode}`);
+            return data ? data.entries : null;
+        } catch (error) {
+            logIT(`Error loading position ages: ${error.message}`, LOG_LEVEL.ERROR);
+            return null;
+        }
+    }
+
+    /**
+     * Save TP ladder progress per position (original size, filled levels, legs as last set)
+     * @param {string} mode - 'live' or 'paper'
+     * @param {Object} states - "SYMBOL_positionIdx" -> { side, originalSize, filledLegs, lastSize, placed }
+     */
+    saveTpLadderStates(mode, states) {
+        try {
+            this.saveDocument(`tp_ladders_${mode}`, { timestamp: Date.now(), states });
+        } catch (error) {
+            logIT(`Error saving TP ladder state: ${error.message}`, LOG_LEVEL.ERROR);
+        }
+    }
+
+    /**
+     * Load TP ladder progress
+     */
+    loadTpLadderStates(mode) {
+        try {
+            const data = this.loadDocument(`tp_ladders_${mode}`);
+            return data ? data.states : null;
+        } catch (error) {
+            logIT(`Error loading TP ladder state: ${error.message}`, LOG_LEVEL.ERROR);
+            return null;
+        }
+    }
+
+    /**
+     * Clean up old state documents
      */
     cleanupOldData(maxAgeDays = 7) {
         try {
-            const maxAge = maxAgeDays * 24 * 60 * 60 * 1000;
-            const now = Date.now();
+            const cutoff = Date.now() - maxAgeDays * 24 * 60 * 60 * 1000;
 
-            const files = [
-                'dca_positions.json',
-                'atr_cache.json',
-                'performance_stats.json'
-            ];
-
-            files.forEach(file => {
-                const filePath = `${this.dataDir}/${file}`;
-                if (fs.existsSync(filePath)) {
-                    const stats = fs.statSync(filePath);
-                    if (now - stats.mtime.getTime() > maxAge) {
-                        fs.unlinkSync(filePath);
-                        logIT(`Cleaned up old data file: ${file}`, LOG_LEVEL.INFO);
-                    }
-                }
-            });
+            const result = this.getDatabase()
+                .prepare(`DELETE FROM state WHERE key IN ('dca_positions', 'atr_cache', 'performance_stats') AND updated_at < ?`)
+                .run(cutoff);
 
-            logIT('Data cleanup completed', LOG_LEVEL.INFO);
+            logIT(`Data cleanup completed: ${result.changes} stale documents removed`, LOG_LEVEL.INFO);
         } catch (error) {
             logIT(`Error during data cleanup: ${error.message}`, LOG_LEVEL.ERROR);
         }
     }
 
     /**
-     * Get data directory statistics
+     * Get persisted state statistics
      */
     getDataStats() {
         try {
             const stats = {
                 dataDir: this.dataDir,
+                databasePath: this.databasePath,
                 files: [],
                 totalSize: 0
             };
 
-            const files = [
-                'dca_positions.json',
-                'atr_cache.json',
-                'dca_config.json',
-                'performance_stats.json'
-            ];
-
-            files.forEach(file => {
-                const filePath = `${this.dataDir}/${file}`;
-                if (fs.existsSync(filePath)) {
-                    const fileStats = fs.statSync(filePath);
-                    stats.files.push({
-                        name: file,
-                        size: fileStats.size,
-                        lastModified: fileStats.mtime
-                    });
-                    stats.totalSize += fileStats.size;
-                }
+            const rows = this.getDatabase()
+                .prepare(`SELECT key, length(value) AS size, updated_at FROM state WHERE key IN (${STATE_KEYS.map(() => '?').join(', ')})`)
+                .all(...STATE_KEYS);
+
+            rows.forEach(row => {
+                stats.files.push({
+                    name: row.key,
+                    size: row.size,
+                    lastModified: new Date(row.updated_at)
+                });
+                stats.totalSize += row.size;
             });
 
             return stats;
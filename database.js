@@ -0,0 +1,157 @@
+/**
+ * Database - Shared SQLite connection for persisted state and the trade journal
+ * Schema changes are applied in order and tracked with PRAGMA user_version
+ */
+
+import fs from 'fs';
+import path from 'path';
+import Database from 'better-sqlite3';
+import { logIT, LOG_LEVEL } from './log.js';
+
+/**
+ * Database file from DATABASE_PATH, read on use so a value loaded from .env after the imports applies
+ */
+export function getDefaultDatabasePath() {
+    return process.env.DATABASE_PATH || './data/liqd.db';
+}
+
+// One entry per schema version; never edit a shipped migration, append a new one
+const MIGRATIONS = [
+    `
+    CREATE TABLE state (
+        key TEXT PRIMARY KEY,
+        value TEXT NOT NULL,
+        updated_at INTEGER NOT NULL
+    );
+
+    CREATE TABLE liquidations (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        symbol TEXT NOT NULL,
+        side TEXT NOT NULL,
+        price REAL,
+        value_usdt REAL,
+        event_count INTEGER,
+        threshold_usdt REAL,
+        timestamp INTEGER NOT NULL
+    );
+
+    CREATE TABLE trades (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        symbol TEXT NOT NULL,
+        side TEXT NOT NULL,
+        mode TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'open',
+        liquidation_id INTEGER REFERENCES liquidations(id),
+        opened_at INTEGER NOT NULL,
+        closed_at INTEGER,
+        size REAL NOT NULL DEFAULT 0,
+        max_size REAL NOT NULL DEFAULT 0,
+        avg_entry_price REAL,
+        avg_exit_price REAL,
+        exit_qty REAL NOT NULL DEFAULT 0,
+        realized_pnl REAL NOT NULL DEFAULT 0,
+        fees REAL NOT NULL DEFAULT 0,
+        dca_fills INTEGER NOT NULL DEFAULT 0,
+        close_reason TEXT
+    );
+    CREATE INDEX trades_by_status ON trades (symbol, side, mode, status);
+    CREATE INDEX trades_by_open_time ON trades (opened_at);
+
+    CREATE TABLE orders (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        order_id TEXT NOT NULL UNIQUE,
+        trade_id INTEGER REFERENCES trades(id),
+        liquidation_id INTEGER REFERENCES liquidations(id),
+        symbol TEXT NOT NULL,
+        side TEXT NOT NULL,
+        kind TEXT NOT NULL,
+        order_type TEXT,
+        qty REAL,
+        price REAL,
+        dca_level INTEGER,
+        reduce_only INTEGER NOT NULL DEFAULT 0,
+        created_at INTEGER NOT NULL
+    );
+    CREATE INDEX orders_by_trade ON orders (trade_id);
+
+    CREATE TABLE fills (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        exec_id TEXT NOT NULL UNIQUE,
+        order_id TEXT,
+        trade_id INTEGER REFERENCES trades(id),
+        symbol TEXT NOT NULL,
+        side TEXT NOT NULL,
+        exec_type TEXT NOT NULL,
+        price REAL,
+        qty REAL,
+        fee REAL NOT NULL DEFAULT 0,
+        realized_pnl REAL,
+        is_close INTEGER NOT NULL DEFAULT 0,
+        exec_time INTEGER NOT NULL
+    );
+    CREATE INDEX fills_by_trade ON fills (trade_id);
+    CREATE INDEX fills_by_time ON fills (exec_time);
+
+    CREATE TABLE tp_sl_updates (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        trade_id INTEGER REFERENCES trades(id),
+        symbol TEXT NOT NULL,
+        side TEXT NOT NULL,
+        take_profit REAL,
+        stop_loss REAL,
+        created_at INTEGER NOT NULL
+    );
+    CREATE INDEX tp_sl_updates_by_trade ON tp_sl_updates (trade_id);
+    `
+];
+
+const connections = new Map();
+
+/**
+ * Apply pending migrations inside one transaction each
+ */
+function migrate(db, filePath) {
+    const currentVersion = db.pragma('user_version', { simple: true });
+
+    for (let version = currentVersion; version < MIGRATIONS.length; version++) {
+        db.transaction(() => {
+            db.exec(MIGRATIONS[version]);
+            db.pragma(`user_version = ${version + 1}`);
+        })();
+        logIT(`Database ${filePath} migrated to schema version ${version + 1}`, LOG_LEVEL.INFO);
+    }
+}
+
+/**
+ * Open (or reuse) the SQLite database at the given path
+ * @param {string} filePath - Database file, created with its directory when missing
+ * @returns {Database} better-sqlite3 connection
+ */
+export function openDatabase(filePath = getDefaultDatabasePath()) {
+    const resolved = path.resolve(filePath);
+    if (connections.has(resolved)) {
+        return connections.get(resolved);
+    }
+
+    fs.mkdirSync(path.dirname(resolved), { recursive: true });
+
+    const db = new Database(resolved);
+    db.pragma('journal_mode = WAL');     // Readers (dashboard, reports) never block the bot
+    db.pragma('synchronous = NORMAL');
+    db.pragma('busy_timeout = 5000');
+    db.pragma('foreign_keys = ON');
+    migrate(db, filePath);
+
+    connections.set(resolved, db);
+    return db;
+}
+
+/**
+ * Close every open connection (checkpoints the WAL)
+ */
+export function closeDatabases() {
+    for (const db of connections.values()) {
+        db.close();
+    }
+    connections.clear();
+}
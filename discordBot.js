@@ -0,0 +1,252 @@
+/**
+ * Discord Bot - Slash commands for remote control of the bot
+ * Commands are registered on one guild and only accepted from members with the configured role
+ */
+
+import { Client, GatewayIntentBits, REST, Routes, SlashCommandBuilder, EmbedBuilder, MessageFlags } from 'discord.js';
+import { logIT, LOG_LEVEL } from './log.js';
+
+const COLORS = {
+    info: 0x00ffff,
+    warning: 0xffff00,
+    error: 0xff0000,
+    success: 0x00ff00
+};
+
+class DiscordBot {
+    /**
+     * @param {Object} handlers - Bot actions: getStatus, getDCAStatistics, pause, resume,
+     *   closePosition, updateBlacklist, sendReport, announce
+     * @param {Object} config - { token, guildId, roleId }
+     */
+    constructor(handlers, config = {}) {
+        this.handlers = handlers;
+        this.config = config;
+        this.client = null;
+    }
+
+    /**
+     * Slash command definitions
+     */
+    buildCommands() {
+        return [
+            new SlashCommandBuilder().setName('status').setDescription('Bot status, paused state and data freshness'),
+            new SlashCommandBuilder().setName('positions').setDescription('Open positions'),
+            new SlashCommandBuilder().setName('dca').setDescription('Scaled ATR DCA ladders')
+                .addStringOption(option => option.setName('symbol').setDescription('Pair, e.g. BTCUSDT').setRequired(false)),
+            new SlashCommandBuilder().setName('pause').setDescription('Stop opening new positions'),
+            new SlashCommandBuilder().setName('resume').setDescription('Resume opening new positions, also after a risk limit halt'),
+            new SlashCommandBuilder().setName('close').setDescription('Close a position with a reduce-only market order')
+                .addStringOption(option => option.setName('symbol').setDescription('Pair, e.g. BTCUSDT').setRequired(true))
+                .addStringOption(option => option.setName('side').setDescription('Only close one hedge side').setRequired(false)
+                    .addChoices({ name: 'Long', value: 'Buy' }, { name: 'Short', value: 'Sell' })),
+            new SlashCommandBuilder().setName('blacklist').setDescription('Manage the pair blacklist')
+                .addSubcommand(sub => sub.setName('add').setDescription('Stop trading a pair')
+                    .addStringOption(option => option.setName('symbol').setDescription('Pair, e.g. BTCUSDT').setRequired(true)))
+                .addSubcommand(sub => sub.setName('remove').setDescription('Allow trading a pair again')
+                    .addStringOption(option => option.setName('symbol').setDescription('Pair, e.g. BTCUSDT').setRequired(true))),
+            new SlashCommandBuilder().setName('report').setDescription('Send the full account report to the webhook channel')
+        ].map(command => command.toJSON());
+    }
+
+    /**
+     * Log in, register slash commands and start handling interactions
+     */
+    async start() {
+        if (!this.config.token || !this.config.guildId || !this.config.roleId) {
+            logIT('Discord bot not started: DISCORD_BOT_TOKEN, DISCORD_GUILD_ID and DISCORD_BOT_ROLE_ID are required', LOG_LEVEL.ERROR);
+            return false;
+        }
+
+        this.client = new Client({ intents: [GatewayIntentBits.Guilds] });
+
+        this.client.once('ready', async () => {
+            try {
+                const rest = new REST().setToken(this.config.token);
+                await rest.put(
+                    Routes.applicationGuildCommands(this.client.application.id, this.config.guildId),
+                    { body: this.buildCommands() }
+                );
+                logIT(`Discord bot logged in as ${this.client.user.tag}, slash commands registered`, LOG_LEVEL.INFO);
+            } catch (error) {
+                logIT(`Error registering Discord slash commands: ${error.message}`, LOG_LEVEL.ERROR);
+            }
+        });
+
+        this.client.on('interactionCreate', interaction => {
+            if (!interaction.isChatInputCommand()) return;
+            this.handleCommand(interaction).catch(error => {
+                logIT(`Error handling Discord command /${interaction.commandName}: ${error.message}`, LOG_LEVEL.ERROR);
+            });
+        });
+
+        this.client.on('error', error => {
+            logIT(`Discord bot error: ${error.message}`, LOG_LEVEL.ERROR);
+        });
+
+        await this.client.login(this.config.token);
+        return true;
+    }
+
+    /**
+     * Disconnect from Discord
+     */
+    async stop() {
+        if (this.client) {
+            await this.client.destroy();
+            this.client = null;
+        }
+    }
+
+    /**
+     * Check that the member invoking a command has the control role
+     */
+    isAuthorized(interaction) {
+        if (interaction.guildId !== this.config.guildId) return false;
+
+        // Cached members expose a role manager, uncached ones a list of role ids
+        const roles = interaction.member?.roles;
+        return Array.isArray(roles) ? roles.includes(this.config.roleId) : !!roles?.cache?.has(this.config.roleId);
+    }
+
+    embed(title, description, type = 'info') {
+        return new EmbedBuilder()
+            .setTitle(title)
+            .setDescription((description || '-').slice(0, 4096)) // Discord embed description limit
+            .setColor(COLORS[type] || COLORS.info)
+            .setTimestamp()
+            .setFooter({ text: '0xLIQD-BYBIT' });
+    }
+
+    /**
+     * Run a slash command and reply with an embed
+     */
+    async handleCommand(interaction) {
+        if (!this.isAuthorized(interaction)) {
+            logIT(`Discord bot: rejected /${interaction.commandName} from ${interaction.user.tag}`, LOG_LEVEL.WARNING);
+            await interaction.reply({ embeds: [this.embed('⛔ Not allowed', 'You need the bot control role to use this command.', 'error')], flags: MessageFlags.Ephemeral });
+            return;
+        }
+
+        await interaction.deferReply();
+        const user = interaction.user.tag;
+
+        try {
+            let reply;
+
+            switch (interaction.commandName) {
+                case 'status':
+                    reply = this.formatStatus(await this.handlers.getStatus());
+                    break;
+                case 'positions':
+                    reply = this.formatPositions((await this.handlers.getStatus()).openPositions);
+                    break;
+                case 'dca':
+                    reply = this.formatDCA(await this.handlers.getDCAStatistics(), interaction.options.getString('symbol')?.toUpperCase());
+                    break;
+                case 'pause':
+                    await this.action(user, 'Paused new entries', () => this.handlers.pause());
+                    reply = this.embed('⏸️ Paused', 'No new positions will be opened. Open positions keep being managed.', 'warning');
+                    break;
+                case 'resume':
+                    await this.action(user, 'Resumed new entries', () => this.handlers.resume());
+                    reply = this.embed('▶️ Resumed', 'New entries are enabled again.', 'success');
+                    break;
+                case 'close': {
+                    const symbol = interaction.options.getString('symbol').toUpperCase();
+                    const side = interaction.options.getString('side');
+                    const results = await this.action(user, `Closing ${symbol}${side ? ` ${side}` : ''} position`, () => this.handlers.closePosition(symbol, side));
+                    reply = this.embed(`🔒 Close ${symbol}`, results.map(r =>
+                        `${r.success ? '✅' : '❌'} ${r.side} ${r.size} ${r.success ? 'closed' : `failed: ${r.message}`}`
+                    ).join('\n'), results.every(r => r.success) ? 'success' : 'error');
+                    break;
+                }
+                case 'blacklist': {
+                    const subcommand = interaction.options.getSubcommand();
+                    const symbol = interaction.options.getString('symbol').toUpperCase();
+                    const blacklist = await this.action(user, `Blacklist ${subcommand} ${symbol}`, () => this.handlers.updateBlacklist(subcommand, symbol));
+                    reply = this.embed('🚫 Blacklist', blacklist.length > 0 ? blacklist.join(', ') : 'Empty', 'info');
+                    break;
+                }
+                case 'report':
+                    await this.handlers.sendReport();
+                    reply = this.embed('📊 Report', 'Report sent to the webhook channel.', 'success');
+                    break;
+                default:
+                    reply = this.embed('❓ Unknown command', interaction.commandName, 'error');
+            }
+
+            await interaction.editReply({ embeds: [reply] });
+        } catch (error) {
+            logIT(`Discord bot: /${interaction.commandName} failed: ${error.message}`, LOG_LEVEL.ERROR);
+            await interaction.editReply({ embeds: [this.embed('❌ Failed', error.message, 'error')] });
+        }
+    }
+
+    /**
+     * Run a state-changing action, logging and announcing who triggered it
+     */
+    async action(user, description, run) {
+        logIT(`Discord bot: ${description} (requested by ${user})`, LOG_LEVEL.WARNING);
+        const result = await run();
+        this.handlers.announce(`🕹️ ${description} (by ${user})`, 'warning');
+        return result;
+    }
+
+    formatStatus(status) {
+        const minutes = Math.floor(status.uptimeSeconds / 60);
+        const updates = Object.entries(status.lastUpdates)
+            .filter(([name]) => name !== 'now')
+            .map(([name, ts]) => `${name}: ${ts ? `<t:${Math.floor(ts / 1000)}:R>` : 'never'}`)
+            .join('\n');
+
+        return this.embed('🤖 Status', [
+            `**Mode:** ${status.mode}`,
+            `**Entries:** ${status.riskHalted ? '🛑 halted by risk limit' : status.paused ? '⏸️ paused' : '▶️ active'}`,
+            ...(status.risk ? [`**Daily PnL:** ${status.risk.dailyPnl.toFixed(2)} USDT, drawdown ${status.risk.drawdownPercent.toFixed(2)}%`] : []),
+            `**Uptime:** ${Math.floor(minutes / 1440)}d ${Math.floor(minutes / 60) % 24}h ${minutes % 60}m`,
+            `**Open positions:** ${status.openPositions ? status.openPositions.length : 'unknown'}`,
+            `**Active DCA ladders:** ${status.activeDCAPositions}`,
+            `**API queue:** ${status.apiUsage.queueDepth} queued, ${status.apiUsage.throttledRequests} throttled, ${status.apiUsage.rateLimitHits} rate limit hits`,
+            '',
+            `**Data updates**\n${updates}`
+        ].join('\n'), status.riskHalted ? 'error' : status.paused ? 'warning' : 'info');
+    }
+
+    formatPositions(positions) {
+        if (!positions) {
+            return this.embed('📈 Positions', 'Could not fetch positions', 'error');
+        }
+        if (positions.length === 0) {
+            return this.embed('📈 Positions', 'No open positions');
+        }
+
+        return this.embed(`📈 Positions (${positions.length})`, positions.map(position => {
+            const pnl = parseFloat(position.unrealisedPnl);
+            return `${pnl >= 0 ? '🟢' : '🔴'} **${position.symbol}** ${position.side} ${position.size} @ ${position.avgPrice} | PnL ${pnl.toFixed(4)} USDT`;
+        }).join('\n'));
+    }
+
+    formatDCA(dcaStats, symbol) {
+        if (!dcaStats) {
+            return this.embed('🎯 DCA', 'Could not fetch DCA statistics', 'error');
+        }
+
+        const positions = dcaStats.activePositions.filter(pos =>
+            pos.status === 'active' && (!symbol || pos.symbol === symbol)
+        );
+        if (positions.length === 0) {
+            return this.embed('🎯 DCA', symbol ? `No active DCA ladder for ${symbol}` : 'No active DCA ladders');
+        }
+
+        return this.embed('🎯 DCA', positions.map(pos => [
+            `**${pos.symbol}** ${pos.side}: ${pos.executedLevels}/${pos.totalLevels} levels (${pos.progressPercent.toFixed(1)}%)`,
+            `Average entry ${pos.averageEntryPrice} | Allocated ${pos.totalAllocated} | ATR ${pos.atr}`,
+            ...pos.levels.map(level =>
+                `\`L${level.level}\` ${level.orderPrice} × ${level.orderSize} — ${level.status}${level.fillPrice ? ` @ ${level.fillPrice}` : ''}`
+            )
+        ].join('\n')).join('\n\n'));
+    }
+}
+
+export default DiscordBot;
@@ -16,7 +16,7 @@ class DiscordService {
         }
     }
 
-    async sendOrderNotification(symbol, amount, side, position, pnl, qty) {
+    async sendOrderNotification(symbol, amount, side, position, pnl, qty, exits = null) {
         try {
             const isBuy = side === "Buy";
             const color = isBuy ? 0x00ff00 : 0xff0000;
@@ -36,6 +36,18 @@ class DiscordService {
                 .setTimestamp()
                 .setFooter({ text: '0xLIQD-BYBIT' });
 
+            if (exits) {
+                const atrNote = exits.atrPercent !== null ? ` (${(exits.takeProfitPercent / exits.atrPercent).toFixed(1)}x ATR)` : '';
+                embed.addFields({ name: '🎯 Take Profit', value: `\`${exits.takeProfitPercent.toFixed(2)}%${atrNote}\``, inline: true });
+                if (exits.stopLossPercent !== null) {
+                    const slNote = exits.atrPercent !== null ? ` (${(exits.stopLossPercent / exits.atrPercent).toFixed(1)}x ATR)` : '';
+                    embed.addFields({ name: '🛑 Stop Loss', value: `\`${exits.stopLossPercent.toFixed(2)}%${slNote}\``, inline: true });
+                }
+                if (exits.atrPercent !== null) {
+                    embed.addFields({ name: '📏 ATR', value: `\`${exits.atrPercent.toFixed(2)}%\``, inline: true });
+                }
+            }
+
             await this.webhookClient.send({ embeds: [embed] });
         } catch (err) {
             console.error("Discord Webhook Error:", err.message);
@@ -117,7 +129,7 @@ class DiscordService {
         }
     }
 
-    async sendReport(balance, leverage, margin, profit, profitPercent, uptime, serverTime, positions, openPositionsCount, dcaStats = null) {
+    async sendReport(balance, leverage, margin, profit, profitPercent, uptime, serverTime, positions, openPositionsCount, dcaStats = null, researchStatus = null) {
         try {
             const embed = new EmbedBuilder()
                 .setTitle('📊 0xLIQD-BYBIT REPORT 📊')
@@ -143,6 +155,18 @@ class DiscordService {
                 });
             }
 
+            // Add research freshness
+            if (researchStatus) {
+                const age = researchStatus.ageMinutes === null ? 'unknown' : `${Math.round(researchStatus.ageMinutes)} min`;
+                const limit = researchStatus.maxAgeMinutes > 0 ? ` (max ${researchStatus.maxAgeMinutes} min)` : '';
+                const state = researchStatus.stale ? `⚠️ Stale, ${researchStatus.policy} policy` : '✅ Fresh';
+                embed.addFields({
+                    name: '🧭 Research Data',
+                    value: `**Source:** ${researchStatus.source}\n**Age:** ${age}${limit}\n**State:** ${state}\n**Stale Pairs:** ${researchStatus.stalePairs}/${researchStatus.totalPairs}`,
+                    inline: false
+                });
+            }
+
             // Add position details
             if (positions.length > 0) {
                 embed.addFields({
@@ -0,0 +1,214 @@
+/**
+ * Exit Manager - Break-even stop and trailing take profit
+ * Once price has moved far enough in the position's favour the stop loss is moved to break-even
+ * plus fees, and after a further move the fixed TP is dropped and the stop trails price by a
+ * percentage or an ATR multiple, either with Bybit's native trailingStop or by moving the stop loss
+ */
+
+import { logIT, LOG_LEVEL } from './log.js';
+
+export const TRAILING_MODES = ['percent', 'atr'];
+
+class ExitManager {
+    /**
+     * @param {Object} handlers - Bot actions: { getPositions, updateTradingStop, getATR, announce }
+     * @param {Object} config - Trigger levels and trailing settings
+     */
+    constructor(handlers, config = {}) {
+        this.handlers = handlers;
+        this.config = this.initializeConfig(config);
+
+        this.positions = new Map();     // `${symbol}_${positionIdx}` -> { side, entryPrice, breakEven, trailing, trailDistance }
+        this.checkInterval = null;
+        this.isChecking = false;
+    }
+
+    /**
+     * Initialize configuration with defaults
+     */
+    initializeConfig(userConfig) {
+        const defaultConfig = {
+            breakEvenTriggerPercent: 0.3,       // Favourable move that moves the stop to break-even (0 disables)
+            breakEvenFeePercent: 0.11,          // Added to the entry so the break-even exit covers round-trip fees
+            trailingActivationPercent: 0.4,     // Favourable move that starts trailing (0 disables)
+            trailingMode: 'percent',
+            trailingDistancePercent: 0.3,
+            trailingAtrMultiplier: 1,
+            removeTakeProfit: true,             // Drop the fixed TP once trailing so the rebound can run
+            nativeTrailing: true,               // Bybit trailingStop; false moves the stop loss on every check
+            checkIntervalMs: 5000
+        };
+
+        const config = { ...defaultConfig, ...userConfig };
+
+        if (!TRAILING_MODES.includes(config.trailingMode)) {
+            logIT(`Invalid trailing mode "${config.trailingMode}", using "percent"`, LOG_LEVEL.WARNING);
+            config.trailingMode = 'percent';
+        }
+
+        return config;
+    }
+
+    start() {
+        if (this.checkInterval) return;
+
+        this.checkInterval = setInterval(() => {
+            this.check().catch(error => {
+                logIT(`Exit manager check failed: ${error.message}`, LOG_LEVEL.ERROR);
+            });
+        }, this.config.checkIntervalMs);
+
+        logIT(`Exit manager started (break-even at +${this.config.breakEvenTriggerPercent}%, trailing at +${this.config.trailingActivationPercent}% by ${this.config.trailingMode === 'atr' ? `${this.config.trailingAtrMultiplier}x ATR` : `${this.config.trailingDistancePercent}%`}, ${this.config.nativeTrailing ? 'native' : 'managed'})`, LOG_LEVEL.INFO);
+    }
+
+    stop() {
+        if (this.checkInterval) {
+            clearInterval(this.checkInterval);
+            this.checkInterval = null;
+        }
+    }
+
+    positionKey(position) {
+        return `${position.symbol}_${position.positionIdx}`;
+    }
+
+    /**
+     * Advance every open position through the break-even and trailing stages
+     */
+    async check() {
+        if (this.isChecking) return;
+        this.isChecking = true;
+
+        try {
+            const positions = (await this.handlers.getPositions()).filter(position => parseFloat(position.size) > 0);
+            const openKeys = new Set();
+
+            for (const position of positions) {
+                const key = this.positionKey(position);
+                openKeys.add(key);
+
+                try {
+                    await this.managePosition(key, position);
+                } catch (error) {
+                    logIT(`Exit manager: error managing ${position.symbol} ${position.side}: ${error.message}`, LOG_LEVEL.ERROR);
+                }
+            }
+
+            for (const key of this.positions.keys()) {
+                if (!openKeys.has(key)) {
+                    this.positions.delete(key);
+                }
+            }
+        } finally {
+            this.isChecking = false;
+        }
+    }
+
+    async managePosition(key, position) {
+        const entryPrice = parseFloat(position.avgPrice);
+        const markPrice = parseFloat(position.markPrice);
+        if (!(entryPrice > 0) || !(markPrice > 0)) return;
+
+        // A new entry price (DCA fill, flip) restarts the stages from that price
+        let state = this.positions.get(key);
+        if (!state || state.side !== position.side || state.entryPrice !== entryPrice) {
+            state = { side: position.side, entryPrice, breakEven: false, trailing: false, trailDistance: null, lastStop: null };
+            this.positions.set(key, state);
+        }
+
+        const direction = position.side === 'Buy' ? 1 : -1;
+        const movePercent = (markPrice - entryPrice) / entryPrice * 100 * direction;
+
+        if (!state.breakEven && this.config.breakEvenTriggerPercent > 0 && movePercent >= this.config.breakEvenTriggerPercent) {
+            const stopLoss = entryPrice * (1 + direction * this.config.breakEvenFeePercent / 100);
+            if (this.isTighter(position, this.currentStop(state, position), stopLoss)) {
+                await this.handlers.updateTradingStop(position, { stopLoss });
+                state.lastStop = stopLoss;
+                this.announce(`🔐 ${position.symbol} ${position.side} up ${movePercent.toFixed(2)}%, stop moved to break-even ${stopLoss}`);
+            }
+            state.breakEven = true;
+        }
+
+        if (!state.trailing && this.config.trailingActivationPercent > 0 && movePercent >= this.config.trailingActivationPercent) {
+            const trailDistance = await this.getTrailDistance(position.symbol, markPrice);
+            if (!trailDistance) return;
+
+            const params = this.config.removeTakeProfit ? { takeProfit: 0 } : {};
+            if (this.config.nativeTrailing) {
+                params.trailingStop = trailDistance;
+            } else {
+                const stopLoss = markPrice - direction * trailDistance;
+                if (this.isTighter(position, this.currentStop(state, position), stopLoss)) {
+                    params.stopLoss = stopLoss;
+                }
+            }
+
+            await this.handlers.updateTradingStop(position, params);
+            state.trailing = true;
+            state.trailDistance = trailDistance;
+            state.lastStop = params.stopLoss ?? state.lastStop;
+            this.announce(`📈 ${position.symbol} ${position.side} up ${movePercent.toFixed(2)}%, trailing stop ${trailDistance} behind price${this.config.removeTakeProfit ? ', fixed TP removed' : ''}`);
+            return;
+        }
+
+        // Managed trailing: follow price with the stop loss, never moving it back
+        if (state.trailing && !this.config.nativeTrailing) {
+            const stopLoss = markPrice - direction * state.trailDistance;
+            if (this.isTighter(position, this.currentStop(state, position), stopLoss)) {
+                await this.handlers.updateTradingStop(position, { stopLoss });
+                state.lastStop = stopLoss;
+            }
+        }
+    }
+
+    /**
+     * Trailing distance in price units
+     */
+    async getTrailDistance(symbol, markPrice) {
+        if (this.config.trailingMode === 'atr') {
+            const atr = await this.handlers.getATR(symbol);
+            if (!atr) {
+                logIT(`Exit manager: no ATR for ${symbol}, trailing postponed`, LOG_LEVEL.WARNING);
+                return null;
+            }
+            return atr * this.config.trailingAtrMultiplier;
+        }
+
+        return markPrice * this.config.trailingDistancePercent / 100;
+    }
+
+    /**
+     * The stop last set here, or the exchange's when none was set yet (0 for no stop)
+     * Position data can lag behind an update made earlier in the same check
+     */
+    currentStop(state, position) {
+        return state.lastStop ?? (parseFloat(position.stopLoss) || 0);
+    }
+
+    /**
+     * Whether a stop at this price would be closer to price than the current stop
+     */
+    isTighter(position, currentStop, stopLoss) {
+        if (!(currentStop > 0)) return true;
+
+        return position.side === 'Buy' ? stopLoss > currentStop : stopLoss < currentStop;
+    }
+
+    /**
+     * Whether this manager has started trailing the position
+     */
+    isTrailing(position) {
+        return this.positions.get(this.positionKey(position))?.trailing === true;
+    }
+
+    announce(message) {
+        logIT(`Exit manager: ${message}`, LOG_LEVEL.INFO);
+        this.handlers.announce(message, 'info');
+    }
+
+    getStatus() {
+        return Array.from(this.positions.entries()).map(([key, state]) => ({ key, ...state }));
+    }
+}
+
+export default ExitManager;
@@ -0,0 +1,305 @@
+/**
+ * Liquidation Recorder - Persists raw liquidation events and ticker snapshots
+ * Writes hourly NDJSON files under data/recordings, compresses them on rotation and enforces retention
+ */
+
+import fs from 'fs';
+import path from 'path';
+import zlib from 'zlib';
+import readline from 'readline';
+import moment from 'moment';
+import { logIT, LOG_LEVEL } from './log.js';
+
+class LiquidationRecorder {
+    constructor(config = {}) {
+        this.config = this.initializeConfig(config);
+        this.buffer = [];
+        this.currentFile = null;
+        this.activeSymbols = new Map(); // symbol -> last liquidation time
+        this.stats = {
+            liquidations: 0,
+            tickers: 0,
+            filesRotated: 0,
+            writeErrors: 0
+        };
+
+        this.ensureRecordingDirectory();
+    }
+
+    /**
+     * Initialize configuration with defaults
+     */
+    initializeConfig(userConfig) {
+        const defaultConfig = {
+            recordingDir: './data/recordings',
+            retentionDays: 30,
+            tickerIntervalMs: 60 * 1000,
+            flushIntervalMs: 2000,
+            recordAllTickers: false,
+            activeSymbolWindowMs: 24 * 60 * 60 * 1000
+        };
+
+        return { ...defaultConfig, ...userConfig };
+    }
+
+    /**
+     * Ensure recording directory exists
+     */
+    ensureRecordingDirectory() {
+        if (!fs.existsSync(this.config.recordingDir)) {
+            fs.mkdirSync(this.config.recordingDir, { recursive: true });
+            logIT('Created recording directory for liquidation data', LOG_LEVEL.INFO);
+        }
+    }
+
+    /**
+     * Start periodic flushing and ticker snapshots
+     * @param {Object} marketClient - RestClientV5 used for ticker snapshots
+     */
+    start(marketClient) {
+        this.marketClient = marketClient;
+
+        // Compress files left over from a previous run and apply retention
+        this.rotateFiles();
+        this.cleanupOldRecordings();
+
+        this.flushInterval = setInterval(() => this.flush(), this.config.flushIntervalMs);
+
+        if (this.marketClient && this.config.tickerIntervalMs > 0) {
+            this.tickerInterval = setInterval(() => {
+                this.recordTickerSnapshot().catch(error => {
+                    logIT(`Ticker snapshot failed: ${error.message}`, LOG_LEVEL.WARNING);
+                });
+            }, this.config.tickerIntervalMs);
+        }
+
+        logIT(`Liquidation recorder started (${this.config.recordingDir}, retention ${this.config.retentionDays} days)`, LOG_LEVEL.INFO);
+    }
+
+    /**
+     * Stop timers and flush pending events
+     */
+    stop() {
+        clearInterval(this.flushInterval);
+        clearInterval(this.tickerInterval);
+        this.flushInterval = null;
+        this.tickerInterval = null;
+        this.flush();
+    }
+
+    /**
+     * Record a raw allLiquidation event from the WebSocket stream
+     * Bybit V5 format: { T: timestamp, s: symbol, S: side, v: size, p: price }
+     */
+    recordLiquidation(liqData) {
+        const event = {
+            type: 'liquidation',
+            symbol: liqData.s,
+            side: liqData.S,
+            price: parseFloat(liqData.p),
+            size: parseFloat(liqData.v),
+            ts: parseInt(liqData.T) || Date.now(),
+            receivedAt: Date.now()
+        };
+
+        this.activeSymbols.set(event.symbol, event.receivedAt);
+        this.buffer.push(event);
+        this.stats.liquidations++;
+    }
+
+    /**
+     * Record ticker snapshots for recently liquidated symbols (or all symbols)
+     */
+    async recordTickerSnapshot() {
+        const now = Date.now();
+
+        // Forget symbols that have not been liquidated within the window
+        for (const [symbol, lastSeen] of this.activeSymbols.entries()) {
+            if (now - lastSeen > this.config.activeSymbolWindowMs) {
+                this.activeSymbols.delete(symbol);
+            }
+        }
+
+        if (!this.config.recordAllTickers && this.activeSymbols.size === 0) {
+            return;
+        }
+
+        const tickers = await this.marketClient.getTickers({ category: 'linear' });
+        if (tickers?.retCode !== 0 || !tickers.result?.list) {
+            throw new Error(`API Error: ${tickers?.retMsg || 'Unknown error'}`);
+        }
+
+        for (const ticker of tickers.result.list) {
+            if (!this.config.recordAllTickers && !this.activeSymbols.has(ticker.symbol)) {
+                continue;
+            }
+
+            this.buffer.push({
+                type: 'ticker',
+                symbol: ticker.symbol,
+                lastPrice: parseFloat(ticker.lastPrice),
+                markPrice: parseFloat(ticker.markPrice),
+                bid1Price: parseFloat(ticker.bid1Price),
+                ask1Price: parseFloat(ticker.ask1Price),
+                volume24h: parseFloat(ticker.volume24h),
+                turnover24h: parseFloat(ticker.turnover24h),
+                ts: parseInt(tickers.time) || now
+            });
+            this.stats.tickers++;
+        }
+    }
+
+    /**
+     * Active file name for an hour bucket
+     */
+    getFileName(timestamp) {
+        return `liquidations-${moment.utc(timestamp).format('YYYY-MM-DD-HH')}.ndjson`;
+    }
+
+    /**
+     * Write buffered events to the hourly file of their own timestamp
+     * A flush just after the hour turns still holds events of the previous hour
+     */
+    flush() {
+        if (this.buffer.length === 0) return;
+
+        const events = this.buffer;
+        this.buffer = [];
+
+        try {
+            const files = new Map();
+            for (const event of events) {
+                const fileName = this.getFileName(event.ts);
+                if (!files.has(fileName)) files.set(fileName, []);
+                files.get(fileName).push(JSON.stringify(event));
+            }
+            for (const [fileName, lines] of files) {
+                fs.appendFileSync(path.join(this.config.recordingDir, fileName), lines.join('\n') + '\n');
+            }
+
+            const activeFile = this.getFileName(Date.now());
+            if (this.currentFile && this.currentFile !== activeFile) {
+                this.rotateFiles(activeFile);
+            }
+            this.currentFile = activeFile;
+        } catch (error) {
+            this.stats.writeErrors++;
+            logIT(`Error writing liquidation recording: ${error.message}`, LOG_LEVEL.ERROR);
+        }
+    }
+
+    /**
+     * Compress every finished (non-active) NDJSON file
+     */
+    rotateFiles(activeFile = this.getFileName(Date.now())) {
+        try {
+            const files = fs.readdirSync(this.config.recordingDir)
+                .filter(file => file.endsWith('.ndjson') && file !== activeFile);
+
+            for (const file of files) {
+                const filePath = path.join(this.config.recordingDir, file);
+                // Late events can reopen an hour that is already compressed, gzip members concatenate
+                fs.appendFileSync(`${filePath}.gz`, zlib.gzipSync(fs.readFileSync(filePath)));
+                fs.unlinkSync(filePath);
+                this.stats.filesRotated++;
+                logIT(`Compressed liquidation recording: ${file}`, LOG_LEVEL.DEBUG);
+            }
+
+            if (files.length > 0) {
+                this.cleanupOldRecordings();
+            }
+        } catch (error) {
+            logIT(`Error rotating liquidation recordings: ${error.message}`, LOG_LEVEL.ERROR);
+        }
+    }
+
+    /**
+     * Remove recordings older than the retention window
+     */
+    cleanupOldRecordings() {
+        if (!this.config.retentionDays || this.config.retentionDays <= 0) return;
+
+        try {
+            const cutoff = moment.utc().subtract(this.config.retentionDays, 'days');
+
+            for (const file of this.listRecordingFiles()) {
+                if (file.hour.isBefore(cutoff)) {
+                    fs.unlinkSync(file.path);
+                    logIT(`Cleaned up old liquidation recording: ${file.name}`, LOG_LEVEL.INFO);
+                }
+            }
+        } catch (error) {
+            logIT(`Error cleaning up liquidation recordings: ${error.message}`, LOG_LEVEL.ERROR);
+        }
+    }
+
+    /**
+     * List recording files with their UTC hour, oldest first
+     */
+    listRecordingFiles() {
+        if (!fs.existsSync(this.config.recordingDir)) return [];
+
+        return fs.readdirSync(this.config.recordingDir)
+            .map(name => {
+                const match = name.match(/^liquidations-(\d{4}-\d{2}-\d{2}-\d{2})\.ndjson(\.gz)?$/);
+                if (!match) return null;
+                return {
+                    name,
+                    path: path.join(this.config.recordingDir, name),
+                    hour: moment.utc(match[1], 'YYYY-MM-DD-HH'),
+                    compressed: !!match[2]
+                };
+            })
+            .filter(Boolean)
+            .sort((a, b) => a.hour.valueOf() - b.hour.valueOf());
+    }
+
+    /**
+     * Read recorded events in chronological order
+     * @param {number} from - Start timestamp in ms (inclusive)
+     * @param {number} to - End timestamp in ms (inclusive)
+     * @param {string[]} types - Event types to include ('liquidation', 'ticker')
+     */
+    async *readEvents(from, to, types = ['liquidation', 'ticker']) {
+        const files = this.listRecordingFiles().filter(file =>
+            file.hour.valueOf() + 60 * 60 * 1000 > from && file.hour.valueOf() <= to
+        );
+
+        for (const file of files) {
+            const source = fs.createReadStream(file.path);
+            const input = file.compressed ? source.pipe(zlib.createGunzip()) : source;
+            const lines = readline.createInterface({ input, crlfDelay: Infinity });
+
+            for await (const line of lines) {
+                if (!line) continue;
+
+                let event;
+                try {
+                    event = JSON.parse(line);
+                } catch {
+                    // Skip a partially written last line
+                    continue;
+                }
+
+                if (event.ts >= from && event.ts <= to && types.includes(event.type)) {
+                    yield event;
+                }
+            }
+        }
+    }
+
+    /**
+     * Get recorder statistics
+     */
+    getStats() {
+        return {
+            ...this.stats,
+            buffered: this.buffer.length,
+            activeSymbols: this.activeSymbols.size,
+            currentFile: this.currentFile,
+            files: this.listRecordingFiles().length
+        };
+    }
+}
+
+export default LiquidationRecorder;
@@ -0,0 +1,248 @@
+/**
+ * Notification Sinks - Delivery targets for the Notifier
+ * Every sink exposes a name and an async send(event); failures are thrown back to the Notifier
+ */
+
+import fs from 'fs';
+import crypto from 'crypto';
+import path from 'path';
+import fetch from 'node-fetch';
+import { logIT, LOG_LEVEL } from './log.js';
+import { NOTIFICATION_EVENTS } from './notifier.js';
+import { readStateFile, writeStateFile } from './stateFiles.js';
+
+/**
+ * Chat channel backed by a DiscordService or TelegramService
+ * Events with a dedicated layout use it, everything else is sent as an alert
+ */
+export class MessengerSink {
+    constructor(name, service) {
+        this.name = name;
+        this.service = service;
+    }
+
+    async send(event) {
+        switch (event.type) {
+            case NOTIFICATION_EVENTS.TRADE_OPENED:
+                return this.service.sendOrderNotification(event.symbol, event.amount, event.side, event.positionSize, event.pnl, event.liquidationVolume, event.exits);
+            case NOTIFICATION_EVENTS.DCA_STARTED:
+                return this.service.sendDCANotification(event.symbol, event.dcaStats);
+            case NOTIFICATION_EVENTS.DCA_COMPLETED:
+                return this.service.sendDCACompletionNotification(event.symbol, event.completionStats);
+            case NOTIFICATION_EVENTS.REPORT: {
+                const r = event.report;
+                return this.service.sendReport(r.balance, r.leverage, r.margin, r.profit, r.profitPercent, r.uptime, r.serverTime, r.positions, r.openPositionsCount, r.dcaStats, r.researchStatus);
+            }
+            default:
+                return this.service.sendMessage(event.message, event.severity);
+        }
+    }
+
+    async close() {
+        await this.service.close();
+    }
+}
+
+/**
+ * HTTP webhook receiving every event as a JSON POST body
+ * Bodies are HMAC signed when a secret is set; failed deliveries are queued on disk
+ * and retried in order with exponential backoff, so receivers should dedupe on the event id
+ */
+export class WebhookSink {
+    constructor(url, config = {}) {
+        this.name = 'webhook';
+        this.url = url;
+        this.config = this.initializeConfig(config);
+        this.retryDelay = this.config.retryBaseMs;
+        this.retryTimer = null;
+        this.flushing = null;   // Running flush, so a retry timer and a new event never deliver the same item twice
+        this.queue = this.loadQueue();
+
+        if (this.queue.length > 0) {
+            logIT(`Webhook queue has ${this.queue.length} undelivered events, retrying`, LOG_LEVEL.INFO);
+            this.scheduleRetry();
+        }
+    }
+
+    /**
+     * Initialize configuration with defaults
+     */
+    initializeConfig(userConfig) {
+        const defaultConfig = {
+            headers: {},
+            timeoutMs: 10000,
+            secret: null,                           // HMAC-SHA256 signing secret
+            queueFile: './data/webhook_queue.json',
+            maxQueueSize: 5000,                     // Oldest events are dropped beyond this
+            retryBaseMs: 5000,
+            retryMaxMs: 300000
+        };
+
+        return { ...defaultConfig, ...userConfig };
+    }
+
+    /**
+     * Signature over "<timestamp>.<body>" so a captured request cannot be replayed with a new timestamp
+     */
+    sign(body, timestamp) {
+        return crypto.createHmac('sha256', this.config.secret).update(`${timestamp}.${body}`).digest('hex');
+    }
+
+    async post(event) {
+        const body = JSON.stringify(event);
+        const headers = {
+            'Content-Type': 'application/json',
+            'X-LIQD-Event': event.type,
+            'X-LIQD-Event-Id': event.id,
+            ...this.config.headers
+        };
+
+        if (this.config.secret) {
+            const timestamp = Date.now().toString();
+            headers['X-LIQD-Timestamp'] = timestamp;
+            headers['X-LIQD-Signature'] = `sha256=${this.sign(body, timestamp)}`;
+        }
+
+        const response = await fetch(this.url, {
+            method: 'POST',
+            headers,
+            body,
+            signal: AbortSignal.timeout(this.config.timeoutMs)
+        });
+
+        if (!response.ok) {
+            throw new Error(`Webhook responded with HTTP ${response.status}`);
+        }
+    }
+
+    async send(event) {
+        // New events wait behind queued ones to keep delivery order
+        if (this.queue.length === 0) {
+            try {
+                await this.post(event);
+                return;
+            } catch (error) {
+                logIT(`Webhook delivery of ${event.type} failed, queueing for retry: ${error.message}`, LOG_LEVEL.WARNING);
+            }
+        }
+
+        this.enqueue(event);
+    }
+
+    enqueue(event) {
+        this.queue.push(event);
+
+        if (this.queue.length > this.config.maxQueueSize) {
+            const dropped = this.queue.splice(0, this.queue.length - this.config.maxQueueSize);
+            logIT(`Webhook queue full, dropped ${dropped.length} oldest events`, LOG_LEVEL.ERROR);
+        }
+
+        this.saveQueue();
+        this.scheduleRetry();
+    }
+
+    scheduleRetry() {
+        if (this.retryTimer) return;
+
+        this.retryTimer = setTimeout(() => {
+            this.retryTimer = null;
+            this.flush();
+        }, this.retryDelay);
+        this.retryTimer.unref();
+    }
+
+    /**
+     * Deliver queued events oldest first; stop and back off on the first failure
+     * Calls while a flush runs share it, events queued meanwhile are picked up by the running loop
+     */
+    flush() {
+        if (!this.flushing) {
+            this.flushing = this.drain().finally(() => {
+                this.flushing = null;
+            });
+        }
+        return this.flushing;
+    }
+
+    async drain() {
+        while (this.queue.length > 0) {
+            const event = this.queue[0];
+
+            try {
+                await this.post(event);
+            } catch (error) {
+                this.retryDelay = Math.min(this.retryDelay * 2, this.config.retryMaxMs);
+                logIT(`Webhook retry failed (${this.queue.length} queued), next attempt in ${Math.round(this.retryDelay / 1000)}s: ${error.message}`, LOG_LEVEL.WARNING);
+                this.scheduleRetry();
+                return;
+            }
+
+            // The queue may have been trimmed while the request was in flight
+            const index = this.queue.indexOf(event);
+            if (index !== -1) {
+                this.queue.splice(index, 1);
+            }
+            this.saveQueue();
+        }
+
+        this.retryDelay = this.config.retryBaseMs;
+        logIT('Webhook queue drained', LOG_LEVEL.INFO);
+    }
+
+    loadQueue() {
+        try {
+            return readStateFile(this.config.queueFile, { defaultValue: [], generations: 0 });
+        } catch (error) {
+            logIT(`Error loading webhook queue: ${error.message}`, LOG_LEVEL.ERROR);
+            return [];
+        }
+    }
+
+    saveQueue() {
+        // The queue is transient and rewritten on every event, so no rotated copies are kept
+        try {
+            writeStateFile(this.config.queueFile, this.queue, { space: 0, generations: 0 });
+        } catch (error) {
+            logIT(`Error saving webhook queue: ${error.message}`, LOG_LEVEL.ERROR);
+        }
+    }
+
+    async close() {
+        if (this.retryTimer) {
+            clearTimeout(this.retryTimer);
+            this.retryTimer = null;
+        }
+        await this.flushing;
+    }
+}
+
+/**
+ * Writes events to the bot log
+ */
+export class ConsoleSink {
+    constructor() {
+        this.name = 'console';
+    }
+
+    async send(event) {
+        const level = event.severity === 'error' ? LOG_LEVEL.ERROR
+            : event.severity === 'warning' ? LOG_LEVEL.WARNING
+            : LOG_LEVEL.INFO;
+        logIT(`[${event.type}] ${event.message}`, level);
+    }
+}
+
+/**
+ * Appends events to a JSON lines file
+ */
+export class FileSink {
+    constructor(filePath = './logs/notifications.jsonl') {
+        this.name = 'file';
+        this.filePath = filePath;
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    }
+
+    async send(event) {
+        await fs.promises.appendFile(this.filePath, JSON.stringify(event) + '\n');
+    }
+}
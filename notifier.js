@@ -0,0 +1,178 @@
+/**
+ * Notifier - Routes bot events to registered notification sinks
+ * Each sink gets its own severity threshold, event allow/mute lists and rate limit,
+ * so adding a channel or muting a noisy event is a configuration change
+ */
+
+import crypto from 'crypto';
+import { logIT, LOG_LEVEL } from './log.js';
+
+/**
+ * Event types emitted by the bot
+ */
+export const NOTIFICATION_EVENTS = {
+    TRADE_OPENED: 'trade_opened',
+    ORDER_PLACED: 'order_placed',
+    DCA_STARTED: 'dca_started',
+    DCA_ORDER_PLACED: 'dca_order_placed',
+    DCA_LEVEL_FILLED: 'dca_level_filled',
+    DCA_COMPLETED: 'dca_completed',
+    TP_SL_SET: 'tp_sl_set',
+    POSITION_CLOSED: 'position_closed',
+    ALERT: 'alert',
+    ERROR: 'error',
+    REPORT: 'report'
+};
+
+/**
+ * Severity ranks used by sink thresholds
+ */
+export const SEVERITY = {
+    info: 0,
+    success: 1,
+    warning: 2,
+    error: 3
+};
+
+// Severity an event gets when the caller does not set one
+const DEFAULT_SEVERITY = {
+    trade_opened: 'info',
+    order_placed: 'info',
+    dca_started: 'info',
+    dca_order_placed: 'info',
+    dca_level_filled: 'info',
+    dca_completed: 'success',
+    tp_sl_set: 'info',
+    position_closed: 'info',
+    alert: 'info',
+    error: 'error',
+    report: 'info'
+};
+
+/**
+ * Parse a comma separated event list from the environment
+ * @returns {string[]|null} Event names, or null when the list is empty
+ */
+export function parseEventList(value) {
+    if (!value) return null;
+
+    const events = value.split(',').map(event => event.trim().toLowerCase()).filter(Boolean);
+    const unknown = events.filter(event => !Object.values(NOTIFICATION_EVENTS).includes(event));
+    if (unknown.length > 0) {
+        logIT(`Ignoring unknown notification events: ${unknown.join(', ')}`, LOG_LEVEL.WARNING);
+    }
+
+    const known = events.filter(event => !unknown.includes(event));
+    return known.length > 0 ? known : null;
+}
+
+class Notifier {
+    constructor() {
+        this.sinks = [];
+    }
+
+    /**
+     * Register a sink
+     * @param {Object} sink - Object with a name and an async send(event) method
+     * @param {Object} options - { minSeverity, events, mute, rateLimit, rateWindowMs }
+     */
+    addSink(sink, options = {}) {
+        const config = {
+            minSeverity: 'info',
+            events: null,       // Allow list; null delivers every event type
+            mute: [],           // Event types never delivered to this sink
+            rateLimit: 0,       // Max events per window; 0 disables rate limiting
+            rateWindowMs: 60000,
+            ...options
+        };
+
+        if (!(config.minSeverity in SEVERITY)) {
+            logIT(`Unknown severity "${config.minSeverity}" for ${sink.name} notifications, using info`, LOG_LEVEL.WARNING);
+            config.minSeverity = 'info';
+        }
+
+        this.sinks.push({ sink, config, sentTimes: [], dropped: 0 });
+        logIT(`Notification sink registered: ${sink.name} (min severity ${config.minSeverity}${config.rateLimit ? `, ${config.rateLimit} per ${config.rateWindowMs / 1000}s` : ''})`, LOG_LEVEL.INFO);
+        return this;
+    }
+
+    isEnabled() {
+        return this.sinks.length > 0;
+    }
+
+    /**
+     * Check whether any sink would accept an event type, ignoring rate limits
+     * Lets callers skip building expensive payloads such as reports
+     */
+    wants(type, severity = DEFAULT_SEVERITY[type] || 'info') {
+        return this.sinks.some(entry => this.accepts(entry, type, severity));
+    }
+
+    accepts(entry, type, severity) {
+        const { config } = entry;
+        if (config.events && !config.events.includes(type)) return false;
+        if (config.mute.includes(type)) return false;
+        return SEVERITY[severity] >= SEVERITY[config.minSeverity];
+    }
+
+    /**
+     * Sliding window rate limit; scheduled reports are never dropped
+     */
+    withinRateLimit(entry, type) {
+        const { config } = entry;
+        if (!config.rateLimit || type === NOTIFICATION_EVENTS.REPORT) return true;
+
+        const now = Date.now();
+        entry.sentTimes = entry.sentTimes.filter(time => now - time < config.rateWindowMs);
+        if (entry.sentTimes.length >= config.rateLimit) {
+            entry.dropped++;
+            return false;
+        }
+
+        if (entry.dropped > 0) {
+            logIT(`${entry.sink.name} notifications: ${entry.dropped} events dropped by rate limit`, LOG_LEVEL.WARNING);
+            entry.dropped = 0;
+        }
+        entry.sentTimes.push(now);
+        return true;
+    }
+
+    /**
+     * Deliver an event to every sink that accepts it
+     * Sink failures are logged and never thrown, so notifications cannot break trading
+     * @param {string} type - One of NOTIFICATION_EVENTS
+     * @param {Object} payload - Event fields; `message` is the human readable summary
+     * @param {string} [severity] - Overrides the event type's default severity
+     * @returns {Promise<boolean>} True when every targeted sink delivered the event
+     */
+    async notify(type, payload = {}, severity = DEFAULT_SEVERITY[type] || 'info') {
+        const event = {
+            id: crypto.randomUUID(),
+            type,
+            severity: severity in SEVERITY ? severity : 'info',
+            timestamp: Date.now(),
+            ...payload,
+            message: payload.message instanceof Error ? payload.message.message : String(payload.message ?? '')
+        };
+
+        const targets = this.sinks.filter(entry =>
+            this.accepts(entry, type, event.severity) && this.withinRateLimit(entry, type)
+        );
+
+        const results = await Promise.allSettled(targets.map(entry => entry.sink.send(event)));
+
+        results.forEach((result, index) => {
+            if (result.status === 'rejected') {
+                logIT(`${targets[index].sink.name} notification failed (${type}): ${result.reason?.message || result.reason}`, LOG_LEVEL.ERROR);
+            }
+        });
+
+        return results.every(result => result.status === 'fulfilled');
+    }
+
+    async close() {
+        await Promise.allSettled(this.sinks.map(entry => entry.sink.close ? entry.sink.close() : null));
+    }
+}
+
+export default Notifier;
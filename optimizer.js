@@ -0,0 +1,418 @@
+/**
+ * Optimizer - Grid and random search over strategy parameters using the backtester
+ * Candidates run in worker threads; each walk-forward fold picks a winner on its
+ * training window and scores it on the following, unseen test window
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import chalk from 'chalk';
+import moment from 'moment';
+import { Worker } from 'worker_threads';
+import { logIT, LOG_LEVEL } from './log.js';
+
+/**
+ * Searchable parameters keyed by their .env name
+ * target is the path inside Backtester params, values are the default search values
+ */
+export const PARAMETER_SPACE = {
+    ATR_TIMEFRAME: { target: ['dca', 'atrTimeframe'], values: ['5m', '15m', '1h'], parse: value => value },
+    ATR_LENGTH: { target: ['dca', 'atrLength'], values: [7, 14, 21], parse: parseInt },
+    ATR_DEVIATION: { target: ['dca', 'atrDeviation'], values: [0.5, 1, 1.5, 2], parse: parseFloat },
+    DCA_NUM_ORDERS: { target: ['dca', 'dcaNumOrders'], values: [3, 5, 7], parse: parseInt },
+    DCA_VOLUME_SCALE: { target: ['dca', 'volumeScale'], values: [1.2, 1.5, 2], parse: parseFloat },
+    DCA_STEP_SCALE: { target: ['dca', 'stepScale'], values: [1, 1.2, 1.5], parse: parseFloat },
+    TAKE_PROFIT_PERCENT: { target: ['takeProfitPercent'], values: [0.3, 0.484, 0.8, 1.2], parse: parseFloat },
+    RISK_LEVEL: { target: ['riskLevel'], values: [1, 2, 3, 4, 5], parse: parseInt }
+};
+
+export const OBJECTIVES = ['sharpe', 'profit_factor', 'return'];
+
+/**
+ * Seeded PRNG (mulberry32) so random searches can be reproduced
+ */
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Apply a candidate ({ ATR_LENGTH: 14, ... }) on top of base Backtester params
+ */
+export function applyParameters(baseParams, candidate, space = PARAMETER_SPACE) {
+    const params = { ...baseParams, dca: { ...baseParams.dca } };
+
+    for (const [name, value] of Object.entries(candidate)) {
+        const target = space[name].target;
+        if (target.length === 2) {
+            params[target[0]][target[1]] = value;
+        } else {
+            params[target[0]] = value;
+        }
+    }
+
+    return params;
+}
+
+/**
+ * Score a backtest summary; higher is better, -Infinity means rejected
+ * A profit factor needs minTrades trades, as a few winners without a loss would score Infinity
+ */
+export function scoreSummary(summary, objective, maxDrawdownPercent, minTrades = 1) {
+    if (!summary || summary.totalTrades === 0) return -Infinity;
+
+    switch (objective) {
+        case 'profit_factor':
+            return summary.totalTrades < minTrades ? -Infinity : summary.profitFactor;
+        case 'return':
+            return summary.maxDrawdownPercent > maxDrawdownPercent ? -Infinity : summary.returnPercent;
+        case 'sharpe':
+        default:
+            return summary.sharpeRatio;
+    }
+}
+
+/**
+ * Fixed-size pool of optimizer workers sharing one dataset copy each
+ * A worker that crashes fails its task and is replaced, so the pool keeps its size
+ */
+export class WorkerPool {
+    /**
+     * @param {number} size - Number of workers
+     * @param {Object} dataset - Dataset every worker receives once
+     * @param {URL} workerUrl - Worker script answering { id, params, window } with { id, summary } or { id, error }
+     */
+    constructor(size, dataset, workerUrl = new URL('./optimizerWorker.js', import.meta.url)) {
+        this.dataset = dataset;
+        this.workerUrl = workerUrl;
+        this.tasks = [];
+        this.callbacks = new Map();
+        this.running = new Map();   // worker -> task id in progress
+        this.idle = [];
+        this.nextId = 0;
+        this.workers = [];
+        this.closed = false;
+
+        for (let i = 0; i < size; i++) {
+            this.spawn();
+        }
+    }
+
+    spawn() {
+        const worker = new Worker(this.workerUrl, {
+            workerData: { dataset: this.dataset },
+            // Keep per-fill logging out of the console while hundreds of backtests run
+            env: { ...process.env, LOG_LEVEL: 'ERROR' }
+        });
+
+        worker.on('message', message => {
+            const callback = this.callbacks.get(message.id);
+            this.callbacks.delete(message.id);
+            this.running.delete(worker);
+            this.idle.push(worker);
+            this.dispatch();
+
+            if (message.error) callback.reject(new Error(message.error));
+            else callback.resolve(message.summary);
+        });
+        worker.on('error', error => this.replace(worker, error));
+        worker.on('exit', code => {
+            if (code !== 0) this.replace(worker, new Error(`exited with code ${code}`));
+        });
+
+        this.workers.push(worker);
+        this.idle.push(worker);
+    }
+
+    /**
+     * Fail the crashed worker's task and start a replacement
+     * 'error' is followed by 'exit', so a worker is only replaced once
+     */
+    replace(worker, error) {
+        if (this.closed || !this.workers.includes(worker)) return;
+
+        logIT(`Optimizer worker error: ${error.message}`, LOG_LEVEL.ERROR);
+
+        this.workers = this.workers.filter(other => other !== worker);
+        this.idle = this.idle.filter(other => other !== worker);
+
+        const id = this.running.get(worker);
+        this.running.delete(worker);
+        if (id !== undefined) {
+            const callback = this.callbacks.get(id);
+            this.callbacks.delete(id);
+            callback.reject(new Error(`Optimizer worker crashed: ${error.message}`));
+        }
+
+        worker.terminate();
+        this.spawn();
+        this.dispatch();
+    }
+
+    run(params, window) {
+        return new Promise((resolve, reject) => {
+            const id = this.nextId++;
+            this.callbacks.set(id, { resolve, reject });
+            this.tasks.push({ id, params, window });
+            this.dispatch();
+        });
+    }
+
+    dispatch() {
+        while (this.idle.length > 0 && this.tasks.length > 0) {
+            const worker = this.idle.pop();
+            const task = this.tasks.shift();
+            this.running.set(worker, task.id);
+            worker.postMessage(task);
+        }
+    }
+
+    async close() {
+        this.closed = true;
+        await Promise.all(this.workers.map(worker => worker.terminate()));
+    }
+}
+
+class Optimizer {
+    constructor(config = {}) {
+        this.config = this.initializeConfig(config);
+    }
+
+    /**
+     * Initialize configuration with defaults
+     */
+    initializeConfig(userConfig) {
+        const defaultConfig = {
+            method: 'random',           // 'random' or 'grid'
+            samples: 50,                // Candidates drawn by random search
+            objective: 'sharpe',        // 'sharpe', 'profit_factor' or 'return'
+            maxDrawdownPercent: 30,     // Drawdown cap for the 'return' objective
+            minTrades: 5,               // Trades a run needs for a 'profit_factor' score
+            folds: 3,                   // Walk-forward folds
+            trainPercent: 70,           // Share of each fold used for training
+            workers: Math.max(1, os.cpus().length - 1),
+            seed: Date.now(),
+            space: PARAMETER_SPACE
+        };
+
+        const config = { ...defaultConfig, ...userConfig };
+        if (!OBJECTIVES.includes(config.objective)) {
+            throw new Error(`Invalid objective: ${config.objective}. Valid options: ${OBJECTIVES.join(', ')}`);
+        }
+        return config;
+    }
+
+    /**
+     * All combinations of the parameter space
+     */
+    generateGrid() {
+        let combinations = [{}];
+
+        for (const [name, definition] of Object.entries(this.config.space)) {
+            combinations = combinations.flatMap(combination =>
+                definition.values.map(value => ({ ...combination, [name]: value }))
+            );
+        }
+
+        return combinations;
+    }
+
+    /**
+     * Unique random combinations of the parameter space
+     */
+    generateRandom() {
+        const random = createRandom(this.config.seed);
+        const names = Object.keys(this.config.space);
+        const gridSize = names.reduce((size, name) => size * this.config.space[name].values.length, 1);
+
+        if (this.config.samples >= gridSize) {
+            return this.generateGrid();
+        }
+
+        const seen = new Set();
+        const candidates = [];
+        while (candidates.length < this.config.samples) {
+            const candidate = {};
+            for (const name of names) {
+                const values = this.config.space[name].values;
+                candidate[name] = values[Math.floor(random() * values.length)];
+            }
+
+            const key = JSON.stringify(candidate);
+            if (!seen.has(key)) {
+                seen.add(key);
+                candidates.push(candidate);
+            }
+        }
+
+        return candidates;
+    }
+
+    generateCandidates() {
+        return this.config.method === 'grid' ? this.generateGrid() : this.generateRandom();
+    }
+
+    /**
+     * Split a window into consecutive folds of train + test
+     */
+    buildSplits(from, to) {
+        const foldLength = (to - from) / this.config.folds;
+
+        return Array.from({ length: this.config.folds }, (_, i) => {
+            const start = Math.round(from + i * foldLength);
+            const end = Math.round(from + (i + 1) * foldLength);
+            const trainEnd = Math.round(start + (end - start) * (this.config.trainPercent / 100));
+
+            return {
+                train: { from: start, to: trainEnd },
+                test: { from: trainEnd, to: end }
+            };
+        });
+    }
+
+    /**
+     * Run the search over a dataset from loadBacktestDataset()
+     * @param {Object} dataset - Full backtest dataset
+     * @param {Object} baseParams - Backtester params the candidates are applied to
+     */
+    async run(dataset, baseParams) {
+        const candidates = this.generateCandidates();
+        const splits = this.buildSplits(dataset.from, dataset.to);
+        const pool = new WorkerPool(Math.min(this.config.workers, candidates.length), dataset);
+        const score = summary => scoreSummary(summary, this.config.objective, this.config.maxDrawdownPercent, this.config.minTrades);
+
+        logIT(`Optimizing ${candidates.length} candidates (${this.config.method}) over ${splits.length} walk-forward folds with ${pool.workers.length} workers`, LOG_LEVEL.INFO);
+
+        try {
+            const folds = [];
+
+            for (const [index, split] of splits.entries()) {
+                let completed = 0;
+                const results = await Promise.all(candidates.map(async candidate => {
+                    let summary = null;
+                    try {
+                        summary = await pool.run(applyParameters(baseParams, candidate, this.config.space), split.train);
+                    } catch (error) {
+                        logIT(`Candidate ${JSON.stringify(candidate)} failed: ${error.message}`, LOG_LEVEL.WARNING);
+                    }
+
+                    completed++;
+                    if (completed % 10 === 0 || completed === candidates.length) {
+                        logIT(`Fold ${index + 1}/${splits.length}: ${completed}/${candidates.length} candidates tested`, LOG_LEVEL.INFO);
+                    }
+                    return { candidate, summary, score: score(summary) };
+                }));
+
+                results.sort((a, b) => b.score - a.score);
+                const best = results[0];
+                let testSummary = null;
+                if (best.score > -Infinity) {
+                    try {
+                        testSummary = await pool.run(applyParameters(baseParams, best.candidate, this.config.space), split.test);
+                    } catch (error) {
+                        logIT(`Fold ${index + 1}/${splits.length}: test run of ${JSON.stringify(best.candidate)} failed: ${error.message}`, LOG_LEVEL.WARNING);
+                    }
+                }
+
+                folds.push({
+                    train: split.train,
+                    test: split.test,
+                    candidate: best.candidate,
+                    trainScore: best.score,
+                    trainSummary: best.summary,
+                    testScore: score(testSummary),
+                    testSummary,
+                    leaderboard: results.slice(0, 5).map(({ candidate, score }) => ({ candidate, score }))
+                });
+            }
+
+            // The recommended set is the fold winner that held up best out of sample
+            const winner = folds.reduce((best, fold) => (!best || fold.testScore > best.testScore ? fold : best), null);
+
+            return {
+                generatedAt: new Date().toISOString(),
+                from: dataset.from,
+                to: dataset.to,
+                method: this.config.method,
+                objective: this.config.objective,
+                seed: this.config.seed,
+                candidatesTested: candidates.length,
+                folds,
+                winner: winner.testScore > -Infinity ? winner : null,
+                envBlock: winner.testScore > -Infinity ? this.formatEnvBlock(winner.candidate) : null
+            };
+        } finally {
+            await pool.close();
+        }
+    }
+
+    /**
+     * Format a candidate as lines ready to paste into .env
+     */
+    formatEnvBlock(candidate) {
+        const lines = [`# Optimized (${this.config.objective}, ${this.config.folds} walk-forward folds) on ${moment.utc().format('YYYY-MM-DD')}`];
+        for (const [name, value] of Object.entries(candidate)) {
+            lines.push(`${name} = ${value}`);
+        }
+        return lines.join('\n');
+    }
+}
+
+/**
+ * Print an optimization report to the console
+ */
+export function printOptimizationReport(report) {
+    const format = ts => moment.utc(ts).format('YYYY-MM-DD HH:mm');
+    const formatScore = score => Number.isFinite(score) ? score.toFixed(3) : (score > 0 ? '∞' : 'n/a');
+
+    console.log(chalk.blue(`\n=== OPTIMIZATION ${format(report.from)} -> ${format(report.to)} (UTC) ===\n`));
+    console.log(`   Method: ${report.method} (${report.candidatesTested} candidates, seed ${report.seed})`);
+    console.log(`   Objective: ${report.objective}`);
+
+    report.folds.forEach((fold, index) => {
+        console.log(chalk.green(`\n📊 Fold ${index + 1}: train ${format(fold.train.from)} -> ${format(fold.train.to)}, test ${format(fold.test.from)} -> ${format(fold.test.to)}`));
+        console.log(`   Best: ${JSON.stringify(fold.candidate)}`);
+        console.log(`   Train score: ${formatScore(fold.trainScore)} | Test score: ${formatScore(fold.testScore)}`);
+        if (fold.testSummary) {
+            console.log(`   Test: ${fold.testSummary.totalTrades} trades, ${fold.testSummary.returnPercent.toFixed(2)}% return, ${fold.testSummary.maxDrawdownPercent.toFixed(2)}% max drawdown`);
+        }
+    });
+
+    if (report.envBlock) {
+        console.log(chalk.green("\n✅ Recommended .env settings:\n"));
+        console.log(report.envBlock);
+    } else {
+        console.log(chalk.yellow("\n⚠️  No candidate produced trades out of sample; nothing to recommend"));
+    }
+
+    console.log(chalk.blue("\n=========================================\n"));
+}
+
+/**
+ * Save an optimization report (JSON) and the winning .env block
+ * @returns {string} Path of the JSON report
+ */
+export function saveOptimizationReport(report, dir = './data/backtests') {
+    if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+    }
+
+    const baseName = `optimize-${moment.utc(report.generatedAt).format('YYYYMMDD-HHmmss')}`;
+    const reportPath = path.join(dir, `${baseName}.json`);
+
+    fs.writeFileSync(reportPath, JSON.stringify(report, null, 2));
+    if (report.envBlock) {
+        fs.writeFileSync(path.join(dir, `${baseName}.env`), report.envBlock + '\n');
+    }
+
+    return reportPath;
+}
+
+export default Optimizer;
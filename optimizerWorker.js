@@ -0,0 +1,19 @@
+/**
+ * Optimizer Worker - Runs backtests for the optimizer in a worker thread
+ * Receives the dataset once via workerData, then one { id, params, window } task per message
+ */
+
+import { parentPort, workerData } from 'worker_threads';
+import Backtester, { sliceDataset } from './backtester.js';
+
+const { dataset } = workerData;
+
+parentPort.on('message', async ({ id, params, window }) => {
+    try {
+        const backtester = new Backtester(params);
+        const report = await backtester.simulate(sliceDataset(dataset, window.from, window.to));
+        parentPort.postMessage({ id, summary: report.summary });
+    } catch (error) {
+        parentPort.postMessage({ id, error: error.message });
+    }
+});
@@ -6,6 +6,38 @@
 import { env } from 'process';
 import { logIT, LOG_LEVEL } from './log.js';
 
+// Listeners called after the exchange accepts an order
+const orderListeners = [];
+
+/**
+ * Register a listener for every order accepted by the exchange
+ *
+ * @param {Function} listener - Called with { orderId, symbol, side, orderType, qty, positionIdx, reduceOnly }
+ */
+export function onOrderPlaced(listener) {
+  orderListeners.push(listener);
+}
+
+function emitOrderPlaced(orderConfig, order) {
+  const placed = {
+    orderId: order.result.orderId,
+    symbol: orderConfig.symbol,
+    side: orderConfig.side,
+    orderType: orderConfig.orderType,
+    qty: orderConfig.qty,
+    positionIdx: orderConfig.positionIdx,
+    reduceOnly: orderConfig.reduceOnly
+  };
+
+  orderListeners.forEach(listener => {
+    try {
+      listener(placed);
+    } catch (error) {
+      logIT(`Order listener error: ${error.message}`, LOG_LEVEL.ERROR);
+    }
+  });
+}
+
 /**
  * Create a market order for opening positions
  * Supports both one-way and hedge mode with proper position index mapping
@@ -46,6 +78,7 @@ export async function createMarketOrder(restClient, pair, side, size, positionId
     // Log order result
     if (order.retCode === 0) {
       logIT(`Market order created successfully: ${order.result.orderId}`, LOG_LEVEL.INFO);
+      emitOrderPlaced(orderConfig, order);
     } else {
       logIT(`Market order failed: ${order.retMsg} (Code: ${order.retCode})`, LOG_LEVEL.ERROR);
     }
@@ -55,4 +88,49 @@ export async function createMarketOrder(restClient, pair, side, size, positionId
     logIT(`Error creating market order for ${pair}: ${error.message}`, LOG_LEVEL.ERROR);
     throw error; // Re-throw to allow calling function to handle
   }
-}
\ No newline at end of file
+}
+
+/**
+ * Create a reduce-only market order that closes (part of) an open position
+ *
+ * @param {Object} restClient - Bybit REST client instance
+ * @param {string} pair - Trading pair symbol (e.g., 'BTCUSDT')
+ * @param {string} positionSide - Side of the position being closed ('Buy' or 'Sell')
+ * @param {string|number} size - Quantity to close in contracts
+ * @param {number} positionIdx - Position index of the position (0, 1 or 2)
+ * @returns {Promise<Object>} Order result from Bybit API
+ */
+export async function createCloseMarketOrder(restClient, pair, positionSide, size, positionIdx = 0) {
+  try {
+    if (!restClient || !pair || !positionSide || !size) {
+      throw new Error('Missing required parameters for close order');
+    }
+
+    // Closing a long sells, closing a short buys
+    const orderConfig = {
+      category: 'linear',
+      side: positionSide === 'Buy' ? 'Sell' : 'Buy',
+      orderType: 'Market',
+      symbol: pair,
+      qty: String(size),
+      reduceOnly: true,
+      positionIdx: positionIdx
+    };
+
+    logIT(`Creating close order: ${orderConfig.side} ${size} ${pair} (positionIdx: ${positionIdx})`, LOG_LEVEL.INFO);
+
+    const order = await restClient.submitOrder(orderConfig);
+
+    if (order.retCode === 0) {
+      logIT(`Close order created successfully: ${order.result.orderId}`, LOG_LEVEL.INFO);
+      emitOrderPlaced(orderConfig, order);
+    } else {
+      logIT(`Close order failed: ${order.retMsg} (Code: ${order.retCode})`, LOG_LEVEL.ERROR);
+    }
+
+    return order;
+  } catch (error) {
+    logIT(`Error creating close order for ${pair}: ${error.message}`, LOG_LEVEL.ERROR);
+    throw error;
+  }
+}
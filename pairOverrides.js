@@ -0,0 +1,160 @@
+/**
+ * Pair Overrides - User-owned per-pair configuration layered over .env defaults
+ * pair_overrides.json is only ever read by the bot, so unlike settings.json it survives the
+ * periodic settings regeneration. Values resolve in order: .env defaults, the generated
+ * settings.json entry, every group the symbol belongs to (in file order), then the symbol itself
+ */
+
+import fs from 'fs';
+import { logIT, LOG_LEVEL } from './log.js';
+
+// Keys a group or pair can set and their types: .env names for values that default to .env,
+// settings.json names for values generated per pair
+export const OVERRIDE_KEYS = {
+    TAKE_PROFIT_PERCENT: 'number',
+    STOP_LOSS_PERCENT: 'number',
+    LEVERAGE: 'number',
+    DCA_NUM_ORDERS: 'integer',
+    DCA_VOLUME_SCALE: 'number',
+    DCA_STEP_SCALE: 'number',
+    DCA_MAX_TOTAL_PERCENT: 'number',
+    ATR_TIMEFRAME: 'string',
+    ATR_LENGTH: 'integer',
+    ATR_DEVIATION: 'number',
+    order_size: 'number',
+    max_position_size: 'number',
+    long_price: 'number',
+    short_price: 'number',
+    tp_ladder: 'string'
+};
+
+class PairOverrides {
+    /**
+     * @param {Object} config - { filePath }
+     */
+    constructor(config = {}) {
+        this.config = this.initializeConfig(config);
+
+        this.groups = [];   // [{ name, symbols: Set, values }]
+        this.pairs = {};    // symbol -> values
+
+        this.load();
+    }
+
+    /**
+     * Initialize configuration with defaults
+     */
+    initializeConfig(userConfig) {
+        const defaultConfig = {
+            filePath: 'pair_overrides.json'
+        };
+
+        return { ...defaultConfig, ...userConfig };
+    }
+
+    /**
+     * Read the overrides file; a missing file means no overrides
+     * An unreadable file keeps the overrides loaded before it
+     * @returns {boolean} Whether the file was loaded (or is absent)
+     */
+    load() {
+        if (!fs.existsSync(this.config.filePath)) {
+            this.groups = [];
+            this.pairs = {};
+            return true;
+        }
+
+        let data;
+        try {
+            data = JSON.parse(fs.readFileSync(this.config.filePath, 'utf8'));
+        } catch (error) {
+            logIT(`Unable to read ${this.config.filePath}, keeping the previous pair overrides: ${error.message}`, LOG_LEVEL.ERROR);
+            return false;
+        }
+
+        const groups = [];
+        for (const [name, group] of Object.entries(data.groups || {})) {
+            const { symbols, ...values } = group;
+            if (!Array.isArray(symbols)) {
+                logIT(`Pair override group "${name}" has no symbols list, skipped`, LOG_LEVEL.WARNING);
+                continue;
+            }
+            groups.push({ name, symbols: new Set(symbols), values: this.parseValues(values, `group "${name}"`) });
+        }
+
+        const pairs = {};
+        for (const [symbol, values] of Object.entries(data.pairs || {})) {
+            pairs[symbol] = this.parseValues(values, symbol);
+        }
+
+        this.groups = groups;
+        this.pairs = pairs;
+
+        logIT(`Loaded pair overrides: ${groups.length} groups, ${Object.keys(pairs).length} pairs`, LOG_LEVEL.INFO);
+        return true;
+    }
+
+    /**
+     * Keep known keys with values of the right type
+     */
+    parseValues(values, owner) {
+        const parsed = {};
+
+        for (const [key, value] of Object.entries(values || {})) {
+            const type = OVERRIDE_KEYS[key];
+            if (!type) {
+                logIT(`Unknown pair override key ${key} for ${owner}, ignored`, LOG_LEVEL.WARNING);
+                continue;
+            }
+
+            const typed = type === 'string' ? String(value) : Number(value);
+            if (type !== 'string' && (value === '' || !Number.isFinite(typed) || (type === 'integer' && !Number.isInteger(typed)))) {
+                logIT(`Invalid pair override ${key}=${value} for ${owner}, expected ${type === 'integer' ? 'an integer' : 'a number'}`, LOG_LEVEL.WARNING);
+                continue;
+            }
+            parsed[key] = typed;
+        }
+
+        return parsed;
+    }
+
+    /**
+     * Names of the groups a symbol belongs to
+     */
+    getGroups(symbol) {
+        return this.groups.filter(group => group.symbols.has(symbol)).map(group => group.name);
+    }
+
+    /**
+     * Effective configuration of a symbol
+     * @param {string} symbol - Trading pair symbol
+     * @param {Object} defaults - Values from .env, keyed like OVERRIDE_KEYS
+     * @param {Object|null} pairSettings - The symbol's generated settings.json entry
+     * @returns {Object} { values, sources } where sources names the layer each value came from
+     */
+    resolve(symbol, defaults = {}, pairSettings = null) {
+        const values = {};
+        const sources = {};
+        const apply = (layer, source) => {
+            for (const key of Object.keys(OVERRIDE_KEYS)) {
+                if (layer?.[key] !== undefined) {
+                    values[key] = layer[key];
+                    sources[key] = source;
+                }
+            }
+        };
+
+        apply(defaults, '.env');
+        apply(pairSettings, 'settings.json');
+        for (const group of this.groups) {
+            if (group.symbols.has(symbol)) {
+                apply(group.values, `group:${group.name}`);
+            }
+        }
+        apply(this.pairs[symbol], 'pair');
+
+        return { values, sources };
+    }
+}
+
+export default PairOverrides;
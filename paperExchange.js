@@ -0,0 +1,806 @@
+/**
+ * Paper Exchange - Simulated Bybit V5 account for paper trading
+ * Mirrors the subset of RestClientV5 used by the bot so it can be swapped in for the real client
+ */
+
+import { EventEmitter } from 'events';
+import { logIT, LOG_LEVEL } from './log.js';
+import DataPersistence from './dataPersistence.js';
+
+class PaperExchange extends EventEmitter {
+    /**
+     * @param {Object|null} marketClient - Real RestClientV5 used for public market data (null for replay)
+     * @param {Object} config - Simulation settings
+     */
+    constructor(marketClient = null, config = {}) {
+        super();
+        this.marketClient = marketClient;
+        this.config = this.initializeConfig(config);
+        this.dataPersistence = this.config.persistState ? new DataPersistence() : null;
+
+        // Simulated account state
+        this.walletBalance = this.config.startingBalance;
+        this.cumRealisedPnl = 0;
+        this.positions = new Map();  // `${symbol}_${positionIdx}` -> position
+        this.orders = new Map();     // orderId -> resting limit order
+        this.executions = [];        // Fill history (most recent last)
+        this.leverage = new Map();   // symbol -> leverage
+        this.prices = new Map();     // symbol -> { lastPrice, bid1Price, ask1Price, timestamp }
+        this.orderSequence = 0;
+        this.currentTime = null;     // Set when prices are replayed
+
+        this.loadState();
+    }
+
+    /**
+     * Initialize configuration with defaults
+     */
+    initializeConfig(userConfig) {
+        const defaultConfig = {
+            startingBalance: 1000,
+            takerFeePercent: 0.055,
+            makerFeePercent: 0.02,
+            slippagePercent: 0.02,
+            defaultLeverage: 10,
+            priceRefreshMs: 5000,
+            maxExecutionHistory: 1000,
+            persistState: true
+        };
+
+        return { ...defaultConfig, ...userConfig };
+    }
+
+    /**
+     * Start polling live prices so resting orders and TP/SL can trigger
+     */
+    start() {
+        if (!this.marketClient || this.priceInterval) return;
+
+        this.priceInterval = setInterval(() => {
+            this.refreshPrices().catch(error => {
+                logIT(`Paper exchange price refresh failed: ${error.message}`, LOG_LEVEL.WARNING);
+            });
+        }, this.config.priceRefreshMs);
+
+        logIT(`Paper exchange started with ${this.walletBalance.toFixed(2)} USDT wallet balance`, LOG_LEVEL.INFO);
+    }
+
+    /**
+     * Stop polling live prices
+     */
+    stop() {
+        if (this.priceInterval) {
+            clearInterval(this.priceInterval);
+            this.priceInterval = null;
+        }
+    }
+
+    /**
+     * Current time in ms (replay time when prices are replayed)
+     */
+    now() {
+        return this.currentTime ?? Date.now();
+    }
+
+    /**
+     * Build a Bybit V5 style response
+     */
+    response(result = {}, retCode = 0, retMsg = 'OK') {
+        return { retCode, retMsg, result, retExtInfo: {}, time: this.now() };
+    }
+
+    /**
+     * Symbols that need price updates (open positions and resting orders)
+     */
+    getTrackedSymbols() {
+        const symbols = new Set();
+        for (const position of this.positions.values()) symbols.add(position.symbol);
+        for (const order of this.orders.values()) symbols.add(order.symbol);
+        return symbols;
+    }
+
+    /**
+     * Refresh prices for tracked symbols from the live market client
+     */
+    async refreshPrices() {
+        const symbols = this.getTrackedSymbols();
+        if (symbols.size === 0) return;
+
+        const tickers = await this.marketClient.getTickers({ category: 'linear' });
+        if (tickers?.retCode !== 0 || !tickers.result?.list) {
+            throw new Error(`Ticker fetch failed: ${tickers?.retMsg || 'Unknown error'}`);
+        }
+
+        for (const ticker of tickers.result.list) {
+            if (symbols.has(ticker.symbol)) {
+                this.updateTicker(ticker);
+            }
+        }
+    }
+
+    /**
+     * Store a ticker and evaluate triggers for its symbol
+     */
+    updateTicker(ticker, timestamp = null) {
+        const lastPrice = parseFloat(ticker.lastPrice);
+        if (isNaN(lastPrice) || lastPrice <= 0) return;
+
+        this.prices.set(ticker.symbol, {
+            lastPrice,
+            bid1Price: parseFloat(ticker.bid1Price) || lastPrice,
+            ask1Price: parseFloat(ticker.ask1Price) || lastPrice,
+            timestamp: timestamp ?? Date.now()
+        });
+
+        this.processTriggers(ticker.symbol);
+    }
+
+    /**
+     * Feed a replayed price into the simulation
+     * @param {string} symbol - Trading pair symbol
+     * @param {number} price - Last traded price
+     * @param {number} timestamp - Replay timestamp in ms
+     */
+    setPrice(symbol, price, timestamp = null) {
+        if (timestamp !== null) {
+            this.currentTime = timestamp;
+        }
+        this.updateTicker({ symbol, lastPrice: price, bid1Price: price, ask1Price: price }, this.now());
+    }
+
+    /**
+     * Get last known price for a symbol, fetching it live if needed
+     */
+    async getPrice(symbol) {
+        if (this.marketClient && !this.currentTime) {
+            const tickers = await this.marketClient.getTickers({ category: 'linear', symbol });
+            const ticker = tickers?.result?.list?.[0];
+            if (ticker) {
+                this.updateTicker(ticker);
+            }
+        }
+        return this.prices.get(symbol) || null;
+    }
+
+    /**
+     * Position key and side for an order
+     */
+    getPositionKey(symbol, positionIdx) {
+        return `${symbol}_${positionIdx}`;
+    }
+
+    getLeverage(symbol) {
+        return this.leverage.get(symbol) || this.config.defaultLeverage;
+    }
+
+    /**
+     * Calculate unrealised PnL for a position at the current price
+     */
+    getUnrealisedPnl(position) {
+        const price = this.prices.get(position.symbol)?.lastPrice || position.avgPrice;
+        const direction = position.side === 'Buy' ? 1 : -1;
+        return (price - position.avgPrice) * position.size * direction;
+    }
+
+    /**
+     * Margin used by positions and resting orders
+     */
+    getInitialMargin() {
+        let positionIM = 0;
+        let orderIM = 0;
+
+        for (const position of this.positions.values()) {
+            positionIM += (position.size * position.avgPrice) / this.getLeverage(position.symbol);
+        }
+        for (const order of this.orders.values()) {
+            if (!order.reduceOnly) {
+                orderIM += (order.qty * order.price) / this.getLeverage(order.symbol);
+            }
+        }
+
+        return { positionIM, orderIM };
+    }
+
+    /**
+     * Account equity and available balance
+     */
+    getAccountSummary() {
+        let unrealisedPnl = 0;
+        for (const position of this.positions.values()) {
+            unrealisedPnl += this.getUnrealisedPnl(position);
+        }
+
+        const { positionIM, orderIM } = this.getInitialMargin();
+        const equity = this.walletBalance + unrealisedPnl;
+        const available = Math.max(0, equity - positionIM - orderIM);
+
+        return { equity, available, unrealisedPnl, positionIM, orderIM };
+    }
+
+    /**
+     * Submit an order (Market or Limit)
+     */
+    async submitOrder(params) {
+        const { symbol, side, orderType } = params;
+        const qty = parseFloat(params.qty);
+        const positionIdx = parseInt(params.positionIdx) || 0;
+        const reduceOnly = params.reduceOnly === true || params.reduceOnly === 'true';
+
+        if (!symbol || !['Buy', 'Sell'].includes(side) || isNaN(qty) || qty <= 0) {
+            return this.response({}, 10001, 'params error: symbol, side and qty are required');
+        }
+
+        const ticker = await this.getPrice(symbol);
+        if (!ticker) {
+            return this.response({}, 10001, `params error: no price available for ${symbol}`);
+        }
+
+        const position = this.positions.get(this.getPositionKey(symbol, positionIdx));
+        if (reduceOnly && (!position || position.side === side)) {
+            return this.response({}, 110017, 'current position is zero, cannot fix reduce-only order qty');
+        }
+
+        const limitPrice = orderType === 'Limit' ? parseFloat(params.price) : null;
+        const referencePrice = limitPrice || (side === 'Buy' ? ticker.ask1Price : ticker.bid1Price);
+
+        if (!reduceOnly && !this.isReducing(position, side)) {
+            const requiredMargin = (qty * referencePrice) / this.getLeverage(symbol);
+            if (requiredMargin > this.getAccountSummary().available) {
+                return this.response({}, 110007, 'ab not enough for new order');
+            }
+        }
+
+        const order = {
+            orderId: `paper-${this.now()}-${++this.orderSequence}`,
+            orderLinkId: params.orderLinkId || '',
+            symbol,
+            side,
+            orderType: orderType === 'Limit' ? 'Limit' : 'Market',
+            qty,
+            price: limitPrice,
+            positionIdx,
+            reduceOnly,
+            createdTime: this.now()
+        };
+
+        if (order.orderType === 'Limit') {
+            if (isNaN(limitPrice) || limitPrice <= 0) {
+                return this.response({}, 10001, 'params error: price is required for Limit orders');
+            }
+
+            if (this.isLimitMarketable(order, ticker)) {
+                this.fillOrder(order, side === 'Buy' ? ticker.ask1Price : ticker.bid1Price, false);
+            } else {
+                this.orders.set(order.orderId, order);
+                this.emitOrderUpdate(order, 'New');
+                this.saveState();
+            }
+        } else {
+            this.fillOrder(order, this.applySlippage(referencePrice, side), false);
+        }
+
+        logIT(`[PAPER] ${order.orderType} ${side} ${qty} ${symbol} accepted (ID: ${order.orderId})`, LOG_LEVEL.DEBUG);
+        return this.response({ orderId: order.orderId, orderLinkId: order.orderLinkId });
+    }
+
+    /**
+     * Whether an order on this side reduces the given position
+     */
+    isReducing(position, side) {
+        return !!position && position.size > 0 && position.side !== side;
+    }
+
+    isLimitMarketable(order, ticker) {
+        return order.side === 'Buy' ? ticker.ask1Price <= order.price : ticker.bid1Price >= order.price;
+    }
+
+    applySlippage(price, side) {
+        const slippage = this.config.slippagePercent / 100;
+        return side === 'Buy' ? price * (1 + slippage) : price * (1 - slippage);
+    }
+
+    /**
+     * Cancel a resting order
+     */
+    async cancelOrder(params) {
+        const order = this.orders.get(params.orderId);
+        if (!order || (params.symbol && order.symbol !== params.symbol)) {
+            return this.response({}, 110001, 'order not exists or too late to cancel');
+        }
+
+        this.orders.delete(order.orderId);
+        this.emitOrderUpdate(order, 'Cancelled');
+        this.saveState();
+
+        return this.response({ orderId: order.orderId, orderLinkId: order.orderLinkId });
+    }
+
+    /**
+     * Get open (resting) orders
+     */
+    async getActiveOrders(params = {}) {
+        const list = Array.from(this.orders.values())
+            .filter(order => !params.symbol || order.symbol === params.symbol)
+            .filter(order => !params.orderId || order.orderId === params.orderId)
+            .map(order => this.formatOrder(order, order.stopOrderType ? 'Untriggered' : 'New'));
+
+        return this.response({ category: 'linear', list, nextPageCursor: '' });
+    }
+
+    /**
+     * Get fill history
+     */
+    async getExecutionList(params = {}) {
+        const list = this.executions
+            .filter(exec => !params.symbol || exec.symbol === params.symbol)
+            .filter(exec => !params.orderId || exec.orderId === params.orderId)
+            .slice(-(parseInt(params.limit) || 50))
+            .reverse()
+            .map(exec => ({
+                ...exec,
+                execPrice: String(exec.execPrice),
+                execQty: String(exec.execQty),
+                execFee: String(exec.execFee),
+                closedPnl: String(exec.closedPnl),
+                closedSize: String(exec.closedSize ?? 0),
+                execTime: String(exec.execTime)
+            }));
+
+        return this.response({ category: 'linear', list, nextPageCursor: '' });
+    }
+
+    /**
+     * Get positions in Bybit V5 format
+     */
+    async getPositionInfo(params = {}) {
+        const list = Array.from(this.positions.values())
+            .filter(position => !params.symbol || position.symbol === params.symbol)
+            .map(position => this.formatPosition(position));
+
+        return this.response({ category: 'linear', list, nextPageCursor: '' });
+    }
+
+    /**
+     * Get wallet balance in Bybit V5 UNIFIED account format
+     */
+    async getWalletBalance() {
+        const summary = this.getAccountSummary();
+
+        return this.response({
+            list: [{
+                accountType: 'UNIFIED',
+                totalEquity: String(summary.equity),
+                totalWalletBalance: String(this.walletBalance),
+                totalAvailableBalance: String(summary.available),
+                totalPerpUPL: String(summary.unrealisedPnl),
+                totalInitialMargin: String(summary.positionIM + summary.orderIM),
+                coin: [{
+                    coin: 'USDT',
+                    equity: String(summary.equity),
+                    walletBalance: String(this.walletBalance),
+                    unrealisedPnl: String(summary.unrealisedPnl),
+                    cumRealisedPnl: String(this.cumRealisedPnl),
+                    totalPositionIM: String(summary.positionIM),
+                    totalOrderIM: String(summary.orderIM)
+                }]
+            }]
+        });
+    }
+
+    /**
+     * Set take profit / stop loss on a position
+     */
+    async setTradingStop(params) {
+        const positionIdx = parseInt(params.positionIdx) || 0;
+        const position = this.positions.get(this.getPositionKey(params.symbol, positionIdx));
+
+        if (!position || position.size === 0) {
+            return this.response({}, 10001, 'can not set tp/sl/ts for zero position');
+        }
+
+        const price = this.prices.get(position.symbol)?.lastPrice || position.avgPrice;
+        const isLong = position.side === 'Buy';
+
+        if (params.tpslMode === 'Partial') {
+            return this.addPartialTakeProfit(position, params, price);
+        }
+
+        if (params.takeProfit !== undefined) {
+            const takeProfit = parseFloat(params.takeProfit) || 0;
+            if (takeProfit > 0 && (isLong ? takeProfit <= price : takeProfit >= price)) {
+                return this.response({}, 10001, `TakeProfit:${takeProfit} set for ${position.side} position should be ${isLong ? 'higher' : 'lower'} than base_price:${price}`);
+            }
+            position.takeProfit = takeProfit;
+        }
+
+        if (params.stopLoss !== undefined) {
+            const stopLoss = parseFloat(params.stopLoss) || 0;
+            if (stopLoss > 0 && (isLong ? stopLoss >= price : stopLoss <= price)) {
+                return this.response({}, 10001, `StopLoss:${stopLoss} set for ${position.side} position should be ${isLong ? 'lower' : 'higher'} than base_price:${price}`);
+            }
+            position.stopLoss = stopLoss;
+        }
+
+        position.updatedTime = this.now();
+        this.saveState();
+
+        return this.response({});
+    }
+
+    /**
+     * Add a Partial mode TP: a reduce-only market order for tpSize that triggers at takeProfit
+     */
+    addPartialTakeProfit(position, params, price) {
+        const isLong = position.side === 'Buy';
+        const triggerPrice = parseFloat(params.takeProfit);
+        const qty = parseFloat(params.tpSize);
+
+        if (!(triggerPrice > 0) || (isLong ? triggerPrice <= price : triggerPrice >= price)) {
+            return this.response({}, 10001, `TakeProfit:${params.takeProfit} set for ${position.side} position should be ${isLong ? 'higher' : 'lower'} than base_price:${price}`);
+        }
+        if (!(qty > 0) || qty > position.size) {
+            return this.response({}, 10001, `params error: tpSize ${params.tpSize} must be between 0 and the position size ${position.size}`);
+        }
+
+        const order = {
+            orderId: `paper-${this.now()}-${++this.orderSequence}`,
+            orderLinkId: '',
+            symbol: position.symbol,
+            side: isLong ? 'Sell' : 'Buy',
+            orderType: 'Market',
+            qty,
+            price: null,
+            triggerPrice,
+            positionIdx: position.positionIdx,
+            reduceOnly: true,
+            stopOrderType: 'PartialTakeProfit',
+            createdTime: this.now()
+        };
+
+        this.orders.set(order.orderId, order);
+        this.emitOrderUpdate(order, 'Untriggered');
+        this.saveState();
+
+        return this.response({});
+    }
+
+    /**
+     * Set leverage for a symbol
+     */
+    async setLeverage(params) {
+        const leverage = parseFloat(params.buyLeverage);
+        if (isNaN(leverage) || leverage <= 0) {
+            return this.response({}, 10001, 'params error: buyLeverage invalid');
+        }
+
+        this.leverage.set(params.symbol, leverage);
+        return this.response({});
+    }
+
+    /**
+     * Account mode switches are accepted without effect
+     */
+    async switchPositionMode() {
+        return this.response({});
+    }
+
+    async setMarginMode() {
+        return this.response({ reasons: [] });
+    }
+
+    /**
+     * Market data passthrough to the live client
+     */
+    async getTickers(params = {}) {
+        if (this.marketClient && !this.currentTime) {
+            const tickers = await this.marketClient.getTickers(params);
+            if (tickers?.retCode === 0 && tickers.result?.list) {
+                const tracked = this.getTrackedSymbols();
+                for (const ticker of tickers.result.list) {
+                    if (params.symbol || tracked.has(ticker.symbol)) {
+                        this.updateTicker(ticker);
+                    }
+                }
+            }
+            return tickers;
+        }
+
+        const list = Array.from(this.prices.entries())
+            .filter(([symbol]) => !params.symbol || symbol === params.symbol)
+            .map(([symbol, ticker]) => ({
+                symbol,
+                lastPrice: String(ticker.lastPrice),
+                bid1Price: String(ticker.bid1Price),
+                ask1Price: String(ticker.ask1Price),
+                markPrice: String(ticker.lastPrice),
+                volume24h: '0',
+                turnover24h: '0'
+            }));
+
+        return this.response({ category: 'linear', list });
+    }
+
+    async getInstrumentsInfo(params) {
+        return this.delegate('getInstrumentsInfo', params);
+    }
+
+    async getKline(params) {
+        return this.delegate('getKline', params);
+    }
+
+    async getServerTime() {
+        if (!this.marketClient || this.currentTime) {
+            return { ...this.response({ timeSecond: String(Math.floor(this.now() / 1000)) }), time: this.now() };
+        }
+        return this.marketClient.getServerTime();
+    }
+
+    /**
+     * Forward a public endpoint call to the live client
+     */
+    async delegate(method, params) {
+        if (!this.marketClient) {
+            return this.response({}, 10001, `${method} is not available without a market data client`);
+        }
+        return this.marketClient[method](params);
+    }
+
+    /**
+     * Check resting orders and TP/SL for a symbol against its latest price
+     */
+    processTriggers(symbol) {
+        const ticker = this.prices.get(symbol);
+        if (!ticker) return;
+
+        // Resting limit orders (maker fills at the limit price) and partial TPs (market fills at the trigger price)
+        for (const order of Array.from(this.orders.values())) {
+            if (order.symbol !== symbol) continue;
+
+            const limit = order.stopOrderType ? order.triggerPrice : order.price;
+            const crossed = order.side === 'Buy' ? ticker.lastPrice <= limit : ticker.lastPrice >= limit;
+            if (crossed) {
+                this.orders.delete(order.orderId);
+                if (order.stopOrderType) {
+                    logIT(`[PAPER] ${order.stopOrderType} triggered for ${symbol} at ${ticker.lastPrice}`, LOG_LEVEL.INFO);
+                    this.fillOrder(order, this.applySlippage(order.triggerPrice, order.side), false);
+                } else {
+                    this.fillOrder(order, order.price, true);
+                }
+            }
+        }
+
+        // Position TP/SL (filled as market orders)
+        for (const position of Array.from(this.positions.values())) {
+            if (position.symbol !== symbol || position.size === 0) continue;
+
+            const isLong = position.side === 'Buy';
+            const hitTakeProfit = position.takeProfit > 0 && (isLong ? ticker.lastPrice >= position.takeProfit : ticker.lastPrice <= position.takeProfit);
+            const hitStopLoss = position.stopLoss > 0 && (isLong ? ticker.lastPrice <= position.stopLoss : ticker.lastPrice >= position.stopLoss);
+
+            if (hitTakeProfit || hitStopLoss) {
+                const closeSide = isLong ? 'Sell' : 'Buy';
+                const triggerPrice = hitStopLoss ? position.stopLoss : position.takeProfit;
+                const order = {
+                    orderId: `paper-${this.now()}-${++this.orderSequence}`,
+                    orderLinkId: '',
+                    symbol,
+                    side: closeSide,
+                    orderType: 'Market',
+                    qty: position.size,
+                    price: null,
+                    positionIdx: position.positionIdx,
+                    reduceOnly: true,
+                    stopOrderType: hitStopLoss ? 'StopLoss' : 'TakeProfit',
+                    createdTime: this.now()
+                };
+
+                logIT(`[PAPER] ${order.stopOrderType} triggered for ${symbol} ${position.side} at ${ticker.lastPrice}`, LOG_LEVEL.INFO);
+                this.fillOrder(order, this.applySlippage(triggerPrice, closeSide), false);
+            }
+        }
+    }
+
+    /**
+     * Apply a fill to the account and emit an order update
+     */
+    fillOrder(order, fillPrice, isMaker) {
+        const key = this.getPositionKey(order.symbol, order.positionIdx);
+        let position = this.positions.get(key);
+        let remainingQty = order.qty;
+        let closedPnl = 0;
+        let closedSize = 0;
+
+        // Reduce an opposite position first
+        if (this.isReducing(position, order.side)) {
+            const closeQty = Math.min(remainingQty, position.size);
+            const direction = position.side === 'Buy' ? 1 : -1;
+            closedPnl = (fillPrice - position.avgPrice) * closeQty * direction;
+            closedSize = closeQty;
+
+            position.size = this.round(position.size - closeQty);
+            position.updatedTime = this.now();
+            remainingQty = this.round(remainingQty - closeQty);
+
+            if (position.size === 0) {
+                this.positions.delete(key);
+                this.cancelPositionOrders(order.symbol, order.positionIdx);
+                position = null;
+            }
+        }
+
+        // Open or increase with the remainder
+        if (remainingQty > 0 && !order.reduceOnly) {
+            if (position) {
+                const totalSize = position.size + remainingQty;
+                position.avgPrice = ((position.avgPrice * position.size) + (fillPrice * remainingQty)) / totalSize;
+                position.size = this.round(totalSize);
+                position.updatedTime = this.now();
+            } else {
+                this.positions.set(key, {
+                    symbol: order.symbol,
+                    positionIdx: order.positionIdx,
+                    side: order.side,
+                    size: this.round(remainingQty),
+                    avgPrice: fillPrice,
+                    takeProfit: 0,
+                    stopLoss: 0,
+                    createdTime: this.now(),
+                    updatedTime: this.now()
+                });
+            }
+        }
+
+        const filledQty = order.reduceOnly ? this.round(order.qty - remainingQty) : order.qty;
+        const feeRate = (isMaker ? this.config.makerFeePercent : this.config.takerFeePercent) / 100;
+        const fee = fillPrice * filledQty * feeRate;
+
+        this.walletBalance += closedPnl - fee;
+        this.cumRealisedPnl += closedPnl - fee;
+
+        const execution = {
+            execId: `${order.orderId}-exec`,
+            orderId: order.orderId,
+            orderLinkId: order.orderLinkId,
+            symbol: order.symbol,
+            side: order.side,
+            orderType: order.orderType,
+            stopOrderType: order.stopOrderType || '',
+            execPrice: fillPrice,
+            execQty: filledQty,
+            execFee: fee,
+            closedPnl,
+            closedSize,
+            isMaker,
+            positionIdx: order.positionIdx,
+            execTime: this.now()
+        };
+        this.executions.push(execution);
+        if (this.executions.length > this.config.maxExecutionHistory) {
+            this.executions = this.executions.slice(-this.config.maxExecutionHistory);
+        }
+
+        logIT(`[PAPER] Filled ${order.side} ${filledQty} ${order.symbol} @ ${fillPrice} (fee: ${fee.toFixed(4)}, closed PnL: ${closedPnl.toFixed(4)})`, LOG_LEVEL.INFO);
+
+        this.emit('execution', execution);
+        this.emitOrderUpdate({ ...order, avgPrice: fillPrice, cumExecQty: filledQty, price: order.price ?? fillPrice }, 'Filled');
+        this.saveState();
+    }
+
+    /**
+     * Drop the partial TPs of a position that was closed, as Bybit does
+     */
+    cancelPositionOrders(symbol, positionIdx) {
+        for (const order of Array.from(this.orders.values())) {
+            if (order.stopOrderType && order.symbol === symbol && order.positionIdx === positionIdx) {
+                this.orders.delete(order.orderId);
+                this.emitOrderUpdate(order, 'Deactivated');
+            }
+        }
+    }
+
+    /**
+     * Format an order like the Bybit V5 order stream / order list
+     */
+    formatOrder(order, orderStatus) {
+        return {
+            category: 'linear',
+            orderId: order.orderId,
+            orderLinkId: order.orderLinkId,
+            symbol: order.symbol,
+            side: order.side,
+            orderType: order.orderType,
+            stopOrderType: order.stopOrderType || '',
+            orderStatus,
+            price: String(order.price ?? ''),
+            triggerPrice: String(order.triggerPrice ?? ''),
+            avgPrice: String(order.avgPrice ?? ''),
+            qty: String(order.qty),
+            cumExecQty: String(order.cumExecQty ?? 0),
+            positionIdx: order.positionIdx,
+            reduceOnly: order.reduceOnly,
+            createdTime: String(order.createdTime),
+            updatedTime: String(this.now())
+        };
+    }
+
+    /**
+     * Format a position like Bybit V5 getPositionInfo
+     */
+    formatPosition(position) {
+        const markPrice = this.prices.get(position.symbol)?.lastPrice || position.avgPrice;
+        const leverage = this.getLeverage(position.symbol);
+        const positionValue = position.size * position.avgPrice;
+
+        return {
+            symbol: position.symbol,
+            side: position.side,
+            size: String(position.size),
+            avgPrice: String(position.avgPrice),
+            markPrice: String(markPrice),
+            positionValue: String(positionValue),
+            positionIdx: position.positionIdx,
+            leverage: String(leverage),
+            positionIM: String(positionValue / leverage),
+            unrealisedPnl: String(this.getUnrealisedPnl(position)),
+            takeProfit: String(position.takeProfit || 0),
+            stopLoss: String(position.stopLoss || 0),
+            liqPrice: '',
+            tradeMode: 0,
+            occClosingFee: String(position.size * markPrice * (this.config.takerFeePercent / 100)),
+            createdTime: String(position.createdTime),
+            updatedTime: String(position.updatedTime)
+        };
+    }
+
+    emitOrderUpdate(order, orderStatus) {
+        this.emit('orderUpdate', this.formatOrder(order, orderStatus));
+    }
+
+    round(value) {
+        return Math.round(value * 1e8) / 1e8;
+    }
+
+    /**
+     * Persist simulated account state
+     */
+    saveState() {
+        if (!this.dataPersistence) return;
+
+        this.dataPersistence.savePaperState({
+            walletBalance: this.walletBalance,
+            cumRealisedPnl: this.cumRealisedPnl,
+            positions: Array.from(this.positions.values()),
+            orders: Array.from(this.orders.values()),
+            executions: this.executions,
+            leverage: Array.from(this.leverage.entries()),
+            orderSequence: this.orderSequence
+        });
+    }
+
+    /**
+     * Restore simulated account state from a previous run
+     */
+    loadState() {
+        if (!this.dataPersistence) return;
+
+        const state = this.dataPersistence.loadPaperState();
+        if (!state) return;
+
+        this.walletBalance = state.walletBalance ?? this.config.startingBalance;
+        this.cumRealisedPnl = state.cumRealisedPnl || 0;
+        this.executions = state.executions || [];
+        this.orderSequence = state.orderSequence || 0;
+        this.leverage = new Map(state.leverage || []);
+
+        (state.positions || []).forEach(position => {
+            this.positions.set(this.getPositionKey(position.symbol, position.positionIdx), position);
+        });
+        (state.orders || []).forEach(order => {
+            this.orders.set(order.orderId, order);
+        });
+
+        logIT(`Restored paper account: ${this.walletBalance.toFixed(2)} USDT, ${this.positions.size} positions, ${this.orders.size} open orders`, LOG_LEVEL.INFO);
+    }
+}
+
+export default PaperExchange;
@@ -0,0 +1,253 @@
+/**
+ * Position Timeout Monitor - Time-based exit for positions that do not reach TP
+ * Tracks how long each position has been open and, once it passes the timeout for its
+ * current state (in profit or in loss), closes it or tightens its stop loss
+ */
+
+import { logIT, LOG_LEVEL } from './log.js';
+import DataPersistence from './dataPersistence.js';
+
+export const TIMEOUT_ACTIONS = ['close', 'tighten', 'none'];
+
+class PositionTimeoutMonitor {
+    /**
+     * @param {Object} handlers - Bot actions: { getPositions, getEntryTime, closePosition, setStopLoss, cancelDCA, announce }
+     * @param {Object} config - Timeouts and actions
+     */
+    constructor(handlers, config = {}) {
+        this.handlers = handlers;
+        this.config = this.initializeConfig(config);
+        this.dataPersistence = this.config.persistState ? new DataPersistence() : null;
+
+        this.positions = new Map();     // `${symbol}_${positionIdx}` -> { side, openedAt, actedAt, action }
+        this.checkInterval = null;
+        this.isChecking = false;
+        this.firstCheckDone = false;
+
+        this.loadState();
+    }
+
+    /**
+     * Initialize configuration with defaults
+     */
+    initializeConfig(userConfig) {
+        const defaultConfig = {
+            mode: 'live',
+            profitTimeoutMs: 60 * 60 * 1000,
+            lossTimeoutMs: 60 * 60 * 1000,
+            profitAction: 'close',
+            lossAction: 'close',
+            tightenPercent: 0.2,        // Stop distance from the mark price when tightening
+            checkIntervalMs: 30000,
+            persistState: true
+        };
+
+        const config = { ...defaultConfig, ...userConfig };
+
+        for (const key of ['profitAction', 'lossAction']) {
+            if (!TIMEOUT_ACTIONS.includes(config[key])) {
+                logIT(`Invalid stop loss timeout action "${config[key]}", using "close"`, LOG_LEVEL.WARNING);
+                config[key] = 'close';
+            }
+        }
+
+        return config;
+    }
+
+    start() {
+        if (this.checkInterval) return;
+
+        this.checkInterval = setInterval(() => {
+            this.check().catch(error => {
+                logIT(`Position timeout check failed: ${error.message}`, LOG_LEVEL.ERROR);
+            });
+        }, this.config.checkIntervalMs);
+
+        logIT(`Position timeout monitor started (profit: ${this.config.profitAction} after ${this.config.profitTimeoutMs / 60000}m, loss: ${this.config.lossAction} after ${this.config.lossTimeoutMs / 60000}m)`, LOG_LEVEL.INFO);
+    }
+
+    stop() {
+        if (this.checkInterval) {
+            clearInterval(this.checkInterval);
+            this.checkInterval = null;
+        }
+    }
+
+    positionKey(position) {
+        return `${position.symbol}_${position.positionIdx}`;
+    }
+
+    /**
+     * Update position ages and act on positions past their timeout
+     * @returns {Promise<Object[]>} Actions taken: { symbol, side, action, ageMinutes, unrealisedPnl }
+     */
+    async check(now = Date.now()) {
+        if (this.isChecking) return [];
+        this.isChecking = true;
+
+        try {
+            const positions = (await this.handlers.getPositions()).filter(position => parseFloat(position.size) > 0);
+            await this.trackPositions(positions, now);
+
+            const actions = [];
+            for (const position of positions) {
+                const tracked = this.positions.get(this.positionKey(position));
+                if (tracked.actedAt) continue;
+
+                const unrealisedPnl = parseFloat(position.unrealisedPnl) || 0;
+                const inProfit = unrealisedPnl > 0;
+                const timeoutMs = inProfit ? this.config.profitTimeoutMs : this.config.lossTimeoutMs;
+                const action = inProfit ? this.config.profitAction : this.config.lossAction;
+                const ageMs = now - tracked.openedAt;
+
+                if (action === 'none' || ageMs < timeoutMs) continue;
+
+                const taken = await this.act(position, action, ageMs, unrealisedPnl);
+                if (taken) {
+                    tracked.actedAt = now;
+                    tracked.action = action;
+                    actions.push({ symbol: position.symbol, side: position.side, action, ageMinutes: Math.round(ageMs / 60000), unrealisedPnl });
+                }
+            }
+
+            this.saveState();
+            return actions;
+        } finally {
+            this.isChecking = false;
+        }
+    }
+
+    /**
+     * Start the clock for new positions and forget closed ones
+     * Positions opened while the bot runs start when first seen; the persisted first-seen time survives restarts.
+     * Positions already open on the first check that were never seen before take the time of their first entry fill.
+     * A position that flipped side (one-way mode) counts as a new position
+     */
+    async trackPositions(positions, now) {
+        const openKeys = new Set();
+
+        for (const position of positions) {
+            const key = this.positionKey(position);
+            const tracked = this.positions.get(key);
+            openKeys.add(key);
+
+            if (!tracked || tracked.side !== position.side) {
+                const openedAt = this.firstCheckDone ? now : await this.getEntryTime(position, now);
+                this.positions.set(key, { side: position.side, openedAt, actedAt: null, action: null });
+            }
+        }
+        this.firstCheckDone = true;
+
+        for (const key of this.positions.keys()) {
+            if (!openKeys.has(key)) {
+                this.positions.delete(key);
+            }
+        }
+    }
+
+    /**
+     * Time of the first entry fill of a position that was open before the bot saw it, or now when it cannot be found
+     */
+    async getEntryTime(position, now) {
+        if (!this.handlers.getEntryTime) return now;
+
+        try {
+            const entryTime = await this.handlers.getEntryTime(position);
+            if (entryTime > 0 && entryTime <= now) {
+                return entryTime;
+            }
+            logIT(`Stop loss timeout: no entry fill found for ${position.symbol} ${position.side}, starting its clock now`, LOG_LEVEL.WARNING);
+        } catch (error) {
+            logIT(`Stop loss timeout: failed to fetch entry time for ${position.symbol} ${position.side}: ${error.message}`, LOG_LEVEL.WARNING);
+        }
+        return now;
+    }
+
+    /**
+     * Cancel the DCA ladder of a timed out position, then close it or tighten its stop
+     * @returns {Promise<boolean>} Whether the action went through
+     */
+    async act(position, action, ageMs, unrealisedPnl) {
+        const { symbol, side } = position;
+        const description = `${symbol} ${side} open for ${Math.round(ageMs / 60000)}m (uPnL ${unrealisedPnl.toFixed(2)} USDT)`;
+
+        // Cancel the ladder first so no DCA order adds to the position while it is being closed or tightened
+        try {
+            await this.handlers.cancelDCA(position);
+        } catch (error) {
+            logIT(`Stop loss timeout: failed to cancel DCA ladder for ${symbol}: ${error.message}`, LOG_LEVEL.ERROR);
+        }
+
+        try {
+            if (action === 'close') {
+                const result = await this.handlers.closePosition(position);
+                if (!result.success) {
+                    throw new Error(result.message);
+                }
+            } else {
+                const stopLoss = this.calculateTightenedStop(position);
+                if (stopLoss === null) {
+                    logIT(`Stop loss timeout: existing stop of ${description} is already tighter`, LOG_LEVEL.INFO);
+                    return true;
+                }
+                await this.handlers.setStopLoss(position, stopLoss);
+            }
+        } catch (error) {
+            logIT(`Stop loss timeout: failed to ${action} ${description}: ${error.message}`, LOG_LEVEL.ERROR);
+            this.handlers.announce(`⏱️ Stop loss timeout failed to ${action} ${description}: ${error.message}`, 'error');
+            return false;
+        }
+
+        logIT(`Stop loss timeout: ${action === 'close' ? 'closed' : 'tightened stop on'} ${description}`, LOG_LEVEL.WARNING);
+        this.handlers.announce(`⏱️ Stop loss timeout: ${action === 'close' ? 'closed' : 'tightened stop on'} ${description}`, 'warning');
+        return true;
+    }
+
+    /**
+     * Stop tightenPercent away from the mark price, or null when the current stop is already tighter
+     */
+    calculateTightenedStop(position) {
+        const markPrice = parseFloat(position.markPrice);
+        if (!(markPrice > 0)) {
+            throw new Error('no mark price');
+        }
+
+        const isLong = position.side === 'Buy';
+        const stopLoss = markPrice * (1 + (isLong ? -1 : 1) * this.config.tightenPercent / 100);
+        const currentStop = parseFloat(position.stopLoss) || 0;
+
+        if (currentStop > 0 && (isLong ? currentStop >= stopLoss : currentStop <= stopLoss)) {
+            return null;
+        }
+        return stopLoss;
+    }
+
+    /**
+     * Ages of tracked positions for status output
+     */
+    getStatus(now = Date.now()) {
+        return Array.from(this.positions.entries()).map(([key, tracked]) => ({
+            key,
+            side: tracked.side,
+            ageMinutes: Math.round((now - tracked.openedAt) / 60000),
+            action: tracked.action
+        }));
+    }
+
+    saveState() {
+        if (this.dataPersistence) {
+            this.dataPersistence.savePositionAges(this.config.mode, Array.from(this.positions.entries()));
+        }
+    }
+
+    loadState() {
+        if (!this.dataPersistence) return;
+
+        const entries = this.dataPersistence.loadPositionAges(this.config.mode);
+        if (entries) {
+            this.positions = new Map(entries);
+        }
+    }
+}
+
+export default PositionTimeoutMonitor;
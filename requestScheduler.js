@@ -0,0 +1,303 @@
+/**
+ * Request Scheduler - Shared budget for Bybit REST calls
+ * Every REST call is queued by priority and released only while its endpoint has budget left.
+ * Budgets start from Bybit's documented per-second limits and follow the X-Bapi-Limit headers
+ * once responses report them; rate limited calls are retried after the endpoint resets
+ */
+
+import { logIT, LOG_LEVEL } from './log.js';
+
+export const PRIORITY = {
+    critical: 0,    // Orders and TP/SL
+    high: 1,        // Position, balance and price reads on the trading path
+    normal: 2,
+    low: 3          // Research refresh, leverage and account setup
+};
+
+const METHOD_PRIORITY = {
+    submitOrder: PRIORITY.critical,
+    amendOrder: PRIORITY.critical,
+    cancelOrder: PRIORITY.critical,
+    cancelAllOrders: PRIORITY.critical,
+    batchSubmitOrders: PRIORITY.critical,
+    setTradingStop: PRIORITY.critical,
+    getPositionInfo: PRIORITY.high,
+    getWalletBalance: PRIORITY.high,
+    getActiveOrders: PRIORITY.high,
+    getExecutionList: PRIORITY.high,
+    getTickers: PRIORITY.high,
+    setLeverage: PRIORITY.low,
+    switchPositionMode: PRIORITY.low,
+    setMarginMode: PRIORITY.low
+};
+
+// Bybit V5 per-second limits per account, used until response headers report the real ones
+const DEFAULT_LIMITS = {
+    submitOrder: 10,
+    amendOrder: 10,
+    cancelOrder: 10,
+    cancelAllOrders: 1,
+    batchSubmitOrders: 10,
+    setTradingStop: 10,
+    setLeverage: 10,
+    switchPositionMode: 10,
+    setMarginMode: 5,
+    getPositionInfo: 50,
+    getWalletBalance: 50,
+    getActiveOrders: 50,
+    getExecutionList: 50,
+    getClosedPnL: 50
+};
+
+// Market data endpoints share one per-IP budget (600 requests per 5 seconds)
+const PUBLIC_METHODS = ['getTickers', 'getKline', 'getInstrumentsInfo', 'getOrderbook', 'getServerTime', 'getRecentPublicTrades', 'getFundingRateHistory', 'getOpenInterest'];
+const PUBLIC_LIMIT = 120;
+
+// Prototype methods that are REST calls; everything else is passed through untouched
+const REST_METHOD_PATTERN = /^(get|submit|amend|cancel|batch|set|switch|create|add|upgrade)/;
+
+const RATE_LIMIT_RET_CODES = [10006, 10018];
+
+class RequestScheduler {
+    constructor(client, config = {}) {
+        this.client = client;
+        this.config = this.initializeConfig(config);
+
+        this.queue = [];
+        this.inFlight = 0;
+        this.buckets = new Map();   // endpoint -> { limit, remaining, resetAt, sentTimes, fromHeaders }
+        this.timer = null;
+
+        this.metrics = {
+            totalRequests: 0,
+            throttledRequests: 0,   // Calls that had to wait for budget
+            rateLimitHits: 0,       // Calls Bybit rejected with a rate limit error
+            failedRequests: 0,
+            totalWaitMs: 0,
+            maxQueueDepth: 0
+        };
+    }
+
+    /**
+     * Initialize configuration with defaults
+     */
+    initializeConfig(userConfig) {
+        const defaultConfig = {
+            maxConcurrent: 8,
+            maxRetries: 3,          // Retries of a call rejected for rate limiting
+            safetyMargin: 1,        // Requests kept in reserve from each header-reported budget
+            windowMs: 1000
+        };
+
+        return { ...defaultConfig, ...userConfig };
+    }
+
+    /**
+     * Client view whose REST calls go through the queue
+     * @param {Object} options - { priority } forces one priority ('critical', 'high', 'normal' or 'low') for every call of this view
+     */
+    createClient(options = {}) {
+        const scheduler = this;
+        const client = this.client;
+        const priority = options.priority ? PRIORITY[options.priority] : undefined;
+
+        return new Proxy(client, {
+            get(target, prop) {
+                const value = target[prop];
+                if (typeof value !== 'function' || typeof prop !== 'string' || !REST_METHOD_PATTERN.test(prop)) {
+                    return typeof value === 'function' ? value.bind(target) : value;
+                }
+
+                return (...args) => scheduler.schedule(prop, args, priority);
+            }
+        });
+    }
+
+    /**
+     * Queue a REST call
+     * @returns {Promise<*>} The client's response
+     */
+    schedule(method, args, priority = METHOD_PRIORITY[method] ?? PRIORITY.normal) {
+        return new Promise((resolve, reject) => {
+            this.queue.push({ method, args, priority, enqueuedAt: Date.now(), attempts: 0, waited: false, resolve, reject });
+            this.metrics.maxQueueDepth = Math.max(this.metrics.maxQueueDepth, this.queue.length);
+            this.dispatch();
+        });
+    }
+
+    endpointOf(method) {
+        return PUBLIC_METHODS.includes(method) ? 'public' : method;
+    }
+
+    getBucket(endpoint) {
+        if (!this.buckets.has(endpoint)) {
+            const limit = endpoint === 'public' ? PUBLIC_LIMIT : (DEFAULT_LIMITS[endpoint] || 10);
+            this.buckets.set(endpoint, { limit, remaining: null, resetAt: 0, sentTimes: [], fromHeaders: false });
+        }
+        return this.buckets.get(endpoint);
+    }
+
+    /**
+     * Milliseconds until the endpoint has budget for one more call (0 when it has)
+     */
+    waitTime(endpoint, now) {
+        const bucket = this.getBucket(endpoint);
+
+        // Exhausted according to Bybit's own counters
+        if (bucket.remaining !== null && bucket.remaining <= this.config.safetyMargin && bucket.resetAt > now) {
+            return bucket.resetAt - now;
+        }
+
+        bucket.sentTimes = bucket.sentTimes.filter(time => now - time < this.config.windowMs);
+        if (bucket.sentTimes.length >= bucket.limit) {
+            return this.config.windowMs - (now - bucket.sentTimes[0]);
+        }
+
+        return 0;
+    }
+
+    /**
+     * Start every queued call that has budget, highest priority (then oldest) first
+     */
+    dispatch() {
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+
+        const now = Date.now();
+        let nextWake = Infinity;
+
+        this.queue.sort((a, b) => a.priority - b.priority || a.enqueuedAt - b.enqueuedAt);
+
+        for (let i = 0; i < this.queue.length && this.inFlight < this.config.maxConcurrent;) {
+            const task = this.queue[i];
+            const endpoint = this.endpointOf(task.method);
+            const wait = this.waitTime(endpoint, now);
+
+            if (wait > 0) {
+                if (!task.waited) {
+                    task.waited = true;
+                    this.metrics.throttledRequests++;
+                }
+                nextWake = Math.min(nextWake, wait);
+                i++;
+                continue;
+            }
+
+            this.queue.splice(i, 1);
+            this.execute(task, endpoint);
+        }
+
+        if (this.queue.length > 0 && nextWake !== Infinity) {
+            this.timer = setTimeout(() => this.dispatch(), Math.max(nextWake, 10));
+        }
+    }
+
+    async execute(task, endpoint) {
+        const bucket = this.getBucket(endpoint);
+        const startedAt = Date.now();
+
+        bucket.sentTimes.push(startedAt);
+        if (bucket.remaining !== null) {
+            bucket.remaining = Math.max(bucket.remaining - 1, 0);
+        }
+        this.inFlight++;
+        this.metrics.totalRequests++;
+        this.metrics.totalWaitMs += startedAt - task.enqueuedAt;
+
+        try {
+            const response = await this.client[task.method](...task.args);
+            this.updateBucket(bucket, response?.rateLimitApi);
+
+            if (RATE_LIMIT_RET_CODES.includes(response?.retCode) && this.retry(task, bucket, response.retMsg)) {
+                return;
+            }
+            task.resolve(response);
+        } catch (error) {
+            const rateLimited = error?.code === 403 || /rate limit|too many visits/i.test(error?.message || '');
+            if (rateLimited && this.retry(task, bucket, error.message)) {
+                return;
+            }
+
+            this.metrics.failedRequests++;
+            task.reject(error);
+        } finally {
+            this.inFlight--;
+            this.dispatch();
+        }
+    }
+
+    /**
+     * Put a rate limited call back in the queue until its endpoint resets
+     * @returns {boolean} False when the call ran out of retries
+     */
+    retry(task, bucket, reason) {
+        this.metrics.rateLimitHits++;
+        task.attempts++;
+
+        // Block the endpoint for the rest of the window when Bybit did not say when it resets
+        bucket.remaining = 0;
+        bucket.resetAt = Math.max(bucket.resetAt, Date.now() + this.config.windowMs);
+
+        if (task.attempts > this.config.maxRetries) {
+            logIT(`${task.method} still rate limited after ${this.config.maxRetries} retries: ${reason}`, LOG_LEVEL.ERROR);
+            return false;
+        }
+
+        logIT(`${task.method} rate limited (${reason}), retrying after reset`, LOG_LEVEL.WARNING);
+        this.queue.push(task);
+        return true;
+    }
+
+    /**
+     * Track the budget Bybit reports in the X-Bapi-Limit* headers
+     * @param {Object} rateLimitApi - { remainingRequests, maxRequests, resetAtTimestamp } as parsed by bybit-api
+     */
+    updateBucket(bucket, rateLimitApi) {
+        if (!rateLimitApi) return;
+
+        const limit = parseInt(rateLimitApi.maxRequests);
+        const remaining = parseInt(rateLimitApi.remainingRequests);
+        const resetAt = parseInt(rateLimitApi.resetAtTimestamp);
+
+        if (limit > 0) {
+            bucket.limit = limit;
+            bucket.fromHeaders = true;
+        }
+        if (!isNaN(remaining)) bucket.remaining = remaining;
+        if (resetAt > 0) bucket.resetAt = resetAt;
+    }
+
+    /**
+     * Queue depth, throttling and per-endpoint budgets
+     */
+    getMetrics() {
+        const queueByPriority = Object.fromEntries(Object.keys(PRIORITY).map(name => [name, 0]));
+        const priorityNames = Object.fromEntries(Object.entries(PRIORITY).map(([name, value]) => [value, name]));
+        this.queue.forEach(task => queueByPriority[priorityNames[task.priority]]++);
+
+        const now = Date.now();
+        const endpoints = {};
+        for (const [endpoint, bucket] of this.buckets.entries()) {
+            endpoints[endpoint] = {
+                limit: bucket.limit,
+                usedLastWindow: bucket.sentTimes.filter(time => now - time < this.config.windowMs).length,
+                remaining: bucket.remaining,
+                resetAt: bucket.resetAt || null,
+                fromHeaders: bucket.fromHeaders
+            };
+        }
+
+        return {
+            queueDepth: this.queue.length,
+            queueByPriority,
+            inFlight: this.inFlight,
+            ...this.metrics,
+            avgWaitMs: this.metrics.totalRequests > 0 ? Math.round(this.metrics.totalWaitMs / this.metrics.totalRequests) : 0,
+            endpoints
+        };
+    }
+}
+
+export default RequestScheduler;
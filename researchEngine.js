@@ -0,0 +1,231 @@
+/**
+ * Research Engine - Local replacement for the liquidation-report research feed
+ * Derives each pair's liquidation volume threshold from recorded liquidation clusters and its
+ * long/short price bands from klines (VWAP ± ATR or the rolling low/high), producing research.json
+ * in the RapidAPI shape so it can replace or be blended with that feed
+ */
+
+import { logIT, LOG_LEVEL } from './log.js';
+import { aggregateLiquidation } from './utils.js';
+
+export const RESEARCH_SOURCES = ['rapidapi', 'local', 'blend', 'fallback'];
+export const BAND_METHODS = ['vwap_atr', 'range'];
+// What entries do when research is older than RESEARCH_MAX_AGE_MINUTES
+export const RESEARCH_STALE_POLICIES = ['block', 'fallback', 'last_good'];
+
+// Bybit kline intervals for the supported band timeframes
+const KLINE_INTERVALS = { '1m': '1', '5m': '5', '15m': '15', '30m': '30', '1h': '60', '4h': '240', '1d': 'D', '1w': 'W' };
+
+/**
+ * Linear-interpolated percentile of an ascending array
+ */
+function percentile(sorted, percent) {
+    if (sorted.length === 0) return null;
+
+    const position = (sorted.length - 1) * percent / 100;
+    const lower = Math.floor(position);
+    const upper = Math.ceil(position);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+/**
+ * Blend two research feeds; pairs present in both get the weighted average, the rest are kept as they are
+ * @param {Object} remote - RapidAPI research ({ data: [...] })
+ * @param {Object} local - Research built by ResearchEngine
+ * @param {number} localWeight - Share of the local values (0-1)
+ */
+export function blendResearch(remote, local, localWeight = 0.5) {
+    const localItems = new Map(local.data.map(item => [item.name, item]));
+    const mix = (remoteValue, localValue) => parseFloat(remoteValue) * (1 - localWeight) + localValue * localWeight;
+
+    const data = remote.data.map(item => {
+        const localItem = localItems.get(item.name);
+        if (!localItem) return item;
+
+        localItems.delete(item.name);
+        return {
+            ...item,
+            liq_volume: mix(item.liq_volume, localItem.liq_volume),
+            long_price: mix(item.long_price, localItem.long_price),
+            short_price: mix(item.short_price, localItem.short_price),
+            source: 'blend'
+        };
+    });
+
+    return { ...remote, success: true, source: 'blend', data: [...data, ...localItems.values()] };
+}
+
+class ResearchEngine {
+    /**
+     * @param {Object} marketClient - RestClientV5 for public klines
+     * @param {LiquidationRecorder} recorder - Recorder used to read liquidation recordings
+     * @param {Object} config - Lookback, percentile and band settings
+     */
+    constructor(marketClient, recorder, config = {}) {
+        this.marketClient = marketClient;
+        this.recorder = recorder;
+        this.config = this.initializeConfig(config);
+    }
+
+    /**
+     * Initialize configuration with defaults
+     */
+    initializeConfig(userConfig) {
+        const defaultConfig = {
+            lookbackHours: 168,             // Recorded liquidations used for the volume thresholds
+            volumePercentile: 75,           // Threshold = this percentile of the pair's liquidation clusters (USDT)
+            minClusters: 20,                // Pairs with fewer clusters in the lookback get no research entry
+            bandMethod: 'vwap_atr',
+            bandTimeframe: '1h',
+            bandLength: 24,                 // Klines used for the bands
+            bandAtrMultiplier: 2,           // vwap_atr: band distance from VWAP in ATRs
+            klineDelayMs: 100               // Pause between kline requests
+        };
+
+        const config = { ...defaultConfig, ...userConfig };
+
+        if (!BAND_METHODS.includes(config.bandMethod)) {
+            logIT(`Invalid research band method "${config.bandMethod}", using "vwap_atr"`, LOG_LEVEL.WARNING);
+            config.bandMethod = 'vwap_atr';
+        }
+
+        return config;
+    }
+
+    /**
+     * Build research data from recordings and klines
+     * @param {number} now - End of the lookback window (ms)
+     * @returns {Object} research.json content ({ success, source, data: [{ name, price, liq_volume, long_price, short_price, ... }] })
+     */
+    async build(now = Date.now()) {
+        const clusters = await this.collectClusters(now - this.config.lookbackHours * 60 * 60 * 1000, now);
+        const data = [];
+        const failures = [];
+
+        for (const [symbol, volumes] of clusters) {
+            if (volumes.length < this.config.minClusters) continue;
+
+            try {
+                const bands = await this.calculateBands(symbol);
+                if (!bands) continue;
+
+                volumes.sort((a, b) => a - b);
+                data.push({
+                    name: symbol.replace(/USDT$/, ''),
+                    price: bands.price,
+                    liq_volume: parseFloat(percentile(volumes, this.config.volumePercentile).toFixed(2)),
+                    long_price: bands.longPrice,
+                    short_price: bands.shortPrice,
+                    liq_clusters: volumes.length,
+                    source: 'local'
+                });
+            } catch (error) {
+                logIT(`Research engine: skipping ${symbol}: ${error.message}`, LOG_LEVEL.WARNING);
+                failures.push(`${symbol}: ${error.message}`);
+            }
+
+            await new Promise(resolve => setTimeout(resolve, this.config.klineDelayMs));
+        }
+
+        // Every eligible pair failing is an outage (e.g. klines unavailable), not a lack of recordings
+        if (data.length === 0 && failures.length > 0) {
+            throw new Error(`Research engine: all ${failures.length} pairs failed, first error ${failures[0]}`);
+        }
+        if (data.length === 0) {
+            throw new Error(`No pair has ${this.config.minClusters} recorded liquidation clusters in the last ${this.config.lookbackHours}h`);
+        }
+
+        logIT(`Research engine: built ${data.length} pairs from ${clusters.size} liquidated symbols`, LOG_LEVEL.INFO);
+
+        return { success: true, source: 'local', data };
+    }
+
+    /**
+     * Recorded liquidations grouped into the clusters the bot compares against thresholds
+     * (same 5-second aggregation as the live stream, sized in USDT)
+     * @returns {Map} symbol -> cluster volumes
+     */
+    async collectClusters(from, to) {
+        const liquidationOrders = [];
+        const clusters = new Map();
+
+        for await (const event of this.recorder.readEvents(from, to, ['liquidation'])) {
+            if (!(event.price > 0) || !(event.size > 0)) continue;
+
+            const previous = liquidationOrders.find(order => order.pair === event.symbol);
+            const previousQty = previous?.qty;
+            const index = aggregateLiquidation(liquidationOrders, event.symbol, event.price, event.side, event.size * event.price, Math.floor(event.ts / 1000));
+
+            // A reset closes the previous cluster
+            if (previous && liquidationOrders[index].amount === 1) {
+                this.addCluster(clusters, event.symbol, previousQty);
+            }
+        }
+
+        for (const order of liquidationOrders) {
+            this.addCluster(clusters, order.pair, order.qty);
+        }
+
+        return clusters;
+    }
+
+    addCluster(clusters, symbol, volume) {
+        if (!clusters.has(symbol)) clusters.set(symbol, []);
+        clusters.get(symbol).push(volume);
+    }
+
+    /**
+     * Long/short entry bands from recent klines
+     * @returns {Object|null} { price, longPrice, shortPrice }
+     */
+    async calculateBands(symbol) {
+        const response = await this.marketClient.getKline({
+            category: 'linear',
+            symbol,
+            interval: KLINE_INTERVALS[this.config.bandTimeframe] || '60',
+            limit: this.config.bandLength + 1
+        });
+
+        if (response.retCode !== 0 || !response.result?.list) {
+            throw new Error(`Kline fetch failed: ${response.retMsg}`);
+        }
+
+        // Bybit returns newest first: [start, open, high, low, close, volume, turnover]
+        const candles = response.result.list.slice().reverse().map(row => ({
+            high: parseFloat(row[2]),
+            low: parseFloat(row[3]),
+            close: parseFloat(row[4]),
+            volume: parseFloat(row[5]) || 0,
+            turnover: parseFloat(row[6]) || 0
+        }));
+        if (candles.length < 2) return null;
+
+        const price = candles[candles.length - 1].close;
+        const recent = candles.slice(1);
+
+        if (this.config.bandMethod === 'range') {
+            return {
+                price,
+                longPrice: Math.min(...recent.map(candle => candle.low)),
+                shortPrice: Math.max(...recent.map(candle => candle.high))
+            };
+        }
+
+        const volume = recent.reduce((sum, candle) => sum + candle.volume, 0);
+        const vwap = volume > 0
+            ? recent.reduce((sum, candle) => sum + candle.turnover, 0) / volume
+            : recent.reduce((sum, candle) => sum + candle.close, 0) / recent.length;
+
+        const atr = recent.reduce((sum, candle, i) => {
+            const previousClose = candles[i].close;
+            return sum + Math.max(candle.high - candle.low, Math.abs(candle.high - previousClose), Math.abs(candle.low - previousClose));
+        }, 0) / recent.length;
+
+        const longPrice = vwap - atr * this.config.bandAtrMultiplier;
+        if (!(longPrice > 0)) return null;
+
+        return { price, longPrice, shortPrice: vwap + atr * this.config.bandAtrMultiplier };
+    }
+}
+
+export default ResearchEngine;
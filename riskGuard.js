@@ -0,0 +1,195 @@
+/**
+ * Risk Guard - Account-level daily loss limit and drawdown circuit breaker
+ * Follows account equity (wallet balance plus unrealized PnL), so realized and unrealized PnL
+ * both count. The daily loss is measured from the equity at the UTC day start and the drawdown
+ * from the peak equity. A breach halts new entries until the next UTC day or a manual reset
+ */
+
+import { EventEmitter } from 'events';
+import moment from 'moment';
+import { logIT, LOG_LEVEL } from './log.js';
+import DataPersistence from './dataPersistence.js';
+
+class RiskGuard extends EventEmitter {
+    constructor(config = {}) {
+        super();
+        this.config = this.initializeConfig(config);
+        this.dataPersistence = this.config.persistState ? new DataPersistence() : null;
+
+        this.state = {
+            day: null,              // UTC day the day start equity belongs to (YYYY-MM-DD)
+            dayStartEquity: null,
+            peakEquity: null,
+            lastEquity: null,
+            halted: false,
+            haltReason: null,
+            haltedAt: null
+        };
+
+        this.loadState();
+    }
+
+    /**
+     * Initialize configuration with defaults
+     */
+    initializeConfig(userConfig) {
+        const defaultConfig = {
+            mode: 'live',
+            dailyMaxLossPercent: 0,     // 0 disables the daily loss limit
+            maxDrawdownPercent: 0,      // 0 disables the drawdown limit
+            persistState: true
+        };
+
+        return { ...defaultConfig, ...userConfig };
+    }
+
+    isHalted() {
+        return this.state.halted;
+    }
+
+    /**
+     * Record the current equity and trip the breaker when a limit is breached
+     * @param {number} equity - Account equity in USDT
+     * @param {number} now - Timestamp (ms)
+     * @returns {Object|null} The breach that halted trading on this update, or null
+     */
+    update(equity, now = Date.now()) {
+        if (!Number.isFinite(equity) || equity <= 0) return null;
+
+        const day = moment.utc(now).format('YYYY-MM-DD');
+        if (this.state.day !== day) {
+            this.startDay(day, equity);
+        }
+
+        this.state.lastEquity = equity;
+        if (equity > this.state.peakEquity) {
+            this.state.peakEquity = equity;
+        }
+
+        if (this.state.halted) {
+            this.saveState();
+            return null;
+        }
+
+        const metrics = this.getMetrics();
+        let breach = null;
+
+        if (this.config.dailyMaxLossPercent > 0 && metrics.dailyLossPercent >= this.config.dailyMaxLossPercent) {
+            breach = { reason: 'daily_loss', message: `Daily loss ${metrics.dailyLossPercent.toFixed(2)}% reached the ${this.config.dailyMaxLossPercent}% limit` };
+        } else if (this.config.maxDrawdownPercent > 0 && metrics.drawdownPercent >= this.config.maxDrawdownPercent) {
+            breach = { reason: 'drawdown', message: `Drawdown ${metrics.drawdownPercent.toFixed(2)}% from peak equity reached the ${this.config.maxDrawdownPercent}% limit` };
+        }
+
+        if (breach) {
+            this.state.halted = true;
+            this.state.haltReason = breach.reason;
+            this.state.haltedAt = now;
+            logIT(`Risk guard tripped: ${breach.message}`, LOG_LEVEL.ERROR);
+            this.emit('tripped', { ...breach, ...metrics });
+        }
+
+        this.saveState();
+        return breach ? { ...breach, ...metrics } : null;
+    }
+
+    /**
+     * Roll over to a new UTC day; a halt from the previous day is lifted
+     */
+    startDay(day, equity) {
+        const wasHalted = this.state.halted;
+        const firstDay = this.state.day === null;
+
+        this.state.day = day;
+        this.state.dayStartEquity = equity;
+
+        // Without rebasing the peak a drawdown halt would trip again on the first update
+        if (this.state.peakEquity === null || this.state.haltReason === 'drawdown') {
+            this.state.peakEquity = equity;
+        }
+
+        if (wasHalted) {
+            this.clearHalt();
+            logIT(`Risk guard: new UTC day ${day}, resuming new entries`, LOG_LEVEL.WARNING);
+            this.emit('resumed', { reason: 'new_day' });
+        } else if (!firstDay) {
+            logIT(`Risk guard: new UTC day ${day}, day start equity ${equity.toFixed(2)} USDT`, LOG_LEVEL.INFO);
+        }
+    }
+
+    /**
+     * Lift a halt manually
+     * Day start and peak equity are rebased to the current equity so the losses that caused the halt
+     * do not trip the breaker again straight away
+     * @returns {boolean} Whether trading was halted
+     */
+    reset() {
+        const wasHalted = this.state.halted;
+
+        if (this.state.lastEquity !== null) {
+            this.state.dayStartEquity = this.state.lastEquity;
+            this.state.peakEquity = this.state.lastEquity;
+        }
+        this.clearHalt();
+        this.saveState();
+
+        if (wasHalted) {
+            logIT('Risk guard reset manually, resuming new entries', LOG_LEVEL.WARNING);
+            this.emit('resumed', { reason: 'manual' });
+        }
+        return wasHalted;
+    }
+
+    clearHalt() {
+        this.state.halted = false;
+        this.state.haltReason = null;
+        this.state.haltedAt = null;
+    }
+
+    /**
+     * Daily PnL and drawdown from the last recorded equity
+     */
+    getMetrics() {
+        const { dayStartEquity, peakEquity, lastEquity } = this.state;
+        if (lastEquity === null) {
+            return { equity: null, dailyPnl: 0, dailyLossPercent: 0, drawdownPercent: 0 };
+        }
+
+        const dailyPnl = lastEquity - dayStartEquity;
+
+        return {
+            equity: lastEquity,
+            dailyPnl,
+            dailyLossPercent: dayStartEquity > 0 ? Math.max(0, -dailyPnl / dayStartEquity * 100) : 0,
+            drawdownPercent: peakEquity > 0 ? Math.max(0, (peakEquity - lastEquity) / peakEquity * 100) : 0
+        };
+    }
+
+    getStatus() {
+        return {
+            ...this.state,
+            ...this.getMetrics(),
+            dailyMaxLossPercent: this.config.dailyMaxLossPercent,
+            maxDrawdownPercent: this.config.maxDrawdownPercent
+        };
+    }
+
+    saveState() {
+        if (this.dataPersistence) {
+            this.dataPersistence.saveRiskState(this.config.mode, this.state);
+        }
+    }
+
+    loadState() {
+        if (!this.dataPersistence) return;
+
+        const state = this.dataPersistence.loadRiskState(this.config.mode);
+        if (!state) return;
+
+        this.state = { ...this.state, ...state };
+        if (this.state.halted) {
+            logIT(`Risk guard: trading halted since ${moment(this.state.haltedAt).format('YYYY-MM-DD HH:mm')} (${this.state.haltReason})`, LOG_LEVEL.WARNING);
+        }
+    }
+}
+
+export default RiskGuard;
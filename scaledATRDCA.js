@@ -3,12 +3,21 @@
  * Implements sophisticated ATR-based DCA with limit orders and mathematical scaling
  */
 
+import { EventEmitter } from 'events';
 import { logIT, LOG_LEVEL } from './log.js';
 import DataPersistence from './dataPersistence.js';
 import fs from 'fs';
+import { readStateFile } from './stateFiles.js';
 
-class ScaledATRDCA {
+// Every DCA limit order carries an orderLinkId with this prefix so ladder orders can be found on the exchange
+export const DCA_ORDER_LINK_PREFIX = 'liqd-dca-';
+
+/**
+ * Emits 'levelPlaced' and 'levelFilled' for every DCA limit order, whichever position it belongs to
+ */
+class ScaledATRDCA extends EventEmitter {
     constructor(restClient, atrService, config = {}) {
+        super();
         this.restClient = restClient;
         this.atrService = atrService;
         this.config = this.initializeConfig(config);
@@ -90,19 +99,6 @@ class ScaledATRDCA {
     throw lastError;
   }
 
-  /**
-   * Handle API rate limiting
-   */
-  async handleRateLimit(error) {
-    if (error.message && error.message.includes('rate limit')) {
-      const delay = 5000 + Math.random() * 5000; // 5-10 seconds
-      logIT(`Rate limit hit, waiting ${delay}ms`, LOG_LEVEL.WARNING);
-      await this.delay(delay);
-      return true;
-    }
-    return false;
-  }
-
   /**
    * Validate configuration parameters
    */
@@ -139,6 +135,8 @@ class ScaledATRDCA {
      * Load persisted data on startup
      */
   async loadPersistedData() {
+    if (!this.config.persistState) return;
+
     try {
       // Load DCA positions
       const persistedPositions = this.dataPersistence.loadDCAPositions();
@@ -179,6 +177,8 @@ class ScaledATRDCA {
    * Save current state to persistent storage
    */
   async savePersistedData() {
+    if (!this.config.persistState) return;
+
     try {
       // Save DCA positions
       this.dataPersistence.saveDCAPositions(this.activePositions);
@@ -218,7 +218,10 @@ class ScaledATRDCA {
             // Advanced Options
             reorderDelayMs: 1000,
             fillTimeoutMinutes: 60,
-            partialFillHandling: true
+            partialFillHandling: true,
+
+            // Disable for simulations so live state files are not touched
+            persistState: true
         };
 
         return { ...defaultConfig, ...userConfig };
@@ -226,8 +229,9 @@ class ScaledATRDCA {
 
     /**
      * Initialize DCA for a new position
+     * @param {Object} pairConfig - Per-pair ATR and level settings (dcaNumOrders, volumeScale, stepScale, atr*) over the global config
      */
-    async initializeDCAPosition(positionId, symbol, side, basePrice, baseSize) {
+    async initializeDCAPosition(positionId, symbol, side, basePrice, baseSize, pairConfig = {}) {
         try {
             logIT(`Initializing DCA for position ${positionId} (${symbol})`, LOG_LEVEL.INFO);
 
@@ -239,6 +243,8 @@ class ScaledATRDCA {
                 }
             }
 
+            const config = { ...this.config, ...pairConfig };
+
             // Track ATR calculation time
             const atrStartTime = Date.now();
 
@@ -246,8 +252,8 @@ class ScaledATRDCA {
             const atr = await this.retryWithBackoff(
                 async () => {
                     const result = await this.atrService.calculateATR(symbol, {
-                        timeframe: this.config.atrTimeframe,
-                        length: this.config.atrLength
+                        timeframe: config.atrTimeframe,
+                        length: config.atrLength
                     });
                     if (!result) {
                         throw new Error(`ATR calculation returned null for ${symbol}`);
@@ -263,7 +269,7 @@ class ScaledATRDCA {
             this.trackATRCalculation(atrStartTime);
 
             // Generate DCA levels
-            const dcaLevels = this.generateDCALevels(symbol, side, basePrice, baseSize, atr);
+            const dcaLevels = this.generateDCALevels(symbol, side, basePrice, baseSize, atr, config);
 
             // Create position state
             const positionState = {
@@ -358,14 +364,14 @@ class ScaledATRDCA {
   /**
      * Generate DCA order levels using scaled ATR
      */
-    generateDCALevels(symbol, side, basePrice, baseSize, atr) {
+    generateDCALevels(symbol, side, basePrice, baseSize, atr, config = this.config) {
         const levels = [];
-        let currentDeviation = this.config.atrDeviation;
+        let currentDeviation = config.atrDeviation;
         let currentVolumeMultiplier = 1.0;
 
         logIT(`Generating DCA levels for ${symbol}: basePrice=${basePrice}, baseSize=${baseSize}, atr=${atr}`, LOG_LEVEL.DEBUG);
 
-        for (let i = 1; i <= this.config.dcaNumOrders; i++) {
+        for (let i = 1; i <= config.dcaNumOrders; i++) {
             const priceDeviation = currentDeviation * atr;
             const orderPrice = this.calculateOrderPrice(basePrice, priceDeviation, side);
             const orderSize = this.calculateOrderSize(baseSize, currentVolumeMultiplier);
@@ -388,8 +394,8 @@ class ScaledATRDCA {
             levels.push(level);
 
             // Scale for next level
-            currentDeviation *= this.config.stepScale;
-            currentVolumeMultiplier *= this.config.volumeScale;
+            currentDeviation *= config.stepScale;
+            currentVolumeMultiplier *= config.volumeScale;
 
             logIT(`Level ${i}: Price=${orderPrice}, Size=${orderSize}, Deviation=${level.deviationPercentage.toFixed(2)}%`, LOG_LEVEL.DEBUG);
         }
@@ -427,8 +433,8 @@ class ScaledATRDCA {
             return;
         }
 
-        // Check if we've reached maximum orders
-        if (positionState.executedLevels.length >= this.config.dcaNumOrders) {
+        // Check if we've reached maximum orders (the ladder may have a per-pair level count)
+        if (positionState.executedLevels.length >= positionState.levels.length) {
             logIT(`Maximum DCA levels reached for ${positionId}`, LOG_LEVEL.INFO);
             await this.completeDCAPosition(positionId);
             return;
@@ -491,7 +497,7 @@ class ScaledATRDCA {
                 return { minOrderSize: 0.001, qtyStep: 0.001, tickSize: 0.0001 };
             }
 
-            const tickData = JSON.parse(fs.readFileSync('min_order_sizes.json', 'utf8'));
+            const tickData = readStateFile('min_order_sizes.json');
             const tickIndex = tickData.findIndex(x => x.pair === symbol);
 
             if (tickIndex === -1) {
@@ -583,7 +589,8 @@ class ScaledATRDCA {
                 orderType: orderType,
                 qty: this.formatQuantity(processedOrderSize, constraints),
                 price: formattedPrice,
-                reduceOnly: false
+                reduceOnly: false,
+                orderLinkId: `${DCA_ORDER_LINK_PREFIX}${level.level}-${Date.now()}`
             };
 
             logIT(`DCA price formatting: Original=${level.orderPrice}, Formatted=${formattedPrice}, TickSize=${constraints.tickSize}`, LOG_LEVEL.DEBUG);
@@ -639,6 +646,16 @@ class ScaledATRDCA {
 
                 logIT(`DCA order placed: Level ${level.level} at ${level.orderPrice} for ${level.orderSize} (ID: ${order.result.orderId})`, LOG_LEVEL.INFO);
 
+                this.emit('levelPlaced', {
+                    positionId,
+                    symbol: positionState.symbol,
+                    side: positionState.side,
+                    level: level.level,
+                    orderId: order.result.orderId,
+                    price: orderParams.price,
+                    qty: orderParams.qty
+                });
+
             } else {
                 throw new Error(`Order failed: ${order.retMsg} (Code: ${order.retCode})`);
             }
@@ -646,12 +663,6 @@ class ScaledATRDCA {
         } catch (error) {
             logIT(`Failed to place DCA order: ${error.message}`, LOG_LEVEL.ERROR);
 
-            // Handle specific error types
-            if (await this.handleRateLimit(error)) {
-                // Retry after rate limit delay
-                return this.placeDCAOrder(positionId, level);
-            }
-
             level.status = 'failed';
             this.stats.failedOrders++;
 
@@ -722,6 +733,17 @@ class ScaledATRDCA {
                 averagePrice: positionState.averageEntryPrice
             });
 
+            this.emit('levelFilled', {
+                positionId: orderInfo.positionId,
+                symbol: positionState.symbol,
+                side: positionState.side,
+                level: level.level,
+                orderId,
+                fillPrice,
+                filledQty,
+                averagePrice: positionState.averageEntryPrice
+            });
+
         } catch (error) {
             logIT(`Error handling order fill: ${error.message}`, LOG_LEVEL.ERROR);
         }
@@ -818,7 +840,7 @@ class ScaledATRDCA {
                 }
 
                 // Save updated state
-                this.dataPersistence.saveDCAPositions(Array.from(this.activePositions.values()));
+                await this.savePersistedData();
             }
 
             logIT(`DCA order ${orderId} cancelled successfully`, LOG_LEVEL.INFO);
@@ -878,12 +900,6 @@ class ScaledATRDCA {
         } catch (error) {
             logIT(`Failed to cancel order ${orderId}: ${error.message}`, LOG_LEVEL.ERROR);
 
-            // Handle rate limiting
-            if (await this.handleRateLimit(error)) {
-                // Retry after rate limit delay
-                return this.cancelOrder(orderId);
-            }
-
             // Mark as failed to cancel but don't throw to prevent cascading failures
             for (const positionState of this.activePositions.values()) {
                 const level = positionState.levels.find(l => l.orderId === orderId);
@@ -894,6 +910,205 @@ class ScaledATRDCA {
         }
     }
 
+    /**
+     * Reconcile persisted ladders with the exchange after a restart
+     * Ladders whose position is still open are re-adopted, orders that disappeared while the bot
+     * was down are resolved from execution history, and DCA orders of closed positions are cancelled.
+     * Every exchange read happens before any ladder changes, so a failed fetch leaves the state untouched
+     * @returns {Promise<Object>} { adopted, closed (position IDs), filledLevels, cancelledLevels, orphansCancelled }
+     */
+    async reconcileWithExchange() {
+        const summary = { adopted: [], closed: [], filledLevels: 0, cancelledLevels: 0, orphansCancelled: 0 };
+        const ladders = [...this.activePositions.entries()].filter(([, positionState]) => positionState.status === 'active');
+
+        const positions = await this.fetchAllPages('getPositionInfo', { category: 'linear', settleCoin: 'USDT', limit: 200 });
+        const openOrders = await this.fetchAllPages('getActiveOrders', { category: 'linear', settleCoin: 'USDT', limit: 50 });
+        const openOrderIds = new Set(openOrders.map(order => order.orderId));
+
+        // Orders that are no longer resting were filled or cancelled while offline
+        const vanishedExecutions = new Map();
+        for (const [, positionState] of ladders) {
+            for (const orderId of positionState.activeOrders.filter(id => !openOrderIds.has(id))) {
+                vanishedExecutions.set(orderId, await this.fetchAllPages('getExecutionList', {
+                    category: 'linear',
+                    symbol: positionState.symbol,
+                    orderId,
+                    limit: 100
+                }));
+            }
+        }
+
+        const openPositionSizes = new Map(positions.map(position => [`${position.symbol}_${position.side}`, parseFloat(position.size) || 0]));
+        const trackedOrderIds = new Set();
+
+        for (const [positionId, positionState] of ladders) {
+            for (const orderId of [...positionState.activeOrders]) {
+                if (openOrderIds.has(orderId)) {
+                    trackedOrderIds.add(orderId);
+                } else if (this.resolveVanishedOrder(positionId, orderId, vanishedExecutions.get(orderId)) === 'filled') {
+                    summary.filledLevels++;
+                } else {
+                    summary.cancelledLevels++;
+                }
+            }
+
+            const positionSide = positionState.side === 'long' ? 'Buy' : 'Sell';
+            if (!(openPositionSizes.get(`${positionState.symbol}_${positionSide}`) > 0)) {
+                logIT(`${positionState.symbol} ${positionState.side} position is closed, retiring DCA ladder ${positionId}`, LOG_LEVEL.WARNING);
+                for (const orderId of [...positionState.activeOrders]) {
+                    await this.cancelOrder(orderId, positionState.symbol);
+                }
+                await this.completeDCAPosition(positionId);
+                summary.closed.push(positionId);
+                continue;
+            }
+
+            positionState.activeOrders.forEach(orderId => {
+                const level = positionState.levels.find(l => l.orderId === orderId);
+                this.activeOrders.set(orderId, {
+                    positionId,
+                    level: level?.level,
+                    placedTime: level?.timestamp || Date.now(),
+                    status: 'active'
+                });
+            });
+            summary.adopted.push(positionId);
+        }
+
+        // Untracked ladder orders are adopted by a live ladder waiting on that level, otherwise cancelled
+        for (const order of openOrders) {
+            if (!order.orderLinkId?.startsWith(DCA_ORDER_LINK_PREFIX) || trackedOrderIds.has(order.orderId)) continue;
+
+            if (this.adoptOrder(order, summary.adopted)) {
+                trackedOrderIds.add(order.orderId);
+                continue;
+            }
+
+            logIT(`Cancelling orphaned DCA order ${order.orderId}: ${order.symbol} ${order.side} ${order.qty} @ ${order.price}`, LOG_LEVEL.WARNING);
+            await this.cancelOrder(order.orderId, order.symbol);
+            summary.orphansCancelled++;
+        }
+
+        await this.savePersistedData();
+
+        // Continue ladders whose last level filled without a next order resting, whether it filled
+        // while offline or an earlier reconciliation stopped before placing the next one
+        for (const positionId of summary.adopted) {
+            const positionState = this.activePositions.get(positionId);
+            const lastResolved = [...positionState.levels].reverse().find(level => level.status !== 'pending');
+            if (positionState.activeOrders.length === 0 && lastResolved?.status === 'filled') {
+                await this.placeNextDCAOrder(positionId);
+            }
+        }
+
+        return summary;
+    }
+
+    /**
+     * Attach a resting DCA order to the ladder that placed it, e.g. when the bot stopped before saving it
+     * @param {Object} order - Open order from the exchange
+     * @param {string[]} positionIds - Ladders eligible for adoption
+     * @returns {boolean} True when the order was adopted
+     */
+    adoptOrder(order, positionIds) {
+        const levelNumber = parseInt(order.orderLinkId.slice(DCA_ORDER_LINK_PREFIX.length));
+        const positionSide = order.side === 'Buy' ? 'long' : 'short';
+
+        for (const positionId of positionIds) {
+            const positionState = this.activePositions.get(positionId);
+            if (positionState.symbol !== order.symbol || positionState.side !== positionSide || positionState.activeOrders.length > 0) continue;
+
+            const level = positionState.levels.find(l => l.level === levelNumber && l.status === 'pending');
+            if (!level) continue;
+
+            level.status = 'active';
+            level.orderId = order.orderId;
+            level.timestamp = parseInt(order.createdTime) || Date.now();
+            positionState.activeOrders.push(order.orderId);
+            this.activeOrders.set(order.orderId, {
+                positionId,
+                level: level.level,
+                placedTime: level.timestamp,
+                status: 'active'
+            });
+
+            logIT(`Adopted DCA order ${order.orderId} as level ${level.level} of ${positionId}`, LOG_LEVEL.INFO);
+            return true;
+        }
+
+        return false;
+    }
+
+    /**
+     * Resolve a tracked order that is no longer open on the exchange from its executions
+     * @param {Object[]} executions - The order's executions, fetched by the caller
+     * @returns {string} 'filled' when any quantity executed, otherwise 'cancelled'
+     */
+    resolveVanishedOrder(positionId, orderId, executions) {
+        const positionState = this.activePositions.get(positionId);
+        const level = positionState.levels.find(l => l.orderId === orderId);
+
+        positionState.activeOrders = positionState.activeOrders.filter(id => id !== orderId);
+        this.activeOrders.delete(orderId);
+
+        const filledQty = executions.reduce((total, exec) => total + (parseFloat(exec.execQty) || 0), 0);
+        if (!level || filledQty <= 0) {
+            if (level) {
+                level.status = 'cancelled';
+            }
+            this.stats.cancelledOrders++;
+            logIT(`DCA order ${orderId} of ${positionId} was cancelled while offline`, LOG_LEVEL.INFO);
+            return 'cancelled';
+        }
+
+        const fillValue = executions.reduce((total, exec) => total + (parseFloat(exec.execPrice) || 0) * (parseFloat(exec.execQty) || 0), 0);
+        level.status = 'filled';
+        level.fillPrice = fillValue / filledQty;
+        level.filledQty = filledQty;
+        level.fillTime = Math.max(...executions.map(exec => parseInt(exec.execTime) || 0)) || Date.now();
+
+        positionState.executedLevels.push(level);
+        positionState.totalAllocated += filledQty;
+        positionState.averageEntryPrice = this.calculateAverageEntryPrice(positionState);
+        this.stats.filledOrders++;
+
+        logIT(`DCA level ${level.level} of ${positionId} filled while offline: ${filledQty} at ${level.fillPrice}`, LOG_LEVEL.INFO);
+
+        this.emit('levelFilled', {
+            positionId,
+            symbol: positionState.symbol,
+            side: positionState.side,
+            level: level.level,
+            orderId,
+            fillPrice: level.fillPrice,
+            filledQty,
+            averagePrice: positionState.averageEntryPrice
+        });
+
+        return 'filled';
+    }
+
+    /**
+     * Collect every page of a cursor-paginated V5 list endpoint
+     */
+    async fetchAllPages(method, params, maxPages = 20) {
+        const list = [];
+        let cursor = '';
+
+        for (let page = 0; page < maxPages; page++) {
+            const response = await this.restClient[method](cursor ? { ...params, cursor } : params);
+            if (response.retCode !== 0) {
+                throw new Error(`${method} failed: ${response.retMsg} (Code: ${response.retCode})`);
+            }
+
+            list.push(...(response.result?.list || []));
+            cursor = response.result?.nextPageCursor;
+            if (!cursor) break;
+        }
+
+        return list;
+    }
+
     /**
      * Complete DCA position (all levels filled or max reached)
      */
@@ -939,6 +1154,15 @@ class ScaledATRDCA {
         this.positionCallbacks.set(positionId, callback);
     }
 
+    /**
+     * Remove position callback
+     */
+    removePositionCallback(positionId) {
+        if (this.positionCallbacks) {
+            this.positionCallbacks.delete(positionId);
+        }
+    }
+
     /**
      * Trigger order callback
      */
@@ -992,7 +1216,8 @@ class ScaledATRDCA {
             totalAllocated: positionState.totalAllocated,
             activeOrders: positionState.activeOrders.length,
             startTime: positionState.startTime,
-            atr: positionState.atr
+            atr: positionState.atr,
+            levels: positionState.levels
         };
     }
 
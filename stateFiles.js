@@ -0,0 +1,170 @@
+/**
+ * State Files - Crash-safe JSON state on disk
+ * Writes go to a temp file that is fsynced and renamed over the target, so a crash leaves
+ * either the old or the new file. The last good generations are kept as <file>.1 ... <file>.N
+ * and reads fall back to them when the current file is missing, truncated or invalid
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { logIT, LOG_LEVEL } from './log.js';
+
+const DEFAULT_GENERATIONS = 3;
+
+/**
+ * Backup generations from STATE_FILE_GENERATIONS, read on use so a value loaded from .env after the imports applies
+ * 0 keeps no generations
+ */
+export function getStateFileGenerations() {
+    const generations = parseInt(process.env.STATE_FILE_GENERATIONS);
+    return Number.isInteger(generations) && generations >= 0 ? generations : DEFAULT_GENERATIONS;
+}
+
+const isObject = data => data !== null && typeof data === 'object' && !Array.isArray(data);
+
+// Shape checks for files the bot reads on the trading path, keyed by file name
+const VALIDATORS = {
+    'settings.json': data => isObject(data) && Array.isArray(data.pairs),
+    'min_order_sizes.json': data => Array.isArray(data),
+    'research.json': data => isObject(data),
+    'account.json': data => isObject(data),
+    'webhook_queue.json': data => Array.isArray(data)
+};
+
+function generationPath(filePath, generation) {
+    return `${filePath}.${generation}`;
+}
+
+function parseFile(filePath, validate) {
+    const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    if (validate && !validate(data)) {
+        throw new Error('unexpected content');
+    }
+    return data;
+}
+
+function getValidator(filePath, options) {
+    return options.validate || VALIDATORS[path.basename(filePath)] || null;
+}
+
+/**
+ * Flush a directory entry so the rename itself survives a power loss
+ */
+function fsyncDirectory(dir) {
+    let fd;
+    try {
+        fd = fs.openSync(dir, 'r');
+        fs.fsyncSync(fd);
+    } catch (error) {
+        // Not supported on every platform; the data file itself is already synced
+    } finally {
+        if (fd !== undefined) fs.closeSync(fd);
+    }
+}
+
+/**
+ * Shift <file>.1 ... <file>.N-1 up one slot and keep the current file as <file>.1
+ * A current file that does not parse is left out so generations only hold good data
+ */
+function rotateGenerations(filePath, generations, validate) {
+    if (!fs.existsSync(filePath)) return;
+
+    try {
+        parseFile(filePath, validate);
+    } catch (error) {
+        logIT(`Not keeping ${filePath} as a backup generation: ${error.message}`, LOG_LEVEL.WARNING);
+        return;
+    }
+
+    for (let generation = generations - 1; generation >= 1; generation--) {
+        const from = generationPath(filePath, generation);
+        if (fs.existsSync(from)) {
+            fs.renameSync(from, generationPath(filePath, generation + 1));
+        }
+    }
+    fs.copyFileSync(filePath, generationPath(filePath, 1));
+}
+
+/**
+ * Atomically write JSON to a state file
+ * @param {string} filePath - Target file
+ * @param {*} data - JSON serializable content
+ * @param {Object} options - { space (indent, default 4), generations, validate }
+ */
+export function writeStateFile(filePath, data, options = {}) {
+    const { space = 4, generations = getStateFileGenerations() } = options;
+    const content = JSON.stringify(data, null, space);
+    const dir = path.dirname(path.resolve(filePath));
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+
+    fs.mkdirSync(dir, { recursive: true });
+
+    const fd = fs.openSync(tempPath, 'w');
+    try {
+        fs.writeSync(fd, content);
+        fs.fsyncSync(fd);
+    } finally {
+        fs.closeSync(fd);
+    }
+
+    try {
+        if (generations > 0) {
+            rotateGenerations(filePath, generations, getValidator(filePath, options));
+        }
+        fs.renameSync(tempPath, filePath);
+    } catch (error) {
+        fs.rmSync(tempPath, { force: true });
+        throw error;
+    }
+
+    fsyncDirectory(dir);
+}
+
+/**
+ * Read and validate a state file, recovering from the newest good generation if needed
+ * A recovered generation is restored as the current file and the bad one kept as <file>.corrupt
+ * @param {string} filePath - State file
+ * @param {Object} options - { validate, generations, defaultValue (returned when nothing is readable) }
+ * @returns {*} Parsed content
+ * @throws {Error} When no readable generation exists and no defaultValue is given
+ */
+export function readStateFile(filePath, options = {}) {
+    const { generations = getStateFileGenerations() } = options;
+    const validate = getValidator(filePath, options);
+    let currentError = null;
+
+    try {
+        return parseFile(filePath, validate);
+    } catch (error) {
+        currentError = error;
+    }
+
+    for (let generation = 1; generation <= generations; generation++) {
+        const backupPath = generationPath(filePath, generation);
+        if (!fs.existsSync(backupPath)) continue;
+
+        let data;
+        try {
+            data = parseFile(backupPath, validate);
+        } catch (error) {
+            logIT(`Backup ${backupPath} is unreadable too: ${error.message}`, LOG_LEVEL.WARNING);
+            continue;
+        }
+
+        logIT(`${filePath} is unreadable (${currentError.message}), recovered from ${backupPath}`, LOG_LEVEL.WARNING);
+        try {
+            if (fs.existsSync(filePath)) {
+                fs.renameSync(filePath, `${filePath}.corrupt`);
+            }
+            writeStateFile(filePath, data, { generations: 0 });
+        } catch (error) {
+            logIT(`Error restoring ${filePath} from ${backupPath}: ${error.message}`, LOG_LEVEL.ERROR);
+        }
+        return data;
+    }
+
+    if ('defaultValue' in options) {
+        return options.defaultValue;
+    }
+    throw currentError;
+}
@@ -0,0 +1,192 @@
+import fetch from 'node-fetch';
+
+// Characters that must be escaped in Telegram MarkdownV2 text
+const MARKDOWN_SPECIAL = /[_*[\]()~`>#+\-=|{}.!\\]/g;
+
+const escape = (text) => String(text).replace(MARKDOWN_SPECIAL, '\\$&');
+const code = (text) => '`' + String(text).replace(/[`\\]/g, '\\$&') + '`';
+const bold = (text) => `*${escape(text)}*`;
+
+class TelegramService {
+    constructor(botToken, chatId) {
+        this.apiUrl = `https://api.telegram.org/bot${botToken}`;
+        this.chatId = chatId;
+    }
+
+    async close() {
+        // Bot API calls are stateless, nothing to release
+    }
+
+    async send(text) {
+        const response = await fetch(`${this.apiUrl}/sendMessage`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                chat_id: this.chatId,
+                text: text,
+                parse_mode: 'MarkdownV2',
+                disable_web_page_preview: true
+            })
+        });
+
+        const data = await response.json();
+        if (!data.ok) {
+            throw new Error(`Telegram API error: ${data.description}`);
+        }
+    }
+
+    async sendOrderNotification(symbol, amount, side, position, pnl, qty, exits = null) {
+        try {
+            const isBuy = side === "Buy";
+            const emoji = isBuy ? "🟢" : "🔴";
+            const direction = isBuy ? "LONG" : "SHORT";
+            const counterDirection = isBuy ? "SHORT" : "LONG";
+
+            const lines = [
+                `${emoji} ${bold('NEW TRADE')} ${emoji}`,
+                `${bold(symbol)} ${escape(`- ${counterDirection} Liquidation → ${direction} Entry`)}`,
+                '',
+                `📊 ${bold('Symbol:')} ${code(symbol)}`,
+                `💰 ${bold('Order Size:')} ${code(parseFloat(amount).toFixed(4))}`,
+                `📈 ${bold('Liquidation Volume:')} ${code(`${parseFloat(qty).toFixed(2)} USDT`)}`
+            ];
+
+            if (exits) {
+                lines.push(`🎯 ${bold('Take Profit:')} ${code(`${exits.takeProfitPercent.toFixed(2)}%`)}`);
+                if (exits.stopLossPercent !== null) {
+                    lines.push(`🛑 ${bold('Stop Loss:')} ${code(`${exits.stopLossPercent.toFixed(2)}%`)}`);
+                }
+                if (exits.atrPercent !== null) {
+                    lines.push(`📏 ${bold('ATR:')} ${code(`${exits.atrPercent.toFixed(2)}%`)}`);
+                }
+            }
+
+            await this.send(lines.join('\n'));
+        } catch (err) {
+            console.error("Telegram Error:", err.message);
+        }
+    }
+
+    async sendMessage(message, type = 'info') {
+        try {
+            const emojis = {
+                info: 'ℹ️',
+                warning: '⚠️',
+                error: '❌',
+                success: '✅'
+            };
+
+            await this.send(`${emojis[type] || emojis.info} ${bold('Alert')}\n${escape(message)}`);
+        } catch (err) {
+            console.error("Telegram Error:", err);
+        }
+    }
+
+    async sendDCANotification(symbol, dcaStats) {
+        try {
+            await this.send([
+                `🎯 ${bold('SCALED ATR DCA ACTIVATED')} 🎯`,
+                bold(`DCA System Initialized for ${symbol}`),
+                '',
+                `📊 ${bold('Symbol:')} ${code(symbol)}`,
+                `🎯 ${bold('DCA Levels:')} ${code(dcaStats.totalLevels)}`,
+                `📈 ${bold('Active Orders:')} ${code(dcaStats.activeOrders)}`,
+                `💰 ${bold('Total Allocated:')} ${code(dcaStats.totalAllocated.toFixed(4))}`,
+                `📊 ${bold('ATR Value:')} ${code(dcaStats.atr.toFixed(6))}`,
+                `⚡ ${bold('Progress:')} ${code(`${dcaStats.progressPercent.toFixed(1)}%`)}`
+            ].join('\n'));
+        } catch (err) {
+            console.error("Telegram DCA Notification Error:", err);
+        }
+    }
+
+    async sendDCACompletionNotification(symbol, completionStats) {
+        try {
+            await this.send([
+                `✅ ${bold('SCALED ATR DCA COMPLETED')} ✅`,
+                bold(`DCA Sequence Finished for ${symbol}`),
+                '',
+                `📊 ${bold('Symbol:')} ${code(symbol)}`,
+                `🎯 ${bold('Levels Filled:')} ${code(`${completionStats.filledLevels}/${completionStats.totalLevels}`)}`,
+                `📈 ${bold('Success Rate:')} ${code(`${completionStats.successRate.toFixed(1)}%`)}`,
+                `💰 ${bold('Total Allocated:')} ${code(completionStats.totalAllocated.toFixed(4))}`,
+                `🎯 ${bold('Average Entry:')} ${code(completionStats.averageEntryPrice.toFixed(6))}`,
+                `⏱️ ${bold('Duration:')} ${code(`${completionStats.durationMinutes} min`)}`
+            ].join('\n'));
+        } catch (err) {
+            console.error("Telegram DCA Completion Error:", err);
+        }
+    }
+
+    async sendReport(balance, leverage, margin, profit, profitPercent, uptime, serverTime, positions, openPositionsCount, dcaStats = null, researchStatus = null) {
+        try {
+            const lines = [
+                `📊 ${bold('0xLIQD-BYBIT REPORT')} 📊`,
+                bold('Bot Status Report'),
+                '',
+                `💰 ${bold('Account Balance:')} ${code(`${balance} USDT`)}`,
+                `📊 ${bold('Total USDT in Positions:')} ${code(`${margin} USDT`)}`,
+                `💵 ${bold('Profit USDT:')} ${code(`${profit} USDT`)}`,
+                `📈 ${bold('Profit %:')} ${code(`${profitPercent}%`)}`,
+                `⏱️ ${bold('Bot Uptime:')} ${code(uptime)}`,
+                `🕐 ${bold('Server Time:')} ${code(serverTime)}`
+            ];
+
+            // Add DCA statistics if enabled and available
+            if (dcaStats && dcaStats.enabled) {
+                lines.push(
+                    '',
+                    `🎯 ${bold('Scaled ATR DCA Status')}`,
+                    `${bold('Active Positions:')} ${escape(dcaStats.activePositions.length)}`,
+                    `${bold('Active Orders:')} ${escape(dcaStats.stats.activeOrders)}`,
+                    `${bold('Total Orders:')} ${escape(dcaStats.stats.totalOrders)}`,
+                    `${bold('Filled Orders:')} ${escape(dcaStats.stats.filledOrders)}`,
+                    `${bold('Failed Orders:')} ${escape(dcaStats.stats.failedOrders)}`
+                );
+            }
+
+            // Add research freshness
+            if (researchStatus) {
+                const age = researchStatus.ageMinutes === null ? 'unknown' : `${Math.round(researchStatus.ageMinutes)} min`;
+                const limit = researchStatus.maxAgeMinutes > 0 ? ` (max ${researchStatus.maxAgeMinutes} min)` : '';
+                const state = researchStatus.stale ? `⚠️ Stale, ${researchStatus.policy} policy` : '✅ Fresh';
+                lines.push(
+                    '',
+                    `🧭 ${bold('Research Data')}`,
+                    `${bold('Source:')} ${escape(researchStatus.source)}`,
+                    `${bold('Age:')} ${escape(`${age}${limit}`)}`,
+                    `${bold('State:')} ${escape(state)}`,
+                    `${bold('Stale Pairs:')} ${escape(`${researchStatus.stalePairs}/${researchStatus.totalPairs}`)}`
+                );
+            }
+
+            // Add position details
+            lines.push('', `📊 ${bold('Open Positions')}`);
+            if (positions.length > 0) {
+                positions.forEach(pos => {
+                    const emoji = pos.side.includes('✅Long') ? '🟢' : '🔴';
+                    lines.push(
+                        `${emoji} ${bold(pos.symbol)}`,
+                        escape(`   Size: ${pos.size} | P&L: ${pos.pnl} USDT`),
+                        escape(`   Entry: ${pos.price} | TP: ${pos.take_profit} | SL: ${pos.stop_loss || 'N/A'}`)
+                    );
+                });
+            } else {
+                lines.push(escape('No active positions'));
+            }
+
+            lines.push('', `_${escape(`Open Positions: ${openPositionsCount}`)}_`);
+
+            // Send with timeout protection
+            await Promise.race([
+                this.send(lines.join('\n')),
+                new Promise((_, reject) => setTimeout(() => reject(new Error('Telegram timeout')), 15000))
+            ]);
+        } catch (err) {
+            console.error("Telegram Error:", err);
+            throw err; // Re-throw to be caught by caller
+        }
+    }
+}
+
+export default TelegramService;
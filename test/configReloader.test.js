@@ -0,0 +1,40 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import ConfigReloader from '../configReloader.js';
+import { applyConfigDefaults } from '../configSchema.js';
+
+test('removing an optional live key from .env unsets it and later reloads still validate', t => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'config-reloader-'));
+    const envFile = path.join(dir, '.env');
+    const messages = [];
+    const reloader = new ConfigReloader({
+        applyConfig: () => [],
+        pairOverrides: { groups: [], pairs: {}, load: () => true },
+        announce: message => messages.push(message)
+    }, { envFile, overridesFile: path.join(dir, 'pair_overrides.json') });
+
+    t.after(() => {
+        reloader.stop();
+        delete process.env.PAPER_TRADING;
+        delete process.env.STOP_LOSS_TIMEOUT_PROFIT;
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    fs.writeFileSync(envFile, 'PAPER_TRADING = true\nSTOP_LOSS_TIMEOUT_PROFIT = 60000\n');
+    process.env.PAPER_TRADING = 'true';
+    process.env.STOP_LOSS_TIMEOUT_PROFIT = '60000';
+    applyConfigDefaults(process.env);
+    reloader.start();
+
+    fs.writeFileSync(envFile, 'PAPER_TRADING = true\n');
+    assert.deepEqual(reloader.reloadEnv()?.applied, ['STOP_LOSS_TIMEOUT_PROFIT']);
+    assert.equal('STOP_LOSS_TIMEOUT_PROFIT' in process.env, false);
+
+    fs.writeFileSync(envFile, 'PAPER_TRADING = true\nSTOP_LOSS_TIMEOUT_PROFIT = 120000\n');
+    assert.deepEqual(reloader.reloadEnv()?.applied, ['STOP_LOSS_TIMEOUT_PROFIT']);
+    assert.equal(process.env.STOP_LOSS_TIMEOUT_PROFIT, '120000');
+    assert.equal(messages.some(message => message.includes('rejected')), false);
+});
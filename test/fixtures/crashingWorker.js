@@ -0,0 +1,11 @@
+/**
+ * Optimizer worker stand-in: crashes on params.crash ('throw' or 'exit'), otherwise echoes the params
+ */
+
+import { parentPort } from 'worker_threads';
+
+parentPort.on('message', ({ id, params }) => {
+    if (params.crash === 'throw') throw new Error('worker blew up');
+    if (params.crash === 'exit') process.exit(3);
+    parentPort.postMessage({ id, summary: { params } });
+});
@@ -0,0 +1,41 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { WorkerPool, scoreSummary } from '../optimizer.js';
+
+const crashingWorker = new URL('./fixtures/crashingWorker.js', import.meta.url);
+const window = { from: 0, to: 1 };
+
+test('a worker that throws fails its task and is replaced', async () => {
+    const pool = new WorkerPool(1, {}, crashingWorker);
+    try {
+        await assert.rejects(pool.run({ crash: 'throw' }, window), /worker blew up/);
+        assert.deepEqual(await pool.run({ value: 1 }, window), { params: { value: 1 } });
+        assert.equal(pool.workers.length, 1);
+    } finally {
+        await pool.close();
+    }
+});
+
+test('a worker that exits fails its task and queued tasks still complete', async () => {
+    const pool = new WorkerPool(1, {}, crashingWorker);
+    try {
+        const results = await Promise.allSettled([
+            pool.run({ crash: 'exit' }, window),
+            pool.run({ value: 2 }, window),
+            pool.run({ value: 3 }, window)
+        ]);
+        assert.equal(results[0].status, 'rejected');
+        assert.match(results[0].reason.message, /exited with code 3/);
+        assert.deepEqual(results.slice(1).map(result => result.value), [{ params: { value: 2 } }, { params: { value: 3 } }]);
+    } finally {
+        await pool.close();
+    }
+});
+
+test('a profit factor needs the minimum trade count to be scored', () => {
+    const oneWinner = { totalTrades: 1, profitFactor: Infinity, profitFactorInfinite: true };
+    const tested = { totalTrades: 12, profitFactor: 1.8, profitFactorInfinite: false };
+
+    assert.equal(scoreSummary(oneWinner, 'profit_factor', 30, 5), -Infinity);
+    assert.equal(scoreSummary(tested, 'profit_factor', 30, 5), 1.8);
+});
@@ -0,0 +1,402 @@
+/**
+ * Trade Journal - Durable history of every trade the bot takes
+ * Links the triggering liquidation, the entry/DCA/close orders, TP/SL updates and fills,
+ * and rolls fills up into one trade row with average prices, realized PnL and fees
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { openDatabase, getDefaultDatabasePath } from './database.js';
+import { logIT, LOG_LEVEL } from './log.js';
+
+// Exchange-side orders that reduce a position
+const CLOSING_STOP_ORDER_TYPES = ['TakeProfit', 'StopLoss', 'TrailingStop', 'PartialTakeProfit', 'PartialStopLoss'];
+
+// Quantities below this are treated as a flat position
+const SIZE_EPSILON = 1e-9;
+
+const CSV_COLUMNS = [
+    'id', 'mode', 'symbol', 'side', 'status', 'opened_at', 'closed_at', 'max_size',
+    'avg_entry_price', 'avg_exit_price', 'exit_qty', 'realized_pnl', 'fees', 'net_pnl',
+    'dca_fills', 'close_reason', 'trigger_price', 'trigger_value_usdt'
+];
+
+function oppositeSide(side) {
+    return side === 'Buy' ? 'Sell' : 'Buy';
+}
+
+function round(value) {
+    return Math.round(value * 1e8) / 1e8;
+}
+
+class TradeJournal {
+    constructor(config = {}) {
+        this.config = this.initializeConfig(config);
+        this.db = openDatabase(this.config.databasePath);
+        this.recentTriggers = new Map(); // symbol -> { id, recordedAt }
+        this.statements = this.prepareStatements();
+    }
+
+    /**
+     * Initialize configuration with defaults
+     */
+    initializeConfig(userConfig) {
+        const defaultConfig = {
+            databasePath: getDefaultDatabasePath(),
+            mode: 'live',               // Stored on every trade so paper and live history never mix
+            triggerWindowMs: 60000      // Entries placed this soon after a liquidation are linked to it
+        };
+
+        return { ...defaultConfig, ...userConfig };
+    }
+
+    prepareStatements() {
+        const db = this.db;
+        return {
+            insertLiquidation: db.prepare(`
+                INSERT INTO liquidations (symbol, side, price, value_usdt, event_count, threshold_usdt, timestamp)
+                VALUES (?, ?, ?, ?, ?, ?, ?)`),
+            findOpenTrade: db.prepare(`
+                SELECT * FROM trades WHERE symbol = ? AND side = ? AND mode = ? AND status = 'open'
+                ORDER BY id DESC LIMIT 1`),
+            findTrade: db.prepare('SELECT * FROM trades WHERE id = ?'),
+            insertTrade: db.prepare(`
+                INSERT INTO trades (symbol, side, mode, liquidation_id, opened_at) VALUES (?, ?, ?, ?, ?)`),
+            updateTrade: db.prepare(`
+                UPDATE trades SET status = @status, closed_at = @closed_at, size = @size, max_size = @max_size,
+                    avg_entry_price = @avg_entry_price, avg_exit_price = @avg_exit_price, exit_qty = @exit_qty,
+                    realized_pnl = @realized_pnl, fees = @fees, dca_fills = @dca_fills, close_reason = @close_reason
+                WHERE id = @id`),
+            insertOrder: db.prepare(`
+                INSERT OR IGNORE INTO orders (order_id, trade_id, liquidation_id, symbol, side, kind, order_type, qty, price, dca_level, reduce_only, created_at)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`),
+            findOrder: db.prepare('SELECT * FROM orders WHERE order_id = ?'),
+            findFill: db.prepare('SELECT id FROM fills WHERE exec_id = ?'),
+            insertFill: db.prepare(`
+                INSERT INTO fills (exec_id, order_id, trade_id, symbol, side, exec_type, price, qty, fee, realized_pnl, is_close, exec_time)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`),
+            insertTpSl: db.prepare(`
+                INSERT INTO tp_sl_updates (trade_id, symbol, side, take_profit, stop_loss, created_at) VALUES (?, ?, ?, ?, ?, ?)`)
+        };
+    }
+
+    /**
+     * Liquidation that triggered the last entry on a symbol, if still within the link window
+     */
+    getRecentTrigger(symbol) {
+        const trigger = this.recentTriggers.get(symbol);
+        if (!trigger || Date.now() - trigger.recordedAt > this.config.triggerWindowMs) {
+            return null;
+        }
+        return trigger.id;
+    }
+
+    findOpenTrade(symbol, side) {
+        return this.statements.findOpenTrade.get(symbol, side, this.config.mode);
+    }
+
+    openTrade(symbol, side, openedAt) {
+        const liquidationId = this.getRecentTrigger(symbol);
+        const result = this.statements.insertTrade.run(symbol, side, this.config.mode, liquidationId, openedAt);
+        return this.statements.findTrade.get(result.lastInsertRowid);
+    }
+
+    /**
+     * Record the aggregated liquidation that passed the entry filters
+     * @param {string} symbol - Trading pair
+     * @param {Object} liquidation - Aggregated liquidation ({ side, price, qty as USDT value, amount as event count, timestamp in seconds })
+     * @param {number} threshold - Minimum liquidation volume that applied to the pair
+     * @returns {number|null} Liquidation row id
+     */
+    recordTrigger(symbol, liquidation, threshold) {
+        try {
+            const timestamp = liquidation.timestamp ? liquidation.timestamp * 1000 : Date.now();
+            const result = this.statements.insertLiquidation.run(
+                symbol, liquidation.side, liquidation.price, liquidation.qty, liquidation.amount ?? null, threshold ?? null, timestamp
+            );
+            this.recentTriggers.set(symbol, { id: result.lastInsertRowid, recordedAt: Date.now() });
+            return result.lastInsertRowid;
+        } catch (error) {
+            logIT(`Trade journal: error recording trigger for ${symbol}: ${error.message}`, LOG_LEVEL.ERROR);
+            return null;
+        }
+    }
+
+    /**
+     * Record an order the bot placed; entry orders open a trade when none is open
+     * @param {Object} order - { orderId, symbol, side, orderType, qty, price, reduceOnly, dcaLevel, kind }
+     */
+    recordOrder(order) {
+        try {
+            if (!order.orderId) return;
+
+            const positionSide = order.reduceOnly ? oppositeSide(order.side) : order.side;
+            const now = Date.now();
+
+            this.db.transaction(() => {
+                let trade = this.findOpenTrade(order.symbol, positionSide);
+                let kind = order.kind || (order.reduceOnly ? 'close' : 'add');
+
+                if (!trade && !order.reduceOnly) {
+                    trade = this.openTrade(order.symbol, positionSide, now);
+                    kind = order.kind || 'entry';
+                }
+
+                this.statements.insertOrder.run(
+                    order.orderId, trade?.id ?? null, this.getRecentTrigger(order.symbol), order.symbol, order.side, kind,
+                    order.orderType ?? null, parseFloat(order.qty) || null, parseFloat(order.price) || null,
+                    order.dcaLevel ?? null, order.reduceOnly ? 1 : 0, now
+                );
+            })();
+        } catch (error) {
+            logIT(`Trade journal: error recording order ${order.orderId}: ${error.message}`, LOG_LEVEL.ERROR);
+        }
+    }
+
+    /**
+     * Record a DCA limit order emitted by ScaledATRDCA ('levelPlaced')
+     */
+    recordDCAOrder(level) {
+        this.recordOrder({
+            orderId: level.orderId,
+            symbol: level.symbol,
+            side: level.side === 'long' ? 'Buy' : 'Sell',
+            orderType: 'Limit',
+            qty: level.qty,
+            price: level.price,
+            reduceOnly: false,
+            dcaLevel: level.level,
+            kind: 'dca'
+        });
+    }
+
+    /**
+     * Record a TP/SL change against the open trade
+     * @param {Object} update - { symbol, side (position side, Buy/Sell), takeProfit, stopLoss }
+     */
+    recordTpSl(update) {
+        try {
+            const trade = this.findOpenTrade(update.symbol, update.side);
+            this.statements.insertTpSl.run(
+                trade?.id ?? null, update.symbol, update.side,
+                parseFloat(update.takeProfit) || null, parseFloat(update.stopLoss) || null, Date.now()
+            );
+        } catch (error) {
+            logIT(`Trade journal: error recording TP/SL for ${update.symbol}: ${error.message}`, LOG_LEVEL.ERROR);
+        }
+    }
+
+    /**
+     * Record an execution from the exchange (or the paper exchange) and update its trade
+     * Executions are deduplicated on execId, so replays after a reconnect are harmless
+     * @param {Object} exec - Bybit V5 execution ({ execId, orderId, symbol, side, execType, execPrice, execQty, execFee, closedSize, execPnl/closedPnl, stopOrderType, execTime })
+     * @returns {number|null} Trade id the fill was attributed to
+     */
+    recordFill(exec) {
+        try {
+            return this.db.transaction(() => this.applyFill(exec))();
+        } catch (error) {
+            logIT(`Trade journal: error recording fill ${exec.execId}: ${error.message}`, LOG_LEVEL.ERROR);
+            return null;
+        }
+    }
+
+    applyFill(exec) {
+        if (!exec.execId || this.statements.findFill.get(exec.execId)) {
+            return null;
+        }
+
+        const execType = exec.execType || 'Trade';
+        const price = parseFloat(exec.execPrice) || 0;
+        const qty = parseFloat(exec.execQty) || 0;
+        const fee = parseFloat(exec.execFee) || 0;
+        const execTime = parseInt(exec.execTime) || Date.now();
+        const order = exec.orderId ? this.statements.findOrder.get(exec.orderId) : null;
+
+        // Funding is charged to the open position without changing its size
+        if (execType === 'Funding') {
+            const trade = this.findOpenTrade(exec.symbol, exec.side) || this.findOpenTrade(exec.symbol, oppositeSide(exec.side));
+            if (trade) {
+                this.saveTrade({ ...trade, fees: round(trade.fees + fee) });
+            }
+            this.insertFill(exec, trade?.id, execType, price, qty, fee, null, false, execTime);
+            return trade?.id ?? null;
+        }
+
+        const isClose = parseFloat(exec.closedSize) > 0
+            || order?.reduce_only === 1
+            || CLOSING_STOP_ORDER_TYPES.includes(exec.stopOrderType);
+        const positionSide = isClose ? oppositeSide(exec.side) : exec.side;
+
+        let trade = order?.trade_id ? this.statements.findTrade.get(order.trade_id) : null;
+        if (!trade || trade.status !== 'open') {
+            trade = this.findOpenTrade(exec.symbol, positionSide);
+        }
+
+        if (!trade) {
+            if (isClose) {
+                // Closing a position opened before the journal existed
+                this.insertFill(exec, null, execType, price, qty, fee, null, true, execTime);
+                return null;
+            }
+            trade = this.openTrade(exec.symbol, positionSide, execTime);
+        }
+
+        const updated = { ...trade, fees: round(trade.fees + fee) };
+        let realizedPnl = null;
+
+        if (isClose) {
+            const closeQty = trade.size > 0 ? Math.min(qty, trade.size) : qty;
+            const direction = positionSide === 'Buy' ? 1 : -1;
+            const reportedPnl = parseFloat(exec.execPnl ?? exec.closedPnl);
+
+            // Gross PnL; fees are tracked separately on the trade
+            realizedPnl = Number.isFinite(reportedPnl)
+                ? reportedPnl
+                : (price - (trade.avg_entry_price || price)) * closeQty * direction;
+
+            updated.avg_exit_price = round(((trade.avg_exit_price || 0) * trade.exit_qty + price * closeQty) / (trade.exit_qty + closeQty));
+            updated.exit_qty = round(trade.exit_qty + closeQty);
+            updated.realized_pnl = round(trade.realized_pnl + realizedPnl);
+            updated.size = round(Math.max(trade.size - closeQty, 0));
+
+            if (updated.size <= SIZE_EPSILON) {
+                updated.status = 'closed';
+                updated.closed_at = execTime;
+                updated.close_reason = exec.stopOrderType || (execType === 'Trade' ? 'Close' : execType);
+            }
+        } else {
+            const newSize = trade.size + qty;
+            updated.avg_entry_price = round(((trade.avg_entry_price || 0) * trade.size + price * qty) / newSize);
+            updated.size = round(newSize);
+            updated.max_size = Math.max(trade.max_size, updated.size);
+            if (order?.kind === 'dca') {
+                updated.dca_fills = trade.dca_fills + 1;
+            }
+        }
+
+        this.saveTrade(updated);
+        this.insertFill(exec, trade.id, execType, price, qty, fee, realizedPnl, isClose, execTime);
+
+        if (updated.status === 'closed') {
+            logIT(`Trade journal: ${trade.side} ${trade.symbol} closed (${updated.close_reason}), realized ${updated.realized_pnl.toFixed(4)} USDT, fees ${updated.fees.toFixed(4)} USDT`, LOG_LEVEL.INFO);
+        }
+
+        return trade.id;
+    }
+
+    saveTrade(trade) {
+        this.statements.updateTrade.run(trade);
+    }
+
+    insertFill(exec, tradeId, execType, price, qty, fee, realizedPnl, isClose, execTime) {
+        this.statements.insertFill.run(
+            exec.execId, exec.orderId ?? null, tradeId ?? null, exec.symbol, exec.side, execType,
+            price, qty, fee, realizedPnl === null ? null : round(realizedPnl), isClose ? 1 : 0, execTime
+        );
+    }
+
+    /**
+     * List trades, newest first
+     * @param {Object} filters - { from, to (ms, on opened_at), symbol, status, mode, limit }
+     */
+    getTrades(filters = {}) {
+        const { where, params } = this.buildFilters(filters);
+        const limit = filters.limit ? `LIMIT ${parseInt(filters.limit)}` : '';
+
+        return this.db.prepare(`
+            SELECT trades.*, liquidations.price AS trigger_price, liquidations.value_usdt AS trigger_value_usdt
+            FROM trades LEFT JOIN liquidations ON liquidations.id = trades.liquidation_id
+            ${where} ORDER BY trades.opened_at DESC ${limit}`).all(...params);
+    }
+
+    /**
+     * A trade with its trigger, orders, fills and TP/SL history
+     */
+    getTrade(id) {
+        const trade = this.statements.findTrade.get(id);
+        if (!trade) return null;
+
+        return {
+            ...trade,
+            liquidation: trade.liquidation_id
+                ? this.db.prepare('SELECT * FROM liquidations WHERE id = ?').get(trade.liquidation_id)
+                : null,
+            orders: this.db.prepare('SELECT * FROM orders WHERE trade_id = ? ORDER BY created_at').all(id),
+            fills: this.db.prepare('SELECT * FROM fills WHERE trade_id = ? ORDER BY exec_time').all(id),
+            tpSlUpdates: this.db.prepare('SELECT * FROM tp_sl_updates WHERE trade_id = ? ORDER BY created_at').all(id)
+        };
+    }
+
+    /**
+     * Aggregate results of closed trades in a window
+     * @param {Object} filters - { from, to, symbol, mode }
+     */
+    getSummary(filters = {}) {
+        const { where, params } = this.buildFilters({ ...filters, status: 'closed' });
+        const row = this.db.prepare(`
+            SELECT COUNT(*) AS trades,
+                SUM(CASE WHEN realized_pnl - fees > 0 THEN 1 ELSE 0 END) AS wins,
+                COALESCE(SUM(realized_pnl), 0) AS realizedPnl,
+                COALESCE(SUM(fees), 0) AS fees,
+                COALESCE(SUM(dca_fills), 0) AS dcaFills
+            FROM trades ${where}`).get(...params);
+
+        return {
+            trades: row.trades,
+            wins: row.wins || 0,
+            losses: row.trades - (row.wins || 0),
+            winRate: row.trades > 0 ? ((row.wins || 0) / row.trades) * 100 : 0,
+            realizedPnl: round(row.realizedPnl),
+            fees: round(row.fees),
+            netPnl: round(row.realizedPnl - row.fees),
+            dcaFills: row.dcaFills
+        };
+    }
+
+    buildFilters(filters) {
+        const conditions = [];
+        const params = [];
+
+        if (filters.from) { conditions.push('trades.opened_at >= ?'); params.push(filters.from); }
+        if (filters.to) { conditions.push('trades.opened_at < ?'); params.push(filters.to); }
+        if (filters.symbol) { conditions.push('trades.symbol = ?'); params.push(filters.symbol); }
+        if (filters.status) { conditions.push('trades.status = ?'); params.push(filters.status); }
+        if (filters.mode) { conditions.push('trades.mode = ?'); params.push(filters.mode); }
+
+        return {
+            where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+            params
+        };
+    }
+
+    /**
+     * Write trades to a CSV file for tax and performance reporting
+     * @returns {number} Number of trades exported
+     */
+    exportCsv(filePath, filters = {}) {
+        const trades = this.getTrades(filters).reverse();
+        const escape = value => {
+            if (value === null || value === undefined) return '';
+            const text = String(value);
+            return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+
+        const lines = [CSV_COLUMNS.join(',')];
+        for (const trade of trades) {
+            const row = {
+                ...trade,
+                opened_at: new Date(trade.opened_at).toISOString(),
+                closed_at: trade.closed_at ? new Date(trade.closed_at).toISOString() : '',
+                net_pnl: round(trade.realized_pnl - trade.fees)
+            };
+            lines.push(CSV_COLUMNS.map(column => escape(row[column])).join(','));
+        }
+
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.writeFileSync(filePath, lines.join('\n') + '\n');
+        return trades.length;
+    }
+}
+
+export default TradeJournal;
@@ -1,7 +1,7 @@
-import fs from "fs";
 import moment from "moment";
 import chalk from "chalk";
 import { logIT, LOG_LEVEL } from "./log.js";
+import { readStateFile } from "./stateFiles.js";
 
 // Utility function to calculate risk-adjusted prices
 export function calculateRiskPrices(longPrice, shortPrice, riskLevel = 2) {
@@ -20,6 +20,93 @@ export function calculateRiskPrices(longPrice, shortPrice, riskLevel = 2) {
     };
 }
 
+// Utility function to calculate order and max position size for a pair from account balance
+export function calculatePairSizing(balance, price, minOrderQty, percentOrderSize, maxPositionSizePercent, leverage) {
+    const usdValue = minOrderQty * price;
+
+    // Calculate our order size based on account parameters
+    const orderSizeUSD = (balance * (percentOrderSize / 100)) * leverage;
+    const orderSize = orderSizeUSD < usdValue ? minOrderQty : (orderSizeUSD / price);
+
+    // Calculate max position size
+    const maxPositionSize = ((balance * (maxPositionSizePercent / 100)) / price) * leverage;
+
+    return {
+        orderSize: parseFloat(orderSize.toFixed(8)),
+        maxPositionSize: parseFloat(maxPositionSize.toFixed(8))
+    };
+}
+
+// Utility function to aggregate a liquidation event into the per-pair cache (5-second window)
+export function aggregateLiquidation(liquidationOrders, pair, price, side, qty, timestamp) {
+    let index = liquidationOrders.findIndex(x => x.pair === pair);
+
+    // Initialize new liquidation entry if not exists
+    if (index === -1) {
+        liquidationOrders.push({ pair, price, side, qty, amount: 1, timestamp });
+        return liquidationOrders.length - 1;
+    }
+
+    const entry = liquidationOrders[index];
+    if (timestamp - entry.timestamp <= 5) {
+        // Aggregate liquidations within 5-second window
+        entry.qty = parseFloat((entry.qty + qty).toFixed(2));
+        entry.amount += 1;
+    } else {
+        // Reset aggregation for new liquidation event
+        entry.qty = qty;
+        entry.amount = 1;
+    }
+    entry.price = price;
+    entry.side = side;
+    entry.timestamp = timestamp;
+
+    return index;
+}
+
+// Utility function to get the liquidation volume threshold for a pair from research data
+export function getLiquidationThreshold(researchData, pair, minLiquidationVolume) {
+    let threshold = parseFloat(minLiquidationVolume) || 0;
+
+    if (researchData?.data) {
+        const symbolName = pair.replace('USDT', '');
+        const researchEntry = researchData.data.find(item => item.name === symbolName);
+        if (researchEntry?.liq_volume) {
+            threshold = researchEntry.liq_volume;
+        }
+    }
+
+    return threshold;
+}
+
+// Utility function to check a research/settings record's fetch time (ms) against the maximum age in minutes (0 disables)
+// Records without a fetch time have no known age and count as stale
+export function isResearchStale(fetchedAt, maxAgeMinutes, now = Date.now()) {
+    if (!(maxAgeMinutes > 0)) {
+        return false;
+    }
+    if (!fetchedAt) {
+        return true;
+    }
+    return now - fetchedAt > maxAgeMinutes * 60 * 1000;
+}
+
+// Utility function to check the liquidation price against the pair's long/short entry bands
+export function passesPriceGate(liquidationSide, liquidationPrice, pairSettings) {
+    if (liquidationSide === "Buy") {
+        return liquidationPrice < pairSettings.long_price;
+    }
+    return liquidationPrice > pairSettings.short_price;
+}
+
+// Utility function to check 24h turnover (USDT) against the minimum volume in millions
+export function meetsMinimum24hVolume(turnover24h, min24hVolume) {
+    if (!min24hVolume || min24hVolume <= 0) {
+        return true;
+    }
+    return (turnover24h / 1000000) >= min24hVolume;
+}
+
 // Utility function to process order quantity with min/max constraints
 export function processOrderQuantity(orderSize, minOrderQty, qtyStep = 1) {
     // Ensure order quantity is at least the minimum required
@@ -41,10 +128,10 @@ export function processOrderQuantity(orderSize, minOrderQty, qtyStep = 1) {
     return processedQty.toFixed(decimalPlaces).toString();
 }
 
-// Utility function to handle blacklist/whitelist filtering
+// Utility function to handle blacklist/whitelist filtering (lists as parsed by configSchema, null when unset)
 export function shouldProcessPair(pair, blacklist, whitelist) {
-    const blacklistPairs = blacklist ? blacklist.replace(/\s+/g, '').split(',') : [];
-    const whitelistPairs = whitelist ? whitelist.replace(/\s+/g, '').split(',') : [];
+    const blacklistPairs = blacklist || [];
+    const whitelistPairs = whitelist || [];
 
     // Check if pair is blacklisted
     if (blacklistPairs.includes(pair)) {
@@ -115,6 +202,23 @@ export function validateTradingConfig() {
     return { takeProfitPercent, useStopLoss, stopLossPercent };
 }
 
+// Utility function to turn an ATR into TP/SL distances in percent of the entry price
+// Each distance is an ATR multiple clamped to its min/max percentage (a clamp of 0 is not applied)
+export function calculateAtrExitPercents(atr, entryPrice, settings) {
+    if (!(atr > 0) || !(entryPrice > 0)) {
+        return null;
+    }
+
+    const atrPercent = (atr / entryPrice) * 100;
+    const clamp = (value, min, max) => Math.min(Math.max(value, min || 0), max > 0 ? max : Infinity);
+
+    return {
+        atrPercent,
+        takeProfitPercent: clamp(atrPercent * settings.tpMultiplier, settings.minTpPercent, settings.maxTpPercent),
+        stopLossPercent: clamp(atrPercent * settings.slMultiplier, settings.minSlPercent, settings.maxSlPercent)
+    };
+}
+
 // Utility function to calculate TP/SL prices based on position side
 export function calculateProfitLossPrices(entryPrice, side, takeProfitPercent, stopLossPercent, useStopLoss) {
     let takeProfit, stopLoss;
@@ -164,7 +268,7 @@ export function calculateProfitLossPrices(entryPrice, side, takeProfitPercent, s
 // Utility function to get tick data for a symbol
 export function getTickData(symbol) {
     try {
-        const tickData = JSON.parse(fs.readFileSync('min_order_sizes.json', 'utf8'));
+        const tickData = readStateFile('min_order_sizes.json');
         const index = tickData.findIndex(x => x.pair === symbol);
 
         if (index === -1) {
@@ -264,3 +368,103 @@ export function handleTpSlResponse(order, symbol, useStopLoss) {
     // Handle other errors
     return { success: false, needsRetry: false, error: order.retMsg || "Unknown error" };
 }
+
+// Utility function to parse a TP ladder such as "50@0.5, 30@1, 20@trail" (share of the position @ TP percent)
+export function parseTpLadder(spec) {
+    if (!spec || !String(spec).trim()) {
+        return null;
+    }
+
+    const legs = [];
+    for (const part of String(spec).split(',')) {
+        const match = part.trim().match(/^(\d+(?:\.\d+)?)\s*@\s*(trail|\d+(?:\.\d+)?)$/i);
+        if (!match) {
+            logIT(`Invalid TP ladder leg "${part.trim()}" in "${spec}", expected e.g. 50@0.5 or 20@trail`, LOG_LEVEL.ERROR);
+            return null;
+        }
+        legs.push({
+            sizePercent: parseFloat(match[1]),
+            tpPercent: match[2].toLowerCase() === 'trail' ? null : parseFloat(match[2])
+        });
+    }
+
+    const totalPercent = legs.reduce((sum, leg) => sum + leg.sizePercent, 0);
+    const trailingLegs = legs.filter(leg => leg.tpPercent === null).length;
+
+    if (Math.abs(totalPercent - 100) > 0.01) {
+        logIT(`Invalid TP ladder "${spec}": leg sizes add up to ${totalPercent}%, not 100%`, LOG_LEVEL.ERROR);
+        return null;
+    }
+    if (trailingLegs > 1 || trailingLegs === legs.length) {
+        logIT(`Invalid TP ladder "${spec}": needs at least one TP level and at most one trail leg`, LOG_LEVEL.ERROR);
+        return null;
+    }
+
+    // Nearest TP first; the trail leg is what remains after the last one
+    return legs.sort((a, b) => (a.tpPercent ?? Infinity) - (b.tpPercent ?? Infinity));
+}
+
+// Utility function to get the TP ladder legs that have not filled yet, sized as shares of the remaining position
+// Legs fill nearest first, so the first filledLegs are dropped; at least the last leg (or the trail leg) is kept
+export function getRemainingTpLadder(ladder, filledLegs) {
+    const remaining = ladder.slice(Math.min(filledLegs, ladder.length - 1));
+    const totalPercent = remaining.reduce((sum, leg) => sum + leg.sizePercent, 0);
+
+    return remaining.map(leg => ({ ...leg, sizePercent: leg.sizePercent * 100 / totalPercent }));
+}
+
+// Utility function to count the ladder levels a position size reduction filled
+// placed holds the legs as last set ({ level, qty }, nearest first), filledQty the size the position lost since
+export function countFilledTpLegs(placed, filledQty, qtyStep = 1) {
+    let cumulativeQty = 0;
+    let filledLegs = 0;
+
+    for (const leg of placed) {
+        cumulativeQty += leg.qty;
+        if (cumulativeQty > filledQty + qtyStep / 2) {
+            break;
+        }
+        filledLegs = leg.level + 1;
+    }
+
+    return filledLegs;
+}
+
+// Utility function to split a position into TP ladder legs
+// Returns { legs: [{ price, qty, level }], trailingQty, activationPrice } with level the leg's index among the TP levels with quantities rounded down to qtyStep;
+// legs below minOrderQty are folded into the next level and rounding leftovers go to the trail leg or the last level
+export function calculateTpLadderLegs(ladder, entryPrice, side, size, qtyStep = 1, minOrderQty = 0) {
+    const stepDecimals = qtyStep < 1 ? (qtyStep.toString().split(".")[1]?.length || 0) : 0;
+    const roundQty = qty => parseFloat((Math.floor(qty / qtyStep + 1e-9) * qtyStep).toFixed(stepDecimals));
+    const direction = side === "Buy" ? 1 : -1;
+
+    const fixedLegs = ladder.filter(leg => leg.tpPercent !== null);
+    const hasTrailingLeg = fixedLegs.length < ladder.length;
+
+    const legs = [];
+    let carriedQty = 0;
+    for (const [level, leg] of fixedLegs.entries()) {
+        const qty = roundQty(size * leg.sizePercent / 100 + carriedQty);
+        const price = entryPrice * (1 + direction * leg.tpPercent / 100);
+
+        if (qty < minOrderQty || qty <= 0) {
+            carriedQty += size * leg.sizePercent / 100;
+            continue;
+        }
+        carriedQty = 0;
+        legs.push({ price, qty, level });
+    }
+
+    let assignedQty = legs.reduce((sum, leg) => sum + leg.qty, 0);
+    if (!hasTrailingLeg && legs.length > 0) {
+        const lastLeg = legs[legs.length - 1];
+        lastLeg.qty = parseFloat((lastLeg.qty + size - assignedQty).toFixed(stepDecimals));
+        assignedQty = size;
+    }
+
+    return {
+        legs,
+        trailingQty: hasTrailingLeg ? parseFloat((size - assignedQty).toFixed(stepDecimals)) : 0,
+        activationPrice: legs.length > 0 ? legs[legs.length - 1].price : null
+    };
+}